@@ -0,0 +1,404 @@
+#!/usr/bin/env node
+import { readFileSync, readdirSync, writeFileSync, mkdirSync } from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  buildRoster,
+  parseStatsCSV,
+  pairStatsFiles,
+  ROSTER_FORMATS,
+  DEFAULT_RULES,
+  RULE_PRESETS,
+  completeRules,
+  BATTING_ORDER_STRATEGIES,
+  leagueAveragesFromRows,
+  BENCH_SIZE,
+  ROTATION_SIZE,
+  BULLPEN_SIZE,
+  MAX_SECTION_SIZE,
+  suggestColumnMap,
+  missingColumns,
+  validateStatRows,
+  identifyLahmanTable,
+  lahmanTeams,
+  lahmanStatRows,
+  lahmanFranchises,
+  lahmanFranchiseRows,
+  CAREER_MODES,
+  isMultiSeason,
+  combineSeasons,
+  parseRosterJSON,
+  simulateGame,
+  formatBoxScore,
+  formatPlayByPlay,
+  LEAGUE_JSON_FORMAT,
+  parseLeagueJSON,
+  parseScheduleRows,
+  roundRobinSchedule,
+  simulateSeason,
+  formatSeasonCSV,
+  calibrateCards,
+  formatCalibrationCSV
+} from '../lib/deadball/index.js';
+
+const USAGE = `Usage:
+  dbrg build --batting <file> --pitching <file> [--team <name>] [--format txt|csv|json] [--out <file>]
+  dbrg build --dir <directory> [--format txt|csv|json] [--out <directory>]
+  dbrg build --lahman <directory> --year <yearID> --team-id <teamID> [--format txt|csv|json] [--out <file>]
+  dbrg build --lahman <directory> --franchise <franchID> [--cards <mode>] [--from <year>] [--to <year>] [--out <file>]
+  dbrg play <away.json> <home.json> [--seed <value>] [--out <file>]
+  dbrg season <league.json | roster.json...> [--rounds <n>] [--schedule <file>] [--seed <value>] [--out <file>]
+  dbrg calibrate --batting <file> --pitching <file> [--games <n>] [--pa <n>] [--seed <value>] [--out <file>]
+
+Options:
+  --preset <name>   conversion rule preset (${Object.keys(RULE_PRESETS).join(', ')})
+  --rules <file>    JSON rule set with the same shape as DEFAULT_RULES
+  --league <file>   league totals CSV; rates are normalized to the rule set's baseline
+  --season <year>   season to read from a multi-season league totals file
+  --order <name>    batting order strategy (${Object.keys(BATTING_ORDER_STRATEGIES).join(', ')})
+  --platoon         add lineups against right- and left-handed pitching
+  --dh              add a designated hitter to the lineup
+  --bench <n>       bench size (default ${BENCH_SIZE}, at most ${MAX_SECTION_SIZE})
+  --rotation <n>    starting pitchers (default ${ROTATION_SIZE}, at most ${MAX_SECTION_SIZE})
+  --bullpen <n>     relief pitchers (default ${BULLPEN_SIZE}, at most ${MAX_SECTION_SIZE})
+  --backup-catcher  keep a second catcher on the bench
+  --leave-empty     leave short sections short instead of adding replacement players
+  --cards <mode>    for multi-season stats, card each player from (${Object.keys(CAREER_MODES).join(', ')}; default best)
+  --window <n>      consecutive years in a peak (default 3)
+  --from <year>     first season to draw on from multi-season stats
+  --to <year>       last season to draw on
+  --seed <value>    seed for the random ratings of pitchers without a batting line,
+                    or for the dice in a simulated game or season
+  --rounds <n>      round robins in a season (default 1)
+  --schedule <file> season schedule CSV with Away and Home team columns
+  --pa <n>          plate appearances per batter in a calibration run (default 2000)
+  --games <n>       games per pitcher in a calibration run (default 100)
+
+In --dir mode every <team>-batting.csv is paired with <team>-pitching.csv
+(underscores and dots work as separators too) and one roster is written per team.
+
+In --lahman mode the directory holds the Lahman database CSVs (People, Batting,
+Pitching and optionally Fielding and Teams). --franchise reads every season of
+a franchise (Teams is required) for an all-time or, with --from and --to,
+all-decade roster.
+
+Stats covering more than one season (a Year, yearID or Season column) give
+one card per player, built from the seasons --cards picks.
+
+play simulates one game between two rosters saved with --format json and
+prints the box score and play-by-play. season plays every team of an exported
+league (or every roster file given) and writes standings, leaders and season
+stats as CSV. calibrate plays every card from the stats files against
+league-average opposition and writes its simulated BA/OBP/SLG or ERA next to
+the real one as CSV, flagging the ones that land far off.
+`;
+
+const fail = (message) => {
+  console.error(`dbrg: ${message}`);
+  process.exit(1);
+};
+
+// Write a command's output to --out, or to stdout without one
+const emit = (output, values) => {
+  if (values.out) {
+    writeFileSync(values.out, output);
+  } else {
+    process.stdout.write(output);
+  }
+};
+
+const readStats = (file) => parseStatsCSV(readFileSync(file, 'utf8'));
+
+// Read a batting or pitching file, mapping known header aliases and reporting
+// rows that will not become cards on stderr
+const readPlayerStats = (file, kind) => {
+  const rows = readStats(file);
+  const mapping = suggestColumnMap(rows, kind);
+  const missing = missingColumns(mapping, kind);
+  if (missing.length) {
+    fail(`${file}: no column for ${missing.map(c => c.label).join(', ')}`);
+  }
+
+  const { records, skipped, duplicates } = validateStatRows(rows, kind, mapping);
+  for (const s of skipped) {
+    console.error(`dbrg: ${file}:${s.line}: skipped${s.name ? ` ${s.name}` : ''}: ${s.reason}`);
+  }
+  for (const d of duplicates) {
+    console.error(`dbrg: ${file}: ${d.name} appears on lines ${[d.kept, ...d.dropped].join(', ')}; ${d.reason}`);
+  }
+  return records;
+};
+
+const loadRules = ({ rules, preset }) => {
+  if (rules) return completeRules(JSON.parse(readFileSync(rules, 'utf8')));
+  if (!preset) return DEFAULT_RULES;
+  if (!Object.hasOwn(RULE_PRESETS, preset)) fail(`unknown preset "${preset}"`);
+  return RULE_PRESETS[preset];
+};
+
+const loadLeague = ({ league, season }) =>
+  league ? leagueAveragesFromRows(readStats(league), { season }) : undefined;
+
+// Multi-season stats as one line per player
+const careerRows = (battingRows, pitchingRows, values) => {
+  if (!isMultiSeason(battingRows) && !isMultiSeason(pitchingRows)) {
+    return { batting: battingRows, pitching: pitchingRows };
+  }
+  return combineSeasons(battingRows, pitchingRows, {
+    mode: values.cards,
+    window: values.window,
+    from: values.from,
+    to: values.to
+  });
+};
+
+const renderRoster = (battingRows, pitchingRows, teamName, values) => {
+  const league = loadLeague(values);
+  const rules = loadRules(values);
+  const { batting, pitching } = careerRows(battingRows, pitchingRows, values);
+  const roster = buildRoster(batting, pitching, {
+    rules: league ? { ...rules, relativeToLeague: true } : rules,
+    league,
+    seed: values.seed,
+    battingOrder: values.order,
+    platoon: values.platoon,
+    shape: {
+      designatedHitter: values.dh,
+      benchSize: values.bench,
+      rotationSize: values.rotation,
+      bullpenSize: values.bullpen,
+      backupCatcher: values['backup-catcher'],
+      fillEmpty: !values['leave-empty']
+    }
+  });
+  return ROSTER_FORMATS[values.format](roster, teamName);
+};
+
+const buildOne = ({ values }) => {
+  if (!values.batting || !values.pitching) {
+    fail("--batting and --pitching are both required (or use --dir)");
+  }
+
+  const output = renderRoster(
+    readPlayerStats(values.batting, 'batting'),
+    readPlayerStats(values.pitching, 'pitching'),
+    values.team,
+    values
+  );
+  emit(output, values);
+};
+
+const buildDirectory = ({ values }) => {
+  const pairs = pairStatsFiles(readdirSync(values.dir));
+  if (pairs.length === 0) {
+    fail(`no <team>-batting / <team>-pitching files found in ${values.dir}`);
+  }
+
+  const outDir = values.out || '.';
+  mkdirSync(outDir, { recursive: true });
+
+  for (const pair of pairs) {
+    if (!pair.batting || !pair.pitching) {
+      console.error(`dbrg: skipping ${pair.team}: missing ${pair.batting ? 'pitching' : 'batting'} file`);
+      continue;
+    }
+
+    const output = renderRoster(
+      readPlayerStats(path.join(values.dir, pair.batting), 'batting'),
+      readPlayerStats(path.join(values.dir, pair.pitching), 'pitching'),
+      pair.team,
+      values
+    );
+    const outFile = path.join(outDir, `${pair.team}_roster.${values.format}`);
+    writeFileSync(outFile, output);
+    console.error(`dbrg: wrote ${outFile}`);
+  }
+};
+
+const buildLahman = ({ values }) => {
+  if (!values.franchise && (!values.year || !values['team-id'])) {
+    fail("--lahman needs --year and --team-id, or --franchise");
+  }
+
+  const bundle = {};
+  for (const fileName of readdirSync(values.lahman)) {
+    if (!/\.(csv|txt)$/i.test(fileName)) continue;
+    const table = identifyLahmanTable(fileName, []);
+    if (table) bundle[table] = readStats(path.join(values.lahman, fileName));
+  }
+
+  if (values.franchise) {
+    const franchise = lahmanFranchises(bundle).find(f => f.franchID === values.franchise);
+    if (!franchise) fail(`no franchise ${values.franchise}${bundle.Teams ? '' : ' (the Teams table is needed)'}`);
+    const { batting, pitching } = lahmanFranchiseRows(bundle, { franchID: values.franchise });
+    const output = renderRoster(batting, pitching, values.team || `All-Time ${franchise.name}`, values);
+    emit(output, values);
+    return;
+  }
+
+  const teamID = values['team-id'];
+  const team = lahmanTeams(bundle, values.year).find(t => t.teamID === teamID);
+  if (!team) fail(`no team ${teamID} in ${values.year}`);
+
+  const { batting, pitching } = lahmanStatRows(bundle, { yearID: values.year, teamID });
+  const output = renderRoster(batting, pitching, values.team || `${values.year} ${team.name}`, values);
+  emit(output, values);
+};
+
+const readRoster = (file) => parseRosterJSON(readFileSync(file, 'utf8'));
+
+const playGame = ({ values, positionals }) => {
+  const [awayFile, homeFile] = positionals.slice(1);
+  if (!awayFile || !homeFile) {
+    fail("play needs an away and a home roster file");
+  }
+
+  const away = readRoster(awayFile);
+  const home = readRoster(homeFile);
+  const game = simulateGame(away.roster, home.roster, {
+    seed: values.seed,
+    awayName: away.teamName || 'Away',
+    homeName: home.teamName || 'Home'
+  });
+  const output = `${formatBoxScore(game)}\nPLAY-BY-PLAY\n${formatPlayByPlay(game)}`;
+  emit(output, values);
+};
+
+// Teams from an exported league file or from individual roster files
+const readTeams = (files) => files.flatMap(file => {
+  const text = readFileSync(file, 'utf8');
+  if (JSON.parse(text).format === LEAGUE_JSON_FORMAT) {
+    return parseLeagueJSON(text).teams.map(({ name, roster }) => ({ name, roster }));
+  }
+  const { teamName, roster } = parseRosterJSON(text);
+  return [{ name: teamName || path.basename(file, '.json'), roster }];
+});
+
+const playSeason = ({ values, positionals }) => {
+  const teams = readTeams(positionals.slice(1));
+  if (teams.length < 2) {
+    fail("season needs a league file or at least two roster files");
+  }
+
+  const schedule = values.schedule
+    ? parseScheduleRows(readStats(values.schedule), teams.map(t => t.name))
+    : roundRobinSchedule(teams.length, parseInt(values.rounds) || 1);
+  const output = formatSeasonCSV(simulateSeason(teams, { schedule, seed: values.seed }));
+  emit(output, values);
+};
+
+const calibrate = ({ values }) => {
+  if (!values.batting || !values.pitching) {
+    fail("calibrate needs --batting and --pitching");
+  }
+
+  const league = loadLeague(values);
+  const rules = loadRules(values);
+  const report = calibrateCards(
+    readPlayerStats(values.batting, 'batting'),
+    readPlayerStats(values.pitching, 'pitching'),
+    {
+      rules: league ? { ...rules, relativeToLeague: true } : rules,
+      league,
+      seed: values.seed,
+      plateAppearances: parseInt(values.pa) || undefined,
+      games: parseInt(values.games) || undefined
+    }
+  );
+  const output = formatCalibrationCSV(report);
+  emit(output, values);
+};
+
+const main = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      batting: { type: 'string' },
+      pitching: { type: 'string' },
+      dir: { type: 'string' },
+      lahman: { type: 'string' },
+      year: { type: 'string' },
+      'team-id': { type: 'string' },
+      team: { type: 'string' },
+      format: { type: 'string', default: 'txt' },
+      out: { type: 'string' },
+      preset: { type: 'string' },
+      rules: { type: 'string' },
+      league: { type: 'string' },
+      season: { type: 'string' },
+      order: { type: 'string', default: 'traditional' },
+      platoon: { type: 'boolean', default: false },
+      dh: { type: 'boolean', default: false },
+      bench: { type: 'string' },
+      rotation: { type: 'string' },
+      bullpen: { type: 'string' },
+      'backup-catcher': { type: 'boolean', default: false },
+      'leave-empty': { type: 'boolean', default: false },
+      cards: { type: 'string', default: 'best' },
+      window: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      franchise: { type: 'string' },
+      seed: { type: 'string' },
+      rounds: { type: 'string' },
+      schedule: { type: 'string' },
+      pa: { type: 'string' },
+      games: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help || !['build', 'play', 'season', 'calibrate'].includes(positionals[0])) {
+    process.stdout.write(USAGE);
+    process.exit(values.help ? 0 : 1);
+  }
+
+  if (positionals[0] === 'play') {
+    playGame({ values, positionals });
+    return;
+  }
+
+  if (positionals[0] === 'season') {
+    playSeason({ values, positionals });
+    return;
+  }
+
+  if (positionals[0] === 'calibrate') {
+    calibrate({ values });
+    return;
+  }
+
+  if (!Object.hasOwn(ROSTER_FORMATS, values.format)) {
+    fail(`unknown format "${values.format}" (expected txt, csv or json)`);
+  }
+
+  if (!Object.hasOwn(BATTING_ORDER_STRATEGIES, values.order)) {
+    fail(`unknown batting order "${values.order}"`);
+  }
+
+  if (!Object.hasOwn(CAREER_MODES, values.cards)) {
+    fail(`unknown card mode "${values.cards}" (expected ${Object.keys(CAREER_MODES).join(', ')})`);
+  }
+
+  for (const option of ['bench', 'rotation', 'bullpen']) {
+    const size = values[option];
+    if (size !== undefined && !(/^\d+$/.test(size) && parseInt(size) <= MAX_SECTION_SIZE)) {
+      fail(`--${option} must be a whole number from 0 to ${MAX_SECTION_SIZE}`);
+    }
+  }
+
+  if (values.dir) {
+    buildDirectory({ values });
+  } else if (values.lahman) {
+    buildLahman({ values });
+  } else {
+    buildOne({ values });
+  }
+};
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  fail(error.message);
+}
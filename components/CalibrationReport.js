@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import {
+  calibrateCards,
+  formatCalibrationCSV,
+  CALIBRATION_THRESHOLDS,
+  CALIBRATION_DEFAULTS,
+  newSeed
+} from '../lib/deadball';
+import { downloadFile } from './download';
+
+const BATTING_STATS = ['BA', 'OBP', 'SLG'];
+
+const rate = (value) => (value === null || value === undefined ? '–' : value.toFixed(3).replace(/^(-?)0/, '$1'));
+const era = (value) => (value === null || value === undefined ? '–' : value.toFixed(2));
+const signed = (format, value) => (value === undefined ? '' : (value > 0 ? '+' : '') + format(value));
+
+// Real and simulated value with the gap, red when past the threshold
+function StatCells({ player, stat, format }) {
+  const flagged = player.flagged.includes(stat);
+  return (
+    <>
+      <td className="py-1">{format(player.real[stat])}</td>
+      <td className={`py-1 ${flagged ? 'bg-red-100 font-bold' : ''}`}>
+        {format(player.simulated[stat])} <span className="text-gray-500 text-xs">{signed(format, player.deviation[stat])}</span>
+      </td>
+    </>
+  );
+}
+
+// Play every card from the uploaded stats against league-average opposition
+// and show how far its simulated line lands from the real one
+export default function CalibrationReport({ battingStats, pitchingStats, rules, league }) {
+  const [plateAppearances, setPlateAppearances] = useState(CALIBRATION_DEFAULTS.plateAppearances);
+  const [games, setGames] = useState(CALIBRATION_DEFAULTS.games);
+  const [thresholds, setThresholds] = useState(CALIBRATION_THRESHOLDS);
+  const [onlyFlagged, setOnlyFlagged] = useState(false);
+  const [report, setReport] = useState(null);
+
+  const handleRun = () => {
+    try {
+      setReport(calibrateCards(battingStats, pitchingStats, {
+        rules,
+        league,
+        seed: newSeed(),
+        plateAppearances: parseInt(plateAppearances) || CALIBRATION_DEFAULTS.plateAppearances,
+        games: parseInt(games) || CALIBRATION_DEFAULTS.games,
+        thresholds
+      }));
+    } catch (error) {
+      console.error("Error running calibration:", error);
+      alert("Error running calibration: " + error.message);
+    }
+  };
+
+  const handleDownload = () => {
+    downloadFile(formatCalibrationCSV(report), 'calibration.csv', 'text/csv;charset=utf-8');
+  };
+
+  const visible = (players) => (onlyFlagged ? players.filter(p => p.flagged.length > 0) : players);
+
+  return (
+    <details className="mb-6 border rounded p-4 print:hidden">
+      <summary className="text-xl font-bold cursor-pointer">Calibration Report</summary>
+
+      <div className="flex flex-wrap gap-4 items-end my-4">
+        <label className="block text-sm">
+          PA per batter
+          <input type="number" min="100" step="100" value={plateAppearances} onChange={(e) => setPlateAppearances(e.target.value)} className="border p-2 rounded block w-28" />
+        </label>
+        <label className="block text-sm">
+          Games per pitcher
+          <input type="number" min="10" step="10" value={games} onChange={(e) => setGames(e.target.value)} className="border p-2 rounded block w-28" />
+        </label>
+        {Object.keys(CALIBRATION_THRESHOLDS).map(stat => (
+          <label key={stat} className="block text-sm">
+            {stat} threshold
+            <input
+              type="number"
+              step={stat === 'ERA' ? 0.05 : 0.005}
+              value={thresholds[stat]}
+              onChange={(e) => setThresholds({ ...thresholds, [stat]: parseFloat(e.target.value) || 0 })}
+              className="border p-2 rounded block w-24"
+            />
+          </label>
+        ))}
+        <button
+          onClick={handleRun}
+          disabled={!battingStats || !pitchingStats}
+          className="bg-blue-500 text-white py-2 px-4 rounded disabled:bg-gray-400"
+        >
+          Run Calibration
+        </button>
+        {report && (
+          <button onClick={handleDownload} className="bg-gray-500 text-white py-2 px-4 rounded">
+            Download CSV
+          </button>
+        )}
+      </div>
+
+      {!battingStats || !pitchingStats ? (
+        <p className="text-gray-500">Upload batting and pitching stats to calibrate their cards.</p>
+      ) : report && (
+        <>
+          <p className="text-sm mb-2">
+            Against a {report.opposition.pitcher} pitcher and BT {report.opposition.batter.bt} / OBT {report.opposition.batter.obt} hitters.
+            Average gap: BA {signed(rate, report.summary.BA ?? undefined)}, OBP {signed(rate, report.summary.OBP ?? undefined)},
+            SLG {signed(rate, report.summary.SLG ?? undefined)}, ERA {signed(era, report.summary.ERA ?? undefined)}.
+            {' '}{report.summary.flagged} player{report.summary.flagged === 1 ? '' : 's'} past a threshold.
+          </p>
+          <label className="block text-sm mb-2">
+            <input type="checkbox" checked={onlyFlagged} onChange={(e) => setOnlyFlagged(e.target.checked)} className="mr-2" />
+            Only show flagged players
+          </label>
+
+          <table className="w-full mb-6 text-sm">
+            <thead>
+              <tr className="border-b">
+                <th className="text-left py-2">Batter</th>
+                <th className="text-left py-2">BT/OBT</th>
+                {BATTING_STATS.map(stat => (
+                  <React.Fragment key={stat}>
+                    <th className="text-left py-2">{stat}</th>
+                    <th className="text-left py-2">Sim {stat}</th>
+                  </React.Fragment>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {visible(report.batters).map(player => (
+                <tr key={player.name} className="border-b">
+                  <td className="py-1">{player.name} <span className="text-gray-500">{player.traits}</span></td>
+                  <td className="py-1">{player.bt}/{player.obt}</td>
+                  {BATTING_STATS.map(stat => (
+                    <StatCells key={stat} player={player} stat={stat} format={rate} />
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b">
+                <th className="text-left py-2">Pitcher</th>
+                <th className="text-left py-2">P.D.</th>
+                <th className="text-left py-2">ERA</th>
+                <th className="text-left py-2">Sim ERA</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible(report.pitchers).map(player => (
+                <tr key={player.name} className="border-b">
+                  <td className="py-1">{player.name} <span className="text-gray-500">{player.traits}</span></td>
+                  <td className="py-1">{player.pd}</td>
+                  <StatCells player={player} stat="ERA" format={era} />
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </details>
+  );
+}
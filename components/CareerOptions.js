@@ -0,0 +1,135 @@
+import React, { useMemo, useState } from 'react';
+import { CAREER_MODES, uploadSeasons, playerSeasonList } from '../lib/deadball';
+
+// How many players to list before asking for a narrower filter
+const PICK_LIMIT = 50;
+
+// Options for uploads covering several seasons: which seasons each card is
+// built from, the years to draw on and per-player season picks
+export default function CareerOptions({ battingStats, pitchingStats, options, onChange }) {
+  const [filter, setFilter] = useState('');
+
+  const rows = useMemo(() => [...(battingStats || []), ...(pitchingStats || [])], [battingStats, pitchingStats]);
+  const seasons = useMemo(() => uploadSeasons(rows), [rows]);
+  const players = useMemo(() => {
+    const list = new Map();
+    for (const player of playerSeasonList(rows)) {
+      const seen = list.get(player.key);
+      list.set(player.key, seen ? { ...seen, seasons: [...new Set([...seen.seasons, ...player.seasons])].sort() } : player);
+    }
+    return [...list.values()];
+  }, [rows]);
+
+  const setField = (key, value) => onChange({ ...options, [key]: value });
+
+  const setPick = (key, season) => {
+    const picks = { ...options.picks };
+    if (season) {
+      picks[key] = season;
+    } else {
+      delete picks[key];
+    }
+    setField('picks', picks);
+  };
+
+  const matching = players.filter(player => String(player.name).toLowerCase().includes(filter.trim().toLowerCase()));
+
+  return (
+    <details className="mb-6 border rounded p-4 print:hidden">
+      <summary className="text-xl font-bold cursor-pointer">Multi-Season Cards</summary>
+      <p className="text-sm text-gray-600 mt-2">
+        The upload covers {seasons.length} seasons ({seasons[0]}–{seasons[seasons.length - 1]}). Each player gets one
+        card, built from the seasons chosen here and noted beside the name on the sheet.
+      </p>
+
+      <div className="flex flex-wrap gap-4 items-end my-4">
+        <label className="block text-sm">
+          Card from
+          <select
+            value={options.mode}
+            onChange={(e) => setField('mode', e.target.value)}
+            className="border p-2 rounded block"
+          >
+            {Object.entries(CAREER_MODES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        {options.mode === 'peak' && (
+          <label className="block text-sm">
+            Consecutive years
+            <input
+              type="number"
+              min="1"
+              value={options.window}
+              onChange={(e) => setField('window', Math.max(1, parseInt(e.target.value) || 1))}
+              className="border p-2 rounded block w-24"
+            />
+          </label>
+        )}
+        <label className="block text-sm">
+          From season
+          <input
+            type="number"
+            placeholder={seasons[0]}
+            value={options.from}
+            onChange={(e) => setField('from', e.target.value)}
+            className="border p-2 rounded block w-24"
+          />
+        </label>
+        <label className="block text-sm">
+          To season
+          <input
+            type="number"
+            placeholder={seasons[seasons.length - 1]}
+            value={options.to}
+            onChange={(e) => setField('to', e.target.value)}
+            className="border p-2 rounded block w-24"
+          />
+        </label>
+      </div>
+
+      {players.length > 0 && (
+        <>
+          <h3 className="font-bold">Season Picks</h3>
+          <p className="text-sm text-gray-600 mb-2">
+            Card a player from one particular season, whatever the mode above.
+          </p>
+          <input
+            type="text"
+            placeholder="Find a player"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            className="border p-2 rounded mb-2 w-full max-w-md"
+          />
+          <table className="text-sm">
+            <tbody>
+              {matching.slice(0, PICK_LIMIT).map(player => (
+                <tr key={player.key} className="border-b">
+                  <td className="py-1 pr-4">{player.name}</td>
+                  <td className="py-1">
+                    <select
+                      value={options.picks[player.key] || ''}
+                      onChange={(e) => setPick(player.key, e.target.value)}
+                      className="border rounded p-1"
+                    >
+                      <option value="">{CAREER_MODES[options.mode]}</option>
+                      {player.seasons.map(season => (
+                        <option key={season} value={season}>{season}</option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {matching.length > PICK_LIMIT && (
+            <p className="text-sm text-gray-600 mt-2">
+              Showing {PICK_LIMIT} of {matching.length} players; narrow the search to see the rest.
+            </p>
+          )}
+        </>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,38 @@
+import React, { useState } from 'react';
+import { shareLink } from '../lib/deadball';
+
+// Copy a link that opens the roster read-only. Everything travels in the
+// link's hash, so nothing is stored on a server.
+export default function CopyShareLink({ roster, teamName, disabled = false, className = '' }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = () => {
+    let link;
+    try {
+      link = shareLink(window.location.href, roster, teamName);
+    } catch (error) {
+      console.error("Error creating share link:", error);
+      alert("Error creating share link: " + error.message);
+      return;
+    }
+
+    // Without clipboard access (plain http, older browsers) show the link to copy by hand
+    const clipboard = navigator.clipboard ? navigator.clipboard.writeText(link) : Promise.reject(new Error("no clipboard"));
+    clipboard
+      .then(() => {
+        setCopied(true);
+        setTimeout(() => setCopied(false), 2000);
+      })
+      .catch(() => window.prompt("Copy this link:", link));
+  };
+
+  return (
+    <button
+      onClick={handleCopy}
+      disabled={disabled}
+      className={`bg-teal-600 text-white py-2 px-4 rounded disabled:bg-gray-400 ${className}`}
+    >
+      {copied ? 'Link Copied' : 'Copy Share Link'}
+    </button>
+  );
+}
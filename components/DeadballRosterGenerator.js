@@ -1,195 +1,132 @@
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
+import Link from 'next/link';
 import Papa from 'papaparse';
+import {
+  buildRoster,
+  formatRosterCSV,
+  formatRosterTXT,
+  formatRosterJSON,
+  parseRosterJSON,
+  PAGE_SIZES,
+  DEFAULT_RULES,
+  completeRules,
+  leagueSeasons,
+  leagueAveragesFromRows,
+  processBatters,
+  processPitchers,
+  createRandom,
+  addPlayer,
+  reorderLineup,
+  unusedPlayers,
+  BATTING_ORDER_STRATEGIES,
+  DEFAULT_ROSTER_SHAPE,
+  completeRosterShape,
+  DEFAULT_CAREER_OPTIONS,
+  isMultiSeason,
+  combineSeasons
+} from '../lib/deadball';
+import RulesEditor from './RulesEditor';
+import RosterShapeEditor from './RosterShapeEditor';
+import CareerOptions from './CareerOptions';
+import RosterSheet from './RosterSheet';
+import TeamSummary from './TeamSummary';
+import RosterComparison from './RosterComparison';
+import CopyShareLink from './CopyShareLink';
+import PlayerPool from './PlayerPool';
+import StatsUpload from './StatsUpload';
+import LahmanImport from './LahmanImport';
+import LeagueWorkspace from './LeagueWorkspace';
+import GameSimulator from './GameSimulator';
+import SeasonSimulator from './SeasonSimulator';
+import CalibrationReport from './CalibrationReport';
+import useHistory from './useHistory';
+import { downloadFile } from './download';
 
-export default function DeadballRosterGenerator() {
+// initialTeam ({ teamName, roster }) starts the page with a roster already
+// on it, as when a shared link is opened for editing
+export default function DeadballRosterGenerator({ initialTeam = null }) {
   const [battingStats, setBattingStats] = useState(null);
   const [pitchingStats, setPitchingStats] = useState(null);
-  const [roster, setRoster] = useState({
+  const {
+    value: roster,
+    set: setRoster,
+    reset: resetRoster,
+    undo,
+    redo,
+    canUndo,
+    canRedo
+  } = useHistory(initialTeam ? initialTeam.roster : {
     positionPlayers: [],
     startingPitchers: [],
     reliefPitchers: []
   });
-  const [teamName, setTeamName] = useState('');
+  const [isEditing, setIsEditing] = useState(false);
+  const [battingOrder, setBattingOrder] = useState('traditional');
+  const [platoon, setPlatoon] = useState(false);
+  const [pageSize, setPageSize] = useState('letter');
+  const [includeScoresheet, setIncludeScoresheet] = useState(false);
+  const [seed, setSeed] = useState('');
+  const [teamName, setTeamName] = useState(initialTeam ? initialTeam.teamName : '');
   const [isGenerating, setIsGenerating] = useState(false);
+  const [rules, setRules] = useState(DEFAULT_RULES);
+  const [rosterShape, setRosterShape] = useState(DEFAULT_ROSTER_SHAPE);
+  const [careerOptions, setCareerOptions] = useState(DEFAULT_CAREER_OPTIONS);
+  const [leagueAverages, setLeagueAverages] = useState({ BA: '', OBP: '', SLG: '', ERA: '' });
+  const [leagueTotals, setLeagueTotals] = useState(null);
+  const [leagueSeason, setLeagueSeason] = useState('');
+  const [activeTeamId, setActiveTeamId] = useState(null);
+  const [uploadKey, setUploadKey] = useState(0);
 
-  // Convert batting average to Batter Target
-  const calcBT = (avg) => {
-    const bt = Math.round(parseFloat(avg) * 100);
-    return isNaN(bt) ? 0 : bt;
-  };
-
-  // Convert on-base percentage to On Base Target
-  const calcOBT = (obp) => {
-    const obt = Math.round(parseFloat(obp) * 100);
-    return isNaN(obt) ? 0 : obt;
-  };
-
-  // Convert ERA to Pitch Die
-  const calcPD = (era) => {
-    if (isNaN(parseFloat(era))) return "d4";
-    const eraNum = parseFloat(era);
-    
-    if (eraNum < 2.00) return "d20";
-    if (eraNum < 3.00) return "d12";
-    if (eraNum < 4.00) return "d8";
-    if (eraNum < 5.00) return "d4";
-    if (eraNum < 6.00) return "-d4";
-    if (eraNum < 7.00) return "-d8";
-    if (eraNum < 8.00) return "-d12";
-    return "-d20";
-  };
-
-  // Determine handedness based on name annotation
-  const getHandedness = (name) => {
-    if (!name) return 'R';
-    if (name.endsWith('*')) return 'L';
-    if (name.endsWith('#')) return 'S';
-    return 'R';
-  };
-
-  // Remove * and # from names
-  const cleanName = (name) => {
-    if (!name) return '';
-    return name.replace(/[*#]$/, '');
-  };
-
-  // Calculate traits based on stats
-  const calcBattingTraits = (player) => {
-    const traits = [];
-    
-    // Power hitter traits (based on HR and SLG)
-    const hr = parseInt(player.HR) || 0;
-    const slg = parseFloat(player.SLG) || 0;
-    
-    if (hr >= 35 || slg >= 0.560) {
-      traits.push("P++");
-    } else if (hr >= 25 || slg >= 0.475) {
-      traits.push("P+");
-    } else if (hr <= 5) {
-      traits.push("P-");
-    }
-    
-    // Contact hitter traits (based on doubles and strikeout rate)
-    const doubles = parseInt(player['2B']) || 0;
-    const pa = parseInt(player.PA) || 0;
-    const kRate = pa > 0 ? (parseInt(player.SO) || 0) / pa : 0;
-    
-    if (doubles >= 35 || kRate < 0.12) {
-      traits.push("C+");
-    } else if (kRate > 0.25) {
-      traits.push("C-");
-    }
-    
-    // Speedy runner traits (based on SB)
-    const sb = parseInt(player.SB) || 0;
-    
-    if (sb >= 20) {
-      traits.push("S+");
-    } else if (sb === 0) {
-      traits.push("S-");
-    }
-    
-    // Great defender traits (based on position and fielding metrics if available)
-    const pos = player.Pos || '';
-    if (pos.includes('C') || pos.includes('SS') || pos.includes('CF')) {
-      if (parseFloat(player.WAR) > 1.5) {
-        traits.push("D+");
-      }
-    }
-    
-    return traits.join(" ");
-  };
+  // Multi-season uploads become one line per player before any cards are made
+  const multiSeason = useMemo(
+    () => isMultiSeason(battingStats) || isMultiSeason(pitchingStats),
+    [battingStats, pitchingStats]
+  );
+  const cardStats = useMemo(() => {
+    if (!multiSeason || !battingStats || !pitchingStats) return { batting: battingStats, pitching: pitchingStats };
+    return combineSeasons(battingStats, pitchingStats, careerOptions);
+  }, [multiSeason, battingStats, pitchingStats, careerOptions]);
 
-  const calcPitchingTraits = (player) => {
-    const traits = [];
-    
-    // Strikeout artist trait
-    const ip = parseFloat(player.IP) || 0;
-    const so = parseInt(player.SO) || 0;
-    const kRate = ip > 0 ? (so * 9) / ip : 0;
-    
-    if (kRate >= 8) {
-      traits.push("K+");
-    }
-    
-    // Groundball machine trait
-    const hr = parseInt(player.HR) || 0;
-    const hr9 = ip > 0 ? (hr * 9) / ip : 0;
-    const era = parseFloat(player.ERA) || 0;
-    
-    if (hr9 < 0.7 && era < 3.5) {
-      traits.push("GB+");
-    }
-    
-    // Control pitcher trait
-    const bb = parseInt(player.BB) || 0;
-    const bbRate = ip > 0 ? (bb * 9) / ip : 0;
-    
-    if (bbRate < 2) {
-      traits.push("CN+");
-    } else if (bbRate > 4) {
-      traits.push("CN-");
-    }
-    
-    // Great stamina trait
-    if (ip > 170) {
-      traits.push("ST+");
+  // Fill the league averages from a totals file and switch on relative mode
+  const applyLeagueTotals = (rows, season) => {
+    try {
+      const averages = leagueAveragesFromRows(rows, { season });
+      setLeagueAverages({
+        BA: averages.BA ?? '',
+        OBP: averages.OBP ?? '',
+        SLG: averages.SLG ?? '',
+        ERA: averages.ERA ?? ''
+      });
+      setRules({ ...rules, relativeToLeague: true });
+    } catch (error) {
+      console.error("Error reading league totals:", error);
+      alert("Error reading league totals: " + error.message);
     }
-    
-    return traits.join(" ");
-  };
-
-  // Determine player position
-  const getPosition = (posStr) => {
-    if (!posStr) return "UT";
-    
-    if (posStr.includes('C')) return "C";
-    if (posStr.includes('1B')) return "1B";
-    if (posStr.includes('2B')) return "2B";
-    if (posStr.includes('3B')) return "3B";
-    if (posStr.includes('SS')) return "SS";
-    if (posStr.includes('LF')) return "LF";
-    if (posStr.includes('CF')) return "CF";
-    if (posStr.includes('RF')) return "RF";
-    
-    // For utility players or DH
-    if (posStr.includes('OF')) return "OF";
-    if (posStr.includes('DH')) return "DH";
-    return "UT";
   };
 
-  const handleBattingUpload = (event) => {
+  const handleLeagueUpload = (event) => {
     const file = event.target.files[0];
     if (file) {
       Papa.parse(file, {
         header: true,
         skipEmptyLines: true,
         complete: (results) => {
-          console.log("Batting data loaded:", results.data);
-          setBattingStats(results.data);
+          console.log("League totals loaded:", results.data);
+          const season = leagueSeasons(results.data)[0] || '';
+          setLeagueTotals(results.data);
+          setLeagueSeason(season);
+          applyLeagueTotals(results.data, season);
         },
         error: (error) => {
-          console.error("Error parsing batting data:", error);
+          console.error("Error parsing league totals:", error);
         }
       });
     }
   };
 
-  const handlePitchingUpload = (event) => {
-    const file = event.target.files[0];
-    if (file) {
-      Papa.parse(file, {
-        header: true,
-        skipEmptyLines: true,
-        complete: (results) => {
-          console.log("Pitching data loaded:", results.data);
-          setPitchingStats(results.data);
-        },
-        error: (error) => {
-          console.error("Error parsing pitching data:", error);
-        }
-      });
-    }
+  const handleLeagueSeasonChange = (season) => {
+    setLeagueSeason(season);
+    applyLeagueTotals(leagueTotals, season);
   };
 
   const generateRoster = () => {
@@ -201,146 +138,16 @@ export default function DeadballRosterGenerator() {
     setIsGenerating(true);
 
     try {
-      // Process batters
-      console.log("Processing batters...");
-      const processedBatters = [];
-      
-      for (const player of battingStats) {
-        // Skip players without relevant data
-        if (!player.Player || !player.BA || !(parseInt(player.PA) > 0 || parseInt(player.G) > 0)) {
-          continue;
-        }
-        
-        processedBatters.push({
-          name: cleanName(player.Player),
-          position: getPosition(player.Pos),
-          handedness: getHandedness(player.Player),
-          bt: calcBT(player.BA),
-          obt: calcOBT(player.OBP),
-          traits: calcBattingTraits(player),
-          games: parseInt(player.G) || 0,
-          war: parseFloat(player.WAR) || 0
-        });
-      }
-      
-      // Sort by WAR
-      processedBatters.sort((a, b) => b.war - a.war);
-      console.log("Processed batters:", processedBatters);
-
-      // Process pitchers
-      console.log("Processing pitchers...");
-      const processedPitchers = [];
-      
-      for (const player of pitchingStats) {
-        // Skip players without relevant data
-        if (!player.Player || !player.ERA || !(parseFloat(player.IP) > 0)) {
-          continue;
-        }
-        
-        processedPitchers.push({
-          name: cleanName(player.Player),
-          handedness: getHandedness(player.Player),
-          pd: calcPD(player.ERA),
-          bt: Math.floor(Math.random() * 10) + 10, // Random BT for pitchers
-          obt: Math.floor(Math.random() * 10) + 15, // Random OBT for pitchers
-          traits: calcPitchingTraits(player),
-          games: parseInt(player.G) || 0,
-          starts: parseInt(player.GS) || 0,
-          ip: parseFloat(player.IP) || 0
-        });
-      }
-      console.log("Processed pitchers:", processedPitchers);
-
-      // Separate starters and relievers
-      const starters = processedPitchers
-        .filter(p => p.starts > 5 || (p.games > 0 && p.starts / p.games > 0.5))
-        .sort((a, b) => b.ip - a.ip)
-        .slice(0, 5);
-
-      const relievers = processedPitchers
-        .filter(p => !(p.starts > 5 || (p.games > 0 && p.starts / p.games > 0.5)))
-        .sort((a, b) => b.ip - a.ip)
-        .slice(0, 7);
-
-      console.log("Starters:", starters);
-      console.log("Relievers:", relievers);
-
-      // Select starters for each position
-      const lineup = [];
-      const positions = ["C", "1B", "2B", "3B", "SS", "LF", "CF", "RF"];
-      let remainingBatters = [...processedBatters];
-      
-      for (const pos of positions) {
-        const positionPlayers = remainingBatters.filter(p => p.position === pos);
-        
-        if (positionPlayers.length > 0) {
-          lineup.push(positionPlayers[0]);
-          remainingBatters = remainingBatters.filter(p => p !== positionPlayers[0]);
-        } else {
-          // If no player for this position, find the best utility player
-          const utility = remainingBatters.find(p => p.position === "UT" || p.position === "OF" || p.position === "DH");
-          
-          if (utility) {
-            const newPlayer = {...utility, position: pos}; // Assign them to this position
-            lineup.push(newPlayer);
-            remainingBatters = remainingBatters.filter(p => p !== utility);
-          } else if (remainingBatters.length > 0) {
-            // Last resort: take the best remaining player
-            const bestPlayer = {...remainingBatters[0], position: pos};
-            lineup.push(bestPlayer);
-            remainingBatters = remainingBatters.slice(1);
-          }
-        }
-      }
-
-      console.log("Lineup:", lineup);
-
-      // Select bench players (top 4 remaining)
-      const bench = remainingBatters.slice(0, 4);
-      console.log("Bench:", bench);
-
-      // Add dummy players if needed
-      const finalBench = [...bench];
-      while (finalBench.length < 4) {
-        finalBench.push({
-          name: `Bench Player ${finalBench.length + 1}`,
-          position: "UT",
-          handedness: "R",
-          bt: 20,
-          obt: 25,
-          traits: ""
-        });
-      }
-
-      const finalStarters = [...starters];
-      while (finalStarters.length < 5) {
-        finalStarters.push({
-          name: `Starting Pitcher ${finalStarters.length + 1}`,
-          pd: "d4",
-          handedness: "R",
-          bt: 15,
-          obt: 20,
-          traits: ""
-        });
-      }
-
-      const finalRelievers = [...relievers];
-      while (finalRelievers.length < 7) {
-        finalRelievers.push({
-          name: `Relief Pitcher ${finalRelievers.length + 1}`,
-          pd: "d4",
-          handedness: "R",
-          bt: 12,
-          obt: 18,
-          traits: ""
-        });
-      }
-
-      setRoster({
-        positionPlayers: [...lineup, ...finalBench],
-        startingPitchers: finalStarters,
-        reliefPitchers: finalRelievers
+      const newRoster = buildRoster(cardStats.batting, cardStats.pitching, {
+        rules,
+        league: leagueAverages,
+        seed: seed.trim() || undefined,
+        battingOrder,
+        platoon,
+        shape: rosterShape
       });
+      console.log("Generated roster:", newRoster);
+      resetRoster(newRoster);
     } catch (error) {
       console.error("Error generating roster:", error);
       alert("Error generating roster: " + error.message);
@@ -351,49 +158,7 @@ export default function DeadballRosterGenerator() {
 
   const generateCSV = () => {
     try {
-      // Create CSV content
-      let csvContent = "data:text/csv;charset=utf-8,";
-      
-      // Add Team name
-      csvContent += `${teamName || 'Team'} Roster\n\n`;
-      
-      // Add Lineup section
-      csvContent += "LINEUP\n";
-      csvContent += "Player Name,POS,L/R,BT,OBT,Traits\n";
-      
-      roster.positionPlayers.slice(0, 8).forEach(player => {
-        csvContent += `${player.name},${player.position},${player.handedness},${player.bt},${player.obt},${player.traits}\n`;
-      });
-      
-      csvContent += "\nBENCH\n";
-      csvContent += "Player Name,POS,L/R,BT,OBT,Traits\n";
-      
-      roster.positionPlayers.slice(8).forEach(player => {
-        csvContent += `${player.name},${player.position},${player.handedness},${player.bt},${player.obt},${player.traits}\n`;
-      });
-      
-      csvContent += "\nSTARTING PITCHERS\n";
-      csvContent += "Player Name,P.D.,L/R,BT,OBT,Traits\n";
-      
-      roster.startingPitchers.forEach(player => {
-        csvContent += `${player.name},${player.pd},${player.handedness},${player.bt},${player.obt},${player.traits}\n`;
-      });
-      
-      csvContent += "\nRELIEF PITCHERS\n";
-      csvContent += "Player Name,P.D.,L/R,BT,OBT,Traits\n";
-      
-      roster.reliefPitchers.forEach(player => {
-        csvContent += `${player.name},${player.pd},${player.handedness},${player.bt},${player.obt},${player.traits}\n`;
-      });
-      
-      // Create an invisible link and trigger download
-      const encodedUri = encodeURI(csvContent);
-      const link = document.createElement("a");
-      link.setAttribute("href", encodedUri);
-      link.setAttribute("download", `${teamName || 'Team'}_roster.csv`);
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+      downloadFile(formatRosterCSV(roster, teamName), `${teamName || 'Team'}_roster.csv`, 'text/csv;charset=utf-8');
     } catch (error) {
       console.error("Error generating CSV:", error);
       alert("Error generating CSV: " + error.message);
@@ -402,58 +167,100 @@ export default function DeadballRosterGenerator() {
 
   const generateTXT = () => {
     try {
-      // Create text content with fixed width columns for better alignment
-      let textContent = `${teamName || 'Team'} ROSTER\n\n`;
-      
-      // Add Lineup section
-      textContent += "LINEUP\n";
-      textContent += "Player Name                POS  L/R  BT  OBT  Traits\n";
-      textContent += "------------------------   ---  ---  --  ---  -------------\n";
-      
-      roster.positionPlayers.slice(0, 8).forEach(player => {
-        textContent += `${player.name.padEnd(25)} ${player.position.padEnd(5)} ${player.handedness.padEnd(4)} ${String(player.bt).padEnd(4)} ${String(player.obt).padEnd(5)} ${player.traits}\n`;
-      });
-      
-      textContent += "\nBENCH\n";
-      textContent += "Player Name                POS  L/R  BT  OBT  Traits\n";
-      textContent += "------------------------   ---  ---  --  ---  -------------\n";
-      
-      roster.positionPlayers.slice(8).forEach(player => {
-        textContent += `${player.name.padEnd(25)} ${player.position.padEnd(5)} ${player.handedness.padEnd(4)} ${String(player.bt).padEnd(4)} ${String(player.obt).padEnd(5)} ${player.traits}\n`;
-      });
-      
-      textContent += "\nSTARTING PITCHERS\n";
-      textContent += "Player Name                P.D.    L/R  BT  OBT  Traits\n";
-      textContent += "------------------------   -----   ---  --  ---  -------------\n";
-      
-      roster.startingPitchers.forEach(player => {
-        textContent += `${player.name.padEnd(25)} ${player.pd.padEnd(8)} ${player.handedness.padEnd(4)} ${String(player.bt).padEnd(4)} ${String(player.obt).padEnd(5)} ${player.traits}\n`;
-      });
-      
-      textContent += "\nRELIEF PITCHERS\n";
-      textContent += "Player Name                P.D.    L/R  BT  OBT  Traits\n";
-      textContent += "------------------------   -----   ---  --  ---  -------------\n";
-      
-      roster.reliefPitchers.forEach(player => {
-        textContent += `${player.name.padEnd(25)} ${player.pd.padEnd(8)} ${player.handedness.padEnd(4)} ${String(player.bt).padEnd(4)} ${String(player.obt).padEnd(5)} ${player.traits}\n`;
-      });
-      
-      // Create an invisible link and trigger download
-      const blob = new Blob([textContent], { type: 'text/plain' });
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement("a");
-      link.setAttribute("href", url);
-      link.setAttribute("download", `${teamName || 'Team'}_roster.txt`);
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
+      downloadFile(formatRosterTXT(roster, teamName), `${teamName || 'Team'}_roster.txt`, 'text/plain;charset=utf-8');
     } catch (error) {
       console.error("Error generating TXT:", error);
       alert("Error generating TXT: " + error.message);
     }
   };
 
+  const generateJSON = () => {
+    try {
+      downloadFile(formatRosterJSON(roster, teamName), `${teamName || 'Team'}_roster.json`, 'application/json');
+    } catch (error) {
+      console.error("Error generating JSON:", error);
+      alert("Error generating JSON: " + error.message);
+    }
+  };
+
+  const generatePDF = () => {
+    // jsPDF is only pulled in when a PDF is requested
+    import('../lib/deadball/pdf')
+      .then(({ renderRosterPDF }) => {
+        const doc = renderRosterPDF(roster, teamName, { pageSize, scoresheet: includeScoresheet });
+        downloadFile(doc.output('blob'), `${teamName || 'Team'}_roster.pdf`);
+      })
+      .catch(error => {
+        console.error("Error generating PDF:", error);
+        alert("Error generating PDF: " + error.message);
+      });
+  };
+
+  // Restore a roster saved with generateJSON, no stats uploads needed
+  const handleRosterUpload = (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      file.text()
+        .then(text => {
+          const saved = parseRosterJSON(text);
+          setTeamName(saved.teamName);
+          setActiveTeamId(null);
+          resetRoster(saved.roster);
+        })
+        .catch(error => {
+          console.error("Error loading roster:", error);
+          alert("Error loading roster: " + error.message);
+        });
+    }
+  };
+
+  // Use a team-season picked from the Lahman tables as the stats uploads
+  const handleLahmanImport = ({ teamName: name, batting, pitching }) => {
+    setTeamName(name);
+    setBattingStats(batting);
+    setPitchingStats(pitching);
+    setActiveTeamId(null);
+    setUploadKey(uploadKey + 1);
+  };
+
+  // Load a team saved in the league workspace, with the stats and settings it was built from
+  const openTeam = (team) => {
+    const settings = team.settings || {};
+    setTeamName(team.name);
+    setBattingStats(team.sources ? team.sources.batting : null);
+    setPitchingStats(team.sources ? team.sources.pitching : null);
+    setLeagueTotals(team.sources ? team.sources.leagueTotals : null);
+    if (settings.rules) setRules(completeRules(settings.rules));
+    if (settings.leagueAverages) setLeagueAverages(settings.leagueAverages);
+    if (settings.battingOrder) setBattingOrder(settings.battingOrder);
+    setCareerOptions({ ...DEFAULT_CAREER_OPTIONS, ...settings.careerOptions });
+    setRosterShape(completeRosterShape(settings.rosterShape));
+    setPlatoon(Boolean(settings.platoon));
+    setSeed(settings.seed ?? '');
+    setActiveTeamId(team.id);
+    setUploadKey(uploadKey + 1);
+    resetRoster(team.roster);
+  };
+
+  const currentTeam = roster.positionPlayers.length ? {
+    name: teamName || 'Team',
+    roster,
+    sources: { batting: battingStats, pitching: pitchingStats, leagueTotals },
+    settings: { rules, leagueAverages, battingOrder, platoon, rosterShape, careerOptions, seed }
+  } : null;
+
+  // Cards for every parsed player not currently on the roster
+  const pool = useMemo(() => {
+    if (!isEditing || !battingStats || !pitchingStats) return null;
+    const options = { rules, league: leagueAverages };
+    const pitchers = processPitchers(cardStats.pitching, {
+      ...options,
+      battingRows: cardStats.batting,
+      random: createRandom(roster.seed ?? 0)
+    });
+    return unusedPlayers(roster, processBatters(cardStats.batting, options), pitchers);
+  }, [isEditing, roster, battingStats, pitchingStats, cardStats, rules, leagueAverages]);
+
   const handlePrint = () => {
     window.print();
   };
@@ -461,7 +268,10 @@ export default function DeadballRosterGenerator() {
   return (
     <div className="max-w-6xl mx-auto p-4">
       <div className="print:hidden my-8">
-        <h1 className="text-3xl font-bold mb-4">Deadball Roster Generator</h1>
+        <div className="flex flex-wrap items-center gap-4 mb-4">
+          <h1 className="text-3xl font-bold mr-auto">Deadball Roster Generator</h1>
+          <Link href="/draft" className="text-blue-600 underline">Draft Room</Link>
+        </div>
         
         <div className="mb-4">
           <label className="block mb-2">Team Name:</label>
@@ -473,28 +283,159 @@ export default function DeadballRosterGenerator() {
           />
         </div>
         
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+          <StatsUpload
+            key={`batting-${uploadKey}`}
+            kind="batting"
+            title="Batting Stats"
+            records={battingStats}
+            onChange={setBattingStats}
+          />
+          
+          <StatsUpload
+            key={`pitching-${uploadKey}`}
+            kind="pitching"
+            title="Pitching Stats"
+            records={pitchingStats}
+            onChange={setPitchingStats}
+          />
+          
           <div>
-            <h2 className="text-xl font-bold mb-2">Upload Batting Stats</h2>
+            <h2 className="text-xl font-bold mb-2">Upload League Totals (optional)</h2>
             <input 
               type="file" 
               accept=".csv,.txt" 
-              onChange={handleBattingUpload} 
+              onChange={handleLeagueUpload} 
               className="border p-2 w-full"
             />
-            {battingStats && <p>{battingStats.length} batting records loaded</p>}
+            {leagueTotals && leagueSeasons(leagueTotals).length > 1 && (
+              <select 
+                value={leagueSeason} 
+                onChange={(e) => handleLeagueSeasonChange(e.target.value)} 
+                className="border p-2 rounded mt-2"
+              >
+                {leagueSeasons(leagueTotals).map(season => (
+                  <option key={season} value={season}>{season}</option>
+                ))}
+              </select>
+            )}
+            {leagueTotals && <p>{leagueTotals.length} league records loaded</p>}
           </div>
-          
-          <div>
-            <h2 className="text-xl font-bold mb-2">Upload Pitching Stats</h2>
+        </div>
+        
+        <LahmanImport onImport={handleLahmanImport} />
+        
+        <div className="mb-6">
+          <h2 className="text-xl font-bold mb-2">Load Saved Roster (JSON)</h2>
+          <input 
+            type="file" 
+            accept=".json,application/json" 
+            onChange={handleRosterUpload} 
+            className="border p-2 w-full max-w-md"
+          />
+        </div>
+        
+        <LeagueWorkspace
+          currentTeam={currentTeam}
+          activeTeamId={activeTeamId}
+          onActiveTeamChange={setActiveTeamId}
+          onOpenTeam={openTeam}
+        />
+        
+        <GameSimulator currentTeam={currentTeam} />
+        
+        <SeasonSimulator />
+        
+        <RosterComparison currentTeam={currentTeam} />
+        
+        <RulesEditor rules={rules} onChange={setRules} />
+        
+        <RosterShapeEditor shape={rosterShape} onChange={setRosterShape} />
+        
+        {multiSeason && (
+          <CareerOptions
+            battingStats={battingStats}
+            pitchingStats={pitchingStats}
+            options={careerOptions}
+            onChange={setCareerOptions}
+          />
+        )}
+        
+        {rules.relativeToLeague && (
+          <div className="mb-6">
+            <h2 className="text-xl font-bold mb-2">League Averages</h2>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2 max-w-xl">
+              {Object.keys(leagueAverages).map(stat => (
+                <label key={stat} className="block text-sm">
+                  {stat}
+                  <input 
+                    type="number" 
+                    step="0.001" 
+                    value={leagueAverages[stat]} 
+                    onChange={(e) => setLeagueAverages({ ...leagueAverages, [stat]: e.target.value })} 
+                    className="border p-1 rounded w-full"
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+        
+        <CalibrationReport
+          battingStats={cardStats.batting}
+          pitchingStats={cardStats.pitching}
+          rules={rules}
+          league={leagueAverages}
+        />
+        
+        <div className="mb-4">
+          <label className="mr-2">Seed:</label>
+          <input 
+            type="text" 
+            placeholder="new each time" 
+            value={seed} 
+            onChange={(e) => setSeed(e.target.value)} 
+            className="border p-2 rounded mr-2"
+          />
+          {roster.seed !== undefined && String(roster.seed) !== seed.trim() && (
+            <button 
+              onClick={() => setSeed(String(roster.seed))}
+              className="bg-gray-500 text-white py-2 px-4 rounded"
+            >
+              Keep seed {roster.seed}
+            </button>
+          )}
+          <span className="ml-2 text-sm text-gray-600">The same stats, rules and seed always give the same cards.</span>
+        </div>
+        
+        <div className="mb-4">
+          <label className="mr-2">Batting Order:</label>
+          <select 
+            value={battingOrder} 
+            onChange={(e) => setBattingOrder(e.target.value)} 
+            className="border p-2 rounded mr-2"
+          >
+            {Object.entries(BATTING_ORDER_STRATEGIES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button 
+            onClick={() => setRoster(current => reorderLineup(current, battingOrder))}
+            disabled={!roster.positionPlayers.length}
+            className="bg-gray-500 text-white py-2 px-4 rounded disabled:bg-gray-300"
+          >
+            Reorder Lineup
+          </button>
+          {isEditing && <span className="ml-2 text-sm text-gray-600">Drag lineup rows to override the order.</span>}
+          <label className="ml-4">
             <input 
-              type="file" 
-              accept=".csv,.txt" 
-              onChange={handlePitchingUpload} 
-              className="border p-2 w-full"
+              type="checkbox" 
+              checked={platoon} 
+              onChange={(e) => setPlatoon(e.target.checked)} 
+              className="mr-2"
             />
-            {pitchingStats && <p>{pitchingStats.length} pitching records loaded</p>}
-          </div>
+            Platoon lineups vs RHP / LHP
+          </label>
         </div>
         
         <button 
@@ -512,124 +453,103 @@ export default function DeadballRosterGenerator() {
         >
           Print Roster
         </button>
+        
+        <button 
+          onClick={generateCSV}
+          disabled={!roster.positionPlayers.length}
+          className="bg-green-600 text-white py-2 px-4 rounded mr-2 disabled:bg-gray-400"
+        >
+          Download CSV
+        </button>
+        
+        <button 
+          onClick={generateTXT}
+          disabled={!roster.positionPlayers.length}
+          className="bg-green-600 text-white py-2 px-4 rounded mr-2 disabled:bg-gray-400"
+        >
+          Download TXT
+        </button>
+        
+        <button 
+          onClick={generateJSON}
+          disabled={!roster.positionPlayers.length}
+          className="bg-green-600 text-white py-2 px-4 rounded mr-2 disabled:bg-gray-400"
+        >
+          Download JSON
+        </button>
+        
+        <div className="inline-flex items-center gap-2 mt-2">
+          <button 
+            onClick={generatePDF}
+            disabled={!roster.positionPlayers.length}
+            className="bg-red-600 text-white py-2 px-4 rounded disabled:bg-gray-400"
+          >
+            Download PDF
+          </button>
+          <select 
+            value={pageSize} 
+            onChange={(e) => setPageSize(e.target.value)} 
+            className="border p-2 rounded"
+          >
+            {Object.entries(PAGE_SIZES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <label>
+            <input 
+              type="checkbox" 
+              checked={includeScoresheet} 
+              onChange={(e) => setIncludeScoresheet(e.target.checked)} 
+              className="mr-2"
+            />
+            Include scoresheet
+          </label>
+        </div>
+        
+        <CopyShareLink
+          roster={roster}
+          teamName={teamName}
+          disabled={!roster.positionPlayers.length}
+          className="mr-2 mt-2"
+        />
+        
+        <button 
+          onClick={() => setIsEditing(!isEditing)}
+          disabled={!roster.positionPlayers.length}
+          className="bg-yellow-500 text-white py-2 px-4 rounded mr-2 disabled:bg-gray-400"
+        >
+          {isEditing ? 'Done Editing' : 'Edit Roster'}
+        </button>
+        
+        {isEditing && (
+          <>
+            <button onClick={undo} disabled={!canUndo} className="bg-gray-500 text-white py-2 px-4 rounded mr-2 disabled:bg-gray-300">
+              Undo
+            </button>
+            <button onClick={redo} disabled={!canRedo} className="bg-gray-500 text-white py-2 px-4 rounded mr-2 disabled:bg-gray-300">
+              Redo
+            </button>
+          </>
+        )}
       </div>
       
+      {pool && (
+        <PlayerPool
+          batters={pool.batters}
+          pitchers={pool.pitchers}
+          onAdd={(section, player) => setRoster(current => addPlayer(current, section, player))}
+        />
+      )}
+      
+      {roster.positionPlayers.length > 0 && <TeamSummary roster={roster} />}
+      
       {roster.positionPlayers.length > 0 && (
-        <div className="roster-sheet p-4 border rounded print:border-0">
-          <h1 className="text-2xl font-bold text-center mb-6 print:text-3xl">{teamName || 'Team'} Roster</h1>
-          
-          <div className="mb-8">
-            <h2 className="text-xl font-bold mb-2 border-b-2 border-black">Lineup</h2>
-            <table className="w-full">
-              <thead>
-                <tr className="border-b">
-                  <th className="text-left py-2">Player Name</th>
-                  <th className="text-left py-2">POS</th>
-                  <th className="text-left py-2">L/R</th>
-                  <th className="text-left py-2">BT</th>
-                  <th className="text-left py-2">OBT</th>
-                  <th className="text-left py-2">Traits</th>
-                </tr>
-              </thead>
-              <tbody>
-                {roster.positionPlayers.slice(0, 8).map((player, index) => (
-                  <tr key={index} className="border-b">
-                    <td className="py-1">{player.name}</td>
-                    <td className="py-1">{player.position}</td>
-                    <td className="py-1">{player.handedness}</td>
-                    <td className="py-1">{player.bt}</td>
-                    <td className="py-1">{player.obt}</td>
-                    <td className="py-1">{player.traits}</td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-          
-          <div className="mb-8">
-            <h2 className="text-xl font-bold mb-2 border-b-2 border-black">Bench</h2>
-            <table className="w-full">
-              <thead>
-                <tr className="border-b">
-                  <th className="text-left py-2">Player Name</th>
-                  <th className="text-left py-2">POS</th>
-                  <th className="text-left py-2">L/R</th>
-                  <th className="text-left py-2">BT</th>
-                  <th className="text-left py-2">OBT</th>
-                  <th className="text-left py-2">Traits</th>
-                </tr>
-              </thead>
-              <tbody>
-                {roster.positionPlayers.slice(8).map((player, index) => (
-                  <tr key={index} className="border-b">
-                    <td className="py-1">{player.name}</td>
-                    <td className="py-1">{player.position}</td>
-                    <td className="py-1">{player.handedness}</td>
-                    <td className="py-1">{player.bt}</td>
-                    <td className="py-1">{player.obt}</td>
-                    <td className="py-1">{player.traits}</td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-          
-          <div className="mb-8">
-            <h2 className="text-xl font-bold mb-2 border-b-2 border-black">Starting Pitchers</h2>
-            <table className="w-full">
-              <thead>
-                <tr className="border-b">
-                  <th className="text-left py-2">Player Name</th>
-                  <th className="text-left py-2">P.D.</th>
-                  <th className="text-left py-2">L/R</th>
-                  <th className="text-left py-2">BT</th>
-                  <th className="text-left py-2">OBT</th>
-                  <th className="text-left py-2">Traits</th>
-                </tr>
-              </thead>
-              <tbody>
-                {roster.startingPitchers.map((player, index) => (
-                  <tr key={index} className="border-b">
-                    <td className="py-1">{player.name}</td>
-                    <td className="py-1">{player.pd}</td>
-                    <td className="py-1">{player.handedness}</td>
-                    <td className="py-1">{player.bt}</td>
-                    <td className="py-1">{player.obt}</td>
-                    <td className="py-1">{player.traits}</td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-          
-          <div>
-            <h2 className="text-xl font-bold mb-2 border-b-2 border-black">Relief Pitchers</h2>
-            <table className="w-full">
-              <thead>
-                <tr className="border-b">
-                  <th className="text-left py-2">Player Name</th>
-                  <th className="text-left py-2">P.D.</th>
-                  <th className="text-left py-2">L/R</th>
-                  <th className="text-left py-2">BT</th>
-                  <th className="text-left py-2">OBT</th>
-                  <th className="text-left py-2">Traits</th>
-                </tr>
-              </thead>
-              <tbody>
-                {roster.reliefPitchers.map((player, index) => (
-                  <tr key={index} className="border-b">
-                    <td className="py-1">{player.name}</td>
-                    <td className="py-1">{player.pd}</td>
-                    <td className="py-1">{player.handedness}</td>
-                    <td className="py-1">{player.bt}</td>
-                    <td className="py-1">{player.obt}</td>
-                    <td className="py-1">{player.traits}</td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-        </div>
+        <RosterSheet
+          roster={roster}
+          teamName={teamName}
+          editable={isEditing}
+          onEdit={setRoster}
+        />
       )}
       
       <style jsx global>{`
@@ -0,0 +1,171 @@
+import React, { useMemo, useState } from 'react';
+import { LINEUP_POSITIONS, POOL_SORTS, filterPool, sortPool } from '../lib/deadball';
+
+// Rows shown before asking for a narrower filter
+const ROW_LIMIT = 100;
+
+const KIND_OPTIONS = [
+  ['', 'Everyone'],
+  ['batter', 'Batters'],
+  ['pitcher', 'Pitchers'],
+  ['starter', 'Starters'],
+  ['reliever', 'Relievers']
+];
+
+const COLUMNS = [
+  ['name', 'Player'],
+  ['team', 'From'],
+  ['position', 'POS'],
+  ['bt', 'BT'],
+  ['obt', 'OBT'],
+  ['pd', 'P.D.'],
+  ['traits', 'Traits']
+];
+
+// Every position a batter can play, or the pitcher's role
+const describePosition = (player) => {
+  if (player.kind === 'starter') return 'SP';
+  if (player.kind === 'reliever') return 'RP';
+  return (player.positions && player.positions.length ? player.positions : [player.position]).join('/');
+};
+
+// The undrafted players, filtered and sorted. problem(player) says why the
+// team picking can't take a player (null when it can); onPick is called with
+// the chosen player and actionLabel names the button.
+export default function DraftPoolTable({ players, problem, actionLabel, onPick }) {
+  const [filters, setFilters] = useState({ kind: '', position: '', trait: '', search: '' });
+  const [sort, setSort] = useState('value');
+  const [descending, setDescending] = useState(true);
+  const [eligibleOnly, setEligibleOnly] = useState(false);
+
+  const traits = useMemo(
+    () => [...new Set(players.flatMap(p => (p.traits || '').split(' ').filter(Boolean)))].sort(),
+    [players]
+  );
+
+  const shown = useMemo(() => {
+    const filtered = filterPool(players, filters).filter(p => !eligibleOnly || !problem(p));
+    return sortPool(filtered, sort, descending);
+  }, [players, filters, sort, descending, eligibleOnly, problem]);
+
+  const setFilter = (key, value) => setFilters({ ...filters, [key]: value });
+
+  // Clicking the sorted column again flips its direction
+  const handleSort = (key) => {
+    if (key === sort) {
+      setDescending(!descending);
+    } else {
+      setSort(key);
+      setDescending(key !== 'name' && key !== 'team' && key !== 'position');
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-4 items-end my-4">
+        <label className="block text-sm">
+          Show
+          <select value={filters.kind} onChange={(e) => setFilter('kind', e.target.value)} className="border p-2 rounded block">
+            {KIND_OPTIONS.map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block text-sm">
+          Can play
+          <select value={filters.position} onChange={(e) => setFilter('position', e.target.value)} className="border p-2 rounded block">
+            <option value="">Any position</option>
+            {LINEUP_POSITIONS.map(position => (
+              <option key={position} value={position}>{position}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block text-sm">
+          Trait
+          <select value={filters.trait} onChange={(e) => setFilter('trait', e.target.value)} className="border p-2 rounded block">
+            <option value="">Any trait</option>
+            {traits.map(trait => (
+              <option key={trait} value={trait}>{trait}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block text-sm">
+          Search
+          <input
+            type="text"
+            placeholder="Name or team"
+            value={filters.search}
+            onChange={(e) => setFilter('search', e.target.value)}
+            className="border p-2 rounded block"
+          />
+        </label>
+        <label className="block text-sm">
+          Sort by
+          <select value={sort} onChange={(e) => setSort(e.target.value)} className="border p-2 rounded block">
+            {Object.entries(POOL_SORTS).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={eligibleOnly}
+            onChange={(e) => setEligibleOnly(e.target.checked)}
+            className="mr-2"
+          />
+          Only players the team can take
+        </label>
+      </div>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b">
+            {COLUMNS.map(([key, label]) => (
+              <th key={key} className="text-left py-2">
+                <button onClick={() => handleSort(key)} className="font-bold">
+                  {label}{sort === key ? (descending ? ' ▼' : ' ▲') : ''}
+                </button>
+              </th>
+            ))}
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {shown.slice(0, ROW_LIMIT).map(player => {
+            const reason = problem(player);
+            return (
+              <tr key={player.id} className="border-b">
+                <td className="py-1">
+                  {player.name}
+                  {player.seasons && <span className="text-xs text-gray-500 ml-1">({player.seasons})</span>}
+                </td>
+                <td className="py-1">{player.team}</td>
+                <td className="py-1">{describePosition(player)}</td>
+                <td className="py-1">{player.bt}</td>
+                <td className="py-1">{player.obt}</td>
+                <td className="py-1">{player.pd}</td>
+                <td className="py-1">{player.traits}</td>
+                <td className="py-1 text-right">
+                  <button
+                    onClick={() => onPick(player)}
+                    disabled={Boolean(reason)}
+                    title={reason || undefined}
+                    className="bg-blue-500 text-white px-2 rounded disabled:bg-gray-300"
+                  >
+                    {actionLabel}
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {shown.length > ROW_LIMIT && (
+        <p className="text-sm text-gray-600 mt-2">
+          Showing {ROW_LIMIT} of {shown.length} players; narrow the filters to see the rest.
+        </p>
+      )}
+    </div>
+  );
+}
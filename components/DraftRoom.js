@@ -0,0 +1,502 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import Link from 'next/link';
+import Papa from 'papaparse';
+import {
+  DEFAULT_RULES,
+  DEFAULT_ROSTER_SHAPE,
+  DRAFT_TYPES,
+  DEFAULT_AUCTION_BUDGET,
+  MIN_BID,
+  describeStatsFile,
+  suggestColumnMap,
+  missingColumns,
+  validateStatRows,
+  newSeed,
+  draftPool,
+  createDraft,
+  draftLimits,
+  draftedBy,
+  availablePlayers,
+  teamNeeds,
+  amountSpent,
+  maxBid,
+  pickChecker,
+  teamOnTheClock,
+  isDraftComplete,
+  makePick,
+  passTurn,
+  undoPick,
+  draftRosters,
+  formatRosterJSON,
+  createLeague,
+  addTeam
+} from '../lib/deadball';
+import RulesEditor from './RulesEditor';
+import RosterShapeEditor from './RosterShapeEditor';
+import RosterSheet from './RosterSheet';
+import CopyShareLink from './CopyShareLink';
+import DraftPoolTable from './DraftPoolTable';
+import { saveLeague } from './leagueStore';
+import { downloadFile } from './download';
+
+// The draft in progress is kept in the browser so a reload doesn't lose it
+const STORAGE_KEY = 'dbrg-draft';
+
+const parseFile = (file) =>
+  new Promise((resolve, reject) => {
+    Papa.parse(file, {
+      header: true,
+      skipEmptyLines: true,
+      complete: (results) => resolve(results.data),
+      error: reject
+    });
+  });
+
+// Which team and kind of stats a file holds, from its name or else its headers
+const describeFile = (fileName, rows) => {
+  const named = describeStatsFile(fileName);
+  if (named) return named;
+  const headers = rows.length ? Object.keys(rows[0]) : [];
+  const pitching = headers.some(h => /^(ERA|IP)$/i.test(h));
+  return { team: fileName.replace(/\.(csv|txt)$/i, ''), kind: pitching ? 'pitching' : 'batting' };
+};
+
+const loadSavedDraft = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.error("Error loading saved draft:", error);
+    return null;
+  }
+};
+
+// Snake or auction draft for several teams from a shared pool of players
+// converted from many teams' stats files, ending with a sheet per team
+export default function DraftRoom() {
+  const [sources, setSources] = useState([]);
+  const [teamNames, setTeamNames] = useState(['Team 1', 'Team 2', 'Team 3', 'Team 4']);
+  const [draftType, setDraftType] = useState('snake');
+  const [budget, setBudget] = useState(DEFAULT_AUCTION_BUDGET);
+  const [rules, setRules] = useState(DEFAULT_RULES);
+  const [rosterShape, setRosterShape] = useState(DEFAULT_ROSTER_SHAPE);
+  const [seed, setSeed] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [nominee, setNominee] = useState(null);
+  const [winner, setWinner] = useState('');
+  const [price, setPrice] = useState(MIN_BID);
+  const [leagueSaved, setLeagueSaved] = useState(false);
+
+  useEffect(() => {
+    setDraft(loadSavedDraft());
+  }, []);
+
+  useEffect(() => {
+    try {
+      if (draft) {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(draft));
+      } else {
+        window.localStorage.removeItem(STORAGE_KEY);
+      }
+    } catch (error) {
+      console.error("Error saving draft:", error);
+    }
+  }, [draft]);
+
+  const handleFiles = (event) => {
+    const files = [...event.target.files];
+    if (files.length === 0) return;
+
+    setIsLoading(true);
+    Promise.all(files.map(file => parseFile(file).then(rows => ({ file, rows }))))
+      .then(parsed => {
+        const teams = new Map(sources.map(source => [source.team, { ...source }]));
+        const problems = [];
+        for (const { file, rows } of parsed) {
+          const { team, kind } = describeFile(file.name, rows);
+          const mapping = suggestColumnMap(rows, kind);
+          const missing = missingColumns(mapping, kind);
+          if (missing.length) {
+            problems.push(`${file.name}: no column for ${missing.map(c => c.label).join(', ')}`);
+            continue;
+          }
+          if (!teams.has(team)) teams.set(team, { team, batting: [], pitching: [] });
+          teams.get(team)[kind] = validateStatRows(rows, kind, mapping).records;
+        }
+        setSources([...teams.values()].sort((a, b) => a.team.localeCompare(b.team)));
+        if (problems.length) {
+          alert("Some files were not added:\n" + problems.join('\n'));
+        }
+      })
+      .catch(error => {
+        console.error("Error loading player pool:", error);
+        alert("Error loading player pool: " + error.message);
+      })
+      .finally(() => setIsLoading(false));
+  };
+
+  const setTeamCount = (count) => {
+    const size = Math.max(2, Math.min(30, parseInt(count) || 2));
+    setTeamNames(Array.from({ length: size }, (_, i) => teamNames[i] ?? `Team ${i + 1}`));
+  };
+
+  const startDraft = () => {
+    try {
+      const draftSeed = seed.trim() || String(newSeed());
+      const pool = draftPool(sources, { rules, seed: draftSeed });
+      setDraft(createDraft({ pool, teamNames, type: draftType, shape: rosterShape, budget, seed: draftSeed }));
+      setNominee(null);
+      setLeagueSaved(false);
+    } catch (error) {
+      console.error("Error starting draft:", error);
+      alert("Error starting draft: " + error.message);
+    }
+  };
+
+  const resetDraft = () => {
+    if (!window.confirm("Throw away this draft and start over?")) return;
+    setDraft(null);
+    setNominee(null);
+  };
+
+  const complete = useMemo(() => (draft ? isDraftComplete(draft) : false), [draft]);
+  const onTheClock = draft ? teamOnTheClock(draft) : 0;
+  const available = useMemo(() => (draft ? availablePlayers(draft) : []), [draft]);
+
+  // Snake picks are checked against the team on the clock; an auction
+  // nominee only has to suit one of the teams
+  const problem = useMemo(() => {
+    if (!draft) return () => null;
+    if (draft.type === 'snake') return pickChecker(draft, onTheClock);
+    const checkers = draft.teams.map((_, team) => pickChecker(draft, team));
+    return (player) => (checkers.some(check => !check(player)) ? null : checkers[onTheClock](player));
+  }, [draft, onTheClock]);
+
+  const canPick = useMemo(() => available.some(p => !problem(p)), [available, problem]);
+
+  const rosters = useMemo(() => (draft ? draftRosters(draft) : []), [draft]);
+
+  const handlePick = (player) => {
+    if (draft.type === 'auction') {
+      setNominee(player);
+      setWinner(String(onTheClock));
+      setPrice(MIN_BID);
+      return;
+    }
+    try {
+      setDraft(makePick(draft, player.id));
+    } catch (error) {
+      console.error("Error making pick:", error);
+      alert("Error making pick: " + error.message);
+    }
+  };
+
+  const handleSold = () => {
+    try {
+      setDraft(makePick(draft, nominee.id, { team: parseInt(winner), price }));
+      setNominee(null);
+    } catch (error) {
+      console.error("Error making pick:", error);
+      alert("Error making pick: " + error.message);
+    }
+  };
+
+  const handleSaveLeague = () => {
+    const league = rosters.reduce(
+      (updated, { teamName, roster }) => addTeam(updated, { name: teamName, roster, sources: null }),
+      createLeague(`${draft.teams.length}-Team Draft`)
+    );
+    saveLeague(league)
+      .then(() => setLeagueSaved(true))
+      .catch(error => {
+        console.error("Error saving league:", error);
+        alert("Error saving league: " + error.message);
+      });
+  };
+
+  const limits = draft ? draftLimits(draft.shape) : draftLimits(rosterShape);
+  const poolSize = sources.reduce((sum, s) => sum + s.batting.length + s.pitching.length, 0);
+
+  return (
+    <div className="max-w-6xl mx-auto p-4">
+      <div className="print:hidden my-8">
+        <div className="flex flex-wrap items-center gap-4 mb-4">
+          <h1 className="text-3xl font-bold mr-auto">Deadball Draft Room</h1>
+          <Link href="/" className="text-blue-600 underline">Roster Generator</Link>
+        </div>
+
+        {!draft && (
+          <>
+            <div className="mb-6">
+              <h2 className="text-xl font-bold mb-2">Player Pool</h2>
+              <p className="text-sm mb-2">
+                Select batting and pitching files for every team in the pool, named like
+                NYY-batting.csv and NYY-pitching.csv. Multi-season files give each player a card from
+                their best season.
+              </p>
+              <input
+                type="file"
+                accept=".csv,.txt"
+                multiple
+                onChange={handleFiles}
+                className="border p-2 w-full max-w-md"
+              />
+              {isLoading && <p>Loading files…</p>}
+              {sources.length > 0 && (
+                <>
+                  <ul className="text-sm my-2">
+                    {sources.map(source => (
+                      <li key={source.team}>
+                        {source.team}: {source.batting.length} batters, {source.pitching.length} pitchers
+                      </li>
+                    ))}
+                  </ul>
+                  <p className="text-sm">{poolSize} players from {sources.length} files</p>
+                  <button onClick={() => setSources([])} className="bg-gray-500 text-white py-1 px-3 rounded mt-2">
+                    Clear Pool
+                  </button>
+                </>
+              )}
+            </div>
+
+            <div className="flex flex-wrap gap-4 items-end my-4">
+              <label className="block text-sm">
+                Draft
+                <select value={draftType} onChange={(e) => setDraftType(e.target.value)} className="border p-2 rounded block">
+                  {Object.entries(DRAFT_TYPES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="block text-sm">
+                Teams
+                <input
+                  type="number"
+                  min="2"
+                  max="30"
+                  value={teamNames.length}
+                  onChange={(e) => setTeamCount(e.target.value)}
+                  className="border p-2 rounded block w-24"
+                />
+              </label>
+              {draftType === 'auction' && (
+                <label className="block text-sm">
+                  Budget per team
+                  <input
+                    type="number"
+                    min={MIN_BID}
+                    value={budget}
+                    onChange={(e) => setBudget(e.target.value)}
+                    className="border p-2 rounded block w-24"
+                  />
+                </label>
+              )}
+              <label className="block text-sm">
+                Seed
+                <input
+                  type="text"
+                  placeholder="new each time"
+                  value={seed}
+                  onChange={(e) => setSeed(e.target.value)}
+                  className="border p-2 rounded block w-32"
+                />
+              </label>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-6">
+              {teamNames.map((name, i) => (
+                <label key={i} className="block text-sm">
+                  {draftType === 'snake' ? `Pick ${i + 1}` : `Team ${i + 1}`}
+                  <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setTeamNames(teamNames.map((n, j) => (j === i ? e.target.value : n)))}
+                    className="border p-2 rounded block w-full"
+                  />
+                </label>
+              ))}
+            </div>
+
+            <RosterShapeEditor shape={rosterShape} onChange={setRosterShape} />
+            <RulesEditor rules={rules} onChange={setRules} />
+
+            <p className="text-sm mb-2">
+              Each team drafts {limits.batters} batters and {limits.pitchers} pitchers
+              ({teamNames.length * (limits.batters + limits.pitchers)} picks in all).
+            </p>
+            <button
+              onClick={startDraft}
+              disabled={sources.length === 0}
+              className="bg-blue-500 text-white py-2 px-4 rounded disabled:bg-gray-400"
+            >
+              Start Draft
+            </button>
+          </>
+        )}
+
+        {draft && (
+          <>
+            <div className="flex flex-wrap gap-2 items-center mb-4">
+              <p className="mr-auto text-lg">
+                {complete
+                  ? 'Draft complete.'
+                  : draft.type === 'snake'
+                    ? `Round ${Math.floor(draft.picks.length / draft.teams.length) + 1}: ${draft.teams[onTheClock].name} is on the clock.`
+                    : `${draft.teams[onTheClock].name} nominates.`}
+              </p>
+              {!complete && !canPick && (
+                <button onClick={() => setDraft(passTurn(draft))} className="bg-yellow-500 text-white py-2 px-4 rounded">
+                  Pass
+                </button>
+              )}
+              <button
+                onClick={() => setDraft(undoPick(draft))}
+                disabled={draft.picks.length === 0}
+                className="bg-gray-500 text-white py-2 px-4 rounded disabled:bg-gray-300"
+              >
+                Undo Last Pick
+              </button>
+              <button onClick={resetDraft} className="bg-red-600 text-white py-2 px-4 rounded">
+                New Draft
+              </button>
+            </div>
+
+            <div className="overflow-x-auto mb-6">
+              <table className="text-sm border">
+                <thead>
+                  <tr className="border-b">
+                    {draft.teams.map((team, index) => {
+                      const needs = teamNeeds(draft, index);
+                      return (
+                        <th
+                          key={index}
+                          className={`text-left p-2 align-top ${!complete && index === onTheClock ? 'bg-yellow-100' : ''}`}
+                        >
+                          {team.name}
+                          <span className="block font-normal text-gray-600">
+                            {needs.batters} B · {needs.pitchers} P to go
+                            {draft.type === 'auction' && ` · $${draft.budget - amountSpent(draft, index)} left`}
+                          </span>
+                        </th>
+                      );
+                    })}
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr>
+                    {draft.teams.map((team, index) => (
+                      <td key={index} className="p-2 align-top">
+                        <ol className="list-decimal list-inside">
+                          {draftedBy(draft, index).map(player => (
+                            <li key={player.id}>
+                              {player.name}{' '}
+                              <span className="text-gray-500">
+                                {player.kind === 'batter' ? player.position : player.pd}
+                                {draft.type === 'auction' && ` $${draft.picks.find(p => p.playerId === player.id).price}`}
+                              </span>
+                            </li>
+                          ))}
+                        </ol>
+                      </td>
+                    ))}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+
+            {nominee && (
+              <div className="border rounded p-4 mb-6 bg-blue-50">
+                <h2 className="text-xl font-bold mb-2">
+                  Up for bid: {nominee.name}{' '}
+                  <span className="text-gray-600 font-normal">
+                    {nominee.kind === 'batter' ? `${nominee.position} ${nominee.bt}/${nominee.obt}` : `${nominee.pd} ${nominee.bt}/${nominee.obt}`} {nominee.traits}
+                  </span>
+                </h2>
+                <div className="flex flex-wrap gap-4 items-end">
+                  <label className="block text-sm">
+                    Won by
+                    <select value={winner} onChange={(e) => setWinner(e.target.value)} className="border p-2 rounded block">
+                      {draft.teams.map((team, index) => (
+                        <option key={index} value={index}>{team.name} (up to ${maxBid(draft, index)})</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="block text-sm">
+                    Price
+                    <input
+                      type="number"
+                      min={MIN_BID}
+                      value={price}
+                      onChange={(e) => setPrice(e.target.value)}
+                      className="border p-2 rounded block w-24"
+                    />
+                  </label>
+                  <button onClick={handleSold} className="bg-blue-500 text-white py-2 px-4 rounded">
+                    Sold
+                  </button>
+                  <button onClick={() => setNominee(null)} className="bg-gray-500 text-white py-2 px-4 rounded">
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {!complete && (
+              <details className="mb-6 border rounded p-4" open>
+                <summary className="text-xl font-bold cursor-pointer">Available Players ({available.length})</summary>
+                <DraftPoolTable
+                  players={available}
+                  problem={problem}
+                  actionLabel={draft.type === 'snake' ? 'Draft' : 'Nominate'}
+                  onPick={handlePick}
+                />
+              </details>
+            )}
+
+            {complete && (
+              <div className="flex flex-wrap gap-2 mb-6">
+                <button onClick={() => window.print()} className="bg-purple-500 text-white py-2 px-4 rounded">
+                  Print All Rosters
+                </button>
+                <button
+                  onClick={handleSaveLeague}
+                  disabled={leagueSaved}
+                  className="bg-green-600 text-white py-2 px-4 rounded disabled:bg-gray-400"
+                >
+                  {leagueSaved ? 'Saved to League Workspace' : 'Save Teams as a League'}
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {draft && complete && rosters.map(({ teamName, roster }, index) => (
+        <div key={index} className="mb-8">
+          <div className="print:hidden flex flex-wrap gap-2 mb-2">
+            <CopyShareLink roster={roster} teamName={teamName} />
+            <button
+              onClick={() => downloadFile(formatRosterJSON(roster, teamName), `${teamName}_roster.json`, 'application/json')}
+              className="bg-yellow-500 text-white py-2 px-4 rounded"
+            >
+              Download JSON
+            </button>
+          </div>
+          <RosterSheet roster={roster} teamName={teamName} />
+        </div>
+      ))}
+
+      <style jsx global>{`
+        @media print {
+          body {
+            font-size: 12pt;
+          }
+          .roster-sheet {
+            page-break-after: always;
+          }
+        }
+      `}</style>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { simulateGame, formatBoxScore, formatPlayByPlay, newSeed } from '../lib/deadball';
+import { listLeagues } from './leagueStore';
+import { downloadFile } from './download';
+
+const CURRENT = 'current';
+
+// Play a simulated game between the roster on screen and any saved team.
+// Saved teams are reread each time the panel opens so new saves show up.
+export default function GameSimulator({ currentTeam }) {
+  const [savedTeams, setSavedTeams] = useState([]);
+  const [awayKey, setAwayKey] = useState(CURRENT);
+  const [homeKey, setHomeKey] = useState(CURRENT);
+  const [seed, setSeed] = useState('');
+  const [game, setGame] = useState(null);
+
+  const loadSavedTeams = (event) => {
+    if (!event.currentTarget.open) return;
+    listLeagues()
+      .then(leagues => setSavedTeams(leagues.flatMap(league =>
+        league.teams.map(team => ({ key: `${league.id}:${team.id}`, label: `${league.name} / ${team.name}`, team }))
+      )))
+      .catch(error => console.error("Error loading leagues:", error));
+  };
+
+  const teams = [
+    ...(currentTeam ? [{ key: CURRENT, label: `${currentTeam.name} (on screen)`, team: currentTeam }] : []),
+    ...savedTeams
+  ];
+  const findTeam = (key) => (teams.find(t => t.key === key) || teams[0] || {}).team;
+
+  const handlePlay = () => {
+    const away = findTeam(awayKey);
+    const home = findTeam(homeKey);
+    try {
+      setGame(simulateGame(away.roster, home.roster, {
+        seed: seed === '' ? newSeed() : seed,
+        awayName: away.name,
+        homeName: away.name === home.name ? `${home.name} (home)` : home.name
+      }));
+    } catch (error) {
+      console.error("Error simulating game:", error);
+      alert("Error simulating game: " + error.message);
+    }
+  };
+
+  const handleDownload = () => {
+    const text = `${formatBoxScore(game)}\nPLAY-BY-PLAY\n${formatPlayByPlay(game)}`;
+    downloadFile(text, `${game.away.name}_at_${game.home.name}.txt`, 'text/plain;charset=utf-8');
+  };
+
+  const teamSelect = (label, value, onChange) => (
+    <label className="block text-sm">
+      {label}
+      <select value={value} onChange={(e) => onChange(e.target.value)} className="border p-2 rounded block">
+        {teams.map(t => (
+          <option key={t.key} value={t.key}>{t.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <details className="mb-6 border rounded p-4 print:hidden" onToggle={loadSavedTeams}>
+      <summary className="text-xl font-bold cursor-pointer">Play a Game</summary>
+
+      {teams.length === 0 ? (
+        <p className="my-4 text-gray-500">Generate a roster or save teams to a league to play a game.</p>
+      ) : (
+        <div className="flex flex-wrap gap-4 items-end my-4">
+          {teamSelect('Away', awayKey, setAwayKey)}
+          {teamSelect('Home', homeKey, setHomeKey)}
+          <label className="block text-sm">
+            Seed
+            <input
+              type="text"
+              value={seed}
+              placeholder="random"
+              onChange={(e) => setSeed(e.target.value)}
+              className="border p-2 rounded block w-32"
+            />
+          </label>
+          <button onClick={handlePlay} className="bg-blue-500 text-white py-2 px-4 rounded">
+            Play Ball
+          </button>
+          {game && (
+            <>
+              <button onClick={() => setSeed(String(game.seed))} className="bg-gray-200 py-2 px-4 rounded">
+                Keep seed {game.seed}
+              </button>
+              <button onClick={handleDownload} className="bg-gray-500 text-white py-2 px-4 rounded">
+                Download Game Log
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {game && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          <div>
+            <h3 className="font-bold mb-1">Box Score</h3>
+            <pre className="text-xs border rounded p-2 overflow-x-auto">{formatBoxScore(game)}</pre>
+          </div>
+          <div>
+            <h3 className="font-bold mb-1">Play-by-Play</h3>
+            <pre className="text-xs border rounded p-2 overflow-auto max-h-96">{formatPlayByPlay(game)}</pre>
+          </div>
+        </div>
+      )}
+    </details>
+  );
+}
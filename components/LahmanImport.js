@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import Papa from 'papaparse';
+import {
+  LAHMAN_TABLES,
+  identifyLahmanTable,
+  missingLahmanTables,
+  lahmanSeasons,
+  lahmanTeams,
+  lahmanStatRows,
+  lahmanFranchises,
+  lahmanFranchiseRows
+} from '../lib/deadball';
+
+const parseFile = (file) =>
+  new Promise((resolve, reject) => {
+    Papa.parse(file, {
+      header: true,
+      skipEmptyLines: true,
+      complete: (results) => resolve(results.data),
+      error: reject
+    });
+  });
+
+// Load Lahman database tables from disk, pick a season and team (or a whole
+// franchise), and hand the derived batting and pitching rows to
+// onImport({ teamName, batting, pitching })
+export default function LahmanImport({ onImport }) {
+  const [bundle, setBundle] = useState({});
+  const [yearID, setYearID] = useState('');
+  const [teamID, setTeamID] = useState('');
+  const [franchID, setFranchID] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const seasons = lahmanSeasons(bundle);
+  const teams = yearID ? lahmanTeams(bundle, yearID) : [];
+  const franchises = lahmanFranchises(bundle);
+  const missing = missingLahmanTables(bundle);
+
+  const handleFiles = (event) => {
+    const files = [...event.target.files];
+    if (files.length === 0) return;
+
+    setIsLoading(true);
+    Promise.all(files.map(file => parseFile(file).then(rows => ({ file, rows }))))
+      .then(parsed => {
+        const tables = { ...bundle };
+        const unknown = [];
+        for (const { file, rows } of parsed) {
+          const table = identifyLahmanTable(file.name, rows);
+          if (table) {
+            tables[table] = rows;
+          } else {
+            unknown.push(file.name);
+          }
+        }
+        setBundle(tables);
+
+        const newSeasons = lahmanSeasons(tables);
+        if (!newSeasons.includes(yearID)) {
+          setYearID(newSeasons[0] || '');
+          setTeamID('');
+        }
+        if (unknown.length) {
+          alert("Not a Lahman table: " + unknown.join(', '));
+        }
+      })
+      .catch(error => {
+        console.error("Error loading Lahman tables:", error);
+        alert("Error loading Lahman tables: " + error.message);
+      })
+      .finally(() => setIsLoading(false));
+  };
+
+  const handleImport = () => {
+    try {
+      const { batting, pitching } = lahmanStatRows(bundle, { yearID, teamID });
+      const team = teams.find(t => t.teamID === teamID);
+      onImport({ teamName: `${yearID} ${team ? team.name : teamID}`, batting, pitching });
+    } catch (error) {
+      console.error("Error importing Lahman team:", error);
+      alert("Error importing Lahman team: " + error.message);
+    }
+  };
+
+  // Every season of a franchise, to card with the multi-season options
+  const handleFranchiseImport = () => {
+    try {
+      const { batting, pitching } = lahmanFranchiseRows(bundle, { franchID });
+      const franchise = franchises.find(f => f.franchID === franchID);
+      onImport({ teamName: `All-Time ${franchise ? franchise.name : franchID}`, batting, pitching });
+    } catch (error) {
+      console.error("Error importing Lahman franchise:", error);
+      alert("Error importing Lahman franchise: " + error.message);
+    }
+  };
+
+  return (
+    <details className="mb-6 border rounded p-4">
+      <summary className="text-xl font-bold cursor-pointer">Import from Lahman Database</summary>
+
+      <p className="text-sm my-2">
+        Select the {LAHMAN_TABLES.join(', ')} CSVs (People, Batting and Pitching are required;
+        Fielding gives primary positions and Teams gives team names).
+      </p>
+      <input
+        type="file"
+        accept=".csv,.txt"
+        multiple
+        onChange={handleFiles}
+        className="border p-2 w-full max-w-md"
+      />
+      {isLoading && <p>Loading tables…</p>}
+
+      <ul className="text-sm my-2">
+        {LAHMAN_TABLES.map(table => (
+          <li key={table}>
+            {bundle[table] ? '✓' : '–'} {table}
+            {bundle[table] && ` (${bundle[table].length} rows)`}
+          </li>
+        ))}
+      </ul>
+
+      {seasons.length > 0 && (
+        <div className="flex flex-wrap gap-2 items-center">
+          <select
+            value={yearID}
+            onChange={(e) => {
+              setYearID(e.target.value);
+              setTeamID('');
+            }}
+            className="border p-2 rounded"
+          >
+            {seasons.map(season => (
+              <option key={season} value={season}>{season}</option>
+            ))}
+          </select>
+          <select
+            value={teamID}
+            onChange={(e) => setTeamID(e.target.value)}
+            className="border p-2 rounded"
+          >
+            <option value="">Choose a team</option>
+            {teams.map(team => (
+              <option key={team.teamID} value={team.teamID}>{team.name} ({team.teamID})</option>
+            ))}
+          </select>
+          <button
+            onClick={handleImport}
+            disabled={!teamID || missing.length > 0}
+            className="bg-blue-500 text-white py-2 px-4 rounded disabled:bg-gray-400"
+          >
+            Use This Team
+          </button>
+          {missing.length > 0 && (
+            <span className="text-sm text-red-600">Still needed: {missing.join(', ')}</span>
+          )}
+        </div>
+      )}
+
+      {franchises.length > 0 && (
+        <div className="flex flex-wrap gap-2 items-center mt-2">
+          <select
+            value={franchID}
+            onChange={(e) => setFranchID(e.target.value)}
+            className="border p-2 rounded"
+          >
+            <option value="">Choose a franchise</option>
+            {franchises.map(franchise => (
+              <option key={franchise.franchID} value={franchise.franchID}>{franchise.name} ({franchise.franchID})</option>
+            ))}
+          </select>
+          <button
+            onClick={handleFranchiseImport}
+            disabled={!franchID || missing.length > 0}
+            className="bg-blue-500 text-white py-2 px-4 rounded disabled:bg-gray-400"
+          >
+            Use All Seasons
+          </button>
+        </div>
+      )}
+    </details>
+  );
+}
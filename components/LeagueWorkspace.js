@@ -0,0 +1,210 @@
+import React, { useEffect, useState } from 'react';
+import {
+  createLeague,
+  addTeam,
+  updateTeam,
+  renameTeam,
+  deleteTeam,
+  duplicateTeam,
+  formatLeagueJSON,
+  parseLeagueJSON,
+  parseRosterJSON
+} from '../lib/deadball';
+import { listLeagues, saveLeague, deleteLeague } from './leagueStore';
+import { downloadFile } from './download';
+
+// Saved leagues of team rosters, persisted in the browser. currentTeam is the
+// roster on screen ({ name, roster, sources, settings }) and onOpenTeam loads
+// a saved team back into the generator.
+export default function LeagueWorkspace({ currentTeam, activeTeamId, onActiveTeamChange, onOpenTeam }) {
+  const [leagues, setLeagues] = useState([]);
+  const [activeLeagueId, setActiveLeagueId] = useState('');
+  const [newLeagueName, setNewLeagueName] = useState('');
+
+  useEffect(() => {
+    listLeagues()
+      .then(saved => {
+        setLeagues(saved);
+        if (saved.length > 0) setActiveLeagueId(saved[0].id);
+      })
+      .catch(error => console.error("Error loading leagues:", error));
+  }, []);
+
+  const league = leagues.find(l => l.id === activeLeagueId);
+
+  const persist = (updated) =>
+    saveLeague(updated)
+      .then(() => {
+        setLeagues(current => [updated, ...current.filter(l => l.id !== updated.id)]);
+        setActiveLeagueId(updated.id);
+        return updated;
+      })
+      .catch(error => {
+        console.error("Error saving league:", error);
+        alert("Error saving league: " + error.message);
+      });
+
+  const handleCreateLeague = () => {
+    persist(createLeague(newLeagueName.trim()));
+    setNewLeagueName('');
+    onActiveTeamChange(null);
+  };
+
+  const handleDeleteLeague = () => {
+    if (!window.confirm(`Delete league "${league.name}" and all of its teams?`)) return;
+    deleteLeague(league.id)
+      .then(() => {
+        const remaining = leagues.filter(l => l.id !== league.id);
+        setLeagues(remaining);
+        setActiveLeagueId(remaining.length ? remaining[0].id : '');
+        onActiveTeamChange(null);
+      })
+      .catch(error => {
+        console.error("Error deleting league:", error);
+        alert("Error deleting league: " + error.message);
+      });
+  };
+
+  // Update the open team in place, or add it as a new team
+  const handleSaveTeam = () => {
+    if (league.teams.some(t => t.id === activeTeamId)) {
+      persist(updateTeam(league, activeTeamId, currentTeam));
+    } else {
+      const updated = addTeam(league, currentTeam);
+      persist(updated).then(() => onActiveTeamChange(updated.teams[updated.teams.length - 1].id));
+    }
+  };
+
+  const handleRenameTeam = (team) => {
+    const name = window.prompt("Team name:", team.name);
+    if (name && name.trim()) persist(renameTeam(league, team.id, name.trim()));
+  };
+
+  const handleDeleteTeam = (team) => {
+    if (!window.confirm(`Delete "${team.name}"?`)) return;
+    persist(deleteTeam(league, team.id));
+    if (team.id === activeTeamId) onActiveTeamChange(null);
+  };
+
+  const handleExportLeague = () => {
+    downloadFile(formatLeagueJSON(league), `${league.name}_league.json`, 'application/json');
+  };
+
+  const handleImportLeague = (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      file.text()
+        .then(text => persist(parseLeagueJSON(text)))
+        .catch(error => {
+          console.error("Error importing league:", error);
+          alert("Error importing league: " + error.message);
+        });
+    }
+  };
+
+  // Add saved roster JSON files to the league as teams without source stats
+  const handleImportRosters = (event) => {
+    const files = [...event.target.files];
+    Promise.all(files.map(file => file.text().then(parseRosterJSON)))
+      .then(saved => persist(saved.reduce(
+        (updated, { teamName, roster }) => addTeam(updated, { name: teamName || 'Team', roster, sources: null }),
+        league
+      )))
+      .catch(error => {
+        console.error("Error importing rosters:", error);
+        alert("Error importing rosters: " + error.message);
+      });
+  };
+
+  return (
+    <details className="mb-6 border rounded p-4">
+      <summary className="text-xl font-bold cursor-pointer">League Workspace</summary>
+
+      <div className="flex flex-wrap gap-2 items-end my-4">
+        {leagues.length > 0 && (
+          <select
+            value={activeLeagueId}
+            onChange={(e) => {
+              setActiveLeagueId(e.target.value);
+              onActiveTeamChange(null);
+            }}
+            className="border p-2 rounded"
+          >
+            {leagues.map(l => (
+              <option key={l.id} value={l.id}>{l.name} ({l.teams.length} teams)</option>
+            ))}
+          </select>
+        )}
+        <input
+          type="text"
+          placeholder="New league name"
+          value={newLeagueName}
+          onChange={(e) => setNewLeagueName(e.target.value)}
+          className="border p-2 rounded"
+        />
+        <button onClick={handleCreateLeague} className="bg-blue-500 text-white py-2 px-4 rounded">
+          Create League
+        </button>
+        <label className="bg-gray-200 py-2 px-4 rounded cursor-pointer">
+          Import League
+          <input type="file" accept=".json,application/json" onChange={handleImportLeague} className="hidden" />
+        </label>
+      </div>
+
+      {league && (
+        <>
+          <div className="flex flex-wrap gap-2 mb-4">
+            <button
+              onClick={handleSaveTeam}
+              disabled={!currentTeam}
+              className="bg-green-600 text-white py-2 px-4 rounded disabled:bg-gray-400"
+            >
+              {league.teams.some(t => t.id === activeTeamId) ? 'Save Changes to Team' : 'Add Current Roster'}
+            </button>
+            <label className="bg-gray-200 py-2 px-4 rounded cursor-pointer">
+              Import Roster Files
+              <input type="file" accept=".json,application/json" multiple onChange={handleImportRosters} className="hidden" />
+            </label>
+            <button onClick={handleExportLeague} className="bg-gray-500 text-white py-2 px-4 rounded">
+              Export League
+            </button>
+            <button onClick={handleDeleteLeague} className="bg-red-500 text-white py-2 px-4 rounded">
+              Delete League
+            </button>
+          </div>
+
+          <table className="w-full">
+            <thead>
+              <tr className="border-b">
+                <th className="text-left py-2">Team</th>
+                <th className="text-left py-2">Stats</th>
+                <th className="text-left py-2">Updated</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {league.teams.map(team => (
+                <tr key={team.id} className={`border-b ${team.id === activeTeamId ? 'bg-yellow-50' : ''}`}>
+                  <td className="py-1">{team.name}</td>
+                  <td className="py-1">{team.sources ? 'uploaded' : 'roster only'}</td>
+                  <td className="py-1">{new Date(team.updatedAt).toLocaleString()}</td>
+                  <td className="py-1 text-right space-x-2">
+                    <button onClick={() => onOpenTeam(team)} className="text-blue-600">Open</button>
+                    <button onClick={() => handleRenameTeam(team)} className="text-blue-600">Rename</button>
+                    <button onClick={() => persist(duplicateTeam(league, team.id))} className="text-blue-600">Duplicate</button>
+                    <button onClick={() => handleDeleteTeam(team)} className="text-red-600">Delete</button>
+                  </td>
+                </tr>
+              ))}
+              {league.teams.length === 0 && (
+                <tr>
+                  <td colSpan={4} className="py-2 text-gray-500">No teams yet. Generate a roster and add it here.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,50 @@
+import React from 'react';
+
+// Parsed players not on the roster, with buttons to add them to a section
+function PoolList({ title, players, describe, targets, onAdd }) {
+  return (
+    <div>
+      <h3 className="font-bold mb-1">{title} ({players.length})</h3>
+      <ul className="max-h-64 overflow-y-auto border rounded">
+        {players.map((player, index) => (
+          <li key={`${player.name}-${index}`} className="flex items-center gap-2 border-b px-2 py-1 text-sm">
+            <span className="flex-1">{player.name} <span className="text-gray-500">{describe(player)}</span></span>
+            {targets.map(([section, label]) => (
+              <button
+                key={section}
+                onClick={() => onAdd(section, player)}
+                className="bg-gray-200 rounded px-2"
+              >
+                + {label}
+              </button>
+            ))}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default function PlayerPool({ batters, pitchers, onAdd }) {
+  return (
+    <div className="print:hidden mb-8 border rounded p-4">
+      <h2 className="text-xl font-bold mb-2">Unused Players</h2>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <PoolList
+          title="Batters"
+          players={batters}
+          describe={(p) => `${p.position} ${p.bt}/${p.obt} ${p.traits}`}
+          targets={[['lineup', 'Lineup'], ['bench', 'Bench']]}
+          onAdd={onAdd}
+        />
+        <PoolList
+          title="Pitchers"
+          players={pitchers}
+          describe={(p) => `${p.pd} ${p.traits}`}
+          targets={[['startingPitchers', 'Rotation'], ['reliefPitchers', 'Bullpen']]}
+          onAdd={onAdd}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import {
+  parseRosterJSON,
+  summarizeRoster,
+  SUMMARY_METRICS,
+  bestOnMetric,
+  formatComparisonCSV
+} from '../lib/deadball';
+import { listLeagues } from './leagueStore';
+import { downloadFile } from './download';
+
+const CURRENT = 'current';
+
+// Compare two or more rosters side by side on the team summary metrics: the
+// roster on screen, teams saved in the league workspace and roster JSON files.
+// Saved teams are reread each time the panel opens so new saves show up.
+export default function RosterComparison({ currentTeam }) {
+  const [savedTeams, setSavedTeams] = useState([]);
+  const [fileTeams, setFileTeams] = useState([]);
+  const [selected, setSelected] = useState([]);
+
+  const loadSavedTeams = (event) => {
+    if (!event.currentTarget.open) return;
+    listLeagues()
+      .then(leagues => setSavedTeams(leagues.flatMap(league =>
+        league.teams.map(team => ({ key: `${league.id}:${team.id}`, label: `${league.name} / ${team.name}`, team }))
+      )))
+      .catch(error => console.error("Error loading leagues:", error));
+  };
+
+  const handleRosterFiles = (event) => {
+    const files = [...event.target.files];
+    Promise.all(files.map(file => file.text().then(text => ({ file, saved: parseRosterJSON(text) }))))
+      .then(loaded => {
+        const added = loaded.map(({ file, saved }, i) => ({
+          key: `file:${Date.now()}:${i}`,
+          label: `${saved.teamName || 'Team'} (${file.name})`,
+          team: { name: saved.teamName || file.name.replace(/\.json$/i, ''), roster: saved.roster }
+        }));
+        setFileTeams([...fileTeams, ...added]);
+        setSelected([...selected, ...added.map(t => t.key)]);
+      })
+      .catch(error => {
+        console.error("Error loading rosters:", error);
+        alert("Error loading rosters: " + error.message);
+      });
+  };
+
+  const teams = [
+    ...(currentTeam ? [{ key: CURRENT, label: `${currentTeam.name} (on screen)`, team: currentTeam }] : []),
+    ...savedTeams,
+    ...fileTeams
+  ];
+  const compared = teams.filter(t => selected.includes(t.key));
+
+  const summaries = compared.map(t => summarizeRoster(t.team.roster));
+
+  const toggle = (key) =>
+    setSelected(selected.includes(key) ? selected.filter(k => k !== key) : [...selected, key]);
+
+  const handleDownload = () => {
+    const csv = formatComparisonCSV(compared.map(t => ({ name: t.team.name, roster: t.team.roster })));
+    downloadFile(csv, 'roster_comparison.csv', 'text/csv;charset=utf-8');
+  };
+
+  return (
+    <details className="mb-6 border rounded p-4 print:hidden" onToggle={loadSavedTeams}>
+      <summary className="text-xl font-bold cursor-pointer">Compare Rosters</summary>
+
+      <div className="flex flex-wrap gap-x-6 gap-y-1 my-4">
+        {teams.map(t => (
+          <label key={t.key}>
+            <input
+              type="checkbox"
+              checked={selected.includes(t.key)}
+              onChange={() => toggle(t.key)}
+              className="mr-2"
+            />
+            {t.label}
+          </label>
+        ))}
+        {teams.length === 0 && (
+          <p className="text-gray-500">Generate a roster, save teams to a league or load roster JSON files to compare.</p>
+        )}
+      </div>
+
+      <label className="block text-sm mb-4">
+        Add roster JSON files
+        <input
+          type="file"
+          accept=".json,application/json"
+          multiple
+          onChange={handleRosterFiles}
+          className="border p-2 block w-full max-w-md"
+        />
+      </label>
+
+      {compared.length < 2 ? (
+        <p className="text-gray-500">Tick two or more rosters to compare them.</p>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="text-sm">
+              <thead>
+                <tr className="border-b">
+                  <th />
+                  {compared.map(t => (
+                    <th key={t.key} className="text-left py-2 px-2">{t.team.name}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {SUMMARY_METRICS.map(metric => {
+                  const best = bestOnMetric(metric, summaries);
+                  return (
+                    <tr key={metric.label} className="border-b">
+                      <th className="text-left py-1 pr-4 align-top">{metric.label}</th>
+                      {summaries.map((summary, i) => (
+                        <td
+                          key={compared[i].key}
+                          className={`py-1 px-2 align-top ${best.includes(i) ? 'bg-green-100 font-bold' : ''} ${metric.warning && metric.value(summary) > 0 ? 'text-red-600' : ''}`}
+                        >
+                          {metric.format(summary)}
+                        </td>
+                      ))}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-sm text-gray-600 mt-2">The best value on each row is highlighted.</p>
+          <button onClick={handleDownload} className="bg-green-500 text-white py-2 px-4 rounded mt-2">
+            Download CSV
+          </button>
+        </>
+      )}
+    </details>
+  );
+}
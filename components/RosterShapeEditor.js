@@ -0,0 +1,92 @@
+import React from 'react';
+import { ROSTER_SHAPE_PRESETS, MAX_SECTION_SIZE, describeRosterShape } from '../lib/deadball';
+
+const SIZE_FIELDS = [
+  ['benchSize', 'Bench'],
+  ['rotationSize', 'Starting pitchers'],
+  ['bullpenSize', 'Relief pitchers']
+];
+
+const sameShape = (a, b) => Object.keys(b).every(key => a[key] === b[key]);
+
+// Lineup, bench and staff sizes for the next generated roster
+export default function RosterShapeEditor({ shape, onChange }) {
+  const preset = Object.keys(ROSTER_SHAPE_PRESETS).find(name => sameShape(shape, ROSTER_SHAPE_PRESETS[name])) || '';
+
+  const setField = (key, value) => onChange({ ...shape, [key]: value });
+
+  return (
+    <details className="mb-6 border rounded p-4 print:hidden">
+      <summary className="text-xl font-bold cursor-pointer">Roster Shape</summary>
+      <p className="text-sm text-gray-600 mt-2">{describeRosterShape(shape)}</p>
+
+      <div className="flex flex-wrap gap-4 items-end my-4">
+        <label className="block text-sm">
+          Preset
+          <select
+            value={preset}
+            onChange={(e) => e.target.value && onChange(ROSTER_SHAPE_PRESETS[e.target.value])}
+            className="border p-2 rounded block"
+          >
+            <option value="">Custom</option>
+            {Object.keys(ROSTER_SHAPE_PRESETS).map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+        {SIZE_FIELDS.map(([key, label]) => (
+          <label key={key} className="block text-sm">
+            {label}
+            <input
+              type="number"
+              min="0"
+              max={MAX_SECTION_SIZE}
+              value={shape[key]}
+              onChange={(e) => setField(key, Math.min(MAX_SECTION_SIZE, Math.max(0, parseInt(e.target.value) || 0)))}
+              className="border p-2 rounded block w-24"
+            />
+          </label>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-4">
+        <label>
+          <input
+            type="checkbox"
+            checked={shape.designatedHitter}
+            onChange={(e) => setField('designatedHitter', e.target.checked)}
+            className="mr-2"
+          />
+          Designated hitter
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={shape.backupCatcher}
+            onChange={(e) => setField('backupCatcher', e.target.checked)}
+            className="mr-2"
+          />
+          Keep a backup catcher on the bench
+        </label>
+        <label>
+          <input
+            type="radio"
+            checked={shape.fillEmpty}
+            onChange={() => setField('fillEmpty', true)}
+            className="mr-2"
+          />
+          Fill empty slots with replacement players
+        </label>
+        <label>
+          <input
+            type="radio"
+            checked={!shape.fillEmpty}
+            onChange={() => setField('fillEmpty', false)}
+            className="mr-2"
+          />
+          Leave them empty
+        </label>
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,86 @@
+import React from 'react';
+import {
+  describeLeagueAdjustment,
+  getSections,
+  movePlayer,
+  updatePlayer,
+  removePlayer,
+  rosterWarnings
+} from '../lib/deadball';
+import RosterTable, { BATTER_COLUMNS, PITCHER_COLUMNS, RELIEVER_COLUMNS } from './RosterTable';
+import TraitLegend from './TraitLegend';
+
+const SHEET_SECTIONS = [
+  ['lineup', 'Lineup', BATTER_COLUMNS],
+  ['bench', 'Bench', BATTER_COLUMNS],
+  ['startingPitchers', 'Starting Pitchers', PITCHER_COLUMNS],
+  ['reliefPitchers', 'Relief Pitchers', RELIEVER_COLUMNS]
+];
+
+// The printable roster sheet. When editable, onEdit receives a function from
+// the current roster to the edited one.
+export default function RosterSheet({ roster, teamName, editable = false, onEdit }) {
+  const sections = getSections(roster);
+  const warnings = rosterWarnings(roster);
+
+  return (
+    <div className="roster-sheet p-4 border rounded print:border-0">
+      <h1 className="text-2xl font-bold text-center mb-6 print:text-3xl">{teamName || 'Team'} Roster</h1>
+
+      {roster.leagueAdjustment && (
+        <p className="text-sm text-center mb-6">
+          League adjustment: {describeLeagueAdjustment(roster.leagueAdjustment)}
+        </p>
+      )}
+
+      {roster.seed !== undefined && (
+        <p className="text-sm text-center mb-6">Seed: {roster.seed}</p>
+      )}
+
+      {warnings.length > 0 && (
+        <ul className="text-sm mb-6 p-2 border border-yellow-400 bg-yellow-50 rounded print:border-0 print:bg-white">
+          {warnings.map(warning => (
+            <li key={warning}>Warning: {warning}</li>
+          ))}
+        </ul>
+      )}
+
+      {SHEET_SECTIONS.map(([section, title, columns], index) => (
+        <React.Fragment key={section}>
+          <RosterTable
+            title={title}
+            section={section}
+            players={sections[section]}
+            columns={columns}
+            editable={editable}
+            numbered={section === 'lineup'}
+            onMove={(from, to) => onEdit(current => movePlayer(current, from, to))}
+            onUpdate={(i, changes) => onEdit(current => updatePlayer(current, { section, index: i }, changes))}
+            onRemove={(i) => onEdit(current => removePlayer(current, { section, index: i }))}
+            className={index < SHEET_SECTIONS.length - 1 ? "mb-8" : ""}
+          />
+          {section === 'lineup' && roster.platoon && (
+            <div className="grid grid-cols-1 md:grid-cols-2 print:grid-cols-2 gap-4">
+              <RosterTable
+                title="Lineup vs RHP"
+                section="vsRHP"
+                players={roster.platoon.vsRHP}
+                columns={BATTER_COLUMNS}
+                numbered
+              />
+              <RosterTable
+                title="Lineup vs LHP"
+                section="vsLHP"
+                players={roster.platoon.vsLHP}
+                columns={BATTER_COLUMNS}
+                numbered
+              />
+            </div>
+          )}
+        </React.Fragment>
+      ))}
+
+      <TraitLegend players={[...roster.positionPlayers, ...roster.startingPitchers, ...roster.reliefPitchers]} />
+    </div>
+  );
+}
@@ -0,0 +1,183 @@
+import React from 'react';
+import { LINEUP_POSITIONS, BULLPEN_ROLES, describeTrait, describeRole } from '../lib/deadball';
+
+const DRAG_TYPE = 'application/x-dbrg-player';
+
+const POSITION_OPTIONS = [...LINEUP_POSITIONS, "DH", "OF", "UT", "P"];
+const PITCH_DIE_OPTIONS = ["d20", "d12", "d8", "d4", "-d4", "-d8", "-d12", "-d20"];
+const HANDEDNESS_OPTIONS = ["R", "L", "S"];
+
+const traitList = (player) => (player.traits || '').split(' ').filter(Boolean);
+
+// Each trait with its description and the stat behind it on hover
+const renderTraits = (player) =>
+  traitList(player).map((trait, i) => (
+    <React.Fragment key={trait}>
+      {i > 0 && ' '}
+      <abbr title={describeTrait(player, trait)} className="no-underline cursor-help">{trait}</abbr>
+    </React.Fragment>
+  ));
+
+const traitsHint = (player) => traitList(player).map(trait => `${trait}: ${describeTrait(player, trait)}`).join('\n');
+
+const TRAITS_COLUMN = { key: 'traits', label: 'Traits', render: renderTraits, hint: traitsHint };
+
+// Cards from multi-season uploads show the seasons they cover beside the name
+const seasonsNote = (player) => player.seasons && (
+  <span className="text-xs text-gray-500 ml-1 whitespace-nowrap">({player.seasons})</span>
+);
+
+const NAME_COLUMN = { key: 'name', label: 'Player Name', note: seasonsNote };
+
+export const BATTER_COLUMNS = [
+  NAME_COLUMN,
+  { key: 'position', label: 'POS', options: POSITION_OPTIONS },
+  { key: 'handedness', label: 'L/R', options: HANDEDNESS_OPTIONS },
+  { key: 'bt', label: 'BT', numeric: true },
+  { key: 'obt', label: 'OBT', numeric: true },
+  TRAITS_COLUMN
+];
+
+export const PITCHER_COLUMNS = [
+  NAME_COLUMN,
+  { key: 'pd', label: 'P.D.', options: PITCH_DIE_OPTIONS },
+  { key: 'handedness', label: 'L/R', options: HANDEDNESS_OPTIONS },
+  { key: 'bt', label: 'BT', numeric: true },
+  { key: 'obt', label: 'OBT', numeric: true },
+  TRAITS_COLUMN
+];
+
+export const RELIEVER_COLUMNS = [
+  PITCHER_COLUMNS[0],
+  { key: 'role', label: 'Role', options: Object.keys(BULLPEN_ROLES), labels: BULLPEN_ROLES, render: describeRole },
+  ...PITCHER_COLUMNS.slice(1)
+];
+
+// Inputs are swapped for plain text when printing. Columns may supply render
+// for how the value is displayed, hint for the input's tooltip, labels for
+// the text of each option and note for an aside shown after the value.
+function EditableCell({ column, player, value, onChange }) {
+  const input = column.options ? (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      title={column.hint ? column.hint(player) : undefined}
+      className="border rounded p-1 print:hidden"
+    >
+      {!column.options.includes(value) && <option value={value}>{value}</option>}
+      {column.options.map(option => (
+        <option key={option} value={option}>{column.labels ? column.labels[option] : option}</option>
+      ))}
+    </select>
+  ) : (
+    <input
+      type={column.numeric ? 'number' : 'text'}
+      value={value}
+      onChange={(e) => onChange(column.numeric ? parseInt(e.target.value) || 0 : e.target.value)}
+      title={column.hint ? column.hint(player) : undefined}
+      className={`border rounded p-1 print:hidden ${column.numeric ? 'w-16' : column.note && column.note(player) ? 'w-auto' : 'w-full'}`}
+    />
+  );
+
+  return (
+    <>
+      {input}
+      <span className="hidden print:inline">{column.render ? column.render(player) : value}</span>
+      {column.note && column.note(player)}
+    </>
+  );
+}
+
+export default function RosterTable({
+  title,
+  section,
+  players,
+  columns,
+  editable = false,
+  numbered = false,
+  onMove,
+  onUpdate,
+  onRemove,
+  className = "mb-8"
+}) {
+  const handleDragStart = (event, index) => {
+    event.dataTransfer.setData(DRAG_TYPE, JSON.stringify({ section, index }));
+    event.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDragOver = (event) => {
+    if (event.dataTransfer.types.includes(DRAG_TYPE)) {
+      event.preventDefault();
+    }
+  };
+
+  const handleDrop = (event, index) => {
+    event.preventDefault();
+    event.stopPropagation();
+    const from = JSON.parse(event.dataTransfer.getData(DRAG_TYPE));
+    onMove(from, { section, index });
+  };
+
+  return (
+    <div className={className}>
+      <h2 className="text-xl font-bold mb-2 border-b-2 border-black">{title}</h2>
+      <table
+        className="w-full"
+        onDragOver={editable ? handleDragOver : undefined}
+        onDrop={editable ? (e) => handleDrop(e) : undefined}
+      >
+        <thead>
+          <tr className="border-b">
+            {numbered && <th className="text-left py-2">#</th>}
+            {columns.map(column => (
+              <th key={column.key} className="text-left py-2">{column.label}</th>
+            ))}
+            {editable && <th className="print:hidden" />}
+          </tr>
+        </thead>
+        <tbody>
+          {players.map((player, index) => (
+            <tr
+              key={index}
+              className={`border-b ${editable ? 'cursor-move' : ''}`}
+              draggable={editable}
+              onDragStart={editable ? (e) => handleDragStart(e, index) : undefined}
+              onDrop={editable ? (e) => handleDrop(e, index) : undefined}
+            >
+              {numbered && <td className="py-1">{index + 1}</td>}
+              {columns.map(column => (
+                <td key={column.key} className="py-1">
+                  {editable ? (
+                    <EditableCell
+                      column={column}
+                      player={player}
+                      value={player[column.key] ?? ''}
+                      onChange={(value) => onUpdate(index, { [column.key]: value })}
+                    />
+                  ) : column.render ? (
+                    column.render(player)
+                  ) : (
+                    player[column.key]
+                  )}
+                  {!editable && column.note && column.note(player)}
+                </td>
+              ))}
+              {editable && (
+                <td className="py-1 print:hidden">
+                  <button onClick={() => onRemove(index)} className="text-red-600" title="Remove from roster">
+                    ✕
+                  </button>
+                </td>
+              )}
+            </tr>
+          ))}
+          {editable && players.length === 0 && (
+            <tr className="print:hidden">
+              <td colSpan={columns.length + (numbered ? 2 : 1)} className="py-2 text-gray-500">Drop players here</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
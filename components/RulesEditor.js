@@ -0,0 +1,264 @@
+import React, { useEffect, useState } from 'react';
+import { RULE_PRESETS, completeRules } from '../lib/deadball';
+
+const STORAGE_KEY = 'dbrg.rulePresets';
+
+const RATING_FIELDS = [
+  ['btScale', 'BT scale'],
+  ['btOffset', 'BT offset'],
+  ['obtScale', 'OBT scale'],
+  ['obtOffset', 'OBT offset']
+];
+
+const BATTING_FIELDS = [
+  ['powerPlusPlusHR', 'P++ HR'],
+  ['powerPlusPlusSLG', 'P++ SLG', 0.005],
+  ['powerPlusHR', 'P+ HR'],
+  ['powerPlusSLG', 'P+ SLG', 0.005],
+  ['powerMinusHR', 'P- HR (at most)'],
+  ['powerMinusMinusHR', 'P-- HR (at most)'],
+  ['powerMinusMinusSLG', 'P-- SLG (below)', 0.005],
+  ['contactDoubles', 'C+ doubles'],
+  ['contactKRate', 'C+ K rate (below)', 0.01],
+  ['contactMinusKRate', 'C- K rate (above)', 0.01],
+  ['toughOutBBRate', 'T+ BB rate', 0.01],
+  ['toughOutOBPGap', 'T+ OBP over BA', 0.005],
+  ['speedSB', 'S+ SB'],
+  ['defensePlusRuns', 'D+ fielding runs'],
+  ['defenseMinusRuns', 'D- fielding runs (at most)'],
+  ['defensePlusFldPct', 'D+ Fld% above norm', 0.001],
+  ['defenseMinusFldPct', 'D- Fld% below norm', 0.001],
+  ['defenseWAR', 'D+ WAR (above, no fielding stats)', 0.1]
+];
+
+const PITCHER_BATTING_FIELDS = [
+  ['minPA', 'Min PA for own line'],
+  ['btFloor', 'BT floor'],
+  ['obtFloor', 'OBT floor'],
+  ['noDataSpread', 'Random spread (no line)']
+];
+
+const FIELDING_PCT_FIELDS = ['C', '1B', '2B', '3B', 'SS', 'OF'].map(position => [position, position, 0.001]);
+
+const PITCHING_FIELDS = [
+  ['strikeoutK9', 'K+ K/9', 0.1],
+  ['strikeoutMinusK9', 'K- K/9 (at most)', 0.1],
+  ['groundballHR9', 'GB+ HR/9 (below)', 0.1],
+  ['groundballERA', 'GB+ ERA (below)', 0.05],
+  ['flyballHR9', 'GB- HR/9 (above)', 0.1],
+  ['controlBB9', 'CN+ BB/9 (below)', 0.1],
+  ['wildBB9', 'CN- BB/9 (above)', 0.1],
+  ['staminaIP', 'ST+ IP (above)'],
+  ['staminaMinusStarts', 'ST- min starts'],
+  ['staminaMinusIPPerStart', 'ST- IP per start (below)', 0.1]
+];
+
+const BASELINE_FIELDS = [
+  ['BA', 'BA', 0.001],
+  ['OBP', 'OBP', 0.001],
+  ['SLG', 'SLG', 0.001],
+  ['ERA', 'ERA', 0.01]
+];
+
+// Custom presets live in localStorage alongside the built-in ones
+const loadSavedPresets = () => {
+  try {
+    const presets = JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    return Object.fromEntries(Object.entries(presets).map(([name, rules]) => [name, completeRules(rules)]));
+  } catch (error) {
+    console.error("Error loading saved rule presets:", error);
+    return {};
+  }
+};
+
+const storeSavedPresets = (presets) => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+};
+
+function NumberField({ label, value, step = 1, onChange }) {
+  return (
+    <label className="block text-sm">
+      {label}
+      <input
+        type="number"
+        step={step}
+        value={value}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        className="border p-1 rounded w-full"
+      />
+    </label>
+  );
+}
+
+function FieldGroup({ title, fields, values, onChange }) {
+  return (
+    <div className="mb-4">
+      <h3 className="font-bold mb-1">{title}</h3>
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+        {fields.map(([key, label, step]) => (
+          <NumberField
+            key={key}
+            label={label}
+            step={step}
+            value={values[key]}
+            onChange={(value) => onChange({ ...values, [key]: value })}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function RulesEditor({ rules, onChange }) {
+  const [savedPresets, setSavedPresets] = useState({});
+  const [presetName, setPresetName] = useState('');
+  const [activePreset, setActivePreset] = useState('Standard');
+
+  useEffect(() => {
+    setSavedPresets(loadSavedPresets());
+  }, []);
+
+  const allPresets = { ...RULE_PRESETS, ...savedPresets };
+
+  const selectPreset = (name) => {
+    setActivePreset(name);
+    if (allPresets[name]) onChange(allPresets[name]);
+  };
+
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    if (RULE_PRESETS[name]) {
+      alert(`"${name}" is a built-in preset. Please choose another name.`);
+      return;
+    }
+
+    const presets = { ...savedPresets, [name]: rules };
+    storeSavedPresets(presets);
+    setSavedPresets(presets);
+    setActivePreset(name);
+    setPresetName('');
+  };
+
+  const deletePreset = () => {
+    const { [activePreset]: removed, ...presets } = savedPresets;
+    storeSavedPresets(presets);
+    setSavedPresets(presets);
+    selectPreset('Standard');
+  };
+
+  const updateBand = (index, maxEra) => {
+    const pitchDieBands = rules.pitchDieBands.map((band, i) => (i === index ? { ...band, maxEra } : band));
+    onChange({ ...rules, pitchDieBands });
+  };
+
+  return (
+    <details className="mb-6 border rounded p-4">
+      <summary className="text-xl font-bold cursor-pointer">Conversion Rules</summary>
+
+      <div className="flex flex-wrap gap-2 items-end my-4">
+        <label className="block">
+          Preset
+          <select
+            value={activePreset}
+            onChange={(e) => selectPreset(e.target.value)}
+            className="border p-2 rounded block"
+          >
+            {Object.keys(allPresets).map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+        {savedPresets[activePreset] && (
+          <button onClick={deletePreset} className="bg-red-500 text-white py-2 px-4 rounded">
+            Delete Preset
+          </button>
+        )}
+        <input
+          type="text"
+          placeholder="New preset name"
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          className="border p-2 rounded"
+        />
+        <button
+          onClick={savePreset}
+          disabled={!presetName.trim()}
+          className="bg-green-600 text-white py-2 px-4 rounded disabled:bg-gray-400"
+        >
+          Save as Preset
+        </button>
+      </div>
+
+      <FieldGroup
+        title="BT / OBT Scaling"
+        fields={RATING_FIELDS}
+        values={rules.ratings}
+        onChange={(ratings) => onChange({ ...rules, ratings })}
+      />
+
+      <div className="mb-4">
+        <h3 className="font-bold mb-1">Pitch Die ERA Bands (ERA below)</h3>
+        <div className="grid grid-cols-2 md:grid-cols-8 gap-2">
+          {rules.pitchDieBands.map((band, index) => (
+            <NumberField
+              key={band.pd}
+              label={band.pd}
+              step={0.05}
+              value={band.maxEra}
+              onChange={(value) => updateBand(index, value)}
+            />
+          ))}
+          <p className="text-sm self-end">otherwise {rules.pitchDieFloor}</p>
+        </div>
+      </div>
+
+      <FieldGroup
+        title="Batting Traits"
+        fields={BATTING_FIELDS}
+        values={rules.batting}
+        onChange={(batting) => onChange({ ...rules, batting })}
+      />
+
+      <FieldGroup
+        title="Fielding % Norms (league average by position)"
+        fields={FIELDING_PCT_FIELDS}
+        values={rules.fieldingPct}
+        onChange={(fieldingPct) => onChange({ ...rules, fieldingPct })}
+      />
+
+      <FieldGroup
+        title="Pitching Traits"
+        fields={PITCHING_FIELDS}
+        values={rules.pitching}
+        onChange={(pitching) => onChange({ ...rules, pitching })}
+      />
+
+      <FieldGroup
+        title="Pitcher Batting"
+        fields={PITCHER_BATTING_FIELDS}
+        values={rules.pitcherBatting}
+        onChange={(pitcherBatting) => onChange({ ...rules, pitcherBatting })}
+      />
+
+      <label className="block mb-2">
+        <input
+          type="checkbox"
+          checked={rules.relativeToLeague}
+          onChange={(e) => onChange({ ...rules, relativeToLeague: e.target.checked })}
+          className="mr-2"
+        />
+        Rate stats relative to league averages (ERA+/OPS+ style)
+      </label>
+
+      {rules.relativeToLeague && (
+        <FieldGroup
+          title="Baseline Environment"
+          fields={BASELINE_FIELDS}
+          values={rules.baseline}
+          onChange={(baseline) => onChange({ ...rules, baseline })}
+        />
+      )}
+    </details>
+  );
+}
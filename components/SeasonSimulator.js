@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import Papa from 'papaparse';
+import {
+  simulateSeason,
+  seasonLeaders,
+  formatSeasonCSV,
+  parseScheduleRows,
+  roundRobinSchedule,
+  newSeed
+} from '../lib/deadball';
+import { listLeagues } from './leagueStore';
+import { downloadFile } from './download';
+
+const rate = (value) => value.toFixed(3).replace(/^0/, '');
+
+// Simulate a season between the teams of a saved league: round robin or an
+// uploaded schedule, then standings, leaders and a CSV download
+export default function SeasonSimulator() {
+  const [leagues, setLeagues] = useState([]);
+  const [leagueId, setLeagueId] = useState('');
+  const [rounds, setRounds] = useState(4);
+  const [scheduleRows, setScheduleRows] = useState(null);
+  const [seed, setSeed] = useState('');
+  const [season, setSeason] = useState(null);
+
+  const loadLeagues = (event) => {
+    if (!event.currentTarget.open) return;
+    listLeagues()
+      .then(saved => {
+        setLeagues(saved);
+        if (!saved.some(l => l.id === leagueId) && saved.length > 0) setLeagueId(saved[0].id);
+      })
+      .catch(error => console.error("Error loading leagues:", error));
+  };
+
+  const league = leagues.find(l => l.id === leagueId);
+  const teams = league ? league.teams : [];
+
+  const handleScheduleUpload = (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      Papa.parse(file, {
+        header: true,
+        skipEmptyLines: true,
+        complete: (results) => setScheduleRows(results.data),
+        error: (error) => {
+          console.error("Error parsing schedule:", error);
+        }
+      });
+    }
+  };
+
+  const handleSimulate = () => {
+    try {
+      const names = teams.map(t => t.name);
+      const schedule = scheduleRows
+        ? parseScheduleRows(scheduleRows, names)
+        : roundRobinSchedule(teams.length, Math.max(1, parseInt(rounds) || 1));
+      setSeason(simulateSeason(teams, { schedule, seed: seed === '' ? newSeed() : seed }));
+    } catch (error) {
+      console.error("Error simulating season:", error);
+      alert("Error simulating season: " + error.message);
+    }
+  };
+
+  const handleDownload = () => {
+    downloadFile(formatSeasonCSV(season), `${league ? league.name : 'League'}_season.csv`, 'text/csv;charset=utf-8');
+  };
+
+  const leaders = season && seasonLeaders(season, 3);
+
+  return (
+    <details className="mb-6 border rounded p-4 print:hidden" onToggle={loadLeagues}>
+      <summary className="text-xl font-bold cursor-pointer">Simulate a Season</summary>
+
+      {leagues.length === 0 ? (
+        <p className="my-4 text-gray-500">Save at least two teams to a league in the League Workspace first.</p>
+      ) : (
+        <div className="flex flex-wrap gap-4 items-end my-4">
+          <label className="block text-sm">
+            League
+            <select value={leagueId} onChange={(e) => setLeagueId(e.target.value)} className="border p-2 rounded block">
+              {leagues.map(l => (
+                <option key={l.id} value={l.id}>{l.name} ({l.teams.length} teams)</option>
+              ))}
+            </select>
+          </label>
+          <label className="block text-sm">
+            Round robins
+            <input
+              type="number"
+              min="1"
+              value={rounds}
+              disabled={!!scheduleRows}
+              onChange={(e) => setRounds(e.target.value)}
+              className="border p-2 rounded block w-24"
+            />
+          </label>
+          <label className="block text-sm">
+            Custom schedule (CSV with Away, Home)
+            <input type="file" accept=".csv,.txt" onChange={handleScheduleUpload} className="border p-1 rounded block" />
+          </label>
+          {scheduleRows && (
+            <button onClick={() => setScheduleRows(null)} className="bg-gray-200 py-2 px-4 rounded">
+              Use round robin ({scheduleRows.length} games loaded)
+            </button>
+          )}
+          <label className="block text-sm">
+            Seed
+            <input
+              type="text"
+              value={seed}
+              placeholder="random"
+              onChange={(e) => setSeed(e.target.value)}
+              className="border p-2 rounded block w-32"
+            />
+          </label>
+          <button
+            onClick={handleSimulate}
+            disabled={teams.length < 2}
+            className="bg-blue-500 text-white py-2 px-4 rounded disabled:bg-gray-400"
+          >
+            Simulate Season
+          </button>
+          {season && (
+            <button onClick={handleDownload} className="bg-gray-500 text-white py-2 px-4 rounded">
+              Download CSV
+            </button>
+          )}
+        </div>
+      )}
+
+      {season && (
+        <>
+          <p className="text-sm text-gray-600 mb-2">{season.games.length} games · seed {season.seed}</p>
+          <table className="w-full mb-6">
+            <thead>
+              <tr className="border-b">
+                {['Team', 'W', 'L', 'T', 'PCT', 'GB', 'RS', 'RA'].map(label => (
+                  <th key={label} className="text-left py-2">{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {season.standings.map(row => (
+                <tr key={row.team} className="border-b">
+                  <td className="py-1">{row.team}</td>
+                  <td className="py-1">{row.W}</td>
+                  <td className="py-1">{row.L}</td>
+                  <td className="py-1">{row.T}</td>
+                  <td className="py-1">{rate(row.PCT)}</td>
+                  <td className="py-1">{row.GB === 0 ? '-' : row.GB}</td>
+                  <td className="py-1">{row.RS}</td>
+                  <td className="py-1">{row.RA}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {[['Batting Leaders', leaders.batting], ['Pitching Leaders', leaders.pitching]].map(([title, boards]) => (
+              <div key={title}>
+                <h3 className="font-bold mb-1">{title}</h3>
+                {boards.map(({ category, players }) => (
+                  <div key={category.key} className="text-sm mb-2">
+                    <div className="font-semibold">{category.label}</div>
+                    {players.length === 0 && <div className="text-gray-500">No qualified players</div>}
+                    {players.map((player, index) => (
+                      <div key={`${player.team}-${player.name}`}>
+                        {index + 1}. {player.name} <span className="text-gray-500">({player.team})</span> {player.value}
+                      </div>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </details>
+  );
+}
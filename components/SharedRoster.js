@@ -0,0 +1,26 @@
+import React from 'react';
+import RosterSheet from './RosterSheet';
+import TeamSummary from './TeamSummary';
+import CopyShareLink from './CopyShareLink';
+
+// Read-only view of a roster opened from a share link
+export default function SharedRoster({ roster, teamName, onOpenForEditing }) {
+  return (
+    <div className="max-w-6xl mx-auto p-4">
+      <div className="print:hidden my-8 flex flex-wrap gap-2 items-center">
+        <h1 className="text-3xl font-bold mr-auto">Shared Deadball Roster</h1>
+        <CopyShareLink roster={roster} teamName={teamName} />
+        <button onClick={() => window.print()} className="bg-purple-500 text-white py-2 px-4 rounded">
+          Print Roster
+        </button>
+        <button onClick={onOpenForEditing} className="bg-yellow-500 text-white py-2 px-4 rounded">
+          Open for Editing
+        </button>
+      </div>
+
+      <TeamSummary roster={roster} />
+
+      <RosterSheet roster={roster} teamName={teamName} />
+    </div>
+  );
+}
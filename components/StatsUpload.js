@@ -0,0 +1,152 @@
+import React, { useMemo, useState } from 'react';
+import Papa from 'papaparse';
+import {
+  STAT_COLUMNS,
+  SOURCE_FORMATS,
+  detectSourceFormat,
+  suggestColumnMap,
+  missingColumns,
+  validateStatRows
+} from '../lib/deadball';
+
+const PREVIEW_ROWS = 10;
+
+// Stats file upload with format detection, column mapping and a report of the
+// rows that will not become cards. onChange receives the validated rows, or
+// null while a required column is still unmapped.
+export default function StatsUpload({ kind, title, records, onChange }) {
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState(null);
+  const [mapping, setMapping] = useState({});
+
+  const report = useMemo(() => (rows ? validateStatRows(rows, kind, mapping) : null), [rows, kind, mapping]);
+  const missing = missingColumns(mapping, kind);
+  const headers = rows && rows.length ? Object.keys(rows[0]) : [];
+  const format = rows ? SOURCE_FORMATS.find(f => f.id === detectSourceFormat(rows)) : null;
+  const previewColumns = STAT_COLUMNS[kind].filter(c => mapping[c.key]);
+
+  const apply = (newRows, newMapping) => {
+    setRows(newRows);
+    setMapping(newMapping);
+    onChange(missingColumns(newMapping, kind).length ? null : validateStatRows(newRows, kind, newMapping).records);
+  };
+
+  const handleUpload = (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      Papa.parse(file, {
+        header: true,
+        skipEmptyLines: true,
+        complete: (results) => {
+          console.log(`${title} loaded:`, results.data);
+          setFileName(file.name);
+          apply(results.data, suggestColumnMap(results.data, kind));
+        },
+        error: (error) => {
+          console.error(`Error parsing ${title}:`, error);
+        }
+      });
+    }
+  };
+
+  return (
+    <div>
+      <h2 className="text-xl font-bold mb-2">Upload {title}</h2>
+      <input
+        type="file"
+        accept=".csv,.txt"
+        onChange={handleUpload}
+        className="border p-2 w-full"
+      />
+
+      {!rows && records && <p>{records.length} {kind} records loaded</p>}
+
+      {report && (
+        <div className="text-sm mt-2">
+          <p>
+            {fileName}: {format ? format.label : 'unrecognised format'} ·{' '}
+            {missing.length ? 0 : report.records.length} of {rows.length} rows usable
+          </p>
+          {format && format.id === 'lahman' && (
+            <p>Lahman tables hold raw counts: use Import from Lahman Database to build a team from them.</p>
+          )}
+          {missing.length > 0 && (
+            <p className="text-red-600">
+              Match these columns before generating: {missing.map(c => c.label).join(', ')}
+            </p>
+          )}
+
+          <details open={missing.length > 0} className="mt-2">
+            <summary className="cursor-pointer">Column mapping</summary>
+            <div className="grid grid-cols-2 gap-1 mt-1">
+              {STAT_COLUMNS[kind].map(column => (
+                <label key={column.key} className="contents">
+                  <span>{column.label}{(column.required || column.requiredOneOf) && ' *'}</span>
+                  <select
+                    value={mapping[column.key] || ''}
+                    onChange={(e) => apply(rows, { ...mapping, [column.key]: e.target.value })}
+                    className="border rounded"
+                  >
+                    <option value="">(none)</option>
+                    {headers.map(header => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+          </details>
+
+          {report.skipped.length > 0 && (
+            <details className="mt-2">
+              <summary className="cursor-pointer">Skipped rows ({report.skipped.length})</summary>
+              <ul className="max-h-40 overflow-y-auto">
+                {report.skipped.map(s => (
+                  <li key={s.line}>Line {s.line}{s.name && ` (${s.name})`}: {s.reason}</li>
+                ))}
+              </ul>
+            </details>
+          )}
+
+          {report.duplicates.length > 0 && (
+            <details className="mt-2">
+              <summary className="cursor-pointer text-yellow-700">Duplicate players ({report.duplicates.length})</summary>
+              <ul className="max-h-40 overflow-y-auto">
+                {report.duplicates.map(d => (
+                  <li key={d.kept}>
+                    {d.name}: line {d.kept} used, line {d.dropped.join(', ')} dropped ({d.reason})
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+
+          {!missing.length && report.records.length > 0 && (
+            <details className="mt-2">
+              <summary className="cursor-pointer">Preview</summary>
+              <div className="overflow-x-auto">
+                <table className="text-xs">
+                  <thead>
+                    <tr>
+                      {previewColumns.map(c => <th key={c.key} className="text-left pr-2">{c.key}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.records.slice(0, PREVIEW_ROWS).map((record, index) => (
+                      <tr key={index}>
+                        {previewColumns.map(c => <td key={c.key} className="pr-2">{record[c.key]}</td>)}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {report.records.length > PREVIEW_ROWS && (
+                  <p>…and {report.records.length - PREVIEW_ROWS} more</p>
+                )}
+              </div>
+            </details>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import React, { useMemo } from 'react';
+import { summarizeRoster, SUMMARY_METRICS } from '../lib/deadball';
+
+// How the roster on screen stacks up: hitting, pitch dice, traits,
+// handedness, positional weaknesses and padded placeholder cards
+export default function TeamSummary({ roster }) {
+  const summary = useMemo(() => summarizeRoster(roster), [roster]);
+
+  return (
+    <details className="mb-6 border rounded p-4 print:hidden">
+      <summary className="text-xl font-bold cursor-pointer">
+        Team Summary
+        {summary.placeholders.length > 0 && (
+          <span className="text-sm font-normal text-red-600 ml-2">
+            {summary.placeholders.length} placeholder{summary.placeholders.length > 1 ? 's' : ''}
+          </span>
+        )}
+      </summary>
+      <table className="text-sm mt-4">
+        <tbody>
+          {SUMMARY_METRICS.map(metric => {
+            const flagged = metric.warning && metric.value(summary) > 0;
+            return (
+              <tr key={metric.label} className="border-b">
+                <th className="text-left py-1 pr-4 align-top">{metric.label}</th>
+                <td className={`py-1 ${flagged ? 'text-red-600' : ''}`}>{metric.format(summary)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </details>
+  );
+}
@@ -0,0 +1,33 @@
+import React from 'react';
+import { TRAIT_DESCRIPTIONS, traitsInUse, hasTrait } from '../lib/deadball';
+
+// Every trait on the sheet with its meaning and who holds it, with the stat
+// that earned each player the trait
+export default function TraitLegend({ players }) {
+  const traits = traitsInUse(players);
+  if (traits.length === 0) return null;
+
+  return (
+    <div className="mt-8">
+      <h2 className="text-xl font-bold mb-2 border-b-2 border-black">Trait Legend</h2>
+      <dl className="grid grid-cols-1 md:grid-cols-2 print:grid-cols-2 gap-x-6 gap-y-2 text-sm">
+        {traits.map(trait => (
+          <div key={trait}>
+            <dt>
+              <span className="font-bold">{trait}</span> {TRAIT_DESCRIPTIONS[trait]}
+            </dt>
+            <dd className="text-gray-600">
+              {players
+                .filter(player => hasTrait(player, trait))
+                .map(player => {
+                  const reason = player.traitReasons && player.traitReasons[trait];
+                  return reason ? `${player.name} (${reason})` : player.name;
+                })
+                .join(', ')}
+            </dd>
+          </div>
+        ))}
+      </dl>
+    </div>
+  );
+}
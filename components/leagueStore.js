@@ -0,0 +1,41 @@
+// IndexedDB persistence for league workspaces. Leagues carry their source
+// stats, which can outgrow localStorage once a full season is loaded.
+
+const DB_NAME = 'dbrg';
+const DB_VERSION = 1;
+const STORE = 'leagues';
+
+const openDatabase = () =>
+  new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Run one request against the leagues store and resolve with its result
+const withStore = (mode, makeRequest) =>
+  openDatabase().then(db =>
+    new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE, mode);
+      const request = makeRequest(transaction.objectStore(STORE));
+      transaction.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+      };
+      transaction.onerror = () => {
+        db.close();
+        reject(transaction.error);
+      };
+    })
+  );
+
+export const listLeagues = () =>
+  withStore('readonly', store => store.getAll())
+    .then(leagues => leagues.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)));
+
+export const saveLeague = (league) => withStore('readwrite', store => store.put(league));
+
+export const deleteLeague = (id) => withStore('readwrite', store => store.delete(id));
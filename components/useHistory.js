@@ -0,0 +1,50 @@
+import { useState } from 'react';
+
+// State with undo/redo. reset() replaces the value and clears the history.
+export default function useHistory(initialValue) {
+  const [history, setHistory] = useState({ past: [], present: initialValue, future: [] });
+
+  const set = (value) => {
+    setHistory(({ past, present }) => ({
+      past: [...past, present],
+      present: typeof value === 'function' ? value(present) : value,
+      future: []
+    }));
+  };
+
+  const reset = (value) => {
+    setHistory({ past: [], present: value, future: [] });
+  };
+
+  const undo = () => {
+    setHistory(({ past, present, future }) => {
+      if (past.length === 0) return { past, present, future };
+      return {
+        past: past.slice(0, -1),
+        present: past[past.length - 1],
+        future: [present, ...future]
+      };
+    });
+  };
+
+  const redo = () => {
+    setHistory(({ past, present, future }) => {
+      if (future.length === 0) return { past, present, future };
+      return {
+        past: [...past, present],
+        present: future[0],
+        future: future.slice(1)
+      };
+    });
+  };
+
+  return {
+    value: history.present,
+    set,
+    reset,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0
+  };
+}
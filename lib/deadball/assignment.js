@@ -0,0 +1,63 @@
+// Maximum-weight assignment (Hungarian algorithm). weights[row][column] is
+// the value of giving column to row; there must be at least as many columns
+// as rows. Returns the column chosen for each row.
+export const maxWeightAssignment = (weights) => {
+  const n = weights.length;
+  if (n === 0) return [];
+  const m = weights[0].length;
+  if (m < n) throw new Error("Assignment needs at least as many columns as rows.");
+
+  // Work on costs, 1-indexed as in the textbook version of the algorithm
+  const cost = (i, j) => -weights[i - 1][j - 1];
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(m + 1).fill(0);
+  const rowOf = new Array(m + 1).fill(0);
+  const way = new Array(m + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    rowOf[0] = i;
+    let j0 = 0;
+    const minv = new Array(m + 1).fill(Infinity);
+    const used = new Array(m + 1).fill(false);
+
+    do {
+      used[j0] = true;
+      const i0 = rowOf[j0];
+      let delta = Infinity;
+      let j1 = 0;
+      for (let j = 1; j <= m; j++) {
+        if (used[j]) continue;
+        const reduced = cost(i0, j) - u[i0] - v[j];
+        if (reduced < minv[j]) {
+          minv[j] = reduced;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+      for (let j = 0; j <= m; j++) {
+        if (used[j]) {
+          u[rowOf[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (rowOf[j0] !== 0);
+
+    do {
+      const j1 = way[j0];
+      rowOf[j0] = rowOf[j1];
+      j0 = j1;
+    } while (j0 !== 0);
+  }
+
+  const assignment = new Array(n).fill(-1);
+  for (let j = 1; j <= m; j++) {
+    if (rowOf[j] !== 0) assignment[rowOf[j] - 1] = j - 1;
+  }
+  return assignment;
+};
@@ -0,0 +1,76 @@
+import { hasTrait } from './traits.js';
+import { LINEUP_POSITIONS } from './positions.js';
+
+export const BATTING_ORDER_STRATEGIES = {
+  defensive: 'Defensive (C, 1B, 2B ... RF)',
+  traditional: 'Traditional',
+  sabermetric: 'Sabermetric'
+};
+
+const power = (p) => (hasTrait(p, 'P++') ? 2 : hasTrait(p, 'P+') ? 1 : hasTrait(p, 'P-') ? -1 : hasTrait(p, 'P--') ? -2 : 0);
+const speed = (p) => (hasTrait(p, 'S+') ? 1 : hasTrait(p, 'S-') ? -1 : 0);
+const contact = (p) => (hasTrait(p, 'C+') ? 1 : hasTrait(p, 'C-') ? -1 : 0);
+
+// Overall offensive value of a card
+const hitting = (p) => (p.bt || 0) + (p.obt || 0) + 5 * power(p);
+
+// Remove and return the highest-scoring player from pool
+const takeBest = (pool, score) => {
+  if (pool.length === 0) return undefined;
+  let best = 0;
+  pool.forEach((p, i) => {
+    if (score(p) > score(pool[best])) best = i;
+  });
+  return pool.splice(best, 1)[0];
+};
+
+const byHitting = (pool) => [...pool].sort((a, b) => hitting(b) - hitting(a));
+
+// Best hitter 3rd, most power 4th and 5th, an on-base speedster leading off
+// and a contact hitter 2nd
+const traditionalOrder = (lineup) => {
+  const pool = [...lineup];
+  const slots = {};
+
+  slots[3] = takeBest(pool, hitting);
+  slots[4] = takeBest(pool, p => 10 * power(p) + p.bt);
+  slots[1] = takeBest(pool, p => p.obt + 4 * speed(p) + 2 * contact(p) - 3 * power(p));
+  slots[2] = takeBest(pool, p => p.bt + 3 * contact(p) + 2 * speed(p));
+  slots[5] = takeBest(pool, p => 10 * power(p) + p.bt);
+
+  return [slots[1], slots[2], slots[3], slots[4], slots[5], ...byHitting(pool)];
+};
+
+// Best three hitters bat 1st, 2nd and 4th with the top OBT leading off and
+// the bigger bat 4th; the next two fill 3rd and 5th, power going 5th
+const sabermetricOrder = (lineup) => {
+  const ranked = byHitting(lineup);
+  const top = ranked.slice(0, 3);
+  const next = ranked.slice(3, 5);
+
+  const leadoff = takeBest(top, p => p.obt);
+  const cleanup = takeBest(top, p => 10 * power(p) + hitting(p));
+  const fifth = takeBest(next, p => 10 * power(p) + hitting(p));
+
+  return [leadoff, top[0], next[0], cleanup, fifth, ...ranked.slice(5)];
+};
+
+// Scorecard order by defensive position; anything else (DH, UT) bats last
+const defensiveOrder = (lineup) => {
+  const rank = (p) => {
+    const index = LINEUP_POSITIONS.indexOf(p.position);
+    return index === -1 ? LINEUP_POSITIONS.length : index;
+  };
+  return [...lineup].sort((a, b) => rank(a) - rank(b));
+};
+
+// Arrange lineup cards into a batting order; unknown strategies leave it as is
+export const orderLineup = (lineup, strategy) => {
+  let ordered;
+  if (strategy === 'defensive') ordered = defensiveOrder(lineup);
+  else if (strategy === 'traditional') ordered = traditionalOrder(lineup);
+  else if (strategy === 'sabermetric') ordered = sabermetricOrder(lineup);
+  else return lineup;
+
+  return ordered.filter(Boolean);
+};
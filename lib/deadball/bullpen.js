@@ -0,0 +1,99 @@
+// Bullpen roles from relief usage: saves, games finished, holds, innings per
+// appearance and spot starts. The game simulator calls on relievers by role.
+
+export const BULLPEN_ROLES = {
+  closer: "Closer",
+  setup: "Setup",
+  middle: "Middle",
+  long: "Long",
+  swingman: "Swingman"
+};
+
+// Setup men behind the closer
+export const SETUP_SIZE = 2;
+
+// Relievers averaging this many innings an outing pitch long relief
+export const LONG_RELIEF_IP_PER_GAME = 1.5;
+
+// Spot starts that make a reliever a swingman: this many, or this share of
+// their games
+const SWINGMAN_STARTS = 3;
+const SWINGMAN_START_SHARE = 0.2;
+
+// "d12" is 12, "-d4" is -4; higher is better
+const dieValue = (pd) => {
+  const match = /^(-?)d(\d+)$/.exec(String(pd || '').trim());
+  if (!match) return 0;
+  return (match[1] ? -1 : 1) * parseInt(match[2]);
+};
+
+const inningsPerGame = (pitcher) => (pitcher.games > 0 ? pitcher.ip / pitcher.games : 0);
+
+const isSwingman = (pitcher) =>
+  pitcher.starts >= SWINGMAN_STARTS || (pitcher.games > 0 && pitcher.starts / pitcher.games >= SWINGMAN_START_SHARE);
+
+// Sort comparators: more saves, holds or games finished first, then the
+// better pitch die, then more innings
+const byPitching = (a, b) => dieValue(b.pd) - dieValue(a.pd) || (b.ip || 0) - (a.ip || 0);
+const byClosing = (a, b) => (b.saves || 0) - (a.saves || 0) || (b.gamesFinished || 0) - (a.gamesFinished || 0) || byPitching(a, b);
+const bySetup = (a, b) => (b.holds || 0) - (a.holds || 0) || (b.gamesFinished || 0) - (a.gamesFinished || 0) || byPitching(a, b);
+
+// Give every reliever a role and list them closer, setup, middle, long,
+// swingman. Swingmen and long men are picked from usage first; the closer and
+// setup men come from the short relievers by saves and holds (games finished
+// and the pitch die when the upload has neither).
+export const assignBullpenRoles = (relievers) => {
+  const swingmen = relievers.filter(isSwingman);
+  const long = relievers.filter(p => !isSwingman(p) && inningsPerGame(p) >= LONG_RELIEF_IP_PER_GAME);
+  const short = relievers.filter(p => !swingmen.includes(p) && !long.includes(p));
+
+  // With no short relievers the best of the rest closes
+  const closingPool = short.length ? short : [...long, ...swingmen];
+  const closer = [...closingPool].sort(byClosing)[0];
+  const setup = short.filter(p => p !== closer).sort(bySetup).slice(0, SETUP_SIZE);
+  const middle = short.filter(p => p !== closer && !setup.includes(p));
+
+  const withRole = (role) => (pitcher) => ({ ...pitcher, role });
+  return [
+    ...(closer ? [withRole("closer")(closer)] : []),
+    ...setup.map(withRole("setup")),
+    ...middle.map(withRole("middle")),
+    ...long.filter(p => p !== closer).map(withRole("long")),
+    ...swingmen.filter(p => p !== closer).map(withRole("swingman"))
+  ];
+};
+
+export const describeRole = (pitcher) => BULLPEN_ROLES[pitcher.role] || '';
+
+// Roles to call on first by game situation. margin is the fielding team's
+// lead; the closer is saved for the ninth or later with a lead of three or
+// less (or a tie), setup men for close late innings, long men for early exits.
+const rolePreference = ({ inning, margin }) => {
+  if (inning >= 9 && margin >= 0 && margin <= 3) return ["closer", "setup", "middle"];
+  if (inning >= 7 && Math.abs(margin) <= 3) return ["setup", "middle", "long"];
+  if (inning <= 5) return ["long", "swingman", "middle"];
+  return ["middle", "long", "swingman", "setup"];
+};
+
+// The reliever to bring in: the first in the bullpen whose role suits the
+// situation, otherwise the first who is not the closer, otherwise anyone left.
+// Padded replacement arms only pitch once every real reliever has been used.
+// Bullpens without roles are used in listed order.
+export const chooseReliever = (bullpen, situation) => {
+  const real = bullpen.filter(p => !p.placeholder);
+  const arms = real.length ? real : bullpen;
+  for (const role of rolePreference(situation)) {
+    const reliever = arms.find(p => p.role === role);
+    if (reliever) return reliever;
+  }
+  return arms.find(p => p.role !== "closer") || arms[0];
+};
+
+// Whether to go to the closer to start an inning: a save situation in the
+// ninth or later and they have not pitched yet
+export const closerSituation = (bullpen, { inning, margin }) =>
+  inning >= 9 && margin > 0 && margin <= 3 && bullpen.some(p => p.role === "closer");
+
+// Long men and swingmen last like spot starters; everyone else is a short reliever
+export const staminaRole = (pitcher) =>
+  (pitcher.role === "long" || pitcher.role === "swingman" ? "long" : "reliever");
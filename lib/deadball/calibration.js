@@ -0,0 +1,206 @@
+import { calcBT, calcOBT, calcPD, cleanName } from './ratings.js';
+import { DEFAULT_RULES, leagueFactors, adjustStatLine } from './rules.js';
+import { LINEUP_POSITIONS } from './positions.js';
+import { processBatters, processPitchers } from './roster.js';
+import { rollPlateAppearance, simulateGame } from './game.js';
+import { createRandom, newSeed } from './random.js';
+import { csvRow } from './export.js';
+
+// Calibration: play each generated card against league-average opposition
+// and compare what it produces with the stat line it was made from, to show
+// where the conversion rules are off.
+
+// Largest gap between simulated and real before a stat is flagged
+export const CALIBRATION_THRESHOLDS = { BA: 0.025, OBP: 0.025, SLG: 0.040, ERA: 0.75 };
+
+export const CALIBRATION_DEFAULTS = { plateAppearances: 2000, games: 100 };
+
+// The run environment the cards play in: the rule set's baseline when rates
+// were rescaled to it, otherwise the league averages where they are known
+const environment = (rules, league) => {
+  if (rules.relativeToLeague || !league) return rules.baseline;
+  return Object.fromEntries(Object.entries(rules.baseline).map(([stat, value]) => {
+    const leagueValue = parseFloat(league[stat]);
+    return [stat, leagueValue > 0 ? leagueValue : value];
+  }));
+};
+
+// Trait-free cards rated from the environment's averages
+const averageBatter = (env, rules, position) => ({
+  name: `Average ${position}`,
+  position,
+  handedness: 'R',
+  bt: calcBT(env.BA, rules),
+  obt: calcOBT(env.OBP, rules),
+  traits: ''
+});
+
+const averagePitcher = (env, rules) => ({
+  name: 'Average Pitcher',
+  handedness: 'R',
+  pd: calcPD(env.ERA, rules),
+  bt: 0,
+  obt: 0,
+  traits: ''
+});
+
+const averageLineup = (env, rules) =>
+  [...LINEUP_POSITIONS, "DH"].map(position => averageBatter(env, rules, position));
+
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : 0);
+
+// Slash line from plate appearances against the average pitcher
+const simulateBatter = (card, pitcher, count, random) => {
+  let ab = 0;
+  let hits = 0;
+  let bases = 0;
+  let walks = 0;
+  for (let i = 0; i < count; i++) {
+    const play = rollPlateAppearance(card, pitcher, { random });
+    if (play.type === "walk") {
+      walks++;
+      continue;
+    }
+    ab++;
+    if (play.type === "hit") {
+      hits++;
+      bases += play.bases;
+    }
+  }
+  return { BA: ratio(hits, ab), OBP: ratio(hits + walks, count), SLG: ratio(bases, ab) };
+};
+
+// ERA over full games against an average lineup, never tiring or relieved
+const simulatePitcher = (card, env, rules, games, random) => {
+  const lineup = averageLineup(env, rules);
+  const staff = { positionPlayers: lineup, lineupSize: lineup.length, startingPitchers: [card], reliefPitchers: [] };
+  const opponents = { positionPlayers: lineup, lineupSize: lineup.length, startingPitchers: [averagePitcher(env, rules)], reliefPitchers: [] };
+
+  let outs = 0;
+  let earnedRuns = 0;
+  for (let i = 0; i < games; i++) {
+    const game = simulateGame(staff, opponents, { random, seed: 0, fatigue: false });
+    outs += game.away.pitching[0].outs;
+    earnedRuns += game.away.pitching[0].ER;
+  }
+  return { ERA: ratio(earnedRuns * 27, outs) };
+};
+
+const compare = (real, simulated, thresholds) => {
+  const deviation = {};
+  const flagged = [];
+  for (const stat of Object.keys(simulated)) {
+    if (real[stat] === null) continue;
+    deviation[stat] = simulated[stat] - real[stat];
+    if (Math.abs(deviation[stat]) > thresholds[stat]) flagged.push(stat);
+  }
+  return { deviation, flagged };
+};
+
+const realValue = (row, column) => {
+  const value = parseFloat(row[column]);
+  return isNaN(value) ? null : value;
+};
+
+// Source rows by cleaned player name, rescaled like the cards were
+const rowsByName = (rows, factors) => {
+  const index = new Map();
+  for (const row of rows) {
+    const name = cleanName(row.Player || '');
+    if (name && !index.has(name)) index.set(name, adjustStatLine(row, factors));
+  }
+  return index;
+};
+
+// Simulated BA/OBP/SLG for every batter card and ERA for every pitcher card
+// next to the real values. options: rules, league, seed, plateAppearances
+// per batter, games per pitcher and thresholds (merged with the defaults).
+export const calibrateCards = (battingRows, pitchingRows, options = {}) => {
+  const rules = options.rules || DEFAULT_RULES;
+  const league = options.league;
+  const seed = options.seed ?? newSeed();
+  const random = createRandom(seed);
+  const plateAppearances = options.plateAppearances || CALIBRATION_DEFAULTS.plateAppearances;
+  const games = options.games || CALIBRATION_DEFAULTS.games;
+  const thresholds = { ...CALIBRATION_THRESHOLDS, ...options.thresholds };
+
+  const env = environment(rules, league);
+  const factors = leagueFactors(rules, league);
+  const pitcher = averagePitcher(env, rules);
+
+  const battingSource = rowsByName(battingRows, factors);
+  const batters = processBatters(battingRows, { rules, league }).map(card => {
+    const row = battingSource.get(card.name) || {};
+    const real = { BA: realValue(row, 'BA'), OBP: realValue(row, 'OBP'), SLG: realValue(row, 'SLG') };
+    const simulated = simulateBatter(card, pitcher, plateAppearances, random);
+    return { name: card.name, position: card.position, bt: card.bt, obt: card.obt, traits: card.traits, real, simulated, ...compare(real, simulated, thresholds) };
+  });
+
+  const pitchingSource = rowsByName(pitchingRows, factors);
+  const pitchers = processPitchers(pitchingRows, { rules, league, battingRows, random: createRandom(seed) }).map(card => {
+    const row = pitchingSource.get(card.name) || {};
+    const real = { ERA: realValue(row, 'ERA') };
+    const simulated = simulatePitcher(card, env, rules, games, random);
+    return { name: card.name, pd: card.pd, traits: card.traits, real, simulated, ...compare(real, simulated, thresholds) };
+  });
+
+  // Average gap per stat across all cards, positive when cards run hot
+  const meanDeviation = (players, stat) => {
+    const gaps = players.filter(p => p.deviation[stat] !== undefined).map(p => p.deviation[stat]);
+    return gaps.length ? gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length : null;
+  };
+
+  return {
+    seed,
+    plateAppearances,
+    games,
+    thresholds,
+    opposition: { pitcher: pitcher.pd, batter: { bt: calcBT(env.BA, rules), obt: calcOBT(env.OBP, rules) } },
+    batters,
+    pitchers,
+    summary: {
+      BA: meanDeviation(batters, 'BA'),
+      OBP: meanDeviation(batters, 'OBP'),
+      SLG: meanDeviation(batters, 'SLG'),
+      ERA: meanDeviation(pitchers, 'ERA'),
+      flagged: [...batters, ...pitchers].filter(p => p.flagged.length > 0).length
+    }
+  };
+};
+
+const rate = (value) => (value === null || value === undefined ? '' : value.toFixed(3).replace(/^(-?)0/, '$1'));
+const era = (value) => (value === null || value === undefined ? '' : value.toFixed(2));
+const signed = (format) => (value) => (value > 0 ? '+' : '') + format(value);
+
+// Both tables with real, simulated and the gap per stat; Flag lists the
+// stats past their threshold
+export const formatCalibrationCSV = (report) => {
+  const lines = [
+    csvRow(['Calibration Report']),
+    csvRow([`Seed: ${report.seed}`]),
+    csvRow([`Opposition: ${report.opposition.pitcher} pitcher, BT ${report.opposition.batter.bt} / OBT ${report.opposition.batter.obt} batters`])
+  ];
+
+  const batting = ['BA', 'OBP', 'SLG'];
+  lines.push('', csvRow(['BATTERS']));
+  lines.push(csvRow(['Player', 'POS', 'BT', 'OBT', 'Traits', ...batting.flatMap(s => [s, `Sim ${s}`, `Δ ${s}`]), 'Flag']));
+  for (const b of report.batters) {
+    lines.push(csvRow([
+      b.name, b.position, b.bt, b.obt, b.traits,
+      ...batting.flatMap(s => [rate(b.real[s]), rate(b.simulated[s]), b.deviation[s] === undefined ? '' : signed(rate)(b.deviation[s])]),
+      b.flagged.join(' ')
+    ]));
+  }
+
+  lines.push('', csvRow(['PITCHERS']));
+  lines.push(csvRow(['Player', 'P.D.', 'Traits', 'ERA', 'Sim ERA', 'Δ ERA', 'Flag']));
+  for (const p of report.pitchers) {
+    lines.push(csvRow([
+      p.name, p.pd, p.traits, era(p.real.ERA), era(p.simulated.ERA),
+      p.deviation.ERA === undefined ? '' : signed(era)(p.deviation.ERA),
+      p.flagged.join(' ')
+    ]));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+};
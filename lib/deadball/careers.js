@@ -0,0 +1,216 @@
+import { seasonOf, inningsPitched } from './league.js';
+import { playerIdentity } from './validate.js';
+import { positionsFromRow } from './positions.js';
+
+// Multi-season uploads: the same players over several seasons, turned into one
+// stat line per player before cards are made. Each player can be carded from
+// one season, their best run of consecutive seasons or their whole career, and
+// the line carries a Seasons label ("1927", "1926–28") for the sheet.
+
+export const CAREER_MODES = {
+  best: 'Best season',
+  peak: 'Peak years',
+  career: 'Career'
+};
+
+export const DEFAULT_CAREER_OPTIONS = { mode: 'best', window: 3, from: '', to: '', picks: {} };
+
+// Rate columns are averaged weighted by playing time; every other numeric
+// column becomes a per-season average so trait thresholds still apply
+const BATTING_RATE = /^(BA|AVG|OBP|SLG|OPS|Fld%)($|[ _])/;
+const PITCHING_RATE = /^(ERA|WHIP|FIP)($|[ _])/;
+
+// Columns that describe the player rather than count anything
+const IDENTITY_COLUMNS = ['Player', 'Name', 'playerID', 'Tm', 'Lg', 'Pos', 'Bats', 'Throws', 'Year', 'yearID', 'Season'];
+
+const num = (value) => parseFloat(value);
+
+const isNumeric = (value) => value !== undefined && value !== '' && !isNaN(Number(value));
+
+// Multi-season uploads have more than one season column value
+export const uploadSeasons = (rows) =>
+  [...new Set((rows || []).map(seasonOf).filter(Boolean))].sort();
+
+export const isMultiSeason = (rows) => uploadSeasons(rows).length > 1;
+
+const battingTime = (row) => num(row.PA) || num(row.AB) || num(row.G) || 0;
+const pitchingTime = (row) => inningsPitched(row.IP);
+
+// Average of a stat across the file, weighted by playing time: the yardstick
+// season values are measured against when there is no WAR
+const fileAverage = (rows, stat, weight) => {
+  let total = 0;
+  let weights = 0;
+  for (const row of rows) {
+    if (!isNumeric(row[stat])) continue;
+    total += num(row[stat]) * weight(row);
+    weights += weight(row);
+  }
+  return weights > 0 ? total / weights : 0;
+};
+
+// What a season is worth for picking the best ones: WAR when the upload has
+// it, otherwise on-base plus slugging (or runs saved by ERA) above the file
+// average, scaled by playing time
+const valueFunction = (rows, kind) => {
+  if (rows.some(row => isNumeric(row.WAR))) {
+    return (row) => num(row.WAR) || 0;
+  }
+  if (kind === 'batting') {
+    const ops = fileAverage(rows, 'OBP', battingTime) + fileAverage(rows, 'SLG', battingTime);
+    return (row) => battingTime(row) * ((num(row.OBP) || 0) + (num(row.SLG) || 0) - ops);
+  }
+  const era = fileAverage(rows, 'ERA', pitchingTime);
+  return (row) => pitchingTime(row) * (era - (num(row.ERA) || era)) / 9;
+};
+
+// "1927", "1926–28", "1901–1915"
+const seasonsLabel = (seasons) => {
+  const first = seasons[0];
+  const last = seasons[seasons.length - 1];
+  if (first === last) return first;
+  return first.slice(0, 2) === last.slice(0, 2) ? `${first}–${last.slice(2)}` : `${first}–${last}`;
+};
+
+// Innings back to box-score notation
+const formatInnings = (innings) => {
+  const outs = Math.round(innings * 3);
+  return `${Math.floor(outs / 3)}.${outs % 3}`;
+};
+
+// One stat line from several seasons of the same player
+const combineRows = (rows, kind) => {
+  if (rows.length === 1) return { ...rows[0], Seasons: seasonOf(rows[0]) || '' };
+
+  const time = kind === 'batting' ? battingTime : pitchingTime;
+  const isRate = (column) => (kind === 'batting' ? BATTING_RATE : PITCHING_RATE).test(column);
+  const main = rows.reduce((best, row) => (time(row) > time(best) ? row : best));
+  const combined = { ...main };
+
+  const columns = new Set(rows.flatMap(row => Object.keys(row)));
+  for (const column of columns) {
+    if (IDENTITY_COLUMNS.includes(column)) continue;
+    const values = rows.filter(row => isNumeric(row[column]));
+    if (values.length === 0) continue;
+
+    if (isRate(column)) {
+      const weights = values.reduce((sum, row) => sum + time(row), 0);
+      const total = values.reduce((sum, row) => sum + num(row[column]) * time(row), 0);
+      const rate = (weights > 0 ? total / weights : num(values[0][column])).toFixed(column === 'ERA' ? 2 : 3);
+      // Keep the upload's style: ".312" rather than "0.312"
+      combined[column] = String(values[0][column]).startsWith('.') ? rate.replace(/^0\./, '.') : rate;
+    } else if (column === 'IP') {
+      combined.IP = formatInnings(values.reduce((sum, row) => sum + inningsPitched(row.IP), 0) / rows.length);
+    } else {
+      const average = values.reduce((sum, row) => sum + num(row[column]), 0) / rows.length;
+      combined[column] = column === 'WAR' ? average.toFixed(1) : String(Math.round(average));
+    }
+  }
+
+  // Every position played, the main season's first
+  if (kind === 'batting') {
+    combined.Pos = [...new Set([...positionsFromRow(main), ...rows.flatMap(positionsFromRow)])].join(',');
+  }
+
+  combined.Seasons = seasonsLabel(rows.map(seasonOf).filter(Boolean).sort());
+  return combined;
+};
+
+// The seasons to card a player from under options, as rows
+const chooseSeasons = (rows, value, { mode, window, pick }) => {
+  const sorted = [...rows].sort((a, b) => String(seasonOf(a)).localeCompare(String(seasonOf(b))));
+  if (pick) {
+    const picked = sorted.filter(row => seasonOf(row) === String(pick));
+    if (picked.length) return picked;
+  }
+  if (mode === 'career') return sorted;
+  if (mode === 'best') {
+    return [sorted.reduce((best, row) => (value(row) > value(best) ? row : best))];
+  }
+
+  // Peak: the run of window consecutive years worth the most
+  const size = Math.max(1, parseInt(window) || 1);
+  let best = null;
+  let bestValue = -Infinity;
+  for (const start of sorted) {
+    const first = parseInt(seasonOf(start));
+    const run = sorted.filter(row => {
+      const year = parseInt(seasonOf(row));
+      return year >= first && year < first + size;
+    });
+    const total = run.reduce((sum, row) => sum + value(row), 0);
+    if (total > bestValue) {
+      best = run;
+      bestValue = total;
+    }
+  }
+  return best;
+};
+
+const inRange = (row, { from, to }) => {
+  const year = parseInt(seasonOf(row));
+  if (isNaN(year)) return true;
+  return (!from || year >= parseInt(from)) && (!to || year <= parseInt(to));
+};
+
+const groupByPlayer = (rows) => {
+  const players = new Map();
+  for (const row of rows) {
+    const key = playerIdentity(row);
+    if (!players.has(key)) players.set(key, []);
+    players.get(key).push(row);
+  }
+  return players;
+};
+
+// Every player in a multi-season upload with the seasons they have, for picking
+// one by hand: [{ key, name, seasons }]
+export const playerSeasonList = (rows) =>
+  [...groupByPlayer(rows || []).entries()]
+    .map(([key, seasons]) => ({ key, name: seasons[0].Player, seasons: seasons.map(seasonOf).filter(Boolean).sort() }))
+    .filter(player => player.seasons.length > 1)
+    .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+
+// One row per player from multi-season batting and pitching rows.
+// options: mode (a CAREER_MODES key), window (years in a peak), from/to
+// (season range, e.g. a decade) and picks ({ [player key]: season } to use
+// one season for a player whatever the mode). Pitchers' batting lines cover
+// the same seasons as their pitching.
+export const combineSeasons = (battingRows, pitchingRows, options = {}) => {
+  const settings = { ...DEFAULT_CAREER_OPTIONS, ...options };
+  settings.mode = settings.mode || DEFAULT_CAREER_OPTIONS.mode;
+  settings.window = parseInt(settings.window) || DEFAULT_CAREER_OPTIONS.window;
+  settings.picks = settings.picks || {};
+  if (!Object.hasOwn(CAREER_MODES, settings.mode)) throw new Error(`Unknown career mode "${settings.mode}".`);
+
+  const select = (rows, kind, seasonsFor = () => null) => {
+    const eligible = rows.filter(row => inRange(row, settings));
+    const value = valueFunction(eligible, kind);
+    const chosen = new Map();
+    for (const [key, seasons] of groupByPlayer(eligible)) {
+      const years = seasonsFor(key);
+      const picked = years
+        ? seasons.filter(row => years.includes(seasonOf(row)))
+        : chooseSeasons(seasons, value, { ...settings, pick: settings.picks[key] });
+      if (picked.length) chosen.set(key, picked);
+    }
+    return chosen;
+  };
+
+  const pitching = select(pitchingRows, 'pitching');
+  const pitcherYears = (key) => (pitching.has(key) ? pitching.get(key).map(seasonOf) : null);
+
+  // Players who only pitched bat in their pitching seasons
+  const onlyPitched = (rows) => rows.every(row => {
+    const positions = positionsFromRow(row);
+    return positions.length > 0 && positions.every(p => p === "P");
+  });
+  const battingGroups = groupByPlayer(battingRows.filter(row => inRange(row, settings)));
+  const batting = select(battingRows, 'batting', (key) =>
+    (battingGroups.has(key) && onlyPitched(battingGroups.get(key)) ? pitcherYears(key) : null));
+
+  return {
+    batting: [...batting.values()].map(rows => combineRows(rows, 'batting')),
+    pitching: [...pitching.values()].map(rows => combineRows(rows, 'pitching'))
+  };
+};
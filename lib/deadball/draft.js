@@ -0,0 +1,284 @@
+import {
+  completeRosterShape,
+  lineupSlots,
+  processBatters,
+  processPitchers,
+  isStarter,
+  batterValue,
+  assembleRoster
+} from './roster.js';
+import { canPlay } from './positions.js';
+import { PITCH_DICE } from './game.js';
+import { createRandom } from './random.js';
+import { isMultiSeason, combineSeasons } from './careers.js';
+
+// Draft room: several teams take turns picking cards from one shared pool,
+// in snake order or by auction, and each team's picks become a roster sheet.
+// Every function returns a new draft object so the UI can store it as-is.
+
+export const DRAFT_TYPES = {
+  snake: 'Snake',
+  auction: 'Auction'
+};
+
+export const DEFAULT_AUCTION_BUDGET = 260;
+export const MIN_BID = 1;
+
+// Cards for every player in a set of team files, [{ team, batting, pitching }].
+// Each card gets an id, the team it came from and its kind (batter, starter
+// or reliever); multi-season files give one card per player, from their
+// best season. options are the rules, league and seed buildRoster takes.
+export const draftPool = (sources, options = {}) => {
+  const random = createRandom(options.seed ?? 0);
+  const pool = [];
+
+  sources.forEach((source, s) => {
+    const batting = source.batting || [];
+    const pitching = source.pitching || [];
+    const stats = isMultiSeason(batting) || isMultiSeason(pitching)
+      ? combineSeasons(batting, pitching)
+      : { batting, pitching };
+
+    processBatters(stats.batting, options).forEach((card, i) => {
+      pool.push({ ...card, id: `${s}-b${i}`, team: source.team, kind: 'batter' });
+    });
+    processPitchers(stats.pitching, { ...options, battingRows: stats.batting, random }).forEach((card, i) => {
+      pool.push({ ...card, id: `${s}-p${i}`, team: source.team, kind: isStarter(card) ? 'starter' : 'reliever' });
+    });
+  });
+
+  return pool;
+};
+
+// options: pool (from draftPool), teamNames, type (a DRAFT_TYPES key), shape
+// (a partial DEFAULT_ROSTER_SHAPE every team drafts to), budget for auctions
+// and the seed the pool was converted with
+export const createDraft = ({ pool, teamNames, type = 'snake', shape, budget = DEFAULT_AUCTION_BUDGET, seed }) => {
+  if (!Object.hasOwn(DRAFT_TYPES, type)) throw new Error(`Unknown draft type "${type}".`);
+  if (!teamNames || teamNames.length < 2) throw new Error("A draft needs at least two teams.");
+  if (!pool || pool.length === 0) throw new Error("The player pool is empty.");
+
+  return {
+    type,
+    shape: completeRosterShape(shape),
+    budget: type === 'auction' ? Math.max(MIN_BID, parseInt(budget) || DEFAULT_AUCTION_BUDGET) : null,
+    teams: teamNames.map((name, i) => ({ name: String(name || '').trim() || `Team ${i + 1}` })),
+    pool,
+    picks: [],
+    seed
+  };
+};
+
+// Cards each team drafts: a full lineup and bench, and a full staff
+export const draftLimits = (shape) => ({
+  batters: lineupSlots(shape).length + shape.benchSize,
+  pitchers: shape.rotationSize + shape.bullpenSize
+});
+
+const isPitcher = (player) => player.kind !== 'batter';
+
+export const draftedBy = (draft, team) => {
+  const players = new Map(draft.pool.map(p => [p.id, p]));
+  return draft.picks.filter(pick => pick.team === team && pick.playerId).map(pick => players.get(pick.playerId));
+};
+
+export const availablePlayers = (draft) => {
+  const taken = new Set(draft.picks.map(pick => pick.playerId));
+  return draft.pool.filter(p => !taken.has(p.id));
+};
+
+// Batters and pitchers a team still has to draft
+export const teamNeeds = (draft, team) => {
+  const limits = draftLimits(draft.shape);
+  const players = draftedBy(draft, team);
+  const pitchers = players.filter(isPitcher).length;
+  return { batters: limits.batters - (players.length - pitchers), pitchers: limits.pitchers - pitchers };
+};
+
+export const isTeamFull = (draft, team) => {
+  const needs = teamNeeds(draft, team);
+  return needs.batters <= 0 && needs.pitchers <= 0;
+};
+
+export const amountSpent = (draft, team) =>
+  draft.picks.filter(pick => pick.team === team).reduce((sum, pick) => sum + (pick.price || 0), 0);
+
+// The most a team can bid and still afford the minimum for its other places
+export const maxBid = (draft, team) => {
+  const needs = teamNeeds(draft, team);
+  const places = Math.max(0, needs.batters) + Math.max(0, needs.pitchers);
+  return draft.budget - amountSpent(draft, team) - MIN_BID * Math.max(0, places - 1);
+};
+
+// Defensive slots a team has to be able to cover: the lineup's (anyone can
+// DH) and a second catcher when the shape keeps one on the bench
+const requiredSlots = (shape) => [
+  ...lineupSlots(shape).filter(slot => slot !== "DH"),
+  ...(shape.backupCatcher ? ["C"] : [])
+];
+
+// How many slots the players can cover at once, each player in one slot
+const coveredSlots = (slots, players) => {
+  const owner = players.map(() => -1);
+  const assign = (slot, seen) => {
+    for (let p = 0; p < players.length; p++) {
+      if (seen.has(p) || !canPlay(players[p], slots[slot])) continue;
+      seen.add(p);
+      if (owner[p] === -1 || assign(owner[p], seen)) {
+        owner[p] = slot;
+        return true;
+      }
+    }
+    return false;
+  };
+
+  let covered = 0;
+  for (let slot = 0; slot < slots.length; slot++) {
+    if (assign(slot, new Set())) covered++;
+  }
+  return covered;
+};
+
+// Checks players against a team's places, for testing a whole pool at once:
+// returns a function giving why the team can't take a player, or null when
+// it can. A team may not go over its batter or pitcher places, must keep
+// enough batter places to fill every position the pool still can, and takes
+// relievers only into bullpen places while starters are left for the rotation.
+export const pickChecker = (draft, team) => {
+  const needs = teamNeeds(draft, team);
+  const players = draftedBy(draft, team);
+  const available = availablePlayers(draft);
+  const taken = new Set(draft.picks.map(pick => pick.playerId));
+
+  const slots = requiredSlots(draft.shape);
+  const batters = players.filter(p => !isPitcher(p));
+  const reachable = coveredSlots(slots, [...batters, ...available.filter(p => !isPitcher(p))]);
+  const bullpenFull = players.filter(p => p.kind === 'reliever').length >= draft.shape.bullpenSize &&
+    available.some(p => p.kind === 'starter');
+
+  return (player) => {
+    if (!player) return "Player not found.";
+    if (taken.has(player.id)) return `${player.name} has already been drafted.`;
+
+    if (isPitcher(player)) {
+      if (needs.pitchers <= 0) return "Pitching staff is full.";
+      if (player.kind === 'reliever' && bullpenFull) return "Bullpen is full; the remaining places are for starters.";
+      return null;
+    }
+
+    if (needs.batters <= 0) return "No batter places left.";
+    const uncovered = reachable - coveredSlots(slots, [...batters, player]);
+    if (uncovered > needs.batters - 1) {
+      return `Keep a place for every position: ${uncovered} still to fill with ${needs.batters - 1} places left.`;
+    }
+    return null;
+  };
+};
+
+export const pickProblem = (draft, team, player) => pickChecker(draft, team)(player);
+
+// Team to pick (snake) or nominate (auction) next. Snake order reverses each
+// round; auction nominations go round the teams that still have places.
+export const teamOnTheClock = (draft) => {
+  const count = draft.teams.length;
+  const turn = draft.picks.length;
+  if (draft.type === 'snake') {
+    const round = Math.floor(turn / count);
+    const slot = turn % count;
+    return round % 2 ? count - 1 - slot : slot;
+  }
+  for (let i = 0; i < count; i++) {
+    const team = (turn + i) % count;
+    if (!isTeamFull(draft, team)) return team;
+  }
+  return turn % count;
+};
+
+const canStillPick = (draft, team, available) => {
+  if (isTeamFull(draft, team)) return false;
+  const problem = pickChecker(draft, team);
+  return available.some(p => !problem(p));
+};
+
+export const isDraftComplete = (draft) => {
+  const available = availablePlayers(draft);
+  return draft.teams.every((_, team) => !canStillPick(draft, team, available));
+};
+
+// Draft a player. Snake drafts pick for the team on the clock; auctions give
+// the player to options.team for options.price.
+export const makePick = (draft, playerId, { team, price } = {}) => {
+  const player = draft.pool.find(p => p.id === playerId);
+  const picker = draft.type === 'snake' ? teamOnTheClock(draft) : team;
+  if (draft.teams[picker] === undefined) throw new Error("Choose the team that won the player.");
+
+  const problem = pickProblem(draft, picker, player);
+  if (problem) throw new Error(problem);
+
+  const pick = { team: picker, playerId };
+  if (draft.type === 'auction') {
+    const bid = parseInt(price);
+    const most = maxBid(draft, picker);
+    if (!(bid >= MIN_BID)) throw new Error(`Bids start at ${MIN_BID}.`);
+    if (bid > most) throw new Error(`${draft.teams[picker].name} can bid at most ${most}.`);
+    pick.price = bid;
+  }
+  return { ...draft, picks: [...draft.picks, pick] };
+};
+
+// Skip the team on the clock when nobody left fits its places
+export const passTurn = (draft) => ({
+  ...draft,
+  picks: [...draft.picks, { team: teamOnTheClock(draft), playerId: null }]
+});
+
+export const undoPick = (draft) => ({ ...draft, picks: draft.picks.slice(0, -1) });
+
+// One roster per team from its picks, laid out as buildRoster would with the
+// draft's shape. options: battingOrder, rules and league as for buildRoster.
+export const draftRosters = (draft, options = {}) =>
+  draft.teams.map((team, index) => {
+    const players = draftedBy(draft, index);
+    const batters = players.filter(p => !isPitcher(p)).sort((a, b) => batterValue(b) - batterValue(a));
+    const pitchers = players.filter(isPitcher);
+    return {
+      teamName: team.name,
+      roster: assembleRoster(batters, pitchers, { ...options, shape: draft.shape, seed: draft.seed })
+    };
+  });
+
+// Sort keys for pool views
+const pitchDieRank = (player) => (player.pd ? PITCH_DICE.length - PITCH_DICE.indexOf(player.pd) : -1);
+
+export const POOL_SORTS = {
+  value: { label: 'Value', value: p => (isPitcher(p) ? pitchDieRank(p) * 100 + (p.ip || 0) / 10 : batterValue(p)) },
+  name: { label: 'Name', value: p => p.name },
+  team: { label: 'Team', value: p => p.team || '' },
+  position: { label: 'Position', value: p => (isPitcher(p) ? p.kind : p.position) },
+  bt: { label: 'BT', value: p => p.bt },
+  obt: { label: 'OBT', value: p => p.obt },
+  pd: { label: 'P.D.', value: pitchDieRank },
+  traits: { label: 'Traits', value: p => (p.traits || '').split(' ').filter(Boolean).length }
+};
+
+// Players matching a pool view's filters: kind (batter, pitcher, starter,
+// reliever), position (any a batter can play), trait and a name search
+export const filterPool = (players, { kind = '', position = '', trait = '', search = '' } = {}) => {
+  const query = search.trim().toLowerCase();
+  return players.filter(p =>
+    (!kind || p.kind === kind || (kind === 'pitcher' && isPitcher(p))) &&
+    (!position || (!isPitcher(p) && canPlay(p, position))) &&
+    (!trait || (p.traits || '').split(' ').includes(trait)) &&
+    (!query || p.name.toLowerCase().includes(query) || String(p.team || '').toLowerCase().includes(query))
+  );
+};
+
+export const sortPool = (players, sort = 'value', descending = true) => {
+  const value = (Object.hasOwn(POOL_SORTS, sort) ? POOL_SORTS[sort] : POOL_SORTS.value).value;
+  return [...players].sort((a, b) => {
+    const x = value(a);
+    const y = value(b);
+    const order = typeof x === 'string' ? x.localeCompare(y) : x - y;
+    return descending ? -order : order;
+  });
+};
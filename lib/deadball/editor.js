@@ -0,0 +1,107 @@
+import { getLineup, getBench } from './roster.js';
+import { orderLineup } from './battingOrder.js';
+import { platoonLineups } from './platoon.js';
+
+// Roster sheet sections and which kind of card each one holds. Cards only move
+// between sections of the same kind.
+export const ROSTER_SECTIONS = {
+  lineup: 'batters',
+  bench: 'batters',
+  startingPitchers: 'pitchers',
+  reliefPitchers: 'pitchers'
+};
+
+export const getSections = (roster) => ({
+  lineup: getLineup(roster),
+  bench: getBench(roster),
+  startingPitchers: roster.startingPitchers,
+  reliefPitchers: roster.reliefPitchers
+});
+
+// Platoon lineups are rebuilt from the edited lineup and bench so they never go stale
+const withSections = (roster, sections) => ({
+  ...roster,
+  positionPlayers: [...sections.lineup, ...sections.bench],
+  lineupSize: sections.lineup.length,
+  startingPitchers: sections.startingPitchers,
+  reliefPitchers: sections.reliefPitchers,
+  ...(roster.platoon && {
+    platoon: {
+      ...roster.platoon,
+      ...platoonLineups(sections.lineup, sections.bench, roster.platoon.battingOrder)
+    }
+  })
+});
+
+export const canMove = (fromSection, toSection) =>
+  ROSTER_SECTIONS[fromSection] === ROSTER_SECTIONS[toSection];
+
+// Move a card from { section, index } to { section, index }; a missing target
+// index appends to the end of the section
+export const movePlayer = (roster, from, to) => {
+  if (!canMove(from.section, to.section)) return roster;
+
+  const sections = getSections(roster);
+  const source = [...sections[from.section]];
+  const [player] = source.splice(from.index, 1);
+  if (!player) return roster;
+
+  const target = from.section === to.section ? source : [...sections[to.section]];
+  const index = to.index === undefined ? target.length : Math.min(to.index, target.length);
+  target.splice(index, 0, player);
+
+  return withSections(roster, {
+    ...sections,
+    [from.section]: source,
+    [to.section]: target
+  });
+};
+
+// Renaming a padded card makes it a real player, so it loses the placeholder flag
+const applyChanges = (player, changes) => {
+  if (changes.name === undefined || changes.name === player.name) return { ...player, ...changes };
+  const { placeholder, ...card } = player;
+  return { ...card, ...changes };
+};
+
+export const updatePlayer = (roster, { section, index }, changes) => {
+  const sections = getSections(roster);
+  return withSections(roster, {
+    ...sections,
+    [section]: sections[section].map((p, i) => (i === index ? applyChanges(p, changes) : p))
+  });
+};
+
+export const removePlayer = (roster, { section, index }) => {
+  const sections = getSections(roster);
+  return withSections(roster, {
+    ...sections,
+    [section]: sections[section].filter((p, i) => i !== index)
+  });
+};
+
+export const addPlayer = (roster, section, player) => {
+  const sections = getSections(roster);
+  return withSections(roster, {
+    ...sections,
+    [section]: [...sections[section], player]
+  });
+};
+
+// Re-run the batting order optimizer over the current lineup
+export const reorderLineup = (roster, strategy) => {
+  const sections = getSections(roster);
+  const reordered = roster.platoon ? { ...roster, platoon: { ...roster.platoon, battingOrder: strategy } } : roster;
+  return withSections(reordered, { ...sections, lineup: orderLineup(sections.lineup, strategy) });
+};
+
+// Processed cards that are not on the roster yet, matched by name
+export const unusedPlayers = (roster, batters, pitchers) => {
+  const onRoster = new Set(
+    [...roster.positionPlayers, ...roster.startingPitchers, ...roster.reliefPitchers].map(p => p.name)
+  );
+  return {
+    batters: batters.filter(p => !onRoster.has(p.name)),
+    pitchers: pitchers.filter(p => !onRoster.has(p.name))
+  };
+};
@@ -0,0 +1,177 @@
+import { getLineup, getBench, rosterWarnings } from './roster.js';
+import { describeRole } from './bullpen.js';
+
+// Text layouts shared by the in-browser downloads and the dbrg CLI
+
+export const ROSTER_JSON_FORMAT = 'dbrg-roster';
+export const ROSTER_JSON_VERSION = 1;
+
+// Page sizes offered for the PDF team sheet (rendered by pdf.js)
+export const PAGE_SIZES = {
+  letter: 'Letter (8.5 × 11 in)',
+  a4: 'A4 (210 × 297 mm)'
+};
+
+// "BA ×1.020 · OBP ×0.985 ..." for rosters built relative to league averages
+export const describeLeagueAdjustment = (leagueAdjustment) =>
+  Object.entries(leagueAdjustment)
+    .map(([stat, factor]) => `${stat} ×${factor.toFixed(3)}`)
+    .join(' · ');
+
+// Columns with their fixed TXT widths; the last column is never padded
+const ORDER_COLUMN = { label: '#', width: 2, value: (p, index) => index + 1 };
+
+// Cards from multi-season uploads carry the seasons they cover
+const NAME_COLUMN = { label: 'Player Name', width: 25, value: p => (p.seasons ? `${p.name} (${p.seasons})` : p.name) };
+
+const BATTER_COLUMNS = [
+  NAME_COLUMN,
+  { label: 'POS', width: 4, value: p => p.position },
+  { label: 'L/R', width: 3, value: p => p.handedness },
+  { label: 'BT', width: 3, value: p => p.bt },
+  { label: 'OBT', width: 3, value: p => p.obt },
+  { label: 'Traits', value: p => p.traits }
+];
+
+const PITCHER_COLUMNS = [
+  NAME_COLUMN,
+  { label: 'P.D.', width: 5, value: p => p.pd },
+  { label: 'L/R', width: 3, value: p => p.handedness },
+  { label: 'BT', width: 3, value: p => p.bt },
+  { label: 'OBT', width: 3, value: p => p.obt },
+  { label: 'Traits', value: p => p.traits }
+];
+
+const LINEUP_COLUMNS = [ORDER_COLUMN, ...BATTER_COLUMNS];
+
+const RELIEVER_COLUMNS = [
+  ...PITCHER_COLUMNS.slice(0, 1),
+  { label: 'Role', width: 8, value: describeRole },
+  ...PITCHER_COLUMNS.slice(1)
+];
+
+// Every table on the sheet, in print order
+export const exportSections = (roster) => {
+  const sections = [{ title: "LINEUP", columns: LINEUP_COLUMNS, players: getLineup(roster) }];
+
+  if (roster.platoon) {
+    sections.push({ title: "LINEUP VS RHP", columns: LINEUP_COLUMNS, players: roster.platoon.vsRHP });
+    sections.push({ title: "LINEUP VS LHP", columns: LINEUP_COLUMNS, players: roster.platoon.vsLHP });
+  }
+
+  sections.push(
+    { title: "BENCH", columns: BATTER_COLUMNS, players: getBench(roster) },
+    { title: "STARTING PITCHERS", columns: PITCHER_COLUMNS, players: roster.startingPitchers },
+    { title: "RELIEF PITCHERS", columns: RELIEVER_COLUMNS, players: roster.reliefPitchers }
+  );
+
+  return sections;
+};
+
+const headerLines = (roster, teamName, heading) => {
+  const lines = [`${teamName || 'Team'} ${heading}`];
+  if (roster.leagueAdjustment) {
+    lines.push(`League adjustment: ${describeLeagueAdjustment(roster.leagueAdjustment)}`);
+  }
+  if (roster.seed !== undefined) {
+    lines.push(`Seed: ${roster.seed}`);
+  }
+  for (const warning of rosterWarnings(roster)) {
+    lines.push(`Warning: ${warning}`);
+  }
+  return lines;
+};
+
+// RFC 4180: quote fields holding a comma, quote or line break, doubling quotes
+export const csvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const csvRow = (fields) => fields.map(csvField).join(',');
+
+export const formatRosterCSV = (roster, teamName) => {
+  const lines = headerLines(roster, teamName, 'Roster').map(line => csvRow([line]));
+
+  for (const section of exportSections(roster)) {
+    lines.push('', csvRow([section.title]));
+    lines.push(csvRow(section.columns.map(c => c.label)));
+    section.players.forEach((player, index) => {
+      lines.push(csvRow(section.columns.map(c => c.value(player, index))));
+    });
+  }
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+// Pad or cut a value to exactly width characters so columns never drift
+const fit = (value, width) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  if (width === undefined) return text;
+  return text.length > width ? text.slice(0, width - 1) + '…' : text.padEnd(width);
+};
+
+export const txtRow = (columns, values) =>
+  columns.map((c, i) => fit(values[i], c.width)).join('  ').trimEnd();
+
+export const formatRosterTXT = (roster, teamName) => {
+  const lines = headerLines(roster, teamName, 'ROSTER');
+
+  for (const section of exportSections(roster)) {
+    const { columns } = section;
+    lines.push('', section.title);
+    lines.push(txtRow(columns, columns.map(c => c.label)));
+    lines.push(txtRow(columns, columns.map(c => '-'.repeat(c.width || c.label.length))));
+    section.players.forEach((player, index) => {
+      lines.push(txtRow(columns, columns.map(c => c.value(player, index))));
+    });
+  }
+
+  return lines.join('\n') + '\n';
+};
+
+export const formatRosterJSON = (roster, teamName) =>
+  JSON.stringify({
+    format: ROSTER_JSON_FORMAT,
+    version: ROSTER_JSON_VERSION,
+    team: teamName || 'Team',
+    roster
+  }, null, 2) + "\n";
+
+const isRosterShape = (roster) =>
+  roster &&
+  Array.isArray(roster.positionPlayers) &&
+  Array.isArray(roster.startingPitchers) &&
+  Array.isArray(roster.reliefPitchers);
+
+// Read a roster written by formatRosterJSON back into { teamName, roster }
+export const parseRosterJSON = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a valid roster file: ${error.message}`);
+  }
+
+  if (!data || data.format !== ROSTER_JSON_FORMAT) {
+    throw new Error("Not a Deadball roster file.");
+  }
+  if (!(Number.isInteger(data.version) && data.version > 0)) {
+    throw new Error("Roster file has no format version.");
+  }
+  if (data.version > ROSTER_JSON_VERSION) {
+    throw new Error(`Roster file version ${data.version} is newer than this app supports (${ROSTER_JSON_VERSION}).`);
+  }
+  if (!isRosterShape(data.roster)) {
+    throw new Error("Roster file is missing lineup or pitching staff.");
+  }
+
+  return { teamName: data.team || '', roster: data.roster };
+};
+
+// Formatters by export format name
+export const ROSTER_FORMATS = {
+  csv: formatRosterCSV,
+  txt: formatRosterTXT,
+  json: formatRosterJSON
+};
@@ -0,0 +1,650 @@
+import { createRandom, newSeed } from './random.js';
+import { hasTrait } from './traits.js';
+import { getLineup } from './roster.js';
+import { OUTFIELD } from './positions.js';
+import { chooseReliever, closerSituation, staminaRole } from './bullpen.js';
+import { txtRow } from './export.js';
+
+// Deadball game simulator: plays two rosters (as built by buildRoster) against
+// each other and returns the play-by-play and box score. Every roll comes from
+// one seeded generator, so the same rosters and seed replay the same game.
+
+export const INNINGS = 9;
+
+// Safety stop for games that stay tied; they end as a tie
+export const MAX_INNINGS = 25;
+
+// Pitch dice from best to worst; fatigue moves a pitcher down this list
+export const PITCH_DICE = ["d20", "d12", "d8", "d4", "-d4", "-d8", "-d12", "-d20"];
+
+// Innings before a pitcher starts to tire; long relievers and swingmen use long
+export const STAMINA = { starter: 6, long: 4, reliever: 2 };
+
+// Hit table (d20 after trait modifiers). bases is the hit, advance how far
+// runners move when it differs, check the fielder who gets a defense roll.
+export const HIT_TABLE = [
+  { max: 2, bases: 1 },
+  { max: 3, bases: 1, check: "1B" },
+  { max: 4, bases: 1, check: "2B" },
+  { max: 5, bases: 1, check: "3B" },
+  { max: 6, bases: 1, check: "SS" },
+  { max: 9, bases: 1 },
+  { max: 14, bases: 1, advance: 2 },
+  { max: 15, bases: 2, check: "LF" },
+  { max: 16, bases: 2, check: "CF" },
+  { max: 17, bases: 2, check: "RF" },
+  { max: 18, bases: 2, advance: 3 },
+  { max: 20, bases: 4 }
+];
+
+// Scorebook numbers for the last digit of an out's swing score (0 is a foul pop)
+const FIELDER_BY_DIGIT = ["C", "P", "C", "1B", "2B", "3B", "SS", "LF", "CF", "RF"];
+const GROUND_BALL_DIGITS = [1, 3, 4, 5, 6];
+
+const HIT_NAMES = { 1: "singles", 2: "doubles", 3: "triples", 4: "homers" };
+
+const roll = (random, sides) => 1 + Math.floor(random() * sides);
+
+// "d12" adds 1-12 to the swing score, "-d8" takes 1-8 away
+export const rollPitchDie = (pd, random) => {
+  const match = /^(-?)d(\d+)$/.exec(String(pd || '').trim());
+  if (!match) return 0;
+  const value = roll(random, parseInt(match[2]));
+  return match[1] ? -value : value;
+};
+
+// A pitch die moved steps places down PITCH_DICE, never past the worst die
+export const fatigueDie = (pd, steps) => {
+  const index = PITCH_DICE.indexOf(pd);
+  if (index < 0 || steps <= 0) return pd;
+  return PITCH_DICE[Math.min(index + steps, PITCH_DICE.length - 1)];
+};
+
+// Swing score against the batter's BT and OBT
+export const swingResult = (swing, { bt, obt }) => {
+  if (swing <= 5) return "critical";
+  if (swing <= bt) return "hit";
+  if (swing <= obt) return "walk";
+  if (swing <= obt + 5) return "possibleError";
+  if (swing <= 49) return "productiveOut";
+  return "out";
+};
+
+const traitModifier = (player, modifiers) =>
+  Object.entries(modifiers).reduce((sum, [trait, value]) => sum + (hasTrait(player, trait) ? value : 0), 0);
+
+// Batter power and pitcher ground-ball tendency shift the hit table roll
+export const hitModifier = (batter, pitcher) =>
+  traitModifier(batter, { "P++": 2, "P+": 1, "P-": -1, "P--": -2 }) +
+  traitModifier(pitcher, { "GB+": -1, "GB-": 1 });
+
+// Control pitchers shrink the walk range, wild ones widen it
+const controlModifier = (pitcher) => traitModifier(pitcher, { "CN+": -2, "CN-": 2 });
+
+const defenseModifier = (fielder) => (fielder ? traitModifier(fielder, { "D+": 2, "D-": -2 }) : 0);
+
+// How many of the out digits 1-10 are strikeouts
+const strikeoutDigits = (batter, pitcher) =>
+  2 + traitModifier(pitcher, { "K+": 1, "K-": -1 }) + traitModifier(batter, { "C+": -1, "C-": 1 });
+
+// Batters with split ratings use the side the pitcher throws from
+const batterRating = (batter, pitcher) =>
+  (batter.splits && batter.splits[pitcher.handedness]) || { bt: batter.bt, obt: batter.obt };
+
+const stamina = (pitcher, role) =>
+  STAMINA[role] + traitModifier(pitcher.card, { "ST+": 2, "ST-": -1 });
+
+// Pitch die steps lost: one per inning pitched past stamina
+export const fatigueSteps = (pitcher) =>
+  Math.max(0, Math.floor(pitcher.line.outs / 3) - stamina(pitcher, pitcher.role) + 1);
+
+const describeOut = (kind, position) => {
+  if (kind === "strikeout") return "strikes out";
+  if (kind === "groundout") return `grounds out to ${position === "P" ? "the pitcher" : position}`;
+  return position === "C" ? "pops out to C" : `flies out to ${position}`;
+};
+
+// Strikeout or the fielder who makes the play, from the swing score's last digit
+const outOnPlay = (swing, batter, pitcher) => {
+  const digit = Math.abs(swing) % 10;
+  if ((digit === 0 ? 10 : digit) <= strikeoutDigits(batter, pitcher)) return { kind: "strikeout" };
+  return {
+    kind: GROUND_BALL_DIGITS.includes(digit) ? "groundout" : "flyout",
+    position: FIELDER_BY_DIGIT[digit]
+  };
+};
+
+// Roll one plate appearance: what the batter did before any runner moves.
+// pd is the pitch die in use (after fatigue) and fielderAt(position) the
+// defender's card for defense rolls, if any. Returns one of
+//   { type: "hit", bases, advance, direction, misplayed, notes }
+//   { type: "walk" }
+//   { type: "error", position, fielder }
+//   { type: "out", kind, position, productive, notes }
+// along with the swing score, the BT/OBT it was read against and the die.
+export const rollPlateAppearance = (batter, pitcher, { random, pd = pitcher.pd, fielderAt = () => undefined }) => {
+  const d = (sides) => roll(random, sides);
+  const swing = d(100) + rollPitchDie(pd, random);
+  const rating = batterRating(batter, pitcher);
+  const bt = rating.bt;
+  const obt = Math.max(bt, rating.obt + controlModifier(pitcher));
+  const base = { swing, bt, obt, pd };
+
+  let result = swingResult(swing, { bt, obt });
+  if (result === "possibleError" && hasTrait(batter, "T+")) result = "walk";
+
+  if (result === "walk") return { ...base, type: "walk" };
+
+  if (result === "critical" || result === "hit") {
+    const hitRoll = Math.min(20, Math.max(1, d(20) + hitModifier(batter, pitcher)));
+    const entry = HIT_TABLE.find(e => hitRoll <= e.max);
+    let bases = entry.bases;
+    let advance = entry.advance || entry.bases;
+    let misplayed = false;
+    const notes = [];
+
+    if (result === "critical") {
+      bases = Math.min(bases + 1, 4);
+      advance = Math.max(advance, bases);
+      notes.push("critical hit");
+    } else if (entry.check) {
+      const fielder = fielderAt(entry.check);
+      const defense = d(12) + defenseModifier(fielder);
+      const who = fielder ? `${fielder.name} (${entry.check})` : entry.check;
+      if (defense <= 2) {
+        misplayed = true;
+        bases++;
+        advance++;
+        notes.push(`${who} misplays it for an extra base`);
+      } else if (defense >= 11) {
+        bases--;
+        advance = bases;
+        notes.push(bases === 0 ? `robbed by ${who}` : `held to a ${bases === 1 ? 'single' : 'double'} by ${who}`);
+      }
+    }
+
+    if (bases === 0) {
+      const kind = OUTFIELD.includes(entry.check) ? "flyout" : "groundout";
+      return { ...base, type: "out", kind, position: entry.check, productive: false, notes };
+    }
+    const direction = entry.check && bases === entry.bases ? entry.check : null;
+    return { ...base, type: "hit", bases, advance, direction, misplayed, notes };
+  }
+
+  const out = outOnPlay(swing, batter, pitcher);
+  if (result === "possibleError" && out.kind !== "strikeout") {
+    const fielder = fielderAt(out.position);
+    if (d(12) + defenseModifier(fielder) <= 3) {
+      return { ...base, type: "error", position: out.position, fielder };
+    }
+  }
+  return { ...base, type: "out", ...out, productive: result === "productiveOut", notes: [] };
+};
+
+const ordinal = (n) => {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+};
+
+const inningsText = (outs) => `${Math.floor(outs / 3)}.${outs % 3}`;
+
+const battingLine = (card, position) => ({
+  name: card.name,
+  position,
+  PA: 0, AB: 0, R: 0, H: 0, '2B': 0, '3B': 0, HR: 0, RBI: 0, BB: 0, SO: 0, SB: 0, CS: 0
+});
+
+const pitchingLine = (card) => ({
+  name: card.name,
+  outs: 0, H: 0, R: 0, ER: 0, BB: 0, SO: 0, HR: 0, BF: 0, decision: ''
+});
+
+// Lineup slots for a game: the platoon lineup against the opposing starter's
+// hand when the roster has one, plus the pitcher's spot without a DH
+const gameLineup = (roster, opposingStarter) => {
+  const lineup = roster.platoon
+    ? roster.platoon[opposingStarter.handedness === 'L' ? 'vsLHP' : 'vsRHP']
+    : getLineup(roster);
+  const slots = lineup.map(card => ({ card }));
+  return slots.length < 9 ? [...slots, { pitcherSlot: true }] : slots;
+};
+
+const pickStarter = (roster, index) => {
+  const rotation = roster.startingPitchers.length ? roster.startingPitchers : roster.reliefPitchers;
+  return rotation[((index % rotation.length) + rotation.length) % rotation.length];
+};
+
+const teamState = (roster, name, starter) => ({
+  name,
+  roster,
+  starter,
+  runs: 0,
+  hits: 0,
+  errors: 0,
+  innings: [],
+  bullpen: roster.reliefPitchers.filter(p => p !== starter),
+  battingLines: new Map(),
+  pitchers: [],
+  pitcher: null,
+  lineup: null,
+  next: 0
+});
+
+// options: seed or random, awayName/homeName, awayStarter/homeStarter (index
+// into the rotation) and fatigue: false to keep every pitch die fresh
+export const simulateGame = (awayRoster, homeRoster, options = {}) => {
+  for (const [roster, side] of [[awayRoster, 'Away'], [homeRoster, 'Home']]) {
+    if (!roster || !roster.positionPlayers || getLineup(roster).length === 0) {
+      throw new Error(`${side} team has no lineup.`);
+    }
+    if (roster.startingPitchers.length + roster.reliefPitchers.length === 0) {
+      throw new Error(`${side} team has no pitchers.`);
+    }
+  }
+
+  const seed = options.seed ?? newSeed();
+  const random = options.random || createRandom(seed);
+  const d = (sides) => roll(random, sides);
+
+  const away = teamState(awayRoster, options.awayName || 'Away', pickStarter(awayRoster, options.awayStarter || 0));
+  const home = teamState(homeRoster, options.homeName || 'Home', pickStarter(homeRoster, options.homeStarter || 0));
+  away.lineup = gameLineup(awayRoster, home.starter);
+  home.lineup = gameLineup(homeRoster, away.starter);
+
+  const plays = [];
+  let inning = 1;
+  let half = 'top';
+  let state = null;
+  let lead = 0;
+  let decision = null;
+
+  const lineFor = (team, card, position) => {
+    if (!team.battingLines.has(card)) team.battingLines.set(card, battingLine(card, position));
+    return team.battingLines.get(card);
+  };
+
+  const bringIn = (team, card, role) => {
+    const line = pitchingLine(card);
+    line.enteredLead = team === home ? home.runs - away.runs : away.runs - home.runs;
+    team.pitchers.push(line);
+    team.pitcher = { card, line, role, runsThisInning: 0 };
+  };
+
+  bringIn(away, away.starter, 'starter');
+  bringIn(home, home.starter, 'starter');
+
+  const log = (batter, pitcher, text) => {
+    plays.push({
+      inning,
+      half,
+      batter: batter ? batter.name : null,
+      pitcher: pitcher.name,
+      text,
+      outs: state.outs,
+      score: { away: away.runs, home: home.runs }
+    });
+  };
+
+  const batting = () => (half === 'top' ? away : home);
+  const fielding = () => (half === 'top' ? home : away);
+
+  const walkOff = () => half === 'bottom' && inning >= INNINGS && home.runs > away.runs;
+
+  // Charge the run to the pitcher who let the runner on, and note the
+  // pitchers of record whenever the scoring team takes the lead
+  const score = (runner, batterLine) => {
+    const team = batting();
+    team.runs++;
+    team.innings[team.innings.length - 1]++;
+    runner.line.R++;
+    runner.pitcher.R++;
+    if (runner.earned) runner.pitcher.ER++;
+    if (batterLine) batterLine.RBI++;
+    fielding().pitcher.runsThisInning++;
+
+    const newLead = Math.sign(away.runs - home.runs);
+    if (newLead !== 0 && newLead !== lead) {
+      decision = { winner: team.pitcher.line, loser: runner.pitcher };
+    }
+    lead = newLead;
+  };
+
+  const fielderAt = (team, position) => {
+    if (position === "P") return team.pitcher.card;
+    const cards = team.lineup.filter(slot => slot.card).map(slot => slot.card);
+    return cards.find(c => c.position === position) ||
+      (OUTFIELD.includes(position) ? cards.find(c => c.position === "OF") : undefined);
+  };
+
+  // Runners other than the batter take an extra base a third of the time,
+  // half the time with two outs; S+ always goes and S- never does
+  const takesExtraBase = (runner) => {
+    if (hasTrait(runner.card, "S-")) return false;
+    if (hasTrait(runner.card, "S+")) return true;
+    return d(6) >= (state.outs === 2 ? 4 : 5);
+  };
+
+  // Move every runner on a hit, with extra bases when they are not forced
+  const runOnHit = (bases, advance, batterLine) => {
+    for (let i = 2; i >= 0; i--) {
+      const runner = state.bases[i];
+      if (!runner) continue;
+      state.bases[i] = null;
+      let target = i + advance;
+      if (advance === bases && bases < 3 && target < 3 && takesExtraBase(runner) && !state.bases[target + 1]) {
+        target++;
+      }
+      if (target >= 3) score(runner, batterLine);
+      else state.bases[target] = runner;
+    }
+  };
+
+  // Walks and errors push forced runners up one base
+  const forceRunners = (batterRunner, batterLine) => {
+    if (state.bases[0]) {
+      if (state.bases[1]) {
+        if (state.bases[2]) score(state.bases[2], batterLine);
+        state.bases[2] = state.bases[1];
+      }
+      state.bases[1] = state.bases[0];
+    }
+    state.bases[0] = batterRunner;
+  };
+
+  // Every runner moves up one base; the runner from third scores
+  const advanceAll = (batterLine) => {
+    if (state.bases[2]) score(state.bases[2], batterLine);
+    state.bases = [null, state.bases[0], state.bases[1]];
+  };
+
+  // Returns the description of the play as a list of phrases
+  const recordOut = (out, productive, batterLine, pitcher) => {
+    const parts = [describeOut(out.kind, out.position)];
+    let atBat = true;
+
+    if (out.kind === "strikeout") {
+      batterLine.SO++;
+      pitcher.line.SO++;
+      state.outs++;
+    } else if (out.kind === "groundout" && !productive && state.bases[0] && state.outs < 2) {
+      state.bases[0] = null;
+      state.outs += 2;
+      parts[0] = `grounds into a double play (${out.position})`;
+    } else {
+      state.outs++;
+      if (productive && state.outs < 3) {
+        if (out.kind === "groundout") {
+          if (state.bases.some(Boolean)) parts.push("runners advance");
+          advanceAll(batterLine);
+        } else if (state.bases[1] || state.bases[2]) {
+          if (state.bases[2]) {
+            atBat = false;
+            parts.push(`${state.bases[2].card.name} tags and scores`);
+            score(state.bases[2], batterLine);
+          }
+          if (state.bases[1]) parts.push(`${state.bases[1].card.name} tags up to third`);
+          state.bases[2] = state.bases[1];
+          state.bases[1] = null;
+        }
+      }
+    }
+
+    if (atBat) batterLine.AB++;
+    return parts;
+  };
+
+  const recordHit = (play, batter, batterLine, pitcher) => {
+    const { bases } = play;
+    if (play.misplayed) fielding().errors++;
+
+    batterLine.AB++;
+    batterLine.H++;
+    pitcher.line.H++;
+    batting().hits++;
+    if (bases === 2) batterLine['2B']++;
+    if (bases === 3) batterLine['3B']++;
+    if (bases === 4) {
+      batterLine.HR++;
+      pitcher.line.HR++;
+    }
+
+    const runsBefore = batting().runs;
+    const batterRunner = { card: batter, line: batterLine, pitcher: pitcher.line, earned: true };
+    runOnHit(bases, Math.min(play.advance, 4), batterLine);
+    if (bases === 4) score(batterRunner, batterLine);
+    else state.bases[bases - 1] = batterRunner;
+
+    const scored = batting().runs - runsBefore;
+    const text = [`${HIT_NAMES[bases]}${play.direction ? ` to ${play.direction}` : ''}`, ...play.notes];
+    if (scored > 0) text.push(`${scored} run${scored > 1 ? 's' : ''} score${scored > 1 ? '' : 's'}`);
+    return text.join("; ");
+  };
+
+  const attemptSteal = (team) => {
+    const runner = state.bases[0];
+    if (!runner || state.bases[1] || state.outs >= 2 || !hasTrait(runner.card, "S+") || d(6) > 2) return;
+
+    const catcher = fielderAt(team, "C");
+    const pitcher = team.pitcher;
+    if (d(20) - defenseModifier(catcher) >= 7) {
+      state.bases = [null, runner, state.bases[2]];
+      runner.line.SB++;
+      log(null, pitcher.card, `${runner.card.name} steals second`);
+    } else {
+      state.bases[0] = null;
+      runner.line.CS++;
+      state.outs++;
+      pitcher.line.outs++;
+      log(null, pitcher.card, `${runner.card.name} caught stealing`);
+    }
+  };
+
+  // Go to the bullpen for a pitcher two steps down, one step down at the
+  // start of an inning, or one who has given up four runs in the inning, and
+  // to the closer to start a save situation. The reliever is picked by role.
+  const managePitcher = (team) => {
+    const pitcher = team.pitcher;
+    if (team.bullpen.length === 0) return;
+
+    const situation = { inning, margin: team === home ? home.runs - away.runs : away.runs - home.runs };
+    const steps = fatigueSteps(pitcher);
+    const tired = steps >= 2 || (steps >= 1 && state.batters === 0) || pitcher.runsThisInning >= 4;
+    const closing = state.batters === 0 && pitcher.card.role !== "closer" && closerSituation(team.bullpen, situation);
+    if (tired || closing) {
+      const reliever = closing ? team.bullpen.find(p => p.role === "closer") : chooseReliever(team.bullpen, situation);
+      team.bullpen.splice(team.bullpen.indexOf(reliever), 1);
+      bringIn(team, reliever, staminaRole(reliever));
+      log(null, reliever, `${reliever.name} relieves ${pitcher.card.name}`);
+    }
+  };
+
+  const plateAppearance = () => {
+    const offense = batting();
+    const defense = fielding();
+    const slot = offense.lineup[offense.next % offense.lineup.length];
+    offense.next++;
+
+    const batter = slot.pitcherSlot ? offense.pitcher.card : slot.card;
+    const batterLine = lineFor(offense, batter, slot.pitcherSlot ? "P" : batter.position);
+    const pitcher = defense.pitcher;
+    const outsBefore = state.outs;
+    batterLine.PA++;
+    pitcher.line.BF++;
+    state.batters++;
+
+    const play = rollPlateAppearance(batter, pitcher.card, {
+      random,
+      pd: options.fatigue === false ? pitcher.card.pd : fatigueDie(pitcher.card.pd, fatigueSteps(pitcher)),
+      fielderAt: (position) => fielderAt(defense, position)
+    });
+
+    let text;
+    if (play.type === "hit") {
+      text = recordHit(play, batter, batterLine, pitcher);
+    } else if (play.type === "walk") {
+      batterLine.BB++;
+      pitcher.line.BB++;
+      forceRunners({ card: batter, line: batterLine, pitcher: pitcher.line, earned: true }, batterLine);
+      text = "walks";
+    } else if (play.type === "error") {
+      defense.errors++;
+      batterLine.AB++;
+      forceRunners({ card: batter, line: batterLine, pitcher: pitcher.line, earned: false }, null);
+      text = `reaches on an error by ${play.fielder ? play.fielder.name : play.position} (${play.position})`;
+    } else {
+      text = [...recordOut(play, play.productive, batterLine, pitcher), ...play.notes].join("; ");
+    }
+
+    pitcher.line.outs += state.outs - outsBefore;
+    log(batter, pitcher.card, `${text} [swing ${play.swing} vs ${play.bt}/${play.obt}, ${play.pd}]`);
+  };
+
+  const playHalf = () => {
+    const offense = batting();
+    const defense = fielding();
+    offense.innings.push(0);
+    defense.pitcher.runsThisInning = 0;
+    state = { outs: 0, bases: [null, null, null], batters: 0 };
+
+    while (state.outs < 3 && !walkOff()) {
+      managePitcher(defense);
+      attemptSteal(defense);
+      if (state.outs >= 3) break;
+      plateAppearance();
+    }
+  };
+
+  while (true) {
+    half = 'top';
+    playHalf();
+
+    half = 'bottom';
+    if (inning >= INNINGS && home.runs > away.runs) {
+      home.innings.push(null);
+    } else {
+      playHalf();
+    }
+
+    if (inning >= INNINGS && away.runs !== home.runs) break;
+    if (inning >= MAX_INNINGS) break;
+    inning++;
+  }
+
+  // Decisions: the win and loss go to the pitchers of record when the
+  // winners last took the lead; a save to the reliever who finished a win
+  // they entered with a lead of three or less and held for an inning or more
+  const winner = away.runs === home.runs ? null : away.runs > home.runs ? 'away' : 'home';
+  if (winner && decision) {
+    decision.winner.decision = 'W';
+    decision.loser.decision = 'L';
+    const winners = winner === 'away' ? away : home;
+    const finisher = winners.pitchers[winners.pitchers.length - 1];
+    if (finisher !== decision.winner && finisher.enteredLead > 0 &&
+        ((finisher.enteredLead <= 3 && finisher.outs >= 3) || finisher.outs >= 9)) {
+      finisher.decision = 'S';
+    }
+  }
+
+  const teamResult = (team) => ({
+    name: team.name,
+    runs: team.runs,
+    hits: team.hits,
+    errors: team.errors,
+    innings: team.innings,
+    batting: [...team.battingLines.values()],
+    pitching: team.pitchers.map(({ enteredLead, ...line }) => ({ ...line, IP: inningsText(line.outs) }))
+  });
+
+  return {
+    seed,
+    innings: inning,
+    winner,
+    away: teamResult(away),
+    home: teamResult(home),
+    plays
+  };
+};
+
+const halfLabel = (play) => `${play.half === 'top' ? 'Top' : 'Bottom'} ${ordinal(play.inning)}`;
+
+// Play-by-play as text, one line per play under a heading for each half inning
+export const formatPlayByPlay = (game) => {
+  const lines = [];
+  let current = '';
+  for (const play of game.plays) {
+    const label = halfLabel(play);
+    if (label !== current) {
+      if (current) lines.push('');
+      lines.push(`${label} (${play.half === 'top' ? game.away.name : game.home.name} batting)`);
+      current = label;
+    }
+    const who = play.batter ? `${play.batter}: ` : '';
+    lines.push(`  ${who}${play.text}  — ${play.outs} out, ${game.away.name} ${play.score.away}, ${game.home.name} ${play.score.home}`);
+  }
+  return lines.join('\n') + '\n';
+};
+
+const BOX_BATTING_COLUMNS = [
+  { label: 'Player Name', width: 25, value: l => l.name },
+  { label: 'POS', width: 3, value: l => l.position },
+  { label: 'AB', width: 2, value: l => l.AB },
+  { label: 'R', width: 2, value: l => l.R },
+  { label: 'H', width: 2, value: l => l.H },
+  { label: '2B', width: 2, value: l => l['2B'] },
+  { label: '3B', width: 2, value: l => l['3B'] },
+  { label: 'HR', width: 2, value: l => l.HR },
+  { label: 'RBI', width: 3, value: l => l.RBI },
+  { label: 'BB', width: 2, value: l => l.BB },
+  { label: 'SO', width: 2, value: l => l.SO },
+  { label: 'SB', value: l => l.SB }
+];
+
+const BOX_PITCHING_COLUMNS = [
+  { label: 'Player Name', width: 25, value: l => l.name },
+  { label: 'IP', width: 4, value: l => l.IP },
+  { label: 'H', width: 2, value: l => l.H },
+  { label: 'R', width: 2, value: l => l.R },
+  { label: 'ER', width: 2, value: l => l.ER },
+  { label: 'BB', width: 2, value: l => l.BB },
+  { label: 'SO', width: 2, value: l => l.SO },
+  { label: 'HR', width: 2, value: l => l.HR },
+  { label: 'Dec', value: l => l.decision }
+];
+
+const table = (title, columns, rows) => [
+  '',
+  title,
+  txtRow(columns, columns.map(c => c.label)),
+  txtRow(columns, columns.map(c => '-'.repeat(c.width || c.label.length))),
+  ...rows.map(row => txtRow(columns, columns.map(c => c.value(row))))
+];
+
+// Line score plus batting and pitching tables for both teams, as text
+export const formatBoxScore = (game) => {
+  const { away, home } = game;
+  const nameWidth = Math.max(away.name.length, home.name.length, 4);
+  const cell = (value) => String(value ?? 'X').padStart(3);
+  const innings = Array.from({ length: away.innings.length }, (_, i) => i + 1);
+  const lineRow = (team) =>
+    `${team.name.padEnd(nameWidth)} ${innings.map(i => cell(team.innings[i - 1])).join('')}  ${cell(team.runs)}${cell(team.hits)}${cell(team.errors)}`;
+
+  const result = game.winner
+    ? `${game[game.winner].name} ${game[game.winner].runs}, ${game[game.winner === 'away' ? 'home' : 'away'].name} ${game[game.winner === 'away' ? 'home' : 'away'].runs}`
+    : `${away.name} ${away.runs}, ${home.name} ${home.runs} (tie)`;
+
+  const lines = [
+    result + (game.innings > INNINGS ? ` (${game.innings} innings)` : ''),
+    `Seed: ${game.seed}`,
+    '',
+    `${''.padEnd(nameWidth)} ${innings.map(cell).join('')}  ${cell('R')}${cell('H')}${cell('E')}`,
+    lineRow(away),
+    lineRow(home)
+  ];
+
+  for (const team of [away, home]) {
+    lines.push(...table(`${team.name.toUpperCase()} BATTING`, BOX_BATTING_COLUMNS, team.batting));
+    lines.push(...table(`${team.name.toUpperCase()} PITCHING`, BOX_PITCHING_COLUMNS, team.pitching));
+  }
+
+  return lines.join('\n') + '\n';
+};
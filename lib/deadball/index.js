@@ -0,0 +1,207 @@
+export { calcBT, calcOBT, calcPD, getHandedness, rowHandedness, cleanName } from './ratings.js';
+export {
+  TRAIT_CATALOGUE,
+  TRAIT_DESCRIPTIONS,
+  exclusiveTraits,
+  explainBattingTraits,
+  explainPitchingTraits,
+  traitReasons,
+  calcBattingTraits,
+  calcPitchingTraits,
+  hasTrait,
+  describeTrait,
+  traitsInUse
+} from './traits.js';
+export {
+  LINEUP_POSITIONS,
+  OUTFIELD,
+  ELIGIBLE_GAMES_SHARE,
+  parsePositions,
+  positionsFromRow,
+  getPosition,
+  canPlay,
+  fieldingPctNorm
+} from './positions.js';
+export { maxWeightAssignment } from './assignment.js';
+export {
+  BENCH_SIZE,
+  ROTATION_SIZE,
+  BULLPEN_SIZE,
+  DEFAULT_ROSTER_SHAPE,
+  ROSTER_SHAPE_PRESETS,
+  SHAPE_SIZES,
+  MAX_SECTION_SIZE,
+  completeRosterShape,
+  lineupSlots,
+  describeRosterShape,
+  rosterWarnings,
+  processBatters,
+  processPitchers,
+  isStarter,
+  batterValue,
+  selectLineup,
+  getLineupSize,
+  getLineup,
+  getBench,
+  isPlaceholder,
+  buildRoster,
+  assembleRoster
+} from './roster.js';
+export {
+  ROSTER_JSON_FORMAT,
+  ROSTER_JSON_VERSION,
+  PAGE_SIZES,
+  exportSections,
+  csvField,
+  csvRow,
+  formatRosterCSV,
+  formatRosterTXT,
+  formatRosterJSON,
+  parseRosterJSON,
+  ROSTER_FORMATS,
+  describeLeagueAdjustment
+} from './export.js';
+export { parseStatsCSV, describeStatsFile, pairStatsFiles } from './parse.js';
+export {
+  INNINGS,
+  MAX_INNINGS,
+  PITCH_DICE,
+  STAMINA,
+  HIT_TABLE,
+  rollPitchDie,
+  rollPlateAppearance,
+  fatigueDie,
+  swingResult,
+  hitModifier,
+  fatigueSteps,
+  simulateGame,
+  formatPlayByPlay,
+  formatBoxScore
+} from './game.js';
+export {
+  roundRobinSchedule,
+  parseScheduleRows,
+  seasonStandings,
+  simulateSeason,
+  LEADER_CATEGORIES,
+  seasonLeaders,
+  formatSeasonCSV
+} from './season.js';
+export {
+  CALIBRATION_THRESHOLDS,
+  CALIBRATION_DEFAULTS,
+  calibrateCards,
+  formatCalibrationCSV
+} from './calibration.js';
+export { createRandom, newSeed } from './random.js';
+export {
+  STAT_COLUMNS,
+  PLAYER_ID_COLUMNS,
+  SOURCE_FORMATS,
+  detectSourceFormat,
+  suggestColumnMap,
+  missingColumns,
+  applyColumnMap,
+  batterRowProblem,
+  pitcherRowProblem,
+  validateStatRows
+} from './validate.js';
+export { DEFAULT_RULES, RULE_PRESETS, completeRules, leagueFactors, adjustStatLine } from './rules.js';
+export { inningsPitched, leagueSeasons, leagueAveragesFromRows } from './league.js';
+export {
+  LAHMAN_TABLES,
+  REQUIRED_LAHMAN_TABLES,
+  identifyLahmanTable,
+  missingLahmanTables,
+  lahmanSeasons,
+  lahmanTeams,
+  lahmanStatRows,
+  lahmanFranchises,
+  lahmanFranchiseRows
+} from './lahman.js';
+export {
+  ROSTER_SECTIONS,
+  getSections,
+  canMove,
+  movePlayer,
+  updatePlayer,
+  removePlayer,
+  addPlayer,
+  reorderLineup,
+  unusedPlayers
+} from './editor.js';
+export { BATTING_ORDER_STRATEGIES, orderLineup } from './battingOrder.js';
+export { PITCHER_SIDES, PLATOON_EDGE, calcSplits, ratingVs, platoonLineup, platoonLineups } from './platoon.js';
+export {
+  BULLPEN_ROLES,
+  SETUP_SIZE,
+  LONG_RELIEF_IP_PER_GAME,
+  assignBullpenRoles,
+  describeRole,
+  chooseReliever,
+  closerSituation,
+  staminaRole
+} from './bullpen.js';
+export {
+  LEAGUE_JSON_FORMAT,
+  LEAGUE_JSON_VERSION,
+  createLeague,
+  addTeam,
+  updateTeam,
+  renameTeam,
+  deleteTeam,
+  duplicateTeam,
+  formatLeagueJSON,
+  parseLeagueJSON
+} from './workspace.js';
+export {
+  SHARE_VERSION,
+  SHARE_PARAM,
+  encodeRoster,
+  decodeRoster,
+  sharedRosterParam,
+  shareLink
+} from './share.js';
+export {
+  CAREER_MODES,
+  DEFAULT_CAREER_OPTIONS,
+  uploadSeasons,
+  isMultiSeason,
+  playerSeasonList,
+  combineSeasons
+} from './careers.js';
+export {
+  DRAFT_TYPES,
+  DEFAULT_AUCTION_BUDGET,
+  MIN_BID,
+  draftPool,
+  createDraft,
+  draftLimits,
+  draftedBy,
+  availablePlayers,
+  teamNeeds,
+  isTeamFull,
+  amountSpent,
+  maxBid,
+  pickChecker,
+  pickProblem,
+  teamOnTheClock,
+  isDraftComplete,
+  makePick,
+  passTurn,
+  undoPick,
+  draftRosters,
+  POOL_SORTS,
+  filterPool,
+  sortPool
+} from './draft.js';
+export {
+  pitchDieAverage,
+  summarizeRoster,
+  describeDice,
+  describeHandedness,
+  describeTraitCounts,
+  SUMMARY_METRICS,
+  bestOnMetric,
+  formatComparisonCSV
+} from './summary.js';
@@ -0,0 +1,207 @@
+import { inningsPitched } from './league.js';
+
+// Lahman database import: turn the People, Batting, Pitching, Fielding and
+// Teams tables into the batting and pitching rows the converter reads, for
+// one team in one season or a franchise across all of its seasons.
+
+export const LAHMAN_TABLES = ['People', 'Batting', 'Pitching', 'Fielding', 'Teams'];
+
+// Tables that have to be loaded before a roster can be built
+export const REQUIRED_LAHMAN_TABLES = ['People', 'Batting', 'Pitching'];
+
+// Headers that only one table has, for files that were renamed on download
+const TABLE_SIGNATURES = {
+  People: h => h.includes('nameFirst') && h.includes('bats'),
+  Pitching: h => h.includes('IPouts') && h.includes('ER') && h.includes('stint'),
+  Fielding: h => h.includes('POS') && h.includes('InnOuts'),
+  Teams: h => h.includes('franchID') && h.includes('teamID'),
+  Batting: h => h.includes('AB') && h.includes('stint') && h.includes('playerID')
+};
+
+// Which Lahman table a file holds, from its name (Batting.csv) or its
+// headers; null when it is not one of LAHMAN_TABLES
+export const identifyLahmanTable = (fileName, rows) => {
+  const base = String(fileName || '').replace(/\.(csv|txt)$/i, '').toLowerCase();
+  const byName = LAHMAN_TABLES.find(table => table.toLowerCase() === base);
+  if (byName) return byName;
+
+  const headers = rows.length ? Object.keys(rows[0]) : [];
+  return LAHMAN_TABLES.find(table => TABLE_SIGNATURES[table](headers)) || null;
+};
+
+export const missingLahmanTables = (bundle) =>
+  REQUIRED_LAHMAN_TABLES.filter(table => !bundle[table]);
+
+const num = (value) => parseFloat(value) || 0;
+
+const rate = (value, places) => value.toFixed(places);
+
+// Seasons in the bundle, newest first
+export const lahmanSeasons = (bundle) => {
+  const rows = bundle.Teams || bundle.Batting || [];
+  return [...new Set(rows.map(r => r.yearID).filter(Boolean))].sort((a, b) => b.localeCompare(a));
+};
+
+// Teams that played in a season as [{ teamID, name }], using full names from
+// the Teams table when it is loaded
+export const lahmanTeams = (bundle, yearID) => {
+  if (bundle.Teams) {
+    return bundle.Teams
+      .filter(t => t.yearID === String(yearID))
+      .map(t => ({ teamID: t.teamID, name: t.name || t.teamID }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+  const ids = new Set((bundle.Batting || []).filter(r => r.yearID === String(yearID)).map(r => r.teamID));
+  return [...ids].sort().map(teamID => ({ teamID, name: teamID }));
+};
+
+const forTeam = (rows, yearID, teamID) =>
+  (rows || []).filter(r => r.yearID === String(yearID) && r.teamID === teamID);
+
+// Add up a player's stints with the team (a player traded away and back has two)
+const sumStints = (rows, columns) => {
+  const players = new Map();
+  for (const row of rows) {
+    const totals = players.get(row.playerID) || { playerID: row.playerID };
+    for (const column of columns) {
+      totals[column] = (totals[column] || 0) + num(row[column]);
+    }
+    players.set(row.playerID, totals);
+  }
+  return [...players.values()];
+};
+
+// Fielding games per position (as G_c, G_ss, ... columns), the positions
+// sorted by games, and overall fielding percentage for each player
+const fieldingLines = (fieldingRows) => {
+  const players = new Map();
+  for (const row of fieldingRows) {
+    const line = players.get(row.playerID) || { games: {}, PO: 0, A: 0, E: 0 };
+    line.games[row.POS] = (line.games[row.POS] || 0) + num(row.G);
+    line.PO += num(row.PO);
+    line.A += num(row.A);
+    line.E += num(row.E);
+    players.set(row.playerID, line);
+  }
+
+  const lines = new Map();
+  for (const [playerID, line] of players) {
+    const chances = line.PO + line.A + line.E;
+    const columns = {};
+    for (const [position, games] of Object.entries(line.games)) {
+      columns[`G_${position.toLowerCase()}`] = String(games);
+    }
+    lines.set(playerID, {
+      Pos: Object.keys(line.games).sort((a, b) => line.games[b] - line.games[a]).join('-'),
+      'Fld%': chances > 0 ? rate((line.PO + line.A) / chances, 3) : '',
+      ...columns
+    });
+  }
+  return lines;
+};
+
+const BATTING_COLUMNS = ['G', 'AB', 'H', '2B', '3B', 'HR', 'BB', 'SO', 'SB', 'HBP', 'SH', 'SF', 'IBB'];
+const PITCHING_COLUMNS = ['G', 'GS', 'SV', 'GF', 'IPouts', 'H', 'ER', 'HR', 'BB', 'SO'];
+
+// Batting and pitching rows for one team-season, shaped like a
+// Baseball-Reference export with Bats/Throws columns. Batters are ordered by
+// plate appearances, since Lahman has no WAR to rank them by.
+export const lahmanStatRows = (bundle, { yearID, teamID }) => {
+  const missing = missingLahmanTables(bundle);
+  if (missing.length) {
+    throw new Error(`Lahman import needs the ${missing.join(', ')} table${missing.length > 1 ? 's' : ''}.`);
+  }
+
+  const people = new Map(bundle.People.map(p => [p.playerID, p]));
+  const fielding = fieldingLines(forTeam(bundle.Fielding, yearID, teamID));
+  const personFor = (playerID) => people.get(playerID) || {};
+  const nameOf = (person, playerID) =>
+    [person.nameFirst, person.nameLast].filter(Boolean).join(' ') || playerID;
+
+  const batting = sumStints(forTeam(bundle.Batting, yearID, teamID), BATTING_COLUMNS)
+    .map(b => {
+      const person = personFor(b.playerID);
+      const pa = b.AB + b.BB + b.HBP + b.SH + b.SF;
+      const singles = b.H - b['2B'] - b['3B'] - b.HR;
+      const onBaseChances = b.AB + b.BB + b.HBP + b.SF;
+      return {
+        playerID: b.playerID,
+        Player: nameOf(person, b.playerID),
+        Tm: teamID,
+        Pos: bundle.Fielding ? 'DH' : '',
+        ...fielding.get(b.playerID),
+        Bats: person.bats || '',
+        G: String(b.G),
+        PA: String(pa),
+        AB: String(b.AB),
+        H: String(b.H),
+        '2B': String(b['2B']),
+        '3B': String(b['3B']),
+        HR: String(b.HR),
+        BB: String(b.BB),
+        SO: String(b.SO),
+        SB: String(b.SB),
+        BA: b.AB > 0 ? rate(b.H / b.AB, 3) : '',
+        OBP: onBaseChances > 0 ? rate((b.H + b.BB + b.HBP) / onBaseChances, 3) : '',
+        SLG: b.AB > 0 ? rate((singles + 2 * b['2B'] + 3 * b['3B'] + 4 * b.HR) / b.AB, 3) : ''
+      };
+    })
+    .sort((a, b) => b.PA - a.PA);
+
+  const pitching = sumStints(forTeam(bundle.Pitching, yearID, teamID), PITCHING_COLUMNS)
+    .map(p => {
+      const person = personFor(p.playerID);
+      const innings = p.IPouts / 3;
+      return {
+        playerID: p.playerID,
+        Player: nameOf(person, p.playerID),
+        Tm: teamID,
+        Throws: person.throws || '',
+        G: String(p.G),
+        GS: String(p.GS),
+        SV: String(p.SV),
+        GF: String(p.GF),
+        // Box-score notation, 200.1 for 200 and one third
+        IP: `${Math.floor(p.IPouts / 3)}.${p.IPouts % 3}`,
+        H: String(p.H),
+        ER: String(p.ER),
+        HR: String(p.HR),
+        BB: String(p.BB),
+        SO: String(p.SO),
+        ERA: innings > 0 ? rate((p.ER * 9) / innings, 2) : ''
+      };
+    })
+    .sort((a, b) => inningsPitched(b.IP) - inningsPitched(a.IP));
+
+  return { batting, pitching };
+};
+
+// Franchises in the Teams table as [{ franchID, name }], named for their
+// latest season
+export const lahmanFranchises = (bundle) => {
+  const latest = new Map();
+  for (const team of bundle.Teams || []) {
+    const current = latest.get(team.franchID);
+    if (!current || team.yearID > current.yearID) latest.set(team.franchID, team);
+  }
+  return [...latest.values()]
+    .map(team => ({ franchID: team.franchID, name: team.name || team.franchID }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Batting and pitching rows for every season a franchise played, each row
+// tagged with its Year, for all-time and all-decade rosters
+export const lahmanFranchiseRows = (bundle, { franchID }) => {
+  if (!bundle.Teams) throw new Error("Franchise import needs the Teams table.");
+  const seasons = bundle.Teams.filter(t => t.franchID === franchID);
+  if (seasons.length === 0) throw new Error(`No seasons found for franchise ${franchID}.`);
+
+  const batting = [];
+  const pitching = [];
+  for (const { yearID, teamID } of seasons) {
+    const rows = lahmanStatRows(bundle, { yearID, teamID });
+    batting.push(...rows.batting.map(row => ({ ...row, Year: yearID })));
+    pitching.push(...rows.pitching.map(row => ({ ...row, Year: yearID })));
+  }
+  return { batting, pitching };
+};
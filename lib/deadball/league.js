@@ -0,0 +1,79 @@
+// League-wide averages from an uploaded totals file. Accepts either one row of
+// ready-made averages (BA/OBP/SLG/ERA columns) or per-team/per-league counting
+// totals such as the Lahman Teams table, which are summed for the chosen season.
+
+const SEASON_COLUMNS = ['Year', 'yearID', 'Season'];
+
+const num = (value) => parseFloat(value) || 0;
+
+// A row's season from its Year, yearID or Season column, or null
+export const seasonOf = (row) => {
+  const column = SEASON_COLUMNS.find(c => row[c] !== undefined && row[c] !== '');
+  return column ? String(row[column]) : null;
+};
+
+// Innings in box-score notation: 256.1 is 256 and one third
+export const inningsPitched = (ip) => {
+  const value = parseFloat(ip);
+  if (isNaN(value)) return 0;
+  const whole = Math.trunc(value);
+  const outs = Math.round((value - whole) * 10);
+  return whole + outs / 3;
+};
+
+// Distinct seasons present in a league totals file, newest first
+export const leagueSeasons = (rows) =>
+  [...new Set(rows.map(seasonOf).filter(Boolean))].sort((a, b) => b.localeCompare(a));
+
+const round = (value, places) => Number(value.toFixed(places));
+
+const averageOf = (rows, stat) => {
+  const values = rows.map(r => parseFloat(r[stat])).filter(v => !isNaN(v));
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+};
+
+export const leagueAveragesFromRows = (rows, { season } = {}) => {
+  const seasonRows = season ? rows.filter(r => seasonOf(r) === String(season)) : rows;
+  if (seasonRows.length === 0) {
+    throw new Error(season ? `No league totals found for ${season}.` : "League totals file is empty.");
+  }
+
+  const totals = { AB: 0, H: 0, '2B': 0, '3B': 0, HR: 0, BB: 0, HBP: 0, SF: 0, ER: 0, IP: 0 };
+  for (const row of seasonRows) {
+    for (const stat of Object.keys(totals)) {
+      if (stat !== 'IP') totals[stat] += num(row[stat]);
+    }
+    totals.IP += row.IPouts !== undefined ? num(row.IPouts) / 3 : inningsPitched(row.IP);
+  }
+
+  const averages = {
+    BA: averageOf(seasonRows, 'BA'),
+    OBP: averageOf(seasonRows, 'OBP'),
+    SLG: averageOf(seasonRows, 'SLG'),
+    ERA: averageOf(seasonRows, 'ERA')
+  };
+
+  if (totals.AB > 0) {
+    const singles = totals.H - totals['2B'] - totals['3B'] - totals.HR;
+    const totalBases = singles + 2 * totals['2B'] + 3 * totals['3B'] + 4 * totals.HR;
+    const onBaseChances = totals.AB + totals.BB + totals.HBP + totals.SF;
+
+    averages.BA = totals.H / totals.AB;
+    averages.OBP = (totals.H + totals.BB + totals.HBP) / onBaseChances;
+    averages.SLG = totalBases / totals.AB;
+  }
+  if (totals.IP > 0 && totals.ER > 0) {
+    averages.ERA = (totals.ER * 9) / totals.IP;
+  }
+
+  if (Object.values(averages).every(v => v === null)) {
+    throw new Error("League totals file needs BA/OBP/SLG/ERA columns or AB/H/BB/ER/IP totals.");
+  }
+
+  return {
+    BA: averages.BA === null ? null : round(averages.BA, 3),
+    OBP: averages.OBP === null ? null : round(averages.OBP, 3),
+    SLG: averages.SLG === null ? null : round(averages.SLG, 3),
+    ERA: averages.ERA === null ? null : round(averages.ERA, 2)
+  };
+};
@@ -0,0 +1,35 @@
+import Papa from 'papaparse';
+
+// Parse a stats CSV export into row objects keyed by header
+export const parseStatsCSV = (text) => {
+  const results = Papa.parse(text, {
+    header: true,
+    skipEmptyLines: true
+  });
+  return results.data;
+};
+
+// <team>-batting.csv / <team>-pitching.csv; underscores and dots work as
+// separators too
+const STATS_FILE = /^(.+?)[-_.](batting|pitching)\.(csv|txt)$/i;
+
+// { team, kind } named by a stats file's name, or null when it names neither
+export const describeStatsFile = (fileName) => {
+  const match = String(fileName).match(STATS_FILE);
+  return match ? { team: match[1], kind: match[2].toLowerCase() } : null;
+};
+
+// Group file names into { team, batting, pitching } pairs, sorted by team;
+// a team missing one of its files is left without that key
+export const pairStatsFiles = (fileNames) => {
+  const teams = new Map();
+
+  for (const fileName of fileNames) {
+    const file = describeStatsFile(fileName);
+    if (!file) continue;
+    if (!teams.has(file.team)) teams.set(file.team, { team: file.team });
+    teams.get(file.team)[file.kind] = fileName;
+  }
+
+  return [...teams.values()].sort((a, b) => a.team.localeCompare(b.team));
+};
@@ -0,0 +1,260 @@
+import { jsPDF } from 'jspdf';
+import { exportSections, describeLeagueAdjustment } from './export.js';
+import { getLineup, rosterWarnings } from './roster.js';
+import { TRAIT_DESCRIPTIONS, traitsInUse } from './traits.js';
+
+// PDF team sheet and scoresheet. Kept out of index.js so jsPDF is only
+// loaded when someone actually asks for a PDF.
+
+const MARGIN = 40;
+const ROW_HEIGHT = 13;
+const CHAR_WIDTH = 5.5;
+const COLUMN_GAP = 8;
+
+const INNINGS = 9;
+const SUBSTITUTE_ROWS = 3;
+const PITCHER_ROWS = 5;
+
+const pageWidth = (doc) => doc.internal.pageSize.getWidth();
+const pageHeight = (doc) => doc.internal.pageSize.getHeight();
+
+const text = (value) => (value === undefined || value === null ? '' : String(value));
+
+// Start a new page when the next block would run past the bottom margin
+const ensureRoom = (doc, y, needed) => {
+  if (y + needed <= pageHeight(doc) - MARGIN) return y;
+  doc.addPage();
+  return MARGIN;
+};
+
+const drawTitle = (doc, title, subtitle) => {
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(18);
+  doc.text(title, pageWidth(doc) / 2, MARGIN + 10, { align: 'center' });
+
+  let y = MARGIN + 28;
+  if (subtitle) {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.text(subtitle, pageWidth(doc) / 2, y, { align: 'center' });
+    y += 16;
+  }
+  return y;
+};
+
+// Column x offsets from the export column widths; the last column takes the rest
+const columnLayout = (columns) => {
+  let x = MARGIN;
+  return columns.map(column => {
+    const layout = { ...column, x };
+    x += (column.width || 0) * CHAR_WIDTH + COLUMN_GAP;
+    return layout;
+  });
+};
+
+const drawSection = (doc, section, startY) => {
+  const columns = columnLayout(section.columns);
+  let y = ensureRoom(doc, startY, ROW_HEIGHT * 3);
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(11);
+  doc.text(section.title, MARGIN, y);
+  doc.setLineWidth(1.5);
+  doc.line(MARGIN, y + 3, pageWidth(doc) - MARGIN, y + 3);
+  y += ROW_HEIGHT + 2;
+
+  doc.setFontSize(9);
+  columns.forEach(c => doc.text(c.label, c.x, y));
+  doc.setLineWidth(0.5);
+  doc.line(MARGIN, y + 3, pageWidth(doc) - MARGIN, y + 3);
+  y += ROW_HEIGHT;
+
+  doc.setFont('helvetica', 'normal');
+  section.players.forEach((player, index) => {
+    y = ensureRoom(doc, y, ROW_HEIGHT);
+    columns.forEach(c => {
+      const maxWidth = c.width ? c.width * CHAR_WIDTH : pageWidth(doc) - MARGIN - c.x;
+      doc.text(text(c.value(player, index)), c.x, y, { maxWidth });
+    });
+    doc.setDrawColor(200);
+    doc.line(MARGIN, y + 3, pageWidth(doc) - MARGIN, y + 3);
+    doc.setDrawColor(0);
+    y += ROW_HEIGHT;
+  });
+
+  return y + ROW_HEIGHT;
+};
+
+const drawLegend = (doc, traits, startY) => {
+  if (traits.length === 0) return startY;
+
+  let y = ensureRoom(doc, startY, ROW_HEIGHT * 3);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(11);
+  doc.text('TRAIT LEGEND', MARGIN, y);
+  doc.setLineWidth(1.5);
+  doc.line(MARGIN, y + 3, pageWidth(doc) - MARGIN, y + 3);
+  y += ROW_HEIGHT + 2;
+
+  doc.setFontSize(9);
+  const columnWidth = (pageWidth(doc) - 2 * MARGIN) / 2;
+  traits.forEach((trait, index) => {
+    const x = MARGIN + (index % 2) * columnWidth;
+    if (index % 2 === 0 && index > 0) y += ROW_HEIGHT;
+    y = ensureRoom(doc, y, ROW_HEIGHT);
+    doc.setFont('helvetica', 'bold');
+    doc.text(trait, x, y);
+    doc.setFont('helvetica', 'normal');
+    doc.text(TRAIT_DESCRIPTIONS[trait], x + 30, y);
+  });
+
+  return y + ROW_HEIGHT * 2;
+};
+
+// Small base-path diamond for scoring a plate appearance
+const drawDiamond = (doc, cx, cy, r) => {
+  doc.lines([[r, r], [-r, r], [-r, -r], [r, -r]], cx, cy - r, [1, 1], 'S', true);
+};
+
+const drawScoresheet = (doc, roster, teamName) => {
+  doc.addPage();
+  let y = drawTitle(doc, `${teamName || 'Team'} Scoresheet`);
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  const width = pageWidth(doc) - 2 * MARGIN;
+  doc.text('Opponent: ______________________', MARGIN, y);
+  doc.text('Date: ______________', MARGIN + width * 0.5, y);
+  doc.text('Park: ______________', MARGIN + width * 0.75, y);
+  y += ROW_HEIGHT * 1.5;
+
+  const totals = ['AB', 'R', 'H', 'RBI'];
+  const fixed = { order: 18, name: 120, pos: 26, total: 22 };
+  const inningWidth = (width - fixed.order - fixed.name - fixed.pos - totals.length * fixed.total) / INNINGS;
+  const rowHeight = 36;
+  const inningX = MARGIN + fixed.order + fixed.name + fixed.pos;
+  const totalsX = inningX + INNINGS * inningWidth;
+
+  // Header row
+  doc.setFont('helvetica', 'bold');
+  doc.rect(MARGIN, y, width, ROW_HEIGHT + 2);
+  doc.text('#', MARGIN + 4, y + ROW_HEIGHT - 2);
+  doc.text('Player', MARGIN + fixed.order + 4, y + ROW_HEIGHT - 2);
+  doc.text('Pos', MARGIN + fixed.order + fixed.name + 4, y + ROW_HEIGHT - 2);
+  for (let i = 0; i < INNINGS; i++) {
+    doc.text(String(i + 1), inningX + i * inningWidth + inningWidth / 2, y + ROW_HEIGHT - 2, { align: 'center' });
+  }
+  totals.forEach((label, i) => {
+    doc.text(label, totalsX + i * fixed.total + fixed.total / 2, y + ROW_HEIGHT - 2, { align: 'center' });
+  });
+  y += ROW_HEIGHT + 2;
+
+  // One row per batter plus blank substitution rows
+  doc.setFont('helvetica', 'normal');
+  const lineup = getLineup(roster);
+  const rows = [...lineup, ...Array(SUBSTITUTE_ROWS).fill(null)];
+  rows.forEach((player, index) => {
+    doc.rect(MARGIN, y, width, rowHeight);
+    doc.line(MARGIN + fixed.order, y, MARGIN + fixed.order, y + rowHeight);
+    doc.line(inningX - fixed.pos, y, inningX - fixed.pos, y + rowHeight);
+    if (player) {
+      doc.text(String(index + 1), MARGIN + 4, y + 12);
+      doc.text(player.name, MARGIN + fixed.order + 4, y + 12, { maxWidth: fixed.name - 8 });
+      doc.setFontSize(7);
+      doc.text(`BT ${player.bt}  OBT ${player.obt}  ${player.handedness}`, MARGIN + fixed.order + 4, y + 24);
+      doc.text(text(player.traits), MARGIN + fixed.order + 4, y + 33, { maxWidth: fixed.name - 8 });
+      doc.setFontSize(9);
+      doc.text(text(player.position), inningX - fixed.pos + 4, y + 12);
+    }
+    for (let i = 0; i < INNINGS; i++) {
+      const x = inningX + i * inningWidth;
+      doc.line(x, y, x, y + rowHeight);
+      doc.setDrawColor(170);
+      drawDiamond(doc, x + inningWidth / 2, y + rowHeight / 2, Math.min(inningWidth, rowHeight) / 4);
+      doc.setDrawColor(0);
+    }
+    totals.forEach((label, i) => {
+      const x = totalsX + i * fixed.total;
+      doc.line(x, y, x, y + rowHeight);
+    });
+    y += rowHeight;
+  });
+
+  // Runs / hits / errors per inning
+  ['R', 'H', 'E'].forEach(label => {
+    doc.rect(MARGIN, y, width, ROW_HEIGHT + 2);
+    doc.setFont('helvetica', 'bold');
+    doc.text(label, inningX - fixed.pos + 4, y + ROW_HEIGHT - 2);
+    doc.setFont('helvetica', 'normal');
+    for (let i = 0; i <= INNINGS + totals.length; i++) {
+      const x = i <= INNINGS ? inningX + i * inningWidth : totalsX + (i - INNINGS) * fixed.total;
+      doc.line(x, y, x, y + ROW_HEIGHT + 2);
+    }
+    y += ROW_HEIGHT + 2;
+  });
+  y += ROW_HEIGHT;
+
+  // Pitching lines, starter pre-filled from the top of the rotation
+  const pitchingColumns = ['Pitcher', 'P.D.', 'IP', 'H', 'R', 'ER', 'BB', 'SO'];
+  const pitcherWidth = 160;
+  const statWidth = (width - pitcherWidth) / (pitchingColumns.length - 1);
+  y = ensureRoom(doc, y, (PITCHER_ROWS + 1) * (ROW_HEIGHT + 4));
+
+  doc.setFont('helvetica', 'bold');
+  pitchingColumns.forEach((label, i) => {
+    const x = i === 0 ? MARGIN + 4 : MARGIN + pitcherWidth + (i - 1) * statWidth + 4;
+    doc.text(label, x, y + ROW_HEIGHT - 2);
+  });
+  doc.rect(MARGIN, y, width, ROW_HEIGHT + 2);
+  y += ROW_HEIGHT + 2;
+
+  doc.setFont('helvetica', 'normal');
+  const starter = roster.startingPitchers[0];
+  for (let row = 0; row < PITCHER_ROWS; row++) {
+    doc.rect(MARGIN, y, width, ROW_HEIGHT + 4);
+    for (let i = 1; i < pitchingColumns.length; i++) {
+      const x = MARGIN + pitcherWidth + (i - 1) * statWidth;
+      doc.line(x, y, x, y + ROW_HEIGHT + 4);
+    }
+    if (row === 0 && starter) {
+      doc.text(starter.name, MARGIN + 4, y + ROW_HEIGHT, { maxWidth: pitcherWidth - 8 });
+      doc.text(text(starter.pd), MARGIN + pitcherWidth + 4, y + ROW_HEIGHT);
+    }
+    y += ROW_HEIGHT + 4;
+  }
+};
+
+// Render the roster as a Deadball team sheet, optionally followed by a blank
+// scoresheet with the lineup filled in. Returns the jsPDF document.
+export const renderRosterPDF = (roster, teamName, { pageSize = 'letter', scoresheet = false } = {}) => {
+  const doc = new jsPDF({ unit: 'pt', format: pageSize, orientation: 'portrait' });
+
+  const subtitle = [
+    roster.leagueAdjustment && `League adjustment: ${describeLeagueAdjustment(roster.leagueAdjustment)}`,
+    roster.seed !== undefined && `Seed: ${roster.seed}`
+  ].filter(Boolean).join('    ');
+  let y = drawTitle(doc, `${teamName || 'Team'} Roster`, subtitle);
+
+  const warnings = rosterWarnings(roster);
+  if (warnings.length) {
+    doc.setFontSize(9);
+    doc.text(warnings.join('  '), pageWidth(doc) / 2, y, { align: 'center', maxWidth: pageWidth(doc) - 2 * MARGIN });
+    y += ROW_HEIGHT * 2;
+  }
+
+  for (const section of exportSections(roster)) {
+    y = drawSection(doc, section, y);
+  }
+
+  drawLegend(doc, traitsInUse([
+    ...roster.positionPlayers,
+    ...roster.startingPitchers,
+    ...roster.reliefPitchers
+  ]), y);
+
+  if (scoresheet) {
+    drawScoresheet(doc, roster, teamName);
+  }
+
+  return doc;
+};
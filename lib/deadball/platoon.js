@@ -0,0 +1,71 @@
+import { calcBT, calcOBT } from './ratings.js';
+import { DEFAULT_RULES } from './rules.js';
+import { orderLineup } from './battingOrder.js';
+import { canPlay } from './positions.js';
+
+export const PITCHER_SIDES = ['R', 'L'];
+
+// Rating bump for batting from the opposite side when no split stats exist
+export const PLATOON_EDGE = 2;
+
+// A bench bat has to be this much better against a side to take the start
+const PLATOON_MARGIN = 2;
+
+// Split columns may be named BA_vsR, BA_vsRHP or "BA vs RHP"
+const splitColumn = (row, stat, side) =>
+  [`${stat}_vs${side}`, `${stat}_vs${side}HP`, `${stat} vs ${side}HP`].find(key => row[key] !== undefined && row[key] !== '');
+
+// Per-side BT/OBT from split columns in a batting row, if the upload has them
+export const calcSplits = (row, rules = DEFAULT_RULES) => {
+  const splits = {};
+  for (const side of PITCHER_SIDES) {
+    const ba = splitColumn(row, 'BA', side);
+    const obp = splitColumn(row, 'OBP', side);
+    if (ba && obp) {
+      splits[side] = { bt: calcBT(row[ba], rules), obt: calcOBT(row[obp], rules) };
+    }
+  }
+  return Object.keys(splits).length ? splits : undefined;
+};
+
+// Expected BT/OBT of a batter against a pitcher throwing from side
+export const ratingVs = (player, side) => {
+  if (player.splits && player.splits[side]) return player.splits[side];
+
+  const edge = player.handedness === 'S' || player.handedness !== side ? PLATOON_EDGE : -PLATOON_EDGE;
+  return { bt: player.bt + edge, obt: player.obt + edge };
+};
+
+const valueVs = (player, side) => {
+  const { bt, obt } = ratingVs(player, side);
+  return bt + obt;
+};
+
+// Utility men can spot-start anywhere; everyone else needs the position
+const canPlatoon = (player, position) => player.position === "UT" || canPlay(player, position);
+
+// Swap bench bats into the lineup wherever they hit a pitcher's side
+// clearly better than the regular, then order the result
+export const platoonLineup = (lineup, bench, side, battingOrder) => {
+  const available = [...bench];
+
+  const platooned = lineup.map(starter => {
+    const challengers = available
+      .filter(p => canPlatoon(p, starter.position))
+      .sort((a, b) => valueVs(b, side) - valueVs(a, side));
+    const best = challengers[0];
+
+    if (best && valueVs(best, side) >= valueVs(starter, side) + PLATOON_MARGIN) {
+      available.splice(available.indexOf(best), 1);
+      return { ...best, position: starter.position };
+    }
+    return starter;
+  });
+
+  return orderLineup(platooned, battingOrder);
+};
+
+export const platoonLineups = (lineup, bench, battingOrder) => ({
+  vsRHP: platoonLineup(lineup, bench, 'R', battingOrder),
+  vsLHP: platoonLineup(lineup, bench, 'L', battingOrder)
+});
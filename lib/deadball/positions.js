@@ -0,0 +1,70 @@
+// Defensive slots filled by the lineup, in the order they are chosen
+export const LINEUP_POSITIONS = ["C", "1B", "2B", "3B", "SS", "LF", "CF", "RF"];
+
+export const OUTFIELD = ["LF", "CF", "RF"];
+
+// Baseball-Reference position summaries use scorebook numbers (*8/H9D)
+const SCOREBOOK_NUMBERS = {
+  1: "P", 2: "C", 3: "1B", 4: "2B", 5: "3B", 6: "SS", 7: "LF", 8: "CF", 9: "RF", D: "DH", O: "OF"
+};
+
+// Longer codes come first so "CF" is never read as "C"
+const POSITION_TOKEN = /1B|2B|3B|SS|LF|CF|RF|OF|DH|UT|PH|PR|C|P|[1-9DO]/g;
+
+// Fielding-games columns, as in the Lahman Appearances table (G_c, G_ss, ...)
+const GAMES_COLUMNS = {
+  G_p: "P", G_c: "C", G_1b: "1B", G_2b: "2B", G_3b: "3B", G_ss: "SS",
+  G_lf: "LF", G_cf: "CF", G_rf: "RF", G_of: "OF", G_dh: "DH"
+};
+
+// Every position named in a Pos string, in the order listed: "CF,RF",
+// "SS/2B", "*8/H9D" and "2B-3B" all work. Pinch-hitting and pinch-running
+// entries are dropped.
+export const parsePositions = (posStr) => {
+  const tokens = String(posStr || '').toUpperCase().match(POSITION_TOKEN) || [];
+  const positions = tokens
+    .map(token => SCOREBOOK_NUMBERS[token] || token)
+    .filter(position => position !== "PH" && position !== "PR");
+  return [...new Set(positions)];
+};
+
+// Share of a player's games in the field a position needs before they count
+// as eligible there
+export const ELIGIBLE_GAMES_SHARE = 0.1;
+
+// Positions a stat line shows a player at, most games first. Fielding-games
+// columns win over the Pos string when the upload has them.
+export const positionsFromRow = (row) => {
+  const games = Object.entries(GAMES_COLUMNS)
+    .map(([column, position]) => [position, parseFloat(row[column]) || 0])
+    .filter(([, g]) => g > 0)
+    .sort((a, b) => b[1] - a[1]);
+  if (games.length === 0) return parsePositions(row.Pos);
+
+  const total = games.reduce((sum, [, g]) => sum + g, 0);
+  return games
+    .filter(([, g], index) => index === 0 || g >= total * ELIGIBLE_GAMES_SHARE)
+    .map(([position]) => position);
+};
+
+// Primary position for the card: the first fielding position listed, or UT
+export const getPosition = (posStr) => {
+  const positions = Array.isArray(posStr) ? posStr : parsePositions(posStr);
+  const fielding = positions.find(p => p !== "P");
+  return fielding || "UT";
+};
+
+// Whether a player can take a defensive slot without playing out of position.
+// Center fielders and generic outfielders cover all three outfield spots, a
+// corner outfielder covers either corner, and anyone can DH.
+export const canPlay = (player, position) => {
+  const positions = player.positions || [player.position];
+  if (position === "DH" || positions.includes(position)) return true;
+  if (position === "CF") return positions.includes("OF");
+  if (OUTFIELD.includes(position)) return positions.some(p => p === "OF" || OUTFIELD.includes(p));
+  return false;
+};
+
+// League-average fielding percentage by position, the yardstick for D+/D-
+export const fieldingPctNorm = (rules, position) =>
+  (rules.fieldingPct || {})[OUTFIELD.includes(position) ? "OF" : position];
@@ -0,0 +1,30 @@
+// Seedable random numbers, so a roster (or a simulated game) can be
+// reproduced exactly from the seed printed on the sheet.
+
+// Seeds are whole numbers; anything else typed in is hashed (FNV-1a)
+const seedValue = (seed) => {
+  const text = String(seed).trim();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// A fresh seed for rosters generated without one
+export const newSeed = () => Math.floor(Math.random() * 1e9);
+
+// Mulberry32: returns a function yielding floats in [0, 1) like Math.random
+export const createRandom = (seed) => {
+  let state = seedValue(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
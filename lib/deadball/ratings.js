@@ -0,0 +1,47 @@
+import { DEFAULT_RULES } from './rules.js';
+
+// Convert batting average to Batter Target
+export const calcBT = (avg, rules = DEFAULT_RULES) => {
+  const { btScale, btOffset } = rules.ratings;
+  const bt = Math.round(parseFloat(avg) * btScale) + btOffset;
+  return isNaN(bt) ? 0 : bt;
+};
+
+// Convert on-base percentage to On Base Target
+export const calcOBT = (obp, rules = DEFAULT_RULES) => {
+  const { obtScale, obtOffset } = rules.ratings;
+  const obt = Math.round(parseFloat(obp) * obtScale) + obtOffset;
+  return isNaN(obt) ? 0 : obt;
+};
+
+// Convert ERA to Pitch Die
+export const calcPD = (era, rules = DEFAULT_RULES) => {
+  if (isNaN(parseFloat(era))) return "d4";
+  const eraNum = parseFloat(era);
+
+  const band = rules.pitchDieBands.find(b => eraNum < b.maxEra);
+  return band ? band.pd : rules.pitchDieFloor;
+};
+
+// Determine handedness based on name annotation
+export const getHandedness = (name) => {
+  if (!name) return 'R';
+  if (name.endsWith('*')) return 'L';
+  if (name.endsWith('#')) return 'S';
+  return 'R';
+};
+
+// Handedness from a Bats/Throws column (L, R, or B/S for switch hitters),
+// falling back to the name annotation when the upload has no such column
+export const rowHandedness = (row, column) => {
+  const hand = String(row[column] || '').trim().toUpperCase();
+  if (hand === 'L' || hand === 'R') return hand;
+  if (hand === 'B' || hand === 'S') return 'S';
+  return getHandedness(row.Player);
+};
+
+// Remove * and # from names
+export const cleanName = (name) => {
+  if (!name) return '';
+  return name.replace(/[*#]$/, '');
+};
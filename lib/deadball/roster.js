@@ -0,0 +1,441 @@
+import { calcBT, calcOBT, calcPD, rowHandedness, cleanName } from './ratings.js';
+import { explainBattingTraits, explainPitchingTraits, traitReasons } from './traits.js';
+import { LINEUP_POSITIONS, getPosition, positionsFromRow, canPlay } from './positions.js';
+import { maxWeightAssignment } from './assignment.js';
+import { DEFAULT_RULES, leagueFactors, adjustStatLine } from './rules.js';
+import { orderLineup } from './battingOrder.js';
+import { calcSplits, platoonLineups } from './platoon.js';
+import { assignBullpenRoles } from './bullpen.js';
+import { batterRowProblem, pitcherRowProblem, PLAYER_ID_COLUMNS } from './validate.js';
+import { createRandom, newSeed } from './random.js';
+
+export const BENCH_SIZE = 4;
+export const ROTATION_SIZE = 5;
+export const BULLPEN_SIZE = 7;
+
+// How a roster is made up. designatedHitter adds a DH slot to the lineup,
+// backupCatcher keeps a second catcher on the bench, and fillEmpty pads short
+// sections with generic replacement players instead of leaving them short.
+export const DEFAULT_ROSTER_SHAPE = {
+  designatedHitter: false,
+  benchSize: BENCH_SIZE,
+  rotationSize: ROTATION_SIZE,
+  bullpenSize: BULLPEN_SIZE,
+  backupCatcher: false,
+  fillEmpty: true
+};
+
+export const ROSTER_SHAPE_PRESETS = {
+  'Deadball (24-man)': DEFAULT_ROSTER_SHAPE,
+  'DH (25-man)': { ...DEFAULT_ROSTER_SHAPE, designatedHitter: true, backupCatcher: true },
+  'Modern (26-man)': { ...DEFAULT_ROSTER_SHAPE, designatedHitter: true, bullpenSize: 8, backupCatcher: true }
+};
+
+export const SHAPE_SIZES = ['benchSize', 'rotationSize', 'bullpenSize'];
+
+// Largest bench, rotation or bullpen a shape may ask for; padding fills
+// every place, so an unbounded size would build an unbounded roster
+export const MAX_SECTION_SIZE = 40;
+
+// Fill in a partial shape; sizes become whole numbers from zero to
+// MAX_SECTION_SIZE
+export const completeRosterShape = (shape = {}) => {
+  const complete = { ...DEFAULT_ROSTER_SHAPE, ...shape };
+  for (const key of SHAPE_SIZES) {
+    const size = parseInt(complete[key]);
+    complete[key] = size >= 0 ? Math.min(size, MAX_SECTION_SIZE) : DEFAULT_ROSTER_SHAPE[key];
+  }
+  return complete;
+};
+
+// Defensive slots the lineup fills under a shape
+export const lineupSlots = (shape = DEFAULT_ROSTER_SHAPE) =>
+  shape.designatedHitter ? [...LINEUP_POSITIONS, "DH"] : LINEUP_POSITIONS;
+
+// "9-man lineup with DH, 4 bench, 5 SP, 8 RP"
+export const describeRosterShape = (shape) => {
+  const complete = completeRosterShape(shape);
+  const lineup = `${lineupSlots(complete).length}-man lineup${complete.designatedHitter ? ' with DH' : ''}`;
+  return `${lineup}, ${complete.benchSize} bench, ${complete.rotationSize} SP, ${complete.bullpenSize} RP`;
+};
+
+// Convert raw batting rows into Deadball batter cards, best WAR first.
+// Pitchers' own batting lines are left for their pitcher cards.
+export const processBatters = (battingRows, { rules = DEFAULT_RULES, league } = {}) => {
+  const factors = leagueFactors(rules, league);
+  const processedBatters = [];
+
+  for (const row of battingRows) {
+    const player = adjustStatLine(row, factors);
+
+    // Skip players without relevant data
+    if (batterRowProblem(player)) {
+      continue;
+    }
+
+    const positions = positionsFromRow(player);
+    if (positions.length > 0 && positions.every(p => p === "P")) {
+      continue;
+    }
+
+    const traits = explainBattingTraits(player, rules);
+    const card = {
+      name: cleanName(player.Player),
+      position: getPosition(positions),
+      positions,
+      handedness: rowHandedness(player, 'Bats'),
+      bt: calcBT(player.BA, rules),
+      obt: calcOBT(player.OBP, rules),
+      traits: traits.map(t => t.trait).join(" "),
+      traitReasons: traitReasons(traits),
+      games: parseInt(player.G) || 0,
+      war: parseFloat(player.WAR) || 0,
+      splits: calcSplits(player, rules)
+    };
+    // Cards from multi-season uploads note the seasons they cover
+    if (player.Seasons) card.seasons = player.Seasons;
+    processedBatters.push(card);
+  }
+
+  // Sort by WAR
+  return processedBatters.sort((a, b) => b.war - a.war);
+};
+
+// Batting lines keyed by player ID and by name, to find a pitcher's hitting
+const indexBattingLines = (rows) => {
+  const index = new Map();
+  for (const row of rows) {
+    if (!row.Player) continue;
+    for (const column of PLAYER_ID_COLUMNS) {
+      if (row[column]) index.set(`${column}:${row[column]}`, row);
+    }
+    const name = `name:${cleanName(row.Player).toLowerCase()}`;
+    if (!index.has(name)) index.set(name, row);
+  }
+  return index;
+};
+
+const findBattingLine = (index, pitcher) => {
+  const column = PLAYER_ID_COLUMNS.find(c => pitcher[c] && index.has(`${c}:${pitcher[c]}`));
+  if (column) return index.get(`${column}:${pitcher[column]}`);
+  return index.get(`name:${cleanName(pitcher.Player).toLowerCase()}`);
+};
+
+// A pitcher's BT/OBT from their batting line when they batted enough, never below
+// the floor; pitchers with no usable line get the floor plus a random spread
+const pitcherBatting = (line, rules, random) => {
+  const limits = rules.pitcherBatting;
+  const plateAppearances = line ? parseInt(line.PA) || parseInt(line.AB) || 0 : 0;
+
+  if (line && line.BA && plateAppearances >= limits.minPA) {
+    return {
+      bt: Math.max(limits.btFloor, calcBT(line.BA, rules)),
+      obt: Math.max(limits.obtFloor, calcOBT(line.OBP || line.BA, rules))
+    };
+  }
+  return {
+    bt: limits.btFloor + Math.floor(random() * limits.noDataSpread),
+    obt: limits.obtFloor + Math.floor(random() * limits.noDataSpread)
+  };
+};
+
+// Convert raw pitching rows into Deadball pitcher cards. battingRows (the
+// batting upload) supplies their hitting; random should come from
+// createRandom so the no-data spread can be reproduced.
+export const processPitchers = (
+  pitchingRows,
+  { rules = DEFAULT_RULES, league, battingRows = [], random = createRandom(0) } = {}
+) => {
+  const factors = leagueFactors(rules, league);
+  const battingLines = indexBattingLines(battingRows.map(row => adjustStatLine(row, factors)));
+  const processedPitchers = [];
+
+  for (const row of pitchingRows) {
+    const player = adjustStatLine(row, factors);
+
+    // Skip players without relevant data
+    if (pitcherRowProblem(player)) {
+      continue;
+    }
+
+    const { bt, obt } = pitcherBatting(findBattingLine(battingLines, player), rules, random);
+    const traits = explainPitchingTraits(player, rules);
+    const card = {
+      name: cleanName(player.Player),
+      handedness: rowHandedness(player, 'Throws'),
+      pd: calcPD(player.ERA, rules),
+      bt,
+      obt,
+      traits: traits.map(t => t.trait).join(" "),
+      traitReasons: traitReasons(traits),
+      games: parseInt(player.G) || 0,
+      starts: parseInt(player.GS) || 0,
+      ip: parseFloat(player.IP) || 0,
+      saves: parseInt(player.SV) || 0,
+      gamesFinished: parseInt(player.GF) || 0,
+      holds: parseInt(player.HLD) || 0
+    };
+    if (player.Seasons) card.seasons = player.Seasons;
+    processedPitchers.push(card);
+  }
+
+  return processedPitchers;
+};
+
+// A pitcher is a starter if they made more than five starts or started most of their games
+export const isStarter = (pitcher) =>
+  pitcher.starts > 5 || (pitcher.games > 0 && pitcher.starts / pitcher.games > 0.5);
+
+// Value given up by fielding someone away from their listed positions: utility
+// men (no position on record) lose a little, anyone else a lot
+const UTILITY_PENALTY = 0.5;
+const OUT_OF_POSITION_PENALTY = 5;
+
+// Weight for an empty slot when there are fewer batters than positions
+const EMPTY_SLOT = -1000;
+
+// What a batter is worth to the lineup: WAR, with BT + OBT breaking ties so
+// uploads without WAR still field their best hitters
+export const batterValue = (player) => (player.war || 0) + (player.bt + player.obt) / 1000;
+
+// Nudge toward a player's listed positions, so a corner outfielder stays in
+// their own corner when moving them gains nothing. Kept below the smallest step
+// in batterValue (one BT or OBT point) even summed over a whole lineup.
+const LISTED_POSITION_BONUS = 0.00001;
+
+const slotValue = (player, slot) => {
+  const positions = player.positions || [player.position];
+  if (positions.includes(slot)) return batterValue(player) + LISTED_POSITION_BONUS;
+  if (canPlay(player, slot)) return batterValue(player);
+  const utility = positions.length === 0 || positions.includes("UT");
+  return batterValue(player) - (utility ? UTILITY_PENALTY : OUT_OF_POSITION_PENALTY);
+};
+
+// Fill the defensive slots with the set of batters worth the most in total,
+// using each player only where they are eligible unless nobody else can play there
+export const selectLineup = (batters, slots = LINEUP_POSITIONS) => {
+  const columns = Math.max(batters.length, slots.length);
+  const weights = slots.map(slot =>
+    Array.from({ length: columns }, (_, i) => (i < batters.length ? slotValue(batters[i], slot) : EMPTY_SLOT))
+  );
+  const assignment = maxWeightAssignment(weights);
+
+  const lineup = [];
+  slots.forEach((slot, s) => {
+    const player = batters[assignment[s]];
+    if (player) lineup.push({ ...player, position: slot });
+  });
+
+  const chosen = new Set(assignment);
+  const remainingBatters = batters.filter((_, i) => !chosen.has(i));
+
+  return { lineup, remainingBatters };
+};
+
+// positionPlayers holds the lineup followed by the bench; lineupSize marks the
+// split once a roster has been edited
+export const getLineupSize = (roster) => roster.lineupSize ?? LINEUP_POSITIONS.length;
+
+export const getLineup = (roster) => roster.positionPlayers.slice(0, getLineupSize(roster));
+
+export const getBench = (roster) => roster.positionPlayers.slice(getLineupSize(roster));
+
+// Names generated for padded players. Rosters saved before cards carried the
+// placeholder flag are recognised by these alone.
+const PLACEHOLDER_NAME = /^(Bench Player|Starting Pitcher|Relief Pitcher) \d+$|^Replacement |^Backup Catcher$/;
+
+export const isPlaceholder = (player) => Boolean(player.placeholder) || PLACEHOLDER_NAME.test(player.name || '');
+
+// Pad a list with generic replacement players until it reaches size
+const padWith = (players, size, makePlaceholder) => {
+  const padded = [...players];
+  while (padded.length < size) {
+    padded.push(makePlaceholder(padded.length + 1));
+  }
+  return padded;
+};
+
+const lineupPlaceholder = (position) => ({
+  name: `Replacement ${position}`,
+  position,
+  handedness: "R",
+  bt: 20,
+  obt: 25,
+  traits: "",
+  placeholder: true
+});
+
+const benchPlaceholder = (n) => ({
+  name: `Bench Player ${n}`,
+  position: "UT",
+  handedness: "R",
+  bt: 20,
+  obt: 25,
+  traits: "",
+  placeholder: true
+});
+
+const catcherPlaceholder = () => ({
+  ...benchPlaceholder(0),
+  name: "Backup Catcher",
+  position: "C",
+  positions: ["C"]
+});
+
+const starterPlaceholder = (n) => ({
+  name: `Starting Pitcher ${n}`,
+  pd: "d4",
+  handedness: "R",
+  bt: 15,
+  obt: 20,
+  traits: "",
+  placeholder: true
+});
+
+const relieverPlaceholder = (n) => ({
+  name: `Relief Pitcher ${n}`,
+  pd: "d4",
+  handedness: "R",
+  bt: 12,
+  obt: 18,
+  traits: "",
+  role: "middle",
+  placeholder: true
+});
+
+// The relievers with the most innings, making room for the saves leader so
+// the bullpen keeps its closer
+const selectBullpen = (relievers, size) => {
+  const bullpen = [...relievers].sort((a, b) => b.ip - a.ip).slice(0, size);
+  const closer = [...relievers].sort((a, b) => b.saves - a.saves)[0];
+  if (size > 0 && closer && closer.saves > 0 && !bullpen.includes(closer)) {
+    bullpen[bullpen.length - 1] = closer;
+  }
+  return bullpen;
+};
+
+// Every slot the lineup should fill, with a replacement player in any slot
+// nobody could take when the shape pads empty slots
+const fillLineup = (lineup, shape) => {
+  if (!shape.fillEmpty) return lineup;
+  const filled = new Set(lineup.map(p => p.position));
+  return [
+    ...lineup,
+    ...lineupSlots(shape).filter(slot => !filled.has(slot)).map(lineupPlaceholder)
+  ];
+};
+
+// Best remaining batters, swapping the last of them for the best catcher left
+// when the shape asks for a backup catcher and the bench has none
+const selectBench = (remainingBatters, shape) => {
+  const bench = remainingBatters.slice(0, shape.benchSize);
+  if (!shape.backupCatcher || shape.benchSize === 0 || bench.some(p => canPlay(p, "C"))) {
+    return bench;
+  }
+
+  const catcher = remainingBatters.find(p => canPlay(p, "C"));
+  if (catcher) {
+    return [...bench.slice(0, shape.benchSize - 1), catcher];
+  }
+  if (shape.fillEmpty) {
+    const others = shape.benchSize - 1;
+    return [...padWith(bench.slice(0, others), others, benchPlaceholder), catcherPlaceholder()];
+  }
+  return bench;
+};
+
+// Sections that fall short of the roster's shape, as messages for the sheet.
+// Rosters saved before shapes existed have nothing to check against.
+export const rosterWarnings = (roster) => {
+  if (!roster.shape) return [];
+  const shape = completeRosterShape(roster.shape);
+  const lineup = getLineup(roster);
+  const bench = getBench(roster);
+  const warnings = [];
+
+  const short = (label, players, size) => {
+    if (players.length < size) warnings.push(`${label} has ${players.length} of ${size} players.`);
+  };
+  short("Lineup", lineup, lineupSlots(shape).length);
+  short("Bench", bench, shape.benchSize);
+  short("Rotation", roster.startingPitchers, shape.rotationSize);
+  short("Bullpen", roster.reliefPitchers, shape.bullpenSize);
+
+  const missing = lineupSlots(shape).filter(slot => !lineup.some(p => p.position === slot));
+  if (lineup.length > 0 && missing.length > 0) {
+    warnings.push(`Nobody is playing ${missing.join(", ")}.`);
+  }
+  if (shape.backupCatcher && !bench.some(p => canPlay(p, "C"))) {
+    warnings.push("No backup catcher on the bench.");
+  }
+  return warnings;
+};
+
+// Build a full Deadball roster from parsed batting and pitching rows.
+// options: { rules, league, seed, battingOrder, platoon, shape } - rules
+// defaults to DEFAULT_RULES, league is { BA, OBP, SLG, ERA } averages used
+// when rules.relativeToLeague is set, seed makes any random ratings
+// reproducible (a new one is picked and recorded on the roster when omitted),
+// battingOrder is one of BATTING_ORDER_STRATEGIES, platoon adds separate
+// lineups against right- and left-handed pitching and shape is a partial
+// DEFAULT_ROSTER_SHAPE
+export const buildRoster = (battingRows, pitchingRows, options = {}) => {
+  if (!battingRows || !pitchingRows || battingRows.length === 0 || pitchingRows.length === 0) {
+    throw new Error("Both batting and pitching stats are required.");
+  }
+
+  const seed = options.seed ?? newSeed();
+  const batters = processBatters(battingRows, options);
+  const pitchers = processPitchers(pitchingRows, { ...options, battingRows, random: createRandom(seed) });
+
+  return assembleRoster(batters, pitchers, { ...options, seed });
+};
+
+// Lay out batter and pitcher cards as a roster: the best lineup for the
+// shape's slots, the bench, the rotation by innings and the bullpen with
+// roles. Takes the same options as buildRoster.
+export const assembleRoster = (batters, pitchers, options = {}) => {
+  const seed = options.seed;
+  const shape = completeRosterShape(options.shape);
+
+  // Separate starters and relievers; starters left out of the rotation
+  // fill any bullpen places the relievers can't
+  const allStarters = pitchers.filter(isStarter).sort((a, b) => b.ip - a.ip);
+  const starters = allStarters.slice(0, shape.rotationSize);
+  const bullpen = selectBullpen(pitchers.filter(p => !isStarter(p)), shape.bullpenSize);
+  const spareStarters = allStarters.slice(shape.rotationSize, shape.rotationSize + shape.bullpenSize - bullpen.length);
+
+  const relievers = assignBullpenRoles([...bullpen, ...spareStarters]);
+
+  const selected = selectLineup(batters, lineupSlots(shape));
+  const lineup = fillLineup(selected.lineup, shape);
+
+  // Select bench players (top remaining)
+  const bench = selectBench(selected.remainingBatters, shape);
+  const pad = (players, size, makePlaceholder) =>
+    (shape.fillEmpty ? padWith(players, size, makePlaceholder) : players);
+
+  const roster = {
+    positionPlayers: [...orderLineup(lineup, options.battingOrder), ...pad(bench, shape.benchSize, benchPlaceholder)],
+    lineupSize: lineup.length,
+    startingPitchers: pad(starters, shape.rotationSize, starterPlaceholder),
+    reliefPitchers: pad(relievers, shape.bullpenSize, relieverPlaceholder),
+    shape,
+    seed
+  };
+
+  if (options.platoon) {
+    roster.platoon = {
+      battingOrder: options.battingOrder,
+      ...platoonLineups(lineup, bench, options.battingOrder)
+    };
+  }
+
+  // Record the normalization so the sheet can show how far cards were moved
+  const factors = leagueFactors(options.rules || DEFAULT_RULES, options.league);
+  if (Object.values(factors).some(f => f !== 1)) {
+    roster.leagueAdjustment = factors;
+  }
+
+  return roster;
+};
@@ -0,0 +1,222 @@
+// Conversion rules: every threshold used to turn a stat line into a card.
+// Rule sets are plain JSON so they can be edited in the UI and saved as presets.
+
+export const DEFAULT_RULES = {
+  // BT = round(BA * btScale) + btOffset, likewise for OBT
+  ratings: {
+    btScale: 100,
+    btOffset: 0,
+    obtScale: 100,
+    obtOffset: 0
+  },
+
+  // First band whose maxEra the ERA is below wins; anything worse gets pitchDieFloor
+  pitchDieBands: [
+    { maxEra: 2.00, pd: "d20" },
+    { maxEra: 3.00, pd: "d12" },
+    { maxEra: 4.00, pd: "d8" },
+    { maxEra: 5.00, pd: "d4" },
+    { maxEra: 6.00, pd: "-d4" },
+    { maxEra: 7.00, pd: "-d8" },
+    { maxEra: 8.00, pd: "-d12" }
+  ],
+  pitchDieFloor: "-d20",
+
+  batting: {
+    powerPlusPlusHR: 35,
+    powerPlusPlusSLG: 0.560,
+    powerPlusHR: 25,
+    powerPlusSLG: 0.475,
+    powerMinusHR: 5,
+    // P-- needs both: at most this many HR and a SLG below the cutoff
+    powerMinusMinusHR: 1,
+    powerMinusMinusSLG: 0.300,
+    contactDoubles: 35,
+    contactKRate: 0.12,
+    contactMinusKRate: 0.25,
+    // T+: walks per plate appearance, or OBP this far above BA
+    toughOutBBRate: 0.12,
+    toughOutOBPGap: 0.090,
+    speedSB: 20,
+    // D+/D-: fielding runs (DRS or Rtot) when the upload has them, then
+    // fielding percentage against the position norm, then the WAR proxy
+    defensePlusRuns: 10,
+    defenseMinusRuns: -10,
+    defensePlusFldPct: 0.010,
+    defenseMinusFldPct: 0.015,
+    defenseWAR: 1.5
+  },
+
+  // Pitchers hit from their batting line once they have minPA plate
+  // appearances, never below the floors; without one they get the floors
+  // plus a seeded random spread of up to noDataSpread - 1
+  pitcherBatting: {
+    minPA: 20,
+    btFloor: 10,
+    obtFloor: 15,
+    noDataSpread: 10
+  },
+
+  // League-average fielding percentage by position
+  fieldingPct: {
+    C: 0.991,
+    '1B': 0.994,
+    '2B': 0.984,
+    '3B': 0.958,
+    SS: 0.972,
+    OF: 0.985
+  },
+
+  pitching: {
+    strikeoutK9: 8,
+    strikeoutMinusK9: 4,
+    groundballHR9: 0.7,
+    groundballERA: 3.5,
+    flyballHR9: 1.3,
+    controlBB9: 2,
+    wildBB9: 4,
+    staminaIP: 170,
+    // ST-: starters (at least staminaMinusStarts GS) averaging fewer innings
+    staminaMinusStarts: 5,
+    staminaMinusIPPerStart: 5
+  },
+
+  // When league averages are supplied, rate stats are rescaled to this
+  // reference environment before any threshold is applied (ERA+/OPS+ style)
+  relativeToLeague: false,
+  baseline: {
+    BA: 0.265,
+    OBP: 0.335,
+    SLG: 0.400,
+    ERA: 4.00
+  }
+};
+
+const withOverrides = (overrides) => ({
+  ...DEFAULT_RULES,
+  ...overrides,
+  ratings: { ...DEFAULT_RULES.ratings, ...overrides.ratings },
+  batting: { ...DEFAULT_RULES.batting, ...overrides.batting },
+  pitching: { ...DEFAULT_RULES.pitching, ...overrides.pitching },
+  pitcherBatting: { ...DEFAULT_RULES.pitcherBatting, ...overrides.pitcherBatting },
+  fieldingPct: { ...DEFAULT_RULES.fieldingPct, ...overrides.fieldingPct },
+  baseline: { ...DEFAULT_RULES.baseline, ...overrides.baseline }
+});
+
+// Fill in any setting a saved rule set predates with its default
+export const completeRules = (rules) => withOverrides(rules || {});
+
+const pitchDieBands = (cutoffs) =>
+  DEFAULT_RULES.pitchDieBands.map((band, i) => ({ ...band, maxEra: cutoffs[i] }));
+
+export const RULE_PRESETS = {
+  "Standard": DEFAULT_RULES,
+
+  "Deadball 1901–1919": withOverrides({
+    pitchDieBands: pitchDieBands([1.50, 2.25, 2.75, 3.25, 3.75, 4.25, 5.00]),
+    batting: {
+      powerPlusPlusHR: 12,
+      powerPlusPlusSLG: 0.480,
+      powerPlusHR: 7,
+      powerPlusSLG: 0.400,
+      powerMinusHR: 1,
+      powerMinusMinusHR: 0,
+      powerMinusMinusSLG: 0.260,
+      contactKRate: 0.08,
+      contactMinusKRate: 0.15,
+      toughOutBBRate: 0.10,
+      speedSB: 30
+    },
+    pitching: {
+      strikeoutK9: 5.5,
+      strikeoutMinusK9: 2.5,
+      groundballHR9: 0.2,
+      groundballERA: 2.5,
+      flyballHR9: 0.5,
+      controlBB9: 2,
+      wildBB9: 3.5,
+      staminaIP: 250,
+      staminaMinusIPPerStart: 7
+    },
+    fieldingPct: { C: 0.965, '1B': 0.983, '2B': 0.950, '3B': 0.930, SS: 0.927, OF: 0.955 },
+    baseline: { BA: 0.254, OBP: 0.315, SLG: 0.330, ERA: 2.80 }
+  }),
+
+  "Live Ball": withOverrides({
+    pitchDieBands: pitchDieBands([2.50, 3.25, 4.00, 4.75, 5.50, 6.25, 7.00]),
+    batting: {
+      powerPlusHR: 20,
+      powerPlusSLG: 0.460,
+      powerMinusHR: 3,
+      contactKRate: 0.08,
+      contactMinusKRate: 0.18,
+      speedSB: 15
+    },
+    pitching: {
+      strikeoutK9: 6,
+      strikeoutMinusK9: 3,
+      groundballHR9: 0.5,
+      groundballERA: 3.25,
+      flyballHR9: 1.0,
+      staminaIP: 200,
+      staminaMinusIPPerStart: 6
+    },
+    fieldingPct: { C: 0.982, '1B': 0.990, '2B': 0.970, '3B': 0.952, SS: 0.955, OF: 0.975 },
+    baseline: { BA: 0.268, OBP: 0.338, SLG: 0.385, ERA: 3.90 }
+  }),
+
+  "Modern": withOverrides({
+    pitchDieBands: pitchDieBands([2.25, 3.00, 3.75, 4.50, 5.25, 6.00, 7.00]),
+    batting: {
+      powerPlusPlusHR: 40,
+      powerPlusHR: 28,
+      powerPlusSLG: 0.480,
+      powerMinusHR: 8,
+      contactDoubles: 38,
+      contactMinusKRate: 0.27
+    },
+    pitching: {
+      strikeoutK9: 9.5,
+      strikeoutMinusK9: 5.5,
+      groundballHR9: 0.8,
+      groundballERA: 3.25,
+      flyballHR9: 1.5,
+      controlBB9: 2.2,
+      staminaIP: 180,
+      staminaMinusIPPerStart: 4.5
+    },
+    baseline: { BA: 0.255, OBP: 0.320, SLG: 0.410, ERA: 4.20 }
+  })
+};
+
+// Multipliers that move a stat from the league's run environment into the
+// rule set's baseline. All 1 unless relative mode is on and league averages exist.
+export const leagueFactors = (rules, league) => {
+  const factors = { BA: 1, OBP: 1, SLG: 1, ERA: 1 };
+  if (!rules.relativeToLeague || !league) return factors;
+
+  for (const stat of Object.keys(factors)) {
+    const leagueValue = parseFloat(league[stat]);
+    if (leagueValue > 0) {
+      factors[stat] = rules.baseline[stat] / leagueValue;
+    }
+  }
+  return factors;
+};
+
+// Rate columns and their split variants (BA, BA_vsR, "BA vs LHP", ...)
+const RATE_COLUMN = /^(BA|OBP|SLG|ERA)(?:$|_vs| vs )/;
+
+// Rescale a raw stats row by league factors, leaving counting stats alone
+export const adjustStatLine = (player, factors) => {
+  const adjusted = { ...player };
+  for (const [column, raw] of Object.entries(player)) {
+    const match = column.match(RATE_COLUMN);
+    const factor = match ? factors[match[1]] : 1;
+    const value = parseFloat(raw);
+    if (factor !== 1 && !isNaN(value)) {
+      adjusted[column] = String(value * factor);
+    }
+  }
+  return adjusted;
+};
@@ -0,0 +1,290 @@
+import { createRandom, newSeed } from './random.js';
+import { simulateGame } from './game.js';
+import { csvRow } from './export.js';
+
+// Season simulation: a schedule of games between league rosters, played with
+// one seeded generator, summed into standings and season stat lines.
+
+// Every team meets every other team once per round, home field alternating
+// between rounds (circle method; an odd team count gives one team a day off)
+export const roundRobinSchedule = (teamCount, rounds = 1) => {
+  if (teamCount < 2) throw new Error("A schedule needs at least two teams.");
+
+  const games = [];
+  let day = 0;
+  for (let round = 0; round < rounds; round++) {
+    const slots = [...Array(teamCount).keys()];
+    if (teamCount % 2) slots.push(null);
+    const size = slots.length;
+
+    for (let turn = 0; turn < size - 1; turn++) {
+      day++;
+      for (let i = 0; i < size / 2; i++) {
+        const first = slots[i];
+        const second = slots[size - 1 - i];
+        if (first === null || second === null) continue;
+        // The fixed team alternates home and away; every pairing flips next round
+        const flip = (i === 0 && turn % 2 === 1) !== (round % 2 === 1);
+        games.push({ day, away: flip ? second : first, home: flip ? first : second });
+      }
+      slots.splice(1, 0, slots.pop());
+    }
+  }
+  return games;
+};
+
+const SCHEDULE_COLUMNS = {
+  away: ['Away', 'Visitor', 'Road', 'Visiting Team', 'Away Team'],
+  home: ['Home', 'Home Team'],
+  day: ['Day', 'Date', 'Game']
+};
+
+const scheduleValue = (row, names) => {
+  const column = names.find(name => row[name] !== undefined && String(row[name]).trim() !== '');
+  return column ? String(row[column]).trim() : '';
+};
+
+// A custom schedule from rows with Away and Home team names (Visitor/Road
+// work too) and an optional Day or Date column
+export const parseScheduleRows = (rows, teamNames) => {
+  const index = new Map(teamNames.map((name, i) => [name.trim().toLowerCase(), i]));
+
+  const games = rows.map((row, i) => {
+    const line = i + 2;
+    const away = scheduleValue(row, SCHEDULE_COLUMNS.away);
+    const home = scheduleValue(row, SCHEDULE_COLUMNS.home);
+    if (!away || !home) {
+      throw new Error(`Schedule line ${line}: needs an Away and a Home team.`);
+    }
+    for (const name of [away, home]) {
+      if (!index.has(name.toLowerCase())) {
+        throw new Error(`Schedule line ${line}: no team named "${name}" in the league.`);
+      }
+    }
+    if (away.toLowerCase() === home.toLowerCase()) {
+      throw new Error(`Schedule line ${line}: ${away} cannot play itself.`);
+    }
+    return {
+      day: scheduleValue(row, SCHEDULE_COLUMNS.day) || i + 1,
+      away: index.get(away.toLowerCase()),
+      home: index.get(home.toLowerCase())
+    };
+  });
+
+  if (games.length === 0) throw new Error("The schedule has no games.");
+  return games;
+};
+
+const BATTING_TOTALS = ['G', 'PA', 'AB', 'R', 'H', '2B', '3B', 'HR', 'RBI', 'BB', 'SO', 'SB', 'CS'];
+const PITCHING_TOTALS = ['G', 'GS', 'W', 'L', 'SV', 'outs', 'H', 'R', 'ER', 'BB', 'SO', 'HR'];
+
+const emptyLine = (name, team, columns) =>
+  Object.fromEntries([['name', name], ['team', team], ...columns.map(c => [c, 0])]);
+
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : 0);
+
+// Rate stats from the season totals
+const withBattingRates = (line) => ({
+  ...line,
+  AVG: ratio(line.H, line.AB),
+  OBP: ratio(line.H + line.BB, line.PA),
+  SLG: ratio(line.H + line['2B'] + 2 * line['3B'] + 3 * line.HR, line.AB)
+});
+
+const withPitchingRates = (line) => ({
+  ...line,
+  IP: `${Math.floor(line.outs / 3)}.${line.outs % 3}`,
+  ERA: ratio(line.ER * 27, line.outs),
+  WHIP: ratio((line.H + line.BB) * 3, line.outs)
+});
+
+// Won-lost records, best winning percentage first (ties count half a win)
+export const seasonStandings = (teamNames, games) => {
+  const rows = teamNames.map(team => ({ team, G: 0, W: 0, L: 0, T: 0, RS: 0, RA: 0 }));
+
+  for (const game of games) {
+    const away = rows[game.away];
+    const home = rows[game.home];
+    away.G++;
+    home.G++;
+    away.RS += game.awayRuns;
+    away.RA += game.homeRuns;
+    home.RS += game.homeRuns;
+    home.RA += game.awayRuns;
+    if (game.awayRuns > game.homeRuns) {
+      away.W++;
+      home.L++;
+    } else if (game.homeRuns > game.awayRuns) {
+      home.W++;
+      away.L++;
+    } else {
+      away.T++;
+      home.T++;
+    }
+  }
+
+  const ranked = rows
+    .map(row => ({ ...row, PCT: ratio(row.W + row.T / 2, row.G) }))
+    .sort((a, b) => b.PCT - a.PCT || (b.RS - b.RA) - (a.RS - a.RA) || a.team.localeCompare(b.team));
+  const leader = ranked[0];
+  return ranked.map(row => ({ ...row, GB: ((leader.W - row.W) + (row.L - leader.L)) / 2 }));
+};
+
+// Play every scheduled game. teams: [{ name, roster }]; schedule: games from
+// roundRobinSchedule or parseScheduleRows (default: rounds of round robin).
+// Each team's starters go in turn through its rotation.
+export const simulateSeason = (teams, { schedule, rounds = 1, seed } = {}) => {
+  if (teams.length < 2) throw new Error("A season needs at least two teams.");
+
+  const seasonSeed = seed ?? newSeed();
+  const random = createRandom(seasonSeed);
+  const names = teams.map(t => t.name);
+  const games = schedule || roundRobinSchedule(teams.length, rounds);
+  const starts = teams.map(() => 0);
+  const batting = new Map();
+  const pitching = new Map();
+
+  const lineFor = (lines, teamIndex, name, columns) => {
+    const key = `${teamIndex}:${name}`;
+    if (!lines.has(key)) lines.set(key, emptyLine(name, names[teamIndex], columns));
+    return lines.get(key);
+  };
+
+  const addGame = (teamIndex, box) => {
+    for (const game of box.batting) {
+      const line = lineFor(batting, teamIndex, game.name, BATTING_TOTALS);
+      line.G++;
+      for (const column of BATTING_TOTALS.slice(1)) line[column] += game[column];
+    }
+    box.pitching.forEach((game, order) => {
+      const line = lineFor(pitching, teamIndex, game.name, PITCHING_TOTALS);
+      line.G++;
+      if (order === 0) line.GS++;
+      if (game.decision === 'W') line.W++;
+      if (game.decision === 'L') line.L++;
+      if (game.decision === 'S') line.SV++;
+      for (const column of PITCHING_TOTALS.slice(5)) line[column] += game[column];
+    });
+  };
+
+  const results = games.map(({ day, away, home }) => {
+    const game = simulateGame(teams[away].roster, teams[home].roster, {
+      seed: seasonSeed,
+      random,
+      awayName: names[away],
+      homeName: names[home],
+      awayStarter: starts[away]++,
+      homeStarter: starts[home]++
+    });
+    addGame(away, game.away);
+    addGame(home, game.home);
+    return { day, away, home, awayRuns: game.away.runs, homeRuns: game.home.runs, innings: game.innings };
+  });
+
+  return {
+    seed: seasonSeed,
+    teams: names,
+    games: results,
+    standings: seasonStandings(names, results),
+    batting: [...batting.values()].map(withBattingRates),
+    pitching: [...pitching.values()].map(withPitchingRates)
+  };
+};
+
+const rate = (value) => value.toFixed(3).replace(/^0/, '');
+
+// Leader boards. Rate stats need a qualifying amount of play per team game
+// (3.1 plate appearances, one inning), as in the majors.
+export const LEADER_CATEGORIES = {
+  batting: [
+    { key: 'AVG', label: 'Batting Average', qualified: true, format: rate },
+    { key: 'OBP', label: 'On-Base Percentage', qualified: true, format: rate },
+    { key: 'SLG', label: 'Slugging Percentage', qualified: true, format: rate },
+    { key: 'HR', label: 'Home Runs' },
+    { key: 'RBI', label: 'Runs Batted In' },
+    { key: 'R', label: 'Runs' },
+    { key: 'H', label: 'Hits' },
+    { key: 'SB', label: 'Stolen Bases' }
+  ],
+  pitching: [
+    { key: 'ERA', label: 'Earned Run Average', qualified: true, ascending: true, format: v => v.toFixed(2) },
+    { key: 'WHIP', label: 'WHIP', qualified: true, ascending: true, format: v => v.toFixed(2) },
+    { key: 'W', label: 'Wins' },
+    { key: 'SO', label: 'Strikeouts' },
+    { key: 'SV', label: 'Saves' },
+    { key: 'IP', label: 'Innings Pitched', sortKey: 'outs' }
+  ]
+};
+
+// Top count players in every category: { batting: [{ category, players }], pitching: [...] }
+export const seasonLeaders = (season, count = 5) => {
+  const teamGames = new Map(season.standings.map(row => [row.team, row.G]));
+  const qualifies = {
+    batting: (line) => line.PA >= 3.1 * (teamGames.get(line.team) || 0),
+    pitching: (line) => line.outs >= 3 * (teamGames.get(line.team) || 0)
+  };
+
+  const board = (kind) => LEADER_CATEGORIES[kind].map(category => {
+    const sortKey = category.sortKey || category.key;
+    const players = season[kind]
+      .filter(line => !category.qualified || qualifies[kind](line))
+      .sort((a, b) => (category.ascending ? a[sortKey] - b[sortKey] : b[sortKey] - a[sortKey]) || a.name.localeCompare(b.name))
+      .slice(0, count)
+      .map(line => ({ name: line.name, team: line.team, value: category.format ? category.format(line[category.key]) : line[category.key] }));
+    return { category, players };
+  });
+
+  return { batting: board('batting'), pitching: board('pitching') };
+};
+
+const STANDINGS_COLUMNS = [
+  ['Team', r => r.team], ['G', r => r.G], ['W', r => r.W], ['L', r => r.L], ['T', r => r.T],
+  ['PCT', r => rate(r.PCT)], ['GB', r => (r.GB === 0 ? '-' : r.GB)], ['RS', r => r.RS], ['RA', r => r.RA]
+];
+
+const BATTING_STAT_COLUMNS = [
+  ['Player', l => l.name], ['Team', l => l.team],
+  ...BATTING_TOTALS.map(c => [c, l => l[c]]),
+  ['AVG', l => rate(l.AVG)], ['OBP', l => rate(l.OBP)], ['SLG', l => rate(l.SLG)]
+];
+
+const PITCHING_STAT_COLUMNS = [
+  ['Player', l => l.name], ['Team', l => l.team],
+  ...['G', 'GS', 'W', 'L', 'SV', 'IP', 'H', 'R', 'ER', 'BB', 'SO', 'HR'].map(c => [c, l => l[c]]),
+  ['ERA', l => l.ERA.toFixed(2)], ['WHIP', l => l.WHIP.toFixed(2)]
+];
+
+const RESULT_COLUMNS = [
+  ['Day', g => g.day], ['Away', g => g.awayTeam], ['R', g => g.awayRuns],
+  ['Home', g => g.homeTeam], ['R', g => g.homeRuns], ['Inn', g => g.innings]
+];
+
+// Standings, leaders, season stats and results in one CSV, in the same
+// titled-section layout as the roster CSV
+export const formatSeasonCSV = (season) => {
+  const lines = [csvRow(['Season']), csvRow([`Seed: ${season.seed}`]), csvRow([`Games: ${season.games.length}`])];
+
+  const section = (title, columns, rows) => {
+    lines.push('', csvRow([title]), csvRow(columns.map(([label]) => label)));
+    for (const row of rows) lines.push(csvRow(columns.map(([, value]) => value(row))));
+  };
+
+  const leaders = seasonLeaders(season);
+  const leaderRows = (boards) => boards.flatMap(({ category, players }) =>
+    players.map((player, index) => [category.label, index + 1, player.name, player.team, player.value]));
+
+  section('STANDINGS', STANDINGS_COLUMNS, season.standings);
+  lines.push('', csvRow(['BATTING LEADERS']), csvRow(['Category', 'Rank', 'Player', 'Team', 'Value']));
+  lines.push(...leaderRows(leaders.batting).map(csvRow));
+  lines.push('', csvRow(['PITCHING LEADERS']), csvRow(['Category', 'Rank', 'Player', 'Team', 'Value']));
+  lines.push(...leaderRows(leaders.pitching).map(csvRow));
+  section('BATTING', BATTING_STAT_COLUMNS, season.batting);
+  section('PITCHING', PITCHING_STAT_COLUMNS, season.pitching);
+  section('RESULTS', RESULT_COLUMNS, season.games.map(g => ({
+    ...g,
+    awayTeam: season.teams[g.away],
+    homeTeam: season.teams[g.home]
+  })));
+
+  return lines.join('\r\n') + '\r\n';
+};
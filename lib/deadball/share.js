@@ -0,0 +1,190 @@
+import { getLineupSize } from './roster.js';
+
+// Rosters packed into a URL fragment so a link alone can show the sheet. Cards
+// become arrays of their sheet fields, the whole roster a versioned array,
+// then JSON and base64url. Stats behind the cards (games, innings, splits)
+// are left out; trait reasons stay so hovering a trait still explains it.
+
+export const SHARE_VERSION = 1;
+
+// Fragment key the encoded roster is stored under: #roster=1.<data>
+export const SHARE_PARAM = 'roster';
+
+const traitList = (player) => (player.traits || '').split(' ').filter(Boolean);
+
+const packReasons = (player) => {
+  const reasons = traitList(player).map(trait => (player.traitReasons && player.traitReasons[trait]) || '');
+  return reasons.some(Boolean) ? reasons : 0;
+};
+
+// traitReasons for a card, as a spread so cards without reasons stay without
+const unpackReasons = (traits, reasons) => {
+  if (!Array.isArray(reasons)) return {};
+  const list = traits.split(' ').filter(Boolean);
+  return { traitReasons: Object.fromEntries(list.map((trait, i) => [trait, reasons[i]]).filter(([, reason]) => reason)) };
+};
+
+const packBatter = (p) => [p.name, p.position, p.handedness, p.bt, p.obt, p.traits || '', packReasons(p), p.placeholder ? 1 : 0, p.seasons || ''];
+
+const unpackBatter = ([name, position, handedness, bt, obt, traits, reasons, placeholder, seasons]) => ({
+  name,
+  position,
+  handedness,
+  bt,
+  obt,
+  traits,
+  ...unpackReasons(traits, reasons),
+  ...(placeholder && { placeholder: true }),
+  ...(seasons && { seasons })
+});
+
+const packPitcher = (p) => [p.name, p.pd, p.handedness, p.bt, p.obt, p.traits || '', packReasons(p), p.placeholder ? 1 : 0, p.role || '', p.seasons || ''];
+
+const unpackPitcher = ([name, pd, handedness, bt, obt, traits, reasons, placeholder, role, seasons]) => ({
+  name,
+  pd,
+  handedness,
+  bt,
+  obt,
+  traits,
+  ...unpackReasons(traits, reasons),
+  ...(placeholder && { placeholder: true }),
+  ...(role && { role }),
+  ...(seasons && { seasons })
+});
+
+// Checks on packed cards, so a hand-made link can't put an object where the
+// sheet expects text. Fields added to the format later may be missing.
+const isText = (value) => typeof value === 'string';
+const isOptionalText = (value) => value === undefined || isText(value);
+const isRating = (value) => typeof value === 'number' && Number.isFinite(value);
+const isReasons = (value) => value === undefined || value === 0 || (Array.isArray(value) && value.every(isText));
+
+const isPackedCard = (card) =>
+  Array.isArray(card) &&
+  isText(card[0]) && isText(card[1]) && isText(card[2]) &&
+  isRating(card[3]) && isRating(card[4]) &&
+  isText(card[5]) && isReasons(card[6]);
+
+const isPackedBatter = (card) => isPackedCard(card) && isOptionalText(card[8]);
+
+const isPackedPitcher = (card) => isPackedCard(card) && isOptionalText(card[8]) && isOptionalText(card[9]);
+
+const isPackedPlatoonLineup = (lineup, players) =>
+  Array.isArray(lineup) &&
+  lineup.every(entry => Array.isArray(entry) && Number.isInteger(entry[0]) && entry[0] < players.length && isText(entry[1]));
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// What is wrong with a packed roster, or null when it can be unpacked
+const packedProblem = ([teamName, seed, lineupSize, batters, starters, relievers, platoon, shape, leagueAdjustment]) => {
+  if (!isText(teamName)) return "team name is not text";
+  if (seed !== null && !isRating(seed) && !isText(seed)) return "seed is not a number";
+  if (!Number.isInteger(lineupSize) || lineupSize < 0 || lineupSize > batters.length) return "lineup size is out of range";
+  if (!batters.every(isPackedBatter)) return "a batter card is malformed";
+  if (!starters.every(isPackedPitcher) || !relievers.every(isPackedPitcher)) return "a pitcher card is malformed";
+  if (platoon && !(Array.isArray(platoon) && isOptionalText(platoon[0]) &&
+      isPackedPlatoonLineup(platoon[1], batters) && isPackedPlatoonLineup(platoon[2], batters))) {
+    return "platoon lineups are malformed";
+  }
+  if (shape && !isPlainObject(shape)) return "roster shape is malformed";
+  if (leagueAdjustment && !(isPlainObject(leagueAdjustment) && Object.values(leagueAdjustment).every(isRating))) {
+    return "league adjustment is malformed";
+  }
+  return null;
+};
+
+// Platoon lineups refer back to positionPlayers by index, with the position
+// each one takes in that lineup
+const packPlatoonLineup = (lineup, players) =>
+  lineup.map(p => [players.findIndex(q => q.name === p.name), p.position]);
+
+const unpackPlatoonLineup = (lineup, players) =>
+  lineup.filter(([index]) => players[index]).map(([index, position]) => ({ ...players[index], position }));
+
+// UTF-8 safe base64url, for the browser and Node alike
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (data) => {
+  const binary = atob(data.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+};
+
+// "1.<base64url>" for the roster and team name
+export const encodeRoster = (roster, teamName) => {
+  const players = roster.positionPlayers;
+  const packed = [
+    teamName || '',
+    roster.seed ?? null,
+    getLineupSize(roster),
+    players.map(packBatter),
+    roster.startingPitchers.map(packPitcher),
+    roster.reliefPitchers.map(packPitcher),
+    roster.platoon ? [
+      roster.platoon.battingOrder || '',
+      packPlatoonLineup(roster.platoon.vsRHP, players),
+      packPlatoonLineup(roster.platoon.vsLHP, players)
+    ] : 0,
+    roster.shape || 0,
+    roster.leagueAdjustment || 0
+  ];
+  return `${SHARE_VERSION}.${toBase64Url(JSON.stringify(packed))}`;
+};
+
+// Read encodeRoster's output back into { teamName, roster }
+export const decodeRoster = (text) => {
+  const match = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(String(text || '').trim());
+  if (!match) throw new Error("Not a shared roster link.");
+
+  const version = parseInt(match[1]);
+  if (version > SHARE_VERSION) {
+    throw new Error(`Shared roster version ${version} is newer than this app supports (${SHARE_VERSION}).`);
+  }
+
+  let packed;
+  try {
+    packed = JSON.parse(fromBase64Url(match[2]));
+  } catch (error) {
+    throw new Error(`Shared roster link is damaged: ${error.message}`);
+  }
+  if (!Array.isArray(packed) || !Array.isArray(packed[3]) || !Array.isArray(packed[4]) || !Array.isArray(packed[5])) {
+    throw new Error("Shared roster link is missing lineup or pitching staff.");
+  }
+  const problem = packedProblem(packed);
+  if (problem) throw new Error(`Shared roster link is damaged: ${problem}.`);
+
+  const [teamName, seed, lineupSize, batters, starters, relievers, platoon, shape, leagueAdjustment] = packed;
+  const positionPlayers = batters.map(unpackBatter);
+  const roster = {
+    positionPlayers,
+    lineupSize,
+    startingPitchers: starters.map(unpackPitcher),
+    reliefPitchers: relievers.map(unpackPitcher),
+    ...(seed !== null && { seed }),
+    ...(platoon && {
+      platoon: {
+        battingOrder: platoon[0] || undefined,
+        vsRHP: unpackPlatoonLineup(platoon[1], positionPlayers),
+        vsLHP: unpackPlatoonLineup(platoon[2], positionPlayers)
+      }
+    }),
+    ...(shape && { shape }),
+    ...(leagueAdjustment && { leagueAdjustment })
+  };
+  return { teamName, roster };
+};
+
+// The encoded roster in a location hash ("#roster=1.abc"), or null
+export const sharedRosterParam = (hash) => {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  return params.get(SHARE_PARAM);
+};
+
+// Link to base (the page URL without its hash) that opens the roster
+export const shareLink = (base, roster, teamName) =>
+  `${String(base).split('#')[0]}#${SHARE_PARAM}=${encodeRoster(roster, teamName)}`;
@@ -0,0 +1,163 @@
+import { getLineup, getBench, isPlaceholder } from './roster.js';
+import { canPlay } from './positions.js';
+import { PITCH_DICE } from './game.js';
+import { TRAIT_CATALOGUE } from './traits.js';
+import { csvRow } from './export.js';
+
+// Team strength at a glance, worked out from the cards on a roster alone so
+// shared and saved rosters without their stats can be summarized and compared.
+
+const average = (values) =>
+  (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+const round = (value) => (value === null ? null : Number(value.toFixed(1)));
+
+// What a pitch die adds to a swing on average: d20 +10.5, -d4 -2.5
+export const pitchDieAverage = (pd) => {
+  const match = /^(-?)d(\d+)$/.exec(String(pd || '').trim());
+  if (!match) return 0;
+  const mean = (parseInt(match[2]) + 1) / 2;
+  return match[1] ? -mean : mean;
+};
+
+const countBy = (players, keyOf) => {
+  const counts = {};
+  for (const player of players) {
+    const key = keyOf(player);
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+};
+
+const hitting = (players) => {
+  const real = players.filter(p => !isPlaceholder(p));
+  return {
+    size: players.length,
+    bt: round(average(real.map(p => p.bt))),
+    obt: round(average(real.map(p => p.obt)))
+  };
+};
+
+// Every pitch die in PITCH_DICE order with how many pitchers throw it
+const staff = (pitchers) => ({
+  size: pitchers.length,
+  pd: round(average(pitchers.filter(p => !isPlaceholder(p)).map(p => pitchDieAverage(p.pd)))),
+  dice: Object.fromEntries(PITCH_DICE.map(die => [die, pitchers.filter(p => p.pd === die).length]))
+});
+
+// Trait counts over the whole roster, catalogue traits first
+const traitCounts = (players) => {
+  const counts = countBy(players.flatMap(p => (p.traits || '').split(' ').filter(Boolean)), trait => trait);
+  const order = Object.keys(TRAIT_CATALOGUE);
+  const rank = (trait) => (order.includes(trait) ? order.indexOf(trait) : order.length);
+  return Object.fromEntries(Object.entries(counts).sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b)));
+};
+
+const handedness = (players) => {
+  const counts = countBy(players.filter(p => !isPlaceholder(p)), p => p.handedness || 'R');
+  return { L: counts.L || 0, R: counts.R || 0, S: counts.S || 0 };
+};
+
+// Lineup slots held by a replacement or someone out of position, and the
+// positions nobody on the bench can cover
+const positionalWeaknesses = (lineup, bench) => {
+  const weaknesses = [];
+  for (const player of lineup) {
+    if (isPlaceholder(player)) {
+      weaknesses.push(`${player.position}: replacement player`);
+    } else if (!canPlay(player, player.position)) {
+      weaknesses.push(`${player.position}: ${player.name} out of position`);
+    }
+  }
+
+  const uncovered = lineup
+    .map(p => p.position)
+    .filter(position => position !== "DH" && !bench.some(p => !isPlaceholder(p) && canPlay(p, position)));
+  if (uncovered.length) {
+    weaknesses.push(`No bench cover at ${uncovered.join(", ")}`);
+  }
+  return weaknesses;
+};
+
+// { lineup, bench, rotation, bullpen, traits, handedness, weaknesses,
+// placeholders } for a roster. Hitting and pitch die averages leave out
+// replacement players, which are listed by name under placeholders.
+export const summarizeRoster = (roster) => {
+  const lineup = getLineup(roster);
+  const bench = getBench(roster);
+  const everyone = [...roster.positionPlayers, ...roster.startingPitchers, ...roster.reliefPitchers];
+
+  return {
+    lineup: hitting(lineup),
+    bench: hitting(bench),
+    rotation: staff(roster.startingPitchers),
+    bullpen: staff(roster.reliefPitchers),
+    traits: traitCounts(everyone),
+    handedness: {
+      lineup: handedness(lineup),
+      rotation: handedness(roster.startingPitchers),
+      bullpen: handedness(roster.reliefPitchers)
+    },
+    weaknesses: positionalWeaknesses(lineup, bench),
+    placeholders: everyone.filter(isPlaceholder).map(p => p.name)
+  };
+};
+
+// "2×d12 · 3×d8", leaving out dice nobody throws
+export const describeDice = (dice) =>
+  Object.entries(dice).filter(([, n]) => n > 0).map(([die, n]) => `${n}×${die}`).join(' · ') || '—';
+
+// "5 R · 3 L · 1 S"
+export const describeHandedness = (counts) =>
+  [['R', counts.R], ['L', counts.L], ['S', counts.S]].filter(([, n]) => n > 0).map(([hand, n]) => `${n} ${hand}`).join(' · ') || '—';
+
+export const describeTraitCounts = (traits) =>
+  Object.entries(traits).map(([trait, n]) => `${trait} ×${n}`).join(' · ') || '—';
+
+const signed = (value) => (value === null ? '—' : `${value > 0 ? '+' : ''}${value.toFixed(1)}`);
+
+const plain = (value) => (value === null ? '—' : value.toFixed(1));
+
+// The rows of a summary as shown in the panel and the comparison. value is
+// a number for rows where one team can be better (better says which way),
+// format turns the summary into the text shown and warning marks rows that
+// point at a problem when their value isn't zero.
+export const SUMMARY_METRICS = [
+  { label: 'Lineup BT', value: s => s.lineup.bt, better: 'higher', format: s => plain(s.lineup.bt) },
+  { label: 'Lineup OBT', value: s => s.lineup.obt, better: 'higher', format: s => plain(s.lineup.obt) },
+  { label: 'Bench BT', value: s => s.bench.bt, better: 'higher', format: s => plain(s.bench.bt) },
+  { label: 'Bench OBT', value: s => s.bench.obt, better: 'higher', format: s => plain(s.bench.obt) },
+  { label: 'Rotation P.D. (average)', value: s => s.rotation.pd, better: 'higher', format: s => signed(s.rotation.pd) },
+  { label: 'Rotation dice', format: s => describeDice(s.rotation.dice) },
+  { label: 'Bullpen P.D. (average)', value: s => s.bullpen.pd, better: 'higher', format: s => signed(s.bullpen.pd) },
+  { label: 'Bullpen dice', format: s => describeDice(s.bullpen.dice) },
+  { label: 'Lineup hands', format: s => describeHandedness(s.handedness.lineup) },
+  { label: 'Rotation hands', format: s => describeHandedness(s.handedness.rotation) },
+  { label: 'Bullpen hands', format: s => describeHandedness(s.handedness.bullpen) },
+  { label: 'Traits', format: s => describeTraitCounts(s.traits) },
+  { label: 'Positional weaknesses', value: s => s.weaknesses.length, better: 'lower', warning: true, format: s => s.weaknesses.join('; ') || 'None' },
+  { label: 'Placeholders', value: s => s.placeholders.length, better: 'lower', warning: true, format: s => (s.placeholders.length ? `${s.placeholders.length}: ${s.placeholders.join(', ')}` : 'None') }
+];
+
+// Index of the team(s) best on a metric, or an empty list when the metric
+// has no better or worse or every team is level
+export const bestOnMetric = (metric, summaries) => {
+  if (!metric.better) return [];
+  const values = summaries.map(metric.value);
+  const known = values.filter(v => v !== null);
+  if (known.length < 2) return [];
+  const best = metric.better === 'higher' ? Math.max(...known) : Math.min(...known);
+  if (known.every(v => v === best)) return [];
+  return values.map((v, i) => (v === best ? i : -1)).filter(i => i >= 0);
+};
+
+// Side-by-side comparison as CSV: a row per metric, a column per team.
+// teams: [{ name, roster }]
+export const formatComparisonCSV = (teams) => {
+  const summaries = teams.map(t => summarizeRoster(t.roster));
+  const lines = [
+    csvRow(['Metric', ...teams.map(t => t.name)]),
+    ...SUMMARY_METRICS.map(metric => csvRow([metric.label, ...summaries.map(metric.format)]))
+  ];
+  return lines.join('\r\n') + '\r\n';
+};
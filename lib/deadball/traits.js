@@ -0,0 +1,238 @@
+import { DEFAULT_RULES } from './rules.js';
+import { positionsFromRow, getPosition, fieldingPctNorm } from './positions.js';
+import { inningsPitched } from './league.js';
+
+// The Deadball trait catalogue. A player holds at most one trait from each
+// group (P++ and P- can never appear together); within a group the rules
+// below are tried strongest first and the first that applies wins.
+export const TRAIT_CATALOGUE = {
+  "P++": { group: "power", description: "Extreme power hitter" },
+  "P+": { group: "power", description: "Power hitter" },
+  "P--": { group: "power", description: "Very weak hitter" },
+  "P-": { group: "power", description: "Weak hitter" },
+  "C+": { group: "contact", description: "Contact hitter" },
+  "C-": { group: "contact", description: "Free swinger" },
+  "T+": { group: "toughOut", description: "Tough out" },
+  "S+": { group: "speed", description: "Speedy runner" },
+  "S-": { group: "speed", description: "Slow runner" },
+  "D+": { group: "defense", description: "Great defender" },
+  "D-": { group: "defense", description: "Poor defender" },
+  "K+": { group: "strikeout", description: "Strikeout artist" },
+  "K-": { group: "strikeout", description: "Pitches to contact" },
+  "GB+": { group: "groundball", description: "Groundball machine" },
+  "GB-": { group: "groundball", description: "Fly-ball pitcher" },
+  "CN+": { group: "control", description: "Control pitcher" },
+  "CN-": { group: "control", description: "Wild pitcher" },
+  "ST+": { group: "stamina", description: "Great stamina" },
+  "ST-": { group: "stamina", description: "Short starts" }
+};
+
+// Legend text for every trait the converter can award
+export const TRAIT_DESCRIPTIONS = Object.fromEntries(
+  Object.entries(TRAIT_CATALOGUE).map(([trait, info]) => [trait, info.description])
+);
+
+// Fielding runs saved, best source first
+const FIELDING_RUNS_COLUMNS = ['DRS', 'Rdrs', 'Rtot'];
+
+// Positions where a valuable player is assumed to be a good glove
+const PREMIUM_POSITIONS = ["C", "SS", "CF"];
+
+const statValue = (player, column) => {
+  const value = parseFloat(player[column]);
+  return isNaN(value) ? null : value;
+};
+
+const hasStat = (player, column) => statValue(player, column) !== null;
+
+const rate = (value) => value.toFixed(3).replace(/^0/, '');
+const percent = (value) => `${Math.round(value * 100)}%`;
+const perNine = (value) => value.toFixed(1);
+
+// D+ or D- from the best fielding evidence in the row, or null
+const defenseTrait = (player, rules) => {
+  const limits = rules.batting;
+  const positions = positionsFromRow(player);
+
+  const runsColumn = FIELDING_RUNS_COLUMNS.find(c => hasStat(player, c));
+  if (runsColumn) {
+    const runs = statValue(player, runsColumn);
+    const reason = `${runs > 0 ? '+' : ''}${runs} ${runsColumn}`;
+    if (runs >= limits.defensePlusRuns) return { trait: "D+", reason };
+    if (runs <= limits.defenseMinusRuns) return { trait: "D-", reason };
+    return null;
+  }
+
+  const fieldingPct = statValue(player, 'Fld%');
+  const position = getPosition(positions);
+  const norm = fieldingPctNorm(rules, position);
+  if (fieldingPct !== null && norm) {
+    const reason = `${rate(fieldingPct)} Fld% (${position} norm ${rate(norm)})`;
+    if (fieldingPct >= norm + limits.defensePlusFldPct) return { trait: "D+", reason };
+    if (fieldingPct <= norm - limits.defenseMinusFldPct) return { trait: "D-", reason };
+    return null;
+  }
+
+  const war = statValue(player, 'WAR');
+  const premium = positions.find(p => PREMIUM_POSITIONS.includes(p));
+  if (premium && war > limits.defenseWAR) {
+    return { trait: "D+", reason: `${war} WAR at ${premium}` };
+  }
+  return null;
+};
+
+// Keep the first trait of each group, so hand-edited or merged trait lists
+// never carry two traits that contradict each other
+export const exclusiveTraits = (awarded) => {
+  const groups = new Set();
+  return awarded.filter(({ trait }) => {
+    const group = TRAIT_CATALOGUE[trait] ? TRAIT_CATALOGUE[trait].group : trait;
+    if (groups.has(group)) return false;
+    groups.add(group);
+    return true;
+  });
+};
+
+// Batting traits with the stat behind each: [{ trait, reason }]
+export const explainBattingTraits = (player, rules = DEFAULT_RULES) => {
+  const limits = rules.batting;
+  const awarded = [];
+  const award = (trait, reason) => awarded.push({ trait, reason });
+
+  // Power (HR and SLG)
+  const hr = parseInt(player.HR) || 0;
+  const slg = parseFloat(player.SLG) || 0;
+
+  if (hr >= limits.powerPlusPlusHR) {
+    award("P++", `${hr} HR`);
+  } else if (slg >= limits.powerPlusPlusSLG) {
+    award("P++", `${rate(slg)} SLG`);
+  } else if (hr >= limits.powerPlusHR) {
+    award("P+", `${hr} HR`);
+  } else if (slg >= limits.powerPlusSLG) {
+    award("P+", `${rate(slg)} SLG`);
+  } else if (hr <= limits.powerMinusMinusHR && slg < limits.powerMinusMinusSLG) {
+    award("P--", `${hr} HR, ${rate(slg)} SLG`);
+  } else if (hr <= limits.powerMinusHR) {
+    award("P-", `${hr} HR`);
+  }
+
+  // Contact (doubles and strikeout rate, only when the upload has SO)
+  const doubles = parseInt(player['2B']) || 0;
+  const pa = parseInt(player.PA) || 0;
+  const kRate = pa > 0 && hasStat(player, 'SO') ? statValue(player, 'SO') / pa : null;
+
+  if (doubles >= limits.contactDoubles) {
+    award("C+", `${doubles} doubles`);
+  } else if (kRate !== null && kRate < limits.contactKRate) {
+    award("C+", `${percent(kRate)} strikeout rate`);
+  } else if (kRate !== null && kRate > limits.contactMinusKRate) {
+    award("C-", `${percent(kRate)} strikeout rate`);
+  }
+
+  // Tough out (walk rate, or on-base percentage well above batting average)
+  const bbRate = pa > 0 && hasStat(player, 'BB') ? statValue(player, 'BB') / pa : null;
+  const ba = statValue(player, 'BA');
+  const obp = statValue(player, 'OBP');
+
+  if (bbRate !== null && bbRate >= limits.toughOutBBRate) {
+    award("T+", `${percent(bbRate)} walk rate`);
+  } else if (ba !== null && obp !== null && obp - ba >= limits.toughOutOBPGap) {
+    award("T+", `${rate(obp)} OBP on a ${rate(ba)} BA`);
+  }
+
+  // Speed (stolen bases, only when the upload has SB)
+  if (hasStat(player, 'SB')) {
+    const sb = statValue(player, 'SB');
+    if (sb >= limits.speedSB) {
+      award("S+", `${sb} SB`);
+    } else if (sb === 0) {
+      award("S-", "no stolen bases");
+    }
+  }
+
+  // Defense (fielding metrics if available, WAR at premium positions otherwise)
+  const defense = defenseTrait(player, rules);
+  if (defense) {
+    awarded.push(defense);
+  }
+
+  return exclusiveTraits(awarded);
+};
+
+// Pitching traits with the stat behind each: [{ trait, reason }]
+export const explainPitchingTraits = (player, rules = DEFAULT_RULES) => {
+  const limits = rules.pitching;
+  const awarded = [];
+  const award = (trait, reason) => awarded.push({ trait, reason });
+
+  const ip = inningsPitched(player.IP);
+  const per9 = (column) => (ip > 0 && hasStat(player, column) ? (statValue(player, column) * 9) / ip : null);
+
+  // Strikeouts
+  const k9 = per9('SO');
+  if (k9 !== null && k9 >= limits.strikeoutK9) {
+    award("K+", `${perNine(k9)} K/9`);
+  } else if (k9 !== null && k9 <= limits.strikeoutMinusK9) {
+    award("K-", `${perNine(k9)} K/9`);
+  }
+
+  // Ground balls, judged from home runs allowed
+  const hr9 = per9('HR');
+  const era = parseFloat(player.ERA) || 0;
+  if (hr9 !== null && hr9 < limits.groundballHR9 && era < limits.groundballERA) {
+    award("GB+", `${perNine(hr9)} HR/9, ${era.toFixed(2)} ERA`);
+  } else if (hr9 !== null && hr9 > limits.flyballHR9) {
+    award("GB-", `${perNine(hr9)} HR/9`);
+  }
+
+  // Control
+  const bb9 = per9('BB');
+  if (bb9 !== null && bb9 < limits.controlBB9) {
+    award("CN+", `${perNine(bb9)} BB/9`);
+  } else if (bb9 !== null && bb9 > limits.wildBB9) {
+    award("CN-", `${perNine(bb9)} BB/9`);
+  }
+
+  // Stamina: season innings, or innings per start for regular starters
+  const starts = parseInt(player.GS) || 0;
+  const games = parseInt(player.G) || starts;
+  if (ip > limits.staminaIP) {
+    award("ST+", `${Math.round(ip)} IP`);
+  } else if (starts >= limits.staminaMinusStarts && starts / games >= 0.5 && ip / starts < limits.staminaMinusIPPerStart) {
+    award("ST-", `${perNine(ip / starts)} IP per start`);
+  }
+
+  return exclusiveTraits(awarded);
+};
+
+const traitString = (awarded) => awarded.map(a => a.trait).join(" ");
+
+// Reasons keyed by trait, as stored on cards: { "P+": "28 HR" }
+export const traitReasons = (awarded) =>
+  Object.fromEntries(awarded.map(({ trait, reason }) => [trait, reason]));
+
+// Space-separated trait strings, as printed on cards
+export const calcBattingTraits = (player, rules = DEFAULT_RULES) =>
+  traitString(explainBattingTraits(player, rules));
+
+export const calcPitchingTraits = (player, rules = DEFAULT_RULES) =>
+  traitString(explainPitchingTraits(player, rules));
+
+// Check a space-separated trait string for one trait
+export const hasTrait = (player, trait) =>
+  (player.traits || '').split(' ').includes(trait);
+
+// "Power hitter: 28 HR" for a card's trait, or just the legend text when the
+// trait was added by hand
+export const describeTrait = (player, trait) => {
+  const description = TRAIT_DESCRIPTIONS[trait] || trait;
+  const reason = player.traitReasons && player.traitReasons[trait];
+  return reason ? `${description}: ${reason}` : description;
+};
+
+// Distinct traits held by any of the given players, in catalogue order
+export const traitsInUse = (players) => {
+  const used = new Set(players.flatMap(p => (p.traits || '').split(' ').filter(Boolean)));
+  return Object.keys(TRAIT_DESCRIPTIONS).filter(trait => used.has(trait));
+};
@@ -0,0 +1,198 @@
+import { cleanName } from './ratings.js';
+
+// Upload checks for batting and pitching files: recognise where the file came
+// from, map its headers onto the columns the converter reads, and explain every
+// row that will not become a card.
+
+// Columns the converter reads, with the header names other sources use for them
+export const STAT_COLUMNS = {
+  batting: [
+    { key: 'Player', label: 'Player name', required: true, aliases: ['Name', 'PlayerName', 'player_name', 'nameFull'] },
+    { key: 'Tm', label: 'Team', aliases: ['Team', 'teamID', 'team_id'] },
+    { key: 'Year', label: 'Season', aliases: ['yearID', 'Season', 'Yr', 'year'] },
+    { key: 'Pos', label: 'Position', aliases: ['Pos Summary', 'Position', 'POS', 'pos'] },
+    { key: 'Bats', label: 'Bats (L/R/B)', aliases: ['bats', 'B'] },
+    { key: 'G', label: 'Games', requiredOneOf: 'playingTime', aliases: ['Games', 'g'] },
+    { key: 'PA', label: 'Plate appearances', requiredOneOf: 'playingTime', aliases: ['pa', 'TPA'] },
+    { key: 'BA', label: 'Batting average', required: true, aliases: ['AVG', 'Avg', 'avg', 'ba'] },
+    { key: 'OBP', label: 'On-base percentage', aliases: ['obp', 'OBA'] },
+    { key: 'SLG', label: 'Slugging percentage', aliases: ['slg'] },
+    { key: 'HR', label: 'Home runs', aliases: ['hr'] },
+    { key: '2B', label: 'Doubles', aliases: ['Doubles', 'double', 'b_d'] },
+    { key: 'SO', label: 'Strikeouts', aliases: ['K', 'Strikeouts', 'so'] },
+    { key: 'SB', label: 'Stolen bases', aliases: ['sb'] },
+    { key: 'WAR', label: 'WAR', aliases: ['fWAR', 'bWAR', 'rWAR', 'war'] },
+    { key: 'DRS', label: 'Defensive runs saved', aliases: ['Rdrs', 'drs'] },
+    { key: 'Rtot', label: 'Total zone runs', aliases: ['rtot', 'TZ'] },
+    { key: 'Fld%', label: 'Fielding percentage', aliases: ['FldPct', 'Fld_pct', 'FP'] }
+  ],
+  pitching: [
+    { key: 'Player', label: 'Player name', required: true, aliases: ['Name', 'PlayerName', 'player_name', 'nameFull'] },
+    { key: 'Tm', label: 'Team', aliases: ['Team', 'teamID', 'team_id'] },
+    { key: 'Year', label: 'Season', aliases: ['yearID', 'Season', 'Yr', 'year'] },
+    { key: 'Throws', label: 'Throws (L/R)', aliases: ['throws', 'T'] },
+    { key: 'G', label: 'Games', aliases: ['Games', 'g'] },
+    { key: 'GS', label: 'Games started', aliases: ['gs', 'Starts'] },
+    { key: 'IP', label: 'Innings pitched', required: true, aliases: ['ip', 'Inn'] },
+    { key: 'ERA', label: 'ERA', required: true, aliases: ['era'] },
+    { key: 'SO', label: 'Strikeouts', aliases: ['K', 'Strikeouts', 'so'] },
+    { key: 'BB', label: 'Walks', aliases: ['bb'] },
+    { key: 'HR', label: 'Home runs allowed', aliases: ['hr'] },
+    { key: 'SV', label: 'Saves', aliases: ['Saves', 'sv'] },
+    { key: 'GF', label: 'Games finished', aliases: ['gf', 'Finished'] },
+    { key: 'HLD', label: 'Holds', aliases: ['Holds', 'HD', 'hld'] },
+    { key: 'WAR', label: 'WAR', aliases: ['fWAR', 'bWAR', 'rWAR', 'war'] }
+  ]
+};
+
+// Known exports, recognised from headers no other source uses together
+export const SOURCE_FORMATS = [
+  { id: 'baseball-reference', label: 'Baseball-Reference', detect: h => h.includes('Rk') && h.includes('Player') },
+  { id: 'fangraphs', label: 'FanGraphs', detect: h => h.includes('Name') && (h.includes('playerid') || h.includes('PlayerId') || h.includes('wRC+') || h.includes('FIP')) },
+  { id: 'lahman', label: 'Lahman database', detect: h => h.includes('playerID') && h.includes('yearID') },
+  { id: 'retrosheet', label: 'Retrosheet-derived', detect: h => h.some(c => /^(b|p)_[a-z0-9]+$/.test(c)) }
+];
+
+// Team column values for a traded player's combined season line
+const TOTAL_TEAMS = /^(TOT|\dTM)$/i;
+
+// Columns that identify a player better than their name does
+export const PLAYER_ID_COLUMNS = ['playerID', 'playerid', 'PlayerId', 'Name-additional', 'mlbamid'];
+
+const headersOf = (rows) => (rows.length ? Object.keys(rows[0]) : []);
+
+export const detectSourceFormat = (rows) => {
+  const headers = headersOf(rows);
+  const format = SOURCE_FORMATS.find(f => f.detect(headers));
+  return format ? format.id : 'unknown';
+};
+
+// Best guess at which header feeds each converter column: an exact match,
+// then a known alias, then a case-insensitive match
+export const suggestColumnMap = (rows, kind) => {
+  const headers = headersOf(rows);
+  const mapping = {};
+  for (const column of STAT_COLUMNS[kind]) {
+    mapping[column.key] =
+      (headers.includes(column.key) && column.key) ||
+      column.aliases.find(alias => headers.includes(alias)) ||
+      headers.find(h => h.toLowerCase() === column.key.toLowerCase()) ||
+      '';
+  }
+  return mapping;
+};
+
+// Required columns with no header mapped to them. Columns sharing a
+// requiredOneOf group only need one of them mapped (batting needs games or
+// plate appearances); an empty group is reported as one "G or PA" column.
+export const missingColumns = (mapping, kind) => {
+  const missing = STAT_COLUMNS[kind].filter(c => c.required && !mapping[c.key]);
+  const groups = [...new Set(STAT_COLUMNS[kind].map(c => c.requiredOneOf).filter(Boolean))];
+  for (const group of groups) {
+    const columns = STAT_COLUMNS[kind].filter(c => c.requiredOneOf === group);
+    if (!columns.some(c => mapping[c.key])) {
+      missing.push({ key: columns.map(c => c.key).join('|'), label: columns.map(c => c.label).join(' or ') });
+    }
+  }
+  return missing;
+};
+
+// Copy each mapped header onto the column name the converter reads; other
+// columns (splits, extra stats) are kept as they were
+export const applyColumnMap = (rows, mapping) =>
+  rows.map(row => {
+    const mapped = { ...row };
+    for (const [key, header] of Object.entries(mapping)) {
+      if (header && header !== key) mapped[key] = row[header];
+    }
+    return mapped;
+  });
+
+const isRepeatedHeader = (row) => row.Player === 'Player' || row.Rk === 'Rk';
+
+const isTeamTotals = (row) => /^(team )?totals?$/i.test((row.Player || '').trim());
+
+// Why a batting row cannot become a card, or null when it can
+export const batterRowProblem = (row) => {
+  if (isRepeatedHeader(row)) return "repeated header row";
+  if (isTeamTotals(row)) return "team totals row";
+  if (!row.Player) return "no player name";
+  if (!row.BA) return "no batting average";
+  if (!(parseInt(row.PA) > 0 || parseInt(row.G) > 0)) return "no plate appearances or games";
+  return null;
+};
+
+// Why a pitching row cannot become a card, or null when it can
+export const pitcherRowProblem = (row) => {
+  if (isRepeatedHeader(row)) return "repeated header row";
+  if (isTeamTotals(row)) return "team totals row";
+  if (!row.Player) return "no player name";
+  if (!row.ERA) return "no ERA";
+  if (!(parseFloat(row.IP) > 0)) return "no innings pitched";
+  return null;
+};
+
+// Who a row belongs to: a player ID when the upload has one, else the name
+export const playerIdentity = (row) => {
+  const idColumn = PLAYER_ID_COLUMNS.find(c => row[c]);
+  return idColumn ? `${idColumn}:${row[idColumn]}` : cleanName(row.Player).toLowerCase();
+};
+
+// Rows for the same player in different seasons are not duplicates
+const playerKey = (row) => (row.Year ? `${playerIdentity(row)}@${row.Year}` : playerIdentity(row));
+
+// The row to keep when a player appears more than once: the combined TOT line
+// for a traded player, otherwise the line with the most playing time
+const pickDuplicate = (entries, kind) => {
+  const total = entries.find(e => TOTAL_TEAMS.test(e.row.Tm || ''));
+  if (total) return { kept: total, reason: `combined ${total.row.Tm} line kept` };
+
+  const playingTime = (row) => (kind === 'batting' ? parseInt(row.PA) || parseInt(row.G) : parseFloat(row.IP)) || 0;
+  const kept = entries.reduce((best, e) => (playingTime(e.row) > playingTime(best.row) ? e : best));
+  return { kept, reason: "line with the most playing time kept" };
+};
+
+// Validate an upload against a column mapping.
+// Returns { records, skipped, duplicates }: records are the mapped rows that
+// will become cards, skipped lists { line, name, reason } for the rest and
+// duplicates lists { name, kept, dropped, reason } with file line numbers.
+export const validateStatRows = (rows, kind, mapping = suggestColumnMap(rows, kind)) => {
+  const problem = kind === 'batting' ? batterRowProblem : pitcherRowProblem;
+  const skipped = [];
+  const groups = new Map();
+
+  applyColumnMap(rows, mapping).forEach((row, index) => {
+    const line = index + 2; // line 1 is the header
+    const reason = problem(row);
+    if (reason) {
+      skipped.push({ line, name: row.Player || '', reason });
+      return;
+    }
+    const key = playerKey(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ line, row });
+  });
+
+  const records = [];
+  const duplicates = [];
+  for (const entries of groups.values()) {
+    if (entries.length === 1) {
+      records.push(entries[0]);
+      continue;
+    }
+    const { kept, reason } = pickDuplicate(entries, kind);
+    records.push(kept);
+    duplicates.push({
+      name: cleanName(kept.row.Player),
+      kept: kept.line,
+      dropped: entries.filter(e => e !== kept).map(e => e.line),
+      reason
+    });
+  }
+
+  return {
+    records: records.sort((a, b) => a.line - b.line).map(e => e.row),
+    skipped,
+    duplicates
+  };
+};
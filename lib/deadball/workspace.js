@@ -0,0 +1,74 @@
+// League workspace: many saved team rosters kept together. Every function
+// returns a new league object so the UI can store it as-is.
+
+export const LEAGUE_JSON_FORMAT = 'dbrg-league';
+export const LEAGUE_JSON_VERSION = 1;
+
+export const makeId = () =>
+  Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+
+export const createLeague = (name) => ({
+  id: makeId(),
+  name: name || 'New League',
+  teams: [],
+  updatedAt: new Date().toISOString()
+});
+
+const touch = (league, teams) => ({
+  ...league,
+  teams,
+  updatedAt: new Date().toISOString()
+});
+
+// team: { name, roster, sources: { batting, pitching, leagueTotals }, settings }
+export const addTeam = (league, team) =>
+  touch(league, [...league.teams, { ...team, id: makeId(), updatedAt: new Date().toISOString() }]);
+
+export const updateTeam = (league, teamId, changes) =>
+  touch(league, league.teams.map(t =>
+    (t.id === teamId ? { ...t, ...changes, updatedAt: new Date().toISOString() } : t)
+  ));
+
+export const renameTeam = (league, teamId, name) => updateTeam(league, teamId, { name });
+
+export const deleteTeam = (league, teamId) =>
+  touch(league, league.teams.filter(t => t.id !== teamId));
+
+export const duplicateTeam = (league, teamId) => {
+  const original = league.teams.find(t => t.id === teamId);
+  if (!original) return league;
+  return addTeam(league, { ...original, name: `${original.name} (copy)` });
+};
+
+export const formatLeagueJSON = (league) =>
+  JSON.stringify({
+    format: LEAGUE_JSON_FORMAT,
+    version: LEAGUE_JSON_VERSION,
+    league
+  }, null, 2) + "\n";
+
+// Read a league export; the league gets a fresh id so importing never
+// overwrites a workspace that is already saved
+export const parseLeagueJSON = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a valid league file: ${error.message}`);
+  }
+
+  if (!data || data.format !== LEAGUE_JSON_FORMAT) {
+    throw new Error("Not a Deadball league file.");
+  }
+  if (!(Number.isInteger(data.version) && data.version > 0)) {
+    throw new Error("League file has no format version.");
+  }
+  if (data.version > LEAGUE_JSON_VERSION) {
+    throw new Error(`League file version ${data.version} is newer than this app supports (${LEAGUE_JSON_VERSION}).`);
+  }
+  if (!data.league || !Array.isArray(data.league.teams)) {
+    throw new Error("League file has no teams.");
+  }
+
+  return { ...data.league, id: makeId() };
+};
@@ -0,0 +1,295 @@
+import {
+  buildRoster,
+  parseStatsCSV,
+  ROSTER_FORMATS,
+  DEFAULT_RULES,
+  RULE_PRESETS,
+  completeRules,
+  completeRosterShape,
+  SHAPE_SIZES,
+  MAX_SECTION_SIZE,
+  CAREER_MODES,
+  isMultiSeason,
+  combineSeasons,
+  BATTING_ORDER_STRATEGIES,
+  leagueAveragesFromRows,
+  suggestColumnMap,
+  missingColumns,
+  validateStatRows
+} from '../../lib/deadball';
+
+// POST /api/roster: build a roster from batting and pitching stats for tools
+// that can't drive the web page. The body is JSON:
+//   { batting, pitching, team, options }
+// where batting and pitching are CSV text or arrays of row objects and
+// options holds preset or rules, league (averages) or leagueTotals (CSV text
+// or rows) with season, seed, battingOrder, platoon, shape and careers (for
+// stats covering several seasons: mode, window, from, to, picks). The roster
+// comes back as JSON, CSV or TXT, picked by ?format= or the Accept header.
+// Bad input gets a 400 with { error: { code, message, details } }.
+
+export const config = {
+  api: { bodyParser: { sizeLimit: '4mb' } }
+};
+
+const CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  txt: 'text/plain; charset=utf-8'
+};
+
+const MEDIA_FORMATS = {
+  'application/json': 'json',
+  'text/csv': 'csv',
+  'text/plain': 'txt',
+  'application/*': 'json',
+  'text/*': 'txt',
+  '*/*': 'json'
+};
+
+class RequestError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const badRequest = (code, message, details) => new RequestError(400, code, message, details);
+
+// Lookups keyed by request input must not match inherited keys like "constructor"
+const isKeyOf = (table, key) => typeof key === 'string' && Object.hasOwn(table, key);
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// The query parameter wins; otherwise the most preferred Accept type we
+// can produce, JSON when there is no Accept header
+const responseFormat = (req) => {
+  if (req.query.format) {
+    const format = String(req.query.format).toLowerCase();
+    if (!isKeyOf(ROSTER_FORMATS, format)) {
+      throw badRequest('unsupported_format', `Unknown format "${format}" (expected json, csv or txt).`);
+    }
+    return format;
+  }
+
+  const accepted = String(req.headers.accept || '*/*')
+    .split(',')
+    .map((entry, index) => {
+      const [type, ...params] = entry.trim().toLowerCase().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { type, q: q ? parseFloat(q.slice(2)) : 1, index };
+    })
+    .filter(entry => entry.q > 0 && isKeyOf(MEDIA_FORMATS, entry.type))
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+  if (accepted.length === 0) {
+    throw new RequestError(406, 'not_acceptable', "Roster is available as application/json, text/csv or text/plain.");
+  }
+  return MEDIA_FORMATS[accepted[0].type];
+};
+
+const readBody = (req) => {
+  if (typeof req.body !== 'string') return req.body || {};
+  try {
+    return JSON.parse(req.body);
+  } catch (error) {
+    throw badRequest('invalid_json', `Request body is not valid JSON: ${error.message}`);
+  }
+};
+
+// The column of a JSON row that is not text the way a CSV cell would be:
+// the name must be a string, stats a string or a number
+const badCell = (row) => Object.keys(row).find(key => key === 'Player'
+  ? typeof row[key] !== 'string'
+  : !(typeof row[key] === 'string' || Number.isFinite(row[key])));
+
+// CSV text or an array of row objects
+const readRows = (value, field) => {
+  if (typeof value === 'string') return parseStatsCSV(value);
+  if (!(Array.isArray(value) && value.every(isObject))) {
+    throw badRequest('invalid_stats', `${field} must be CSV text or an array of row objects.`, { field });
+  }
+  value.forEach((row, index) => {
+    const column = badCell(row);
+    if (column !== undefined) {
+      throw badRequest('invalid_stats', `${field} row ${index + 1} has a ${column} that is not ${column === 'Player' ? 'a string' : 'a string or a number'}.`, {
+        field,
+        row: index + 1,
+        column
+      });
+    }
+  });
+  return value;
+};
+
+// Map the headers and keep the rows that make cards, the way the upload
+// form and the CLI do
+const readPlayerStats = (value, kind) => {
+  if (value === undefined || value === null || value === '') {
+    throw badRequest('missing_stats', `${kind} stats are required.`, { field: kind });
+  }
+
+  const rows = readRows(value, kind);
+  const missing = missingColumns(suggestColumnMap(rows, kind), kind);
+  if (missing.length) {
+    throw badRequest('missing_columns', `${kind} stats have no column for ${missing.map(c => c.label).join(', ')}.`, {
+      field: kind,
+      columns: missing.map(c => c.key)
+    });
+  }
+
+  const { records, skipped } = validateStatRows(rows, kind);
+  if (records.length === 0) {
+    throw badRequest('no_players', `No usable rows in the ${kind} stats.`, { field: kind, skipped });
+  }
+  return records;
+};
+
+// Rule groups that completeRules merges key by key
+const RULE_GROUPS = ['ratings', 'batting', 'pitching', 'pitcherBatting', 'fieldingPct', 'baseline'];
+
+// Check the parts of a rule set the converter reads as structures, so a
+// malformed one is refused instead of failing halfway through a build
+const checkRules = (rules) => {
+  const invalid = (field, message) => badRequest('invalid_option', message, { field: `options.rules.${field}` });
+
+  for (const group of RULE_GROUPS) {
+    if (rules[group] !== undefined && !isObject(rules[group])) {
+      throw invalid(group, `options.rules.${group} must be an object.`);
+    }
+  }
+  if (rules.pitchDieBands !== undefined) {
+    const bands = rules.pitchDieBands;
+    if (!Array.isArray(bands) || !bands.every(b => isObject(b) && typeof b.maxEra === 'number' && typeof b.pd === 'string')) {
+      throw invalid('pitchDieBands', "options.rules.pitchDieBands must be an array of { maxEra: number, pd: string }.");
+    }
+  }
+  if (rules.pitchDieFloor !== undefined && typeof rules.pitchDieFloor !== 'string') {
+    throw invalid('pitchDieFloor', "options.rules.pitchDieFloor must be a pitch die such as \"-d20\".");
+  }
+};
+
+const readRules = ({ preset, rules }) => {
+  if (rules !== undefined) {
+    if (!isObject(rules)) {
+      throw badRequest('invalid_option', "options.rules must be an object shaped like DEFAULT_RULES.", { field: 'options.rules' });
+    }
+    checkRules(rules);
+    return completeRules(rules);
+  }
+  if (preset === undefined) return DEFAULT_RULES;
+  if (!isKeyOf(RULE_PRESETS, preset)) {
+    throw badRequest('invalid_option', `Unknown preset "${preset}".`, { field: 'options.preset', allowed: Object.keys(RULE_PRESETS) });
+  }
+  return RULE_PRESETS[preset];
+};
+
+// League averages given directly, or worked out from league totals
+const readLeague = ({ league, leagueTotals, season }) => {
+  if (leagueTotals !== undefined) {
+    try {
+      return leagueAveragesFromRows(readRows(leagueTotals, 'leagueTotals'), { season });
+    } catch (error) {
+      if (error instanceof RequestError) throw error;
+      throw badRequest('invalid_option', error.message, { field: 'options.leagueTotals' });
+    }
+  }
+  if (league !== undefined && (!league || typeof league !== 'object')) {
+    throw badRequest('invalid_option', "options.league must be an object of BA, OBP, SLG and ERA averages.", { field: 'options.league' });
+  }
+  return league;
+};
+
+const readOptions = (options = {}) => {
+  if (!isObject(options)) {
+    throw badRequest('invalid_option', "options must be an object.", { field: 'options' });
+  }
+
+  const battingOrder = options.battingOrder || 'traditional';
+  if (!isKeyOf(BATTING_ORDER_STRATEGIES, battingOrder)) {
+    throw badRequest('invalid_option', `Unknown batting order "${battingOrder}".`, {
+      field: 'options.battingOrder',
+      allowed: Object.keys(BATTING_ORDER_STRATEGIES)
+    });
+  }
+  if (options.shape !== undefined) {
+    if (!isObject(options.shape)) {
+      throw badRequest('invalid_option', "options.shape must be an object shaped like DEFAULT_ROSTER_SHAPE.", { field: 'options.shape' });
+    }
+    for (const key of SHAPE_SIZES) {
+      const size = options.shape[key];
+      if (size !== undefined && !(Number.isInteger(Number(size)) && Number(size) >= 0 && Number(size) <= MAX_SECTION_SIZE)) {
+        throw badRequest('invalid_option', `options.shape.${key} must be a whole number from 0 to ${MAX_SECTION_SIZE}.`, {
+          field: `options.shape.${key}`,
+          max: MAX_SECTION_SIZE
+        });
+      }
+    }
+  }
+
+  if (options.seed !== undefined && !(typeof options.seed === 'string' || Number.isFinite(options.seed))) {
+    throw badRequest('invalid_option', "options.seed must be a string or a number.", { field: 'options.seed' });
+  }
+
+  if (options.careers !== undefined) {
+    if (!isObject(options.careers)) {
+      throw badRequest('invalid_option', "options.careers must be an object shaped like DEFAULT_CAREER_OPTIONS.", { field: 'options.careers' });
+    }
+    if (options.careers.mode !== undefined && !isKeyOf(CAREER_MODES, options.careers.mode)) {
+      throw badRequest('invalid_option', `Unknown career mode "${options.careers.mode}".`, {
+        field: 'options.careers.mode',
+        allowed: Object.keys(CAREER_MODES)
+      });
+    }
+  }
+
+  const rules = readRules(options);
+  const league = readLeague(options);
+  return {
+    // Totals switch on relative mode, as they do on the page and the CLI
+    rules: options.leagueTotals !== undefined ? { ...rules, relativeToLeague: true } : rules,
+    league,
+    seed: options.seed,
+    battingOrder,
+    platoon: Boolean(options.platoon),
+    shape: completeRosterShape(options.shape)
+  };
+};
+
+export default function handler(req, res) {
+  try {
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      throw new RequestError(405, 'method_not_allowed', "Use POST with batting and pitching stats.");
+    }
+
+    const format = responseFormat(req);
+    const body = readBody(req);
+    if (!isObject(body)) {
+      throw badRequest('invalid_body', "Request body must be a JSON object with batting and pitching stats.");
+    }
+    if (body.team !== undefined && typeof body.team !== 'string') {
+      throw badRequest('invalid_body', "team must be a string.", { field: 'team' });
+    }
+
+    const batting = readPlayerStats(body.batting, 'batting');
+    const pitching = readPlayerStats(body.pitching, 'pitching');
+    const options = readOptions(body.options);
+    // Multi-season stats become one line per player first
+    const stats = isMultiSeason(batting) || isMultiSeason(pitching)
+      ? combineSeasons(batting, pitching, body.options && body.options.careers)
+      : { batting, pitching };
+    const roster = buildRoster(stats.batting, stats.pitching, options);
+
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.status(200).send(ROSTER_FORMATS[format](roster, body.team));
+  } catch (error) {
+    if (error instanceof RequestError) {
+      res.status(error.status).json({ error: { code: error.code, message: error.message, details: error.details } });
+      return;
+    }
+    console.error("Error building roster:", error);
+    res.status(500).json({ error: { code: 'internal_error', message: error.message } });
+  }
+}
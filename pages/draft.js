@@ -0,0 +1,10 @@
+import React from 'react';
+import DraftRoom from '../components/DraftRoom';
+
+export default function Draft() {
+  return (
+    <main>
+      <DraftRoom />
+    </main>
+  );
+}
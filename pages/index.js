@@ -1,9 +1,50 @@
+import React, { useEffect, useState } from 'react';
 import DeadballRosterGenerator from '../components/DeadballRosterGenerator';
+import SharedRoster from '../components/SharedRoster';
+import { decodeRoster, sharedRosterParam } from '../lib/deadball';
 
+// A link with #roster=... opens that roster read-only; otherwise, or once
+// it is opened for editing, the generator
 export default function Home() {
+  const [ready, setReady] = useState(false);
+  const [shared, setShared] = useState(null);
+  const [editing, setEditing] = useState(false);
+
+  useEffect(() => {
+    const readHash = () => {
+      const param = sharedRosterParam(window.location.hash);
+      if (param) {
+        try {
+          setShared(decodeRoster(param));
+          setEditing(false);
+        } catch (error) {
+          console.error("Error opening shared roster:", error);
+          alert("Error opening shared roster: " + error.message);
+        }
+      }
+      setReady(true);
+    };
+
+    readHash();
+    window.addEventListener('hashchange', readHash);
+    return () => window.removeEventListener('hashchange', readHash);
+  }, []);
+
+  // Drop the hash so a reload keeps the editor rather than the shared view
+  const openForEditing = () => {
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    setEditing(true);
+  };
+
+  if (!ready) return null;
+
   return (
     <main>
-      <DeadballRosterGenerator />
+      {shared && !editing ? (
+        <SharedRoster roster={shared.roster} teamName={shared.teamName} onOpenForEditing={openForEditing} />
+      ) : (
+        <DeadballRosterGenerator key={editing ? 'shared' : 'new'} initialTeam={editing ? shared : null} />
+      )}
     </main>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { orderLineup } from '../lib/deadball/index.js';
+
+const card = (name, position, bt, obt, traits = '') => ({ name, position, bt, obt, traits });
+
+// Five everyday bats fill the top of the order; the three light hitters are
+// equal but for their power traits and listed weakest first
+const lineup = () => [
+  card('Weak Bat', 'C', 25, 30, 'P--'),
+  card('Light Bat', 'SS', 25, 30, 'P-'),
+  card('Plain Bat', '2B', 25, 30),
+  card('First Bat', '1B', 30, 40),
+  card('Third Bat', '3B', 31, 40),
+  card('Left Bat', 'LF', 32, 40),
+  card('Center Bat', 'CF', 33, 40),
+  card('Right Bat', 'RF', 34, 40),
+  card('Designated Bat', 'DH', 35, 40)
+];
+
+test('very weak hitters bat below weak ones', () => {
+  for (const strategy of ['traditional', 'sabermetric']) {
+    const names = orderLineup(lineup(), strategy).map(p => p.name);
+    assert.deepEqual(names.slice(-3), ['Plain Bat', 'Light Bat', 'Weak Bat'], strategy);
+  }
+});
+
+// A lineup with a clear part for every slot of the traditional order
+const cast = () => [
+  card('Glove Man', 'SS', 22, 27),
+  card('Slugger', '1B', 29, 36, 'P++'),
+  card('Catcher', 'C', 21, 26),
+  card('Speedster', 'CF', 27, 37, 'S+'),
+  card('Star', 'RF', 33, 41, 'P+'),
+  card('Slap Hitter', '2B', 28, 31, 'C+'),
+  card('Masher', 'DH', 26, 32, 'P+'),
+  card('Regular', 'LF', 25, 31),
+  card('Corner', '3B', 24, 30)
+];
+
+test('traditional order puts speed first, contact second and power in the middle', () => {
+  const names = orderLineup(cast(), 'traditional').map(p => p.name);
+  assert.deepEqual(names.slice(0, 5), ['Speedster', 'Slap Hitter', 'Star', 'Slugger', 'Masher']);
+  assert.deepEqual(names.slice(5), ['Regular', 'Corner', 'Glove Man', 'Catcher']);
+});
+
+test('sabermetric order bats the best three 1st, 2nd and 4th', () => {
+  const names = orderLineup(cast(), 'sabermetric').map(p => p.name);
+  // Star, Slugger and Speedster rate best; Star reaches base most and Slugger
+  // hits hardest. Of the next two, the power bat goes 5th.
+  assert.deepEqual(names.slice(0, 5), ['Star', 'Speedster', 'Slap Hitter', 'Slugger', 'Masher']);
+  assert.equal(names.length, 9);
+});
+
+test('defensive order follows the scorecard with the DH last', () => {
+  const positions = orderLineup(cast(), 'defensive').map(p => p.position);
+  assert.deepEqual(positions, ['C', '1B', '2B', '3B', 'SS', 'LF', 'CF', 'RF', 'DH']);
+});
+
+test('an unknown strategy leaves the order alone', () => {
+  const lineup = cast();
+  assert.equal(orderLineup(lineup, 'alphabetical'), lineup);
+  assert.equal(orderLineup(lineup, undefined), lineup);
+});
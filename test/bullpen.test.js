@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chooseReliever, buildRoster, simulateGame } from '../lib/deadball/index.js';
+import { fixtureRows } from './fixtures.js';
+
+const arm = (name, role, placeholder) => ({ name, role, pd: 'd8', ...(placeholder && { placeholder: true }) });
+
+test('relievers are chosen by the role the situation calls for', () => {
+  const bullpen = [arm('Closer', 'closer'), arm('Setup', 'setup'), arm('Long', 'long')];
+  assert.equal(chooseReliever(bullpen, { inning: 9, margin: 1 }).name, 'Closer');
+  assert.equal(chooseReliever(bullpen, { inning: 8, margin: -2 }).name, 'Setup');
+  assert.equal(chooseReliever(bullpen, { inning: 3, margin: 0 }).name, 'Long');
+});
+
+test('padded replacement arms wait until the real relievers are used', () => {
+  const bullpen = [arm('Relief Pitcher 5', 'middle', true), arm('Closer', 'closer'), arm('Long', 'long')];
+  assert.equal(chooseReliever(bullpen, { inning: 9, margin: -4 }).name, 'Long');
+  assert.equal(chooseReliever([bullpen[0], bullpen[1]], { inning: 9, margin: -4 }).name, 'Closer');
+  assert.equal(chooseReliever([bullpen[0]], { inning: 9, margin: -4 }).name, 'Relief Pitcher 5');
+});
+
+test('simulated games use every real reliever before a placeholder', () => {
+  // Two real relievers and two padded ones
+  const staff = ['Workhorse Walt', 'Short Start Stu', 'Swingman Sy', 'Band Twenty', 'Band Eight'];
+  const pitching = fixtureRows('pitching.csv').filter(row => staff.includes(row.Player));
+  const roster = buildRoster(fixtureRows('lineup.csv'), pitching, { seed: 2, shape: { rotationSize: 3, bullpenSize: 4 } });
+  const real = new Set(roster.reliefPitchers.filter(p => !p.placeholder).map(p => p.name));
+  assert.equal(real.size, 2);
+  let placeholdersUsed = 0;
+  for (let seed = 1; seed <= 20; seed++) {
+    const game = simulateGame(roster, roster, { seed });
+    for (const side of [game.away, game.home]) {
+      const used = side.pitching.slice(1).map(line => line.name);
+      const firstPlaceholder = used.findIndex(name => !real.has(name));
+      if (firstPlaceholder >= 0) {
+        placeholdersUsed++;
+        assert.equal(firstPlaceholder, real.size, `seed ${seed}`);
+      }
+    }
+  }
+  assert.ok(placeholdersUsed > 0, 'no game reached the padded arms');
+});
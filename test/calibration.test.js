@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calibrateCards,
+  formatCalibrationCSV,
+  processBatters,
+  processPitchers,
+  CALIBRATION_THRESHOLDS,
+  DEFAULT_RULES
+} from '../lib/deadball/index.js';
+import { fixtureRows } from './fixtures.js';
+
+const calibrate = (options) =>
+  calibrateCards(fixtureRows('lineup.csv'), fixtureRows('pitching.csv'), { seed: 4, plateAppearances: 400, games: 2, ...options });
+
+test('every card is played and compared with its stat line', () => {
+  const report = calibrate();
+  assert.equal(report.seed, 4);
+  assert.deepEqual(report.thresholds, CALIBRATION_THRESHOLDS);
+  assert.equal(report.batters.length, processBatters(fixtureRows('lineup.csv')).length);
+  assert.equal(report.pitchers.length, processPitchers(fixtureRows('pitching.csv')).length);
+
+  for (const batter of report.batters) {
+    for (const stat of ['BA', 'OBP', 'SLG']) {
+      assert.equal(batter.deviation[stat], batter.simulated[stat] - batter.real[stat]);
+      assert.equal(batter.flagged.includes(stat), Math.abs(batter.deviation[stat]) > CALIBRATION_THRESHOLDS[stat]);
+    }
+  }
+  for (const pitcher of report.pitchers) {
+    assert.ok(pitcher.simulated.ERA >= 0, pitcher.name);
+  }
+  assert.deepEqual(calibrate(), report);
+});
+
+test('thresholds decide what gets flagged', () => {
+  const loose = calibrate({ thresholds: { BA: 1, OBP: 1, SLG: 1, ERA: 100 } });
+  assert.equal(loose.summary.flagged, 0);
+
+  const strict = calibrate({ thresholds: { BA: 0, OBP: 0, SLG: 0, ERA: 0 } });
+  assert.ok(strict.summary.flagged > 0);
+  assert.equal(strict.thresholds.SLG, 0);
+});
+
+test('better cards put up better numbers', () => {
+  const { batters } = calibrate({ plateAppearances: 1000 });
+  const best = batters.reduce((a, b) => (b.bt > a.bt ? b : a));
+  const worst = batters.reduce((a, b) => (b.bt < a.bt ? b : a));
+  assert.ok(best.bt - worst.bt >= 5);
+  assert.ok(best.simulated.BA > worst.simulated.BA);
+});
+
+test('the opposition comes from the league unless cards were rescaled to the baseline', () => {
+  const league = { BA: 0.3, OBP: 0.36, SLG: 0.45, ERA: 2.5 };
+  assert.deepEqual(calibrate({ league, games: 1, plateAppearances: 1 }).opposition, { pitcher: 'd12', batter: { bt: 30, obt: 36 } });
+
+  const rules = { ...DEFAULT_RULES, relativeToLeague: true };
+  assert.deepEqual(calibrate({ rules, league, games: 1, plateAppearances: 1 }).opposition, { pitcher: 'd4', batter: { bt: 27, obt: 34 } });
+});
+
+test('the report CSV signs the gaps and leaves unknown stats blank', () => {
+  const report = calibrate();
+  const lines = formatCalibrationCSV(report).split('\r\n');
+  assert.deepEqual(lines.slice(0, 3), ['Calibration Report', 'Seed: 4', '"Opposition: d4 pitcher, BT 27 / OBT 34 batters"']);
+  assert.equal(lines[lines.indexOf('PITCHERS') + 1], 'Player,P.D.,Traits,ERA,Sim ERA,Δ ERA,Flag');
+
+  const batter = report.batters[0];
+  const row = lines.find(line => line.startsWith(`${batter.name},`)).split(',');
+  const gap = batter.deviation.BA;
+  assert.equal(row[7], (gap > 0 ? '+' : '') + gap.toFixed(3).replace(/^(-?)0/, '$1'));
+
+  const blank = formatCalibrationCSV({ ...report, pitchers: [{ ...report.pitchers[0], real: { ERA: null }, deviation: {}, flagged: [] }] });
+  assert.match(blank, new RegExp(`\\r\\n${report.pitchers[0].name},[^,]*,[^,]*,,\\d+\\.\\d\\d,,\\r\\n`));
+});
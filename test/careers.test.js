@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { combineSeasons, uploadSeasons, isMultiSeason, playerSeasonList } from '../lib/deadball/index.js';
+
+const batter = (Year, PA, BA, OBP, SLG, HR, WAR, Pos = 'CF') =>
+  ({ Player: 'Tris Speaker', Year, Pos, G: '150', PA, BA, OBP, SLG, HR, WAR });
+
+// The best single season is 1912 and the best pair of years 1912-13
+const speaker = [
+  batter('1910', '600', '.340', '.404', '.468', '7', '6.0'),
+  batter('1911', '600', '.334', '.418', '.502', '8', '6.5'),
+  batter('1912', '700', '.383', '.464', '.567', '10', '10.1'),
+  batter('1913', '500', '.363', '.441', '.535', '3', '9.4', '1B'),
+  batter('1914', '650', '.338', '.423', '.503', '4', '8.9')
+];
+
+const pitcher = (Year, IP, ERA, WAR) => ({ Player: 'Smoky Joe Wood', Year, G: '40', GS: '30', IP, ERA, SO: '200', WAR });
+
+const wood = [
+  pitcher('1911', '276.2', '2.02', '8.0'),
+  pitcher('1912', '344.0', '1.91', '10.0'),
+  pitcher('1913', '145.2', '2.29', '3.5')
+];
+
+// Batting lines for the pitcher, carded at the plate from the pitching seasons
+const woodBatting = ['1910', '1911', '1912', '1913'].map(Year =>
+  ({ Player: 'Smoky Joe Wood', Year, Pos: 'P', G: '40', PA: '100', BA: `.${200 + Number(Year) - 1900}`, OBP: '.300', SLG: '.300', WAR: '1.0' }));
+
+const combine = (options) => combineSeasons([...speaker, ...woodBatting], wood, options);
+const line = (rows, name) => rows.find(row => row.Player === name);
+
+test('uploads with several seasons are recognised', () => {
+  assert.deepEqual(uploadSeasons(speaker), ['1910', '1911', '1912', '1913', '1914']);
+  assert.ok(isMultiSeason(speaker));
+  assert.ok(!isMultiSeason([speaker[0]]));
+  assert.deepEqual(playerSeasonList([...speaker, ...wood]).map(p => [p.name, p.seasons.length]),
+    [['Smoky Joe Wood', 3], ['Tris Speaker', 5]]);
+});
+
+test('best season keeps that season as it was', () => {
+  const { batting, pitching } = combine({ mode: 'best' });
+  assert.deepEqual(line(batting, 'Tris Speaker'), { ...speaker[2], Seasons: '1912' });
+  assert.equal(line(pitching, 'Smoky Joe Wood').Seasons, '1912');
+  // A pitcher bats from the seasons their pitching card comes from
+  assert.equal(line(batting, 'Smoky Joe Wood').BA, '.212');
+});
+
+test('peak years weight rates by playing time and average counting stats', () => {
+  const speakerPeak = line(combine({ mode: 'peak', window: 2 }).batting, 'Tris Speaker');
+  assert.equal(speakerPeak.Seasons, '1912–13');
+  // (.383 * 700 + .363 * 500) / 1200
+  assert.equal(speakerPeak.BA, '.375');
+  assert.equal(speakerPeak.PA, '600');
+  assert.equal(speakerPeak.HR, '7');
+  assert.equal(speakerPeak.WAR, '9.8');
+  assert.equal(speakerPeak.Pos, 'CF,1B');
+});
+
+test('a career covers every season in range', () => {
+  const { batting, pitching } = combine({ mode: 'career' });
+  assert.equal(line(batting, 'Tris Speaker').Seasons, '1910–14');
+
+  const woodCareer = line(pitching, 'Smoky Joe Wood');
+  assert.equal(woodCareer.Seasons, '1911–13');
+  // 766.1 innings over three seasons, ERA weighted by innings
+  assert.equal(woodCareer.IP, '255.1');
+  assert.equal(woodCareer.ERA, '2.02');
+  assert.equal(line(batting, 'Smoky Joe Wood').Seasons, '1911–13');
+
+  const decade = combine({ mode: 'career', from: '1911', to: '1912' });
+  assert.equal(line(decade.batting, 'Tris Speaker').Seasons, '1911–12');
+});
+
+test('a picked season beats the mode', () => {
+  const { batting } = combine({ mode: 'career', picks: { 'tris speaker': '1910' } });
+  assert.deepEqual(line(batting, 'Tris Speaker'), { ...speaker[0], Seasons: '1910' });
+});
+
+test('without WAR, seasons are valued by OBP plus SLG above the file average', () => {
+  const noWar = speaker.map(({ WAR, ...row }) => row);
+  // 1912 is both the best rate and a long season
+  assert.equal(combineSeasons(noWar, [], { mode: 'best' }).batting[0].Seasons, '1912');
+
+  const short = noWar.map(row => (row.Year === '1912' ? { ...row, PA: '50' } : row));
+  assert.equal(combineSeasons(short, [], { mode: 'best' }).batting[0].Seasons, '1913');
+});
+
+test('an unknown mode is refused', () => {
+  assert.throws(() => combine({ mode: 'prime' }), /Unknown career mode "prime"/);
+  assert.throws(() => combine({ mode: 'toString' }), /Unknown career mode/);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseRosterJSON } from '../lib/deadball/index.js';
+
+const CLI = fileURLToPath(new URL('../bin/dbrg.js', import.meta.url));
+const fixture = (file) => fileURLToPath(new URL(`./fixtures/${file}`, import.meta.url));
+
+const dbrg = (...args) => execFileSync(process.execPath, [CLI, ...args], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+
+const withTempDir = (body) => {
+  const dir = mkdtempSync(path.join(tmpdir(), 'dbrg-test-'));
+  try {
+    body(dir);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+const build = (...args) =>
+  dbrg('build', '--batting', fixture('lineup.csv'), '--pitching', fixture('pitching.csv'), '--seed', '1', ...args);
+
+test('build prints a roster sheet to stdout', () => {
+  const output = build('--team', 'Fixtures');
+  assert.match(output, /^Fixtures ROSTER/);
+  assert.match(output, /Seed: 1/);
+  assert.equal(build('--team', 'Fixtures'), output);
+});
+
+test('build writes the chosen format to --out', () => {
+  withTempDir(dir => {
+    const out = path.join(dir, 'roster.json');
+    assert.equal(build('--format', 'json', '--team', 'Fixtures', '--out', out), '');
+    const { teamName, roster } = parseRosterJSON(readFileSync(out, 'utf8'));
+    assert.equal(teamName, 'Fixtures');
+    assert.equal(roster.seed, '1');
+  });
+});
+
+test('play and season read saved rosters', () => {
+  withTempDir(dir => {
+    const away = path.join(dir, 'away.json');
+    const home = path.join(dir, 'home.json');
+    build('--format', 'json', '--team', 'Away Club', '--out', away);
+    build('--format', 'json', '--team', 'Home Club', '--out', home);
+
+    const game = dbrg('play', away, home, '--seed', '7');
+    assert.match(game, /Away Club/);
+    assert.match(game, /PLAY-BY-PLAY/);
+    assert.equal(dbrg('play', away, home, '--seed', '7'), game);
+
+    const season = dbrg('season', away, home, '--rounds', '2', '--seed', '3');
+    assert.match(season, /Home Club/);
+  });
+});
+
+test('calibrate writes a CSV report', () => {
+  const report = dbrg('calibrate', '--batting', fixture('lineup.csv'), '--pitching', fixture('pitching.csv'),
+    '--pa', '50', '--games', '2', '--seed', '1');
+  assert.match(report, /^Calibration Report/);
+  assert.match(report, /^Player,POS,BT,OBT,/m);
+  assert.match(report, /^Right Field,RF,30,38,/m);
+});
+
+test('bad options fail with a message', () => {
+  const result = spawnSync(process.execPath, [CLI, 'build', '--batting', fixture('lineup.csv'),
+    '--pitching', fixture('pitching.csv'), '--format', 'xml'], { encoding: 'utf8' });
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /unknown format "xml"/);
+});
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  draftPool,
+  createDraft,
+  draftLimits,
+  draftedBy,
+  availablePlayers,
+  teamNeeds,
+  amountSpent,
+  maxBid,
+  pickChecker,
+  pickProblem,
+  teamOnTheClock,
+  isDraftComplete,
+  makePick,
+  passTurn,
+  undoPick,
+  draftRosters,
+  isPlaceholder,
+  getLineup
+} from '../lib/deadball/index.js';
+import { fixtureRows } from './fixtures.js';
+
+// Nine batter places (eight in the lineup, one on the bench) and two pitchers
+const SHAPE = { benchSize: 1, rotationSize: 1, bullpenSize: 1 };
+
+const pool = () => draftPool([
+  { team: 'Lineups', batting: fixtureRows('lineup.csv'), pitching: fixtureRows('pitching.csv') },
+  { team: 'Traits', batting: fixtureRows('batting.csv'), pitching: [] }
+], { seed: 1 });
+
+const draft = (options) => createDraft({ pool: pool(), teamNames: ['Aces', 'Deuces', 'Treys'], shape: SHAPE, seed: 1, ...options });
+
+const byName = (d, name) => d.pool.find(p => p.name === name);
+
+const pick = (d, name, options) => makePick(d, byName(d, name).id, options);
+
+test('the pool holds a card for every player, by team and kind', () => {
+  const players = pool();
+  assert.equal(new Set(players.map(p => p.id)).size, players.length);
+  assert.equal(byName({ pool: players }, 'First Base').team, 'Lineups');
+  assert.equal(byName({ pool: players }, 'Speedy Sam').team, 'Traits');
+  assert.equal(byName({ pool: players }, 'Workhorse Walt').kind, 'starter');
+  assert.equal(byName({ pool: players }, 'Band Twenty').kind, 'reliever');
+  assert.equal(byName({ pool: players }, 'First Base').kind, 'batter');
+});
+
+test('drafts need a known type, two teams and players', () => {
+  assert.throws(() => draft({ type: 'lottery' }), /Unknown draft type "lottery"/);
+  assert.throws(() => draft({ teamNames: ['Solo'] }), /at least two teams/);
+  assert.throws(() => draft({ pool: [] }), /pool is empty/);
+  assert.deepEqual(draft({ teamNames: ['Aces', ' '] }).teams.map(t => t.name), ['Aces', 'Team 2']);
+  assert.deepEqual(draftLimits(draft().shape), { batters: 9, pitchers: 2 });
+});
+
+test('snake order reverses every round', () => {
+  let d = draft();
+  const order = [];
+  for (let turn = 0; turn < 9; turn++) {
+    order.push(teamOnTheClock(d));
+    d = passTurn(d);
+  }
+  assert.deepEqual(order, [0, 1, 2, 2, 1, 0, 0, 1, 2]);
+});
+
+test('snake picks go to the team on the clock and can be undone', () => {
+  let d = draft();
+  d = pick(d, 'Right Field');
+  d = pick(d, 'Workhorse Walt');
+  assert.deepEqual(draftedBy(d, 0).map(p => p.name), ['Right Field']);
+  assert.deepEqual(draftedBy(d, 1).map(p => p.name), ['Workhorse Walt']);
+  assert.equal(availablePlayers(d).length, d.pool.length - 2);
+  assert.deepEqual(teamNeeds(d, 1), { batters: 9, pitchers: 1 });
+
+  assert.throws(() => pick(d, 'Right Field'), /Right Field has already been drafted/);
+  assert.deepEqual(draftedBy(undoPick(d), 1), []);
+});
+
+test('auction bids leave a minimum for every other place', () => {
+  let d = draft({ type: 'auction', budget: 20 });
+  // Eleven places: one bid and ten more at the minimum
+  assert.equal(maxBid(d, 0), 10);
+  assert.throws(() => pick(d, 'Right Field', { team: 0, price: 11 }), /Aces can bid at most 10/);
+  assert.throws(() => pick(d, 'Right Field', { team: 0, price: 0 }), /Bids start at 1/);
+  assert.throws(() => pick(d, 'Right Field', { price: 5 }), /Choose the team/);
+
+  d = pick(d, 'Right Field', { team: 2, price: 8 });
+  assert.equal(amountSpent(d, 2), 8);
+  assert.equal(maxBid(d, 2), 3);
+  assert.equal(maxBid(d, 0), 10);
+  // Nominations skip nobody yet
+  assert.equal(teamOnTheClock(d), 1);
+});
+
+test('teams keep places for the positions the pool can still fill', () => {
+  let d = draft({ type: 'auction' });
+  for (const name of ['First Base', 'Backup First', 'Valuable First']) {
+    d = pick(d, name, { team: 0, price: 1 });
+  }
+  // Seven positions left to cover with six places after the next pick
+  assert.match(pickProblem(d, 0, byName(d, 'Average Joe')), /Keep a place for every position: 6 still to fill with 5 places left/);
+  assert.equal(pickProblem(d, 0, byName(d, 'Second Base')), null);
+  assert.equal(pickProblem(d, 1, byName(d, 'Average Joe')), null);
+});
+
+test('relievers only fill bullpen places while starters are left', () => {
+  let d = draft({ type: 'auction' });
+  d = pick(d, 'Band Twenty', { team: 0, price: 1 });
+  const check = pickChecker(d, 0);
+  assert.match(check(byName(d, 'Band Twelve')), /Bullpen is full/);
+  assert.equal(check(byName(d, 'Workhorse Walt')), null);
+
+  d = pick(d, 'Workhorse Walt', { team: 0, price: 1 });
+  assert.equal(pickProblem(d, 0, byName(d, 'Short Start Stu')), 'Pitching staff is full.');
+  assert.equal(pickProblem(d, 0, undefined), 'Player not found.');
+});
+
+test('every team gets a roster sheet from its picks', () => {
+  let d = draft({ teamNames: ['Aces', 'Deuces'] });
+  // Aces, Deuces, Deuces, Aces
+  for (const name of ['First Base', 'Second Base', 'Third Base', 'Workhorse Walt']) d = pick(d, name);
+
+  const [aces, deuces] = draftRosters(d);
+  const drafted = (roster) => getLineup(roster).filter(p => !isPlaceholder(p)).map(p => p.name).sort();
+  assert.equal(aces.teamName, 'Aces');
+  assert.deepEqual(drafted(aces.roster), ['First Base']);
+  assert.deepEqual(aces.roster.startingPitchers.map(p => p.name), ['Workhorse Walt']);
+  assert.deepEqual(drafted(deuces.roster), ['Second Base', 'Third Base']);
+  assert.ok(isPlaceholder(deuces.roster.startingPitchers[0]));
+  assert.equal(getLineup(deuces.roster).length, 8);
+  assert.equal(aces.roster.seed, 1);
+  assert.ok(!isDraftComplete(d));
+});
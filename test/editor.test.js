@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildRoster,
+  processBatters,
+  processPitchers,
+  getSections,
+  canMove,
+  movePlayer,
+  removePlayer,
+  addPlayer,
+  reorderLineup,
+  unusedPlayers
+} from '../lib/deadball/index.js';
+import { fixtureRows } from './fixtures.js';
+
+const roster = (options) => buildRoster(fixtureRows('lineup.csv'), fixtureRows('pitching.csv'), { seed: 1, ...options });
+
+const names = (players) => players.map(p => p.name);
+
+test('cards move within a section and between sections of the same kind', () => {
+  const original = roster();
+  const before = getSections(original);
+
+  const reordered = getSections(movePlayer(original, { section: 'lineup', index: 0 }, { section: 'lineup', index: 2 }));
+  assert.deepEqual(names(reordered.lineup), names([before.lineup[1], before.lineup[2], before.lineup[0], ...before.lineup.slice(3)]));
+
+  const benched = movePlayer(original, { section: 'lineup', index: 0 }, { section: 'bench', index: 0 });
+  assert.equal(benched.lineupSize, original.lineupSize - 1);
+  assert.equal(getSections(benched).bench[0].name, before.lineup[0].name);
+  assert.equal(benched.positionPlayers.length, original.positionPlayers.length);
+
+  // A missing or oversized index appends
+  const toBullpen = getSections(movePlayer(original, { section: 'startingPitchers', index: 0 }, { section: 'reliefPitchers' }));
+  assert.equal(toBullpen.reliefPitchers.at(-1).name, before.startingPitchers[0].name);
+  const toEnd = getSections(movePlayer(original, { section: 'bench', index: 0 }, { section: 'lineup', index: 99 }));
+  assert.equal(toEnd.lineup.at(-1).name, before.bench[0].name);
+
+  // The original roster is left alone
+  assert.deepEqual(getSections(original), before);
+});
+
+test('batters and pitchers never trade places', () => {
+  const original = roster();
+  assert.ok(canMove('lineup', 'bench'));
+  assert.ok(canMove('reliefPitchers', 'startingPitchers'));
+  assert.ok(!canMove('bench', 'reliefPitchers'));
+  assert.equal(movePlayer(original, { section: 'lineup', index: 0 }, { section: 'startingPitchers' }), original);
+  assert.equal(movePlayer(original, { section: 'bench', index: 99 }, { section: 'lineup' }), original);
+});
+
+test('cards are added to and removed from a section', () => {
+  const original = roster();
+  const card = { name: 'Walk-on', position: 'UT', handedness: 'R', bt: 22, obt: 28, traits: '' };
+
+  const added = addPlayer(original, 'bench', card);
+  assert.equal(getSections(added).bench.at(-1), card);
+  assert.equal(added.lineupSize, original.lineupSize);
+
+  const removed = removePlayer(added, { section: 'lineup', index: 0 });
+  assert.equal(removed.lineupSize, original.lineupSize - 1);
+  assert.ok(!names(removed.positionPlayers).includes(getSections(original).lineup[0].name));
+
+  const withoutCloser = removePlayer(original, { section: 'reliefPitchers', index: 0 });
+  assert.equal(withoutCloser.reliefPitchers.length, original.reliefPitchers.length - 1);
+});
+
+test('reordering keeps the lineup and records the order for platoon lineups', () => {
+  const original = roster({ platoon: true, battingOrder: 'traditional' });
+  const reordered = reorderLineup(original, 'defensive');
+
+  assert.deepEqual(names(getSections(reordered).lineup).sort(), names(getSections(original).lineup).sort());
+  assert.deepEqual(getSections(reordered).lineup.map(p => p.position).slice(0, 3), ['C', '1B', '2B']);
+  assert.equal(reordered.platoon.battingOrder, 'defensive');
+  assert.equal(reordered.platoon.vsRHP.length, reordered.lineupSize);
+});
+
+test('platoon lineups follow edits to the lineup', () => {
+  const original = roster({ platoon: true });
+  const edited = removePlayer(original, { section: 'lineup', index: 0 });
+  const gone = getSections(original).lineup[0].name;
+  assert.equal(edited.platoon.vsRHP.length, edited.lineupSize);
+  assert.ok(!names(edited.platoon.vsLHP).includes(gone));
+});
+
+test('unused cards are the ones not on the roster', () => {
+  const batters = processBatters(fixtureRows('lineup.csv'));
+  const pitchers = processPitchers(fixtureRows('pitching.csv'));
+  const edited = removePlayer(roster(), { section: 'lineup', index: 0 });
+
+  const unused = unusedPlayers(edited, batters, pitchers);
+  assert.deepEqual(names(unused.batters), [getSections(roster()).lineup[0].name]);
+  const staff = new Set(names([...edited.startingPitchers, ...edited.reliefPitchers]));
+  assert.deepEqual(names(unused.pitchers), names(pitchers.filter(p => !staff.has(p.name))));
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildRoster,
+  updatePlayer,
+  csvField,
+  csvRow,
+  formatRosterCSV,
+  formatRosterTXT,
+  formatRosterJSON,
+  parseRosterJSON,
+  ROSTER_JSON_FORMAT,
+  ROSTER_JSON_VERSION
+} from '../lib/deadball/index.js';
+import { fixtureRows } from './fixtures.js';
+
+const roster = () => buildRoster(fixtureRows('lineup.csv'), fixtureRows('pitching.csv'), { seed: 2 });
+
+const renamedLeadoff = (name) => updatePlayer(roster(), { section: 'lineup', index: 0 }, { name });
+
+test('CSV fields are quoted as RFC 4180 asks', () => {
+  assert.equal(csvField('Ruth'), 'Ruth');
+  assert.equal(csvField('Ruth, Babe'), '"Ruth, Babe"');
+  assert.equal(csvField('Babe "Bambino" Ruth'), '"Babe ""Bambino"" Ruth"');
+  assert.equal(csvField('Babe\nRuth'), '"Babe\nRuth"');
+  assert.equal(csvField(undefined), '');
+  assert.equal(csvField(0), '0');
+  assert.equal(csvRow(['a,b', 'c', null]), '"a,b",c,');
+});
+
+test('CSV rosters quote names with commas, quotes and line breaks', () => {
+  const csv = formatRosterCSV(renamedLeadoff('Smith, "Big"\nJoe'), 'Hits, "Runs" & Errors');
+  assert.ok(csv.startsWith('"Hits, ""Runs"" & Errors Roster"\r\n'));
+  assert.match(csv, /\r\n1,"Smith, ""Big""\nJoe",/);
+});
+
+test('TXT rosters cut long names with an ellipsis and keep the columns', () => {
+  const name = 'Bartholomew Montgomery-Fitzwilliam';
+  const lines = formatRosterTXT(renamedLeadoff(name), 'Team').split('\n');
+  const header = lines.find(line => line.startsWith('#   Player Name'));
+  const row = lines[lines.indexOf(header) + 2];
+
+  assert.equal(row.slice(4, 29), `${name.slice(0, 24)}…`);
+  assert.equal(row.indexOf('  ', 4), header.indexOf('POS') - 2);
+});
+
+test('roster JSON reads back what it wrote', () => {
+  const original = roster();
+  const { teamName, roster: restored } = parseRosterJSON(formatRosterJSON(original, 'Fixtures'));
+  assert.equal(teamName, 'Fixtures');
+  assert.deepEqual(restored, JSON.parse(JSON.stringify(original)));
+});
+
+test('roster JSON needs the format header and a supported version', () => {
+  const { positionPlayers, startingPitchers, reliefPitchers } = roster();
+  const file = (header) => JSON.stringify({ ...header, team: 'T', roster: { positionPlayers, startingPitchers, reliefPitchers } });
+
+  assert.throws(() => parseRosterJSON(JSON.stringify({ team: 'T', positionPlayers, startingPitchers, reliefPitchers })),
+    /Not a Deadball roster file/);
+  assert.throws(() => parseRosterJSON(file({ format: ROSTER_JSON_FORMAT })), /no format version/);
+  assert.throws(() => parseRosterJSON(file({ format: ROSTER_JSON_FORMAT, version: ROSTER_JSON_VERSION + 1 })), /newer/);
+  assert.throws(() => parseRosterJSON('{'), /Not a valid roster file/);
+  assert.equal(parseRosterJSON(file({ format: ROSTER_JSON_FORMAT, version: ROSTER_JSON_VERSION })).teamName, 'T');
+});
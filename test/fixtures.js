@@ -0,0 +1,12 @@
+import { readFileSync } from 'node:fs';
+import { parseStatsCSV } from '../lib/deadball/index.js';
+
+// Rows of a CSV under test/fixtures, and a lookup by player name
+export const fixtureRows = (file) =>
+  parseStatsCSV(readFileSync(new URL(`./fixtures/${file}`, import.meta.url), 'utf8'));
+
+export const fixturePlayer = (file, name) => {
+  const row = fixtureRows(file).find(r => r.Player === name);
+  if (!row) throw new Error(`No ${name} in ${file}`);
+  return row;
+};
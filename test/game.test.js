@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildRoster,
+  simulateGame,
+  swingResult,
+  rollPlateAppearance,
+  HIT_TABLE,
+  INNINGS,
+  fatigueSteps
+} from '../lib/deadball/index.js';
+import { fixtureRows } from './fixtures.js';
+
+// A random() that makes each die come up as scripted: [value, sides] pairs
+const dice = (...rolls) => {
+  const queue = [...rolls];
+  return () => {
+    if (queue.length === 0) throw new Error('Ran out of scripted rolls');
+    const [value, sides] = queue.shift();
+    return (value - 0.5) / sides;
+  };
+};
+
+const batter = { name: 'Batter', bt: 30, obt: 38, traits: '' };
+// No pitch die, so a swing is the d100 alone
+const pitcher = { name: 'Pitcher', pd: '', handedness: 'R', traits: '' };
+
+const away = () => buildRoster(fixtureRows('lineup.csv'), fixtureRows('pitching.csv'), { seed: 3 });
+const home = () => buildRoster(fixtureRows('batting.csv'), fixtureRows('pitching.csv'), { seed: 4 });
+
+test('the same rosters and seed replay the same game', () => {
+  const first = simulateGame(away(), home(), { seed: 7 });
+  const second = simulateGame(away(), home(), { seed: 7 });
+  assert.deepEqual(second, first);
+  assert.equal(first.seed, 7);
+});
+
+test('different seeds play different games', () => {
+  const games = [1, 2, 3, 4].map(seed => simulateGame(away(), home(), { seed }));
+  assert.ok(games.some(game => JSON.stringify(game.plays) !== JSON.stringify(games[0].plays)));
+});
+
+test('swing scores are read against BT and OBT at each boundary', () => {
+  const expected = [
+    [1, 'critical'], [5, 'critical'], [6, 'hit'], [30, 'hit'], [31, 'walk'], [38, 'walk'],
+    [39, 'possibleError'], [43, 'possibleError'], [44, 'productiveOut'], [49, 'productiveOut'],
+    [50, 'out'], [100, 'out']
+  ];
+  for (const [swing, result] of expected) {
+    assert.equal(swingResult(swing, { bt: 30, obt: 38 }), result, `swing ${swing}`);
+  }
+});
+
+test('every hit table roll gives the hit its entry lists', () => {
+  for (let hitRoll = 1; hitRoll <= 20; hitRoll++) {
+    const entry = HIT_TABLE.find(e => hitRoll <= e.max);
+    // A middling defense roll when the entry calls for one
+    const rolls = [[10, 100], [hitRoll, 20], ...(entry.check ? [[6, 12]] : [])];
+    const play = rollPlateAppearance(batter, pitcher, { random: dice(...rolls) });
+    assert.equal(play.type, 'hit', `roll ${hitRoll}`);
+    assert.equal(play.bases, entry.bases, `roll ${hitRoll}`);
+    assert.equal(play.advance, entry.advance || entry.bases, `roll ${hitRoll}`);
+  }
+});
+
+test('critical hits gain a base', () => {
+  const play = rollPlateAppearance(batter, pitcher, { random: dice([3, 100], [1, 20]) });
+  assert.equal(play.bases, 2);
+  assert.deepEqual(play.notes, ['critical hit']);
+});
+
+test('power and ground-ball traits shift the hit table roll', () => {
+  const slugger = { ...batter, traits: 'P++' };
+  assert.equal(rollPlateAppearance(slugger, pitcher, { random: dice([10, 100], [18, 20]) }).bases, 4);
+  const sinkerballer = { ...pitcher, traits: 'GB+' };
+  assert.equal(rollPlateAppearance(batter, sinkerballer, { random: dice([10, 100], [19, 20]) }).bases, 2);
+});
+
+test('defense rolls can add a base or take the hit away', () => {
+  const misplayed = rollPlateAppearance(batter, pitcher, { random: dice([10, 100], [3, 20], [1, 12]) });
+  assert.equal(misplayed.bases, 2);
+  assert.ok(misplayed.misplayed);
+  const robbed = rollPlateAppearance(batter, pitcher, { random: dice([10, 100], [3, 20], [12, 12]) });
+  assert.equal(robbed.type, 'out');
+  assert.equal(robbed.position, '1B');
+});
+
+const pitcherAfter = (outs, role, traits = '') => ({ card: { traits }, line: { outs }, role });
+
+test('pitchers lose a die step per inning past their stamina', () => {
+  assert.equal(fatigueSteps(pitcherAfter(17, 'starter')), 0);
+  assert.equal(fatigueSteps(pitcherAfter(18, 'starter')), 1);
+  assert.equal(fatigueSteps(pitcherAfter(24, 'starter')), 3);
+  assert.equal(fatigueSteps(pitcherAfter(5, 'reliever')), 0);
+  assert.equal(fatigueSteps(pitcherAfter(6, 'reliever')), 1);
+  assert.equal(fatigueSteps(pitcherAfter(12, 'long')), 1);
+});
+
+test('ST+ adds two innings of stamina and ST- takes one away', () => {
+  assert.equal(fatigueSteps(pitcherAfter(23, 'starter', 'ST+')), 0);
+  assert.equal(fatigueSteps(pitcherAfter(24, 'starter', 'ST+')), 1);
+  assert.equal(fatigueSteps(pitcherAfter(14, 'starter', 'ST-')), 0);
+  assert.equal(fatigueSteps(pitcherAfter(15, 'starter', 'ST-')), 1);
+});
+
+test('games end on a walk-off or without the bottom half once the home team leads', () => {
+  let walkOffs = 0;
+  let skipped = 0;
+  for (let seed = 1; seed <= 150; seed++) {
+    const game = simulateGame(away(), home(), { seed });
+    assert.ok(game.innings >= INNINGS);
+    assert.equal(game.away.innings.length, game.innings);
+    assert.equal(game.home.innings.length, game.innings);
+    if (!game.winner) continue;
+
+    const last = game.plays[game.plays.length - 1];
+    if (game.home.innings[game.innings - 1] === null) {
+      skipped++;
+      assert.equal(game.winner, 'home');
+      assert.equal(last.half, 'top');
+    } else if (last.half === 'bottom' && game.winner === 'home') {
+      walkOffs++;
+      // Play stops on the play that puts the home team ahead
+      const finalHalf = game.plays.filter(p => p.inning === game.innings && p.half === 'bottom');
+      assert.ok(finalHalf.slice(0, -1).every(p => p.score.home <= p.score.away));
+      assert.ok(last.score.home > last.score.away);
+    }
+    assert.equal(game.winner === 'home', game.home.runs > game.away.runs);
+  }
+  assert.ok(walkOffs > 0, 'no walk-offs in the sample');
+  assert.ok(skipped > 0, 'no skipped bottom halves in the sample');
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  identifyLahmanTable,
+  missingLahmanTables,
+  lahmanSeasons,
+  lahmanTeams,
+  lahmanStatRows,
+  lahmanFranchises,
+  lahmanFranchiseRows
+} from '../lib/deadball/index.js';
+
+// Rows as Papa Parse reads them from the Lahman CSVs: every value a string
+const rows = (header, ...lines) => {
+  const keys = header.split(',');
+  return lines.map(line => Object.fromEntries(line.split(',').map((value, i) => [keys[i], value])));
+};
+
+const bundle = () => ({
+  People: rows('playerID,nameFirst,nameLast,bats,throws',
+    'ruthba01,Babe,Ruth,L,L',
+    'gehrilo01,Lou,Gehrig,L,L',
+    'hoytwa01,Waite,Hoyt,R,R'),
+  Batting: rows('playerID,yearID,stint,teamID,G,AB,H,2B,3B,HR,BB,SO,SB,HBP,SH,SF,IBB',
+    'ruthba01,1927,1,NYA,100,400,140,20,5,40,100,60,5,0,10,0,',
+    'ruthba01,1927,2,NYA,51,140,52,9,3,20,37,29,2,0,4,0,',
+    'gehrilo01,1927,1,NYA,155,584,218,52,18,47,109,84,10,3,21,0,',
+    'gehrilo01,1926,1,NYA,155,572,179,47,20,16,105,73,6,1,27,0,',
+    'hoytwa01,1927,1,NYA,36,101,20,2,0,0,5,20,0,0,8,0,'),
+  Pitching: rows('playerID,yearID,stint,teamID,G,GS,SV,GF,IPouts,H,ER,HR,BB,SO',
+    'hoytwa01,1927,1,NYA,36,32,1,3,770,242,75,10,54,86'),
+  Fielding: rows('playerID,yearID,stint,teamID,POS,G,InnOuts,PO,A,E',
+    'ruthba01,1927,1,NYA,OF,151,,328,14,13',
+    'gehrilo01,1927,1,NYA,1B,155,,1662,88,15',
+    'gehrilo01,1927,1,NYA,OF,1,,0,0,0',
+    'hoytwa01,1927,1,NYA,P,36,,10,50,1'),
+  Teams: rows('yearID,teamID,franchID,name',
+    '1926,NYA,NYY,New York Yankees',
+    '1927,NYA,NYY,New York Yankees',
+    '1927,BOS,BOS,Boston Red Sox')
+});
+
+test('tables are known by file name or by their headers', () => {
+  const tables = bundle();
+  assert.equal(identifyLahmanTable('batting.csv', []), 'Batting');
+  assert.equal(identifyLahmanTable('download (3).csv', tables.Pitching), 'Pitching');
+  assert.equal(identifyLahmanTable('teams-export.csv', tables.Teams), 'Teams');
+  assert.equal(identifyLahmanTable('roster.csv', [{ Player: 'Babe Ruth', BA: '.356' }]), null);
+  assert.deepEqual(missingLahmanTables({ Batting: [] }), ['People', 'Pitching']);
+});
+
+test('seasons and teams come from the Teams table', () => {
+  assert.deepEqual(lahmanSeasons(bundle()), ['1927', '1926']);
+  assert.deepEqual(lahmanTeams(bundle(), 1927).map(t => t.name), ['Boston Red Sox', 'New York Yankees']);
+
+  const { Teams, ...withoutTeams } = bundle();
+  assert.deepEqual(lahmanTeams(withoutTeams, '1927'), [{ teamID: 'NYA', name: 'NYA' }]);
+});
+
+test('a team-season becomes batting and pitching rows', () => {
+  const { batting, pitching } = lahmanStatRows(bundle(), { yearID: '1927', teamID: 'NYA' });
+  assert.deepEqual(batting.map(b => b.Player), ['Lou Gehrig', 'Babe Ruth', 'Waite Hoyt']);
+
+  // Ruth's two stints add up to one line
+  const ruth = batting.find(b => b.playerID === 'ruthba01');
+  assert.equal(ruth.G, '151');
+  assert.equal(ruth.AB, '540');
+  assert.equal(ruth.PA, '691');
+  assert.equal(ruth.BA, '0.356');
+  assert.equal(ruth.OBP, '0.486');
+  assert.equal(ruth.SLG, '0.772');
+  assert.equal(ruth.Bats, 'L');
+  assert.equal(ruth.Pos, 'OF');
+  assert.equal(ruth['Fld%'], '0.963');
+
+  const gehrig = batting.find(b => b.playerID === 'gehrilo01');
+  assert.equal(gehrig.Pos, '1B-OF');
+  assert.equal(gehrig.G_1b, '155');
+
+  assert.equal(pitching.length, 1);
+  assert.equal(pitching[0].Player, 'Waite Hoyt');
+  assert.equal(pitching[0].IP, '256.2');
+  assert.equal(pitching[0].ERA, '2.63');
+  assert.equal(pitching[0].Throws, 'R');
+});
+
+test('team-seasons need the required tables', () => {
+  const { People, ...withoutPeople } = bundle();
+  assert.throws(() => lahmanStatRows(withoutPeople, { yearID: '1927', teamID: 'NYA' }), /needs the People table\./);
+});
+
+test('franchises gather every season they played', () => {
+  assert.deepEqual(lahmanFranchises(bundle()).map(f => f.franchID), ['BOS', 'NYY']);
+
+  const { batting } = lahmanFranchiseRows(bundle(), { franchID: 'NYY' });
+  assert.deepEqual(batting.filter(b => b.playerID === 'gehrilo01').map(b => b.Year), ['1926', '1927']);
+  assert.throws(() => lahmanFranchiseRows(bundle(), { franchID: 'XXX' }), /No seasons found/);
+});
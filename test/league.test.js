@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_RULES,
+  leagueAveragesFromRows,
+  leagueSeasons,
+  inningsPitched,
+  leagueFactors,
+  adjustStatLine,
+  buildRoster
+} from '../lib/deadball/index.js';
+import { fixtureRows } from './fixtures.js';
+
+const relative = { ...DEFAULT_RULES, relativeToLeague: true };
+
+// Two teams of a Lahman Teams table per season
+const teams = [
+  { yearID: '1930', AB: '5000', H: '1500', '2B': '250', '3B': '50', HR: '100', BB: '500', HBP: '20', SF: '0', ER: '700', IPouts: '4200' },
+  { yearID: '1930', AB: '5000', H: '1400', '2B': '250', '3B': '50', HR: '100', BB: '480', HBP: '20', SF: '0', ER: '800', IPouts: '4200' },
+  { yearID: '1968', AB: '5500', H: '1265', '2B': '200', '3B': '40', HR: '100', BB: '450', HBP: '30', SF: '40', ER: '500', IPouts: '4400' }
+];
+
+test('league averages come from counting totals for one season', () => {
+  assert.deepEqual(leagueSeasons(teams), ['1968', '1930']);
+
+  // 2900 H in 10000 AB; (2900 + 980 + 40) / (10000 + 980 + 40); 4200 TB; 1500 ER in 2800 IP
+  assert.deepEqual(leagueAveragesFromRows(teams, { season: 1930 }), { BA: 0.29, OBP: 0.356, SLG: 0.42, ERA: 4.82 });
+  assert.equal(leagueAveragesFromRows(teams, { season: '1968' }).BA, 0.23);
+});
+
+test('ready-made averages are averaged, with IP in box-score notation', () => {
+  const rows = [
+    { Season: '1927', BA: '.285', OBP: '.350', SLG: '.400', ERA: '4.10' },
+    { Season: '1927', BA: '.275', OBP: '.340', SLG: '.390', ERA: '3.90' }
+  ];
+  assert.deepEqual(leagueAveragesFromRows(rows), { BA: 0.28, OBP: 0.345, SLG: 0.395, ERA: 4 });
+  assert.deepEqual(leagueAveragesFromRows([{ ER: '100', IP: '200.1' }]).ERA, 4.49);
+  assert.equal(inningsPitched('200.2'), 200 + 2 / 3);
+  assert.equal(inningsPitched(''), 0);
+});
+
+test('unusable league totals are refused', () => {
+  assert.throws(() => leagueAveragesFromRows([]), /empty/);
+  assert.throws(() => leagueAveragesFromRows(teams, { season: 1901 }), /No league totals found for 1901/);
+  assert.throws(() => leagueAveragesFromRows([{ Team: 'NYA' }]), /needs BA\/OBP\/SLG\/ERA columns/);
+});
+
+test('league factors rescale to the baseline only in relative mode', () => {
+  const league = { BA: 0.25, OBP: 0.335, SLG: '', ERA: 5 };
+  assert.deepEqual(leagueFactors(DEFAULT_RULES, league), { BA: 1, OBP: 1, SLG: 1, ERA: 1 });
+  assert.deepEqual(leagueFactors(relative, undefined), { BA: 1, OBP: 1, SLG: 1, ERA: 1 });
+
+  const factors = leagueFactors(relative, league);
+  assert.equal(factors.BA, 0.265 / 0.25);
+  assert.equal(factors.OBP, 1);
+  assert.equal(factors.SLG, 1);
+  assert.equal(factors.ERA, 0.8);
+});
+
+test('only rate columns and their splits are rescaled', () => {
+  const row = { Player: 'Split Sam', BA: '.250', 'BA vs LHP': '.200', BA_vsR: '.300', ERA: '', HR: '20', BABIP: '.300' };
+  const adjusted = adjustStatLine(row, { BA: 1.2, OBP: 1, SLG: 1, ERA: 0.5 });
+  assert.equal(Number(adjusted.BA), 0.3);
+  assert.equal(Number(adjusted['BA vs LHP']), 0.24);
+  assert.equal(Number(adjusted.BA_vsR), 0.36);
+  assert.equal(adjusted.ERA, '');
+  assert.equal(adjusted.HR, '20');
+  assert.equal(adjusted.BABIP, '.300');
+  assert.equal(adjusted.Player, 'Split Sam');
+});
+
+test('a relative roster rates hitters against their league', () => {
+  const league = { BA: 0.25, OBP: 0.3, SLG: 0.4, ERA: 4 };
+  const plain = buildRoster(fixtureRows('lineup.csv'), fixtureRows('pitching.csv'), { seed: 1, league });
+  const scaled = buildRoster(fixtureRows('lineup.csv'), fixtureRows('pitching.csv'), { seed: 1, rules: relative, league });
+
+  const rightField = (roster) => roster.positionPlayers.find(p => p.name === 'Right Field');
+  // .300 in a .250 league is .318 against the .265 baseline
+  assert.equal(rightField(plain).bt, 30);
+  assert.equal(rightField(scaled).bt, 32);
+  assert.equal(plain.leagueAdjustment, undefined);
+  assert.equal(scaled.leagueAdjustment.BA, 0.265 / 0.25);
+});
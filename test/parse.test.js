@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeStatsFile, pairStatsFiles } from '../lib/deadball/index.js';
+
+test('stats file names give the team and kind', () => {
+  assert.deepEqual(describeStatsFile('NYY-batting.csv'), { team: 'NYY', kind: 'batting' });
+  assert.deepEqual(describeStatsFile('1927_Yankees.Pitching.txt'), { team: '1927_Yankees', kind: 'pitching' });
+  assert.equal(describeStatsFile('roster.json'), null);
+});
+
+test('files are paired by team, with unmatched files left out', () => {
+  assert.deepEqual(pairStatsFiles(['NYY-pitching.csv', 'BOS_batting.csv', 'notes.txt', 'NYY-batting.csv']), [
+    { team: 'BOS', batting: 'BOS_batting.csv' },
+    { team: 'NYY', batting: 'NYY-batting.csv', pitching: 'NYY-pitching.csv' }
+  ]);
+});
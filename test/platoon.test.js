@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calcSplits, ratingVs, platoonLineup, platoonLineups, PLATOON_EDGE } from '../lib/deadball/index.js';
+
+const card = (name, position, handedness, bt, obt, extra = {}) =>
+  ({ name, position, positions: [position], handedness, bt, obt, traits: '', ...extra });
+
+test('split columns are read under any of their names', () => {
+  assert.deepEqual(calcSplits({ BA_vsR: '.300', OBP_vsR: '.380', 'BA vs LHP': '.250', 'OBP vs LHP': '.310' }), {
+    R: { bt: 30, obt: 38 },
+    L: { bt: 25, obt: 31 }
+  });
+  assert.deepEqual(calcSplits({ BA_vsRHP: '.280', OBP_vsRHP: '.340' }), { R: { bt: 28, obt: 34 } });
+  // A side needs both BA and OBP
+  assert.equal(calcSplits({ BA_vsL: '.280', OBP_vsL: '' }), undefined);
+  assert.equal(calcSplits({ BA: '.280', OBP: '.340' }), undefined);
+});
+
+test('without splits, batters gain the edge from the opposite side', () => {
+  const lefty = card('Lefty', '1B', 'L', 25, 30);
+  assert.deepEqual(ratingVs(lefty, 'R'), { bt: 25 + PLATOON_EDGE, obt: 30 + PLATOON_EDGE });
+  assert.deepEqual(ratingVs(lefty, 'L'), { bt: 25 - PLATOON_EDGE, obt: 30 - PLATOON_EDGE });
+
+  const switchHitter = card('Switch', '1B', 'S', 25, 30);
+  assert.deepEqual(ratingVs(switchHitter, 'L'), { bt: 25 + PLATOON_EDGE, obt: 30 + PLATOON_EDGE });
+
+  const split = card('Split', '1B', 'L', 25, 30, { splits: { L: { bt: 20, obt: 24 } } });
+  assert.deepEqual(ratingVs(split, 'L'), { bt: 20, obt: 24 });
+  assert.deepEqual(ratingVs(split, 'R'), { bt: 27, obt: 32 });
+});
+
+test('a bench bat starts against the side they hit clearly better', () => {
+  const regular = card('Righty First', '1B', 'R', 26, 32);
+  const lineup = [regular, card('Center', 'CF', 'R', 28, 35)];
+  const bench = [card('Lefty First', '1B', 'L', 25, 31), card('Lefty Catcher', 'C', 'L', 30, 38)];
+
+  const { vsRHP, vsLHP } = platoonLineups(lineup, bench);
+  // 25 + 31 + 4 against the right-hander beats 26 + 32 - 4; the catcher can't play first or center
+  assert.deepEqual(vsRHP.map(p => p.name), ['Lefty First', 'Center']);
+  assert.equal(vsRHP[0].position, '1B');
+  assert.deepEqual(vsLHP.map(p => p.name), ['Righty First', 'Center']);
+});
+
+test('a close call keeps the regular', () => {
+  const lineup = [card('Righty First', '1B', 'R', 26, 32)];
+  const bench = [card('Lefty First', '1B', 'L', 22, 29)];
+  assert.equal(platoonLineup(lineup, bench, 'R')[0].name, 'Righty First');
+});
+
+test('utility men spot-start anywhere, but only once', () => {
+  const lineup = [card('Righty Short', 'SS', 'R', 22, 27), card('Righty Third', '3B', 'R', 21, 26)];
+  const bench = [card('Lefty Utility', 'UT', 'L', 27, 33)];
+
+  const vsRHP = platoonLineup(lineup, bench, 'R');
+  assert.deepEqual(vsRHP.map(p => [p.name, p.position]), [['Lefty Utility', 'SS'], ['Righty Third', '3B']]);
+});
+
+test('platoon lineups are put in batting order', () => {
+  const lineup = [card('Weak', 'C', 'R', 20, 25), card('Strong', '1B', 'R', 32, 40)];
+  assert.deepEqual(platoonLineup(lineup, [], 'R', 'defensive').map(p => p.name), ['Weak', 'Strong']);
+  assert.deepEqual(platoonLineup(lineup, [], 'R', 'sabermetric').map(p => p.name), ['Strong', 'Weak']);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getPosition,
+  parsePositions,
+  positionsFromRow,
+  canPlay,
+  processBatters,
+  selectLineup,
+  LINEUP_POSITIONS
+} from '../lib/deadball/index.js';
+import { fixtureRows } from './fixtures.js';
+
+test('the primary position is the first fielding position listed', () => {
+  assert.equal(getPosition('SS/2B'), 'SS');
+  assert.equal(getPosition('*8/H9'), 'CF');
+  assert.equal(getPosition('1/9'), 'RF');
+  assert.equal(getPosition(['LF', 'RF']), 'LF');
+});
+
+test('players with no fielding position fall back to UT', () => {
+  assert.equal(getPosition(''), 'UT');
+  assert.equal(getPosition('P'), 'UT');
+  assert.equal(getPosition('PH'), 'UT');
+  assert.deepEqual(parsePositions('H/PR'), []);
+});
+
+test('fielding-games columns win over the Pos string, most games first', () => {
+  assert.deepEqual(positionsFromRow({ Pos: 'SS', G_ss: '5', G_2b: '120', G_3b: '30' }), ['2B', '3B']);
+  assert.deepEqual(positionsFromRow({ Pos: 'SS/2B' }), ['SS', '2B']);
+});
+
+test('outfielders cover the outfield slots their position allows', () => {
+  const center = { positions: ['CF'] };
+  const corner = { positions: ['LF'] };
+  const generic = { positions: ['OF'] };
+  assert.ok(canPlay(center, 'LF') && canPlay(center, 'RF'));
+  assert.ok(canPlay(corner, 'RF'));
+  assert.ok(!canPlay(corner, 'CF'));
+  assert.ok(canPlay(generic, 'CF'));
+  assert.ok(canPlay({ positions: ['C'] }, 'DH'));
+  assert.ok(!canPlay({ positions: ['C'] }, '1B'));
+});
+
+test('pitchers never become batter cards', () => {
+  const names = processBatters(fixtureRows('lineup.csv')).map(p => p.name);
+  assert.ok(!names.includes('Ace Pitcher'));
+  assert.equal(names.length, 9);
+});
+
+test('each listed player takes their own position', () => {
+  const { lineup } = selectLineup(processBatters(fixtureRows('lineup.csv')));
+  const at = Object.fromEntries(lineup.map(p => [p.position, p.name]));
+  assert.equal(at['1B'], 'First Base');
+  assert.equal(at.SS, 'Short Stop');
+  assert.equal(at.CF, 'Center Field');
+  assert.equal(at.LF, 'Left Field');
+  assert.equal(at.RF, 'Right Field');
+  assert.equal(lineup.length, LINEUP_POSITIONS.length);
+});
+
+test('corner outfielders keep their listed corner', () => {
+  const batters = [
+    { name: 'Listed Left', positions: ['LF'], position: 'LF', war: 2, bt: 30, obt: 36 },
+    { name: 'Listed Right', positions: ['RF'], position: 'RF', war: 9, bt: 36, obt: 48 }
+  ];
+  for (const order of [batters, [...batters].reverse()]) {
+    const { lineup } = selectLineup(order, ['LF', 'RF']);
+    assert.deepEqual(lineup.map(p => p.name), ['Listed Left', 'Listed Right']);
+  }
+});
+
+test('a utility man fills an empty slot ahead of a better player out of position', () => {
+  const { lineup, remainingBatters } = selectLineup(processBatters(fixtureRows('lineup.csv')));
+  assert.equal(lineup.find(p => p.position === 'C').name, 'Utility Man');
+  assert.deepEqual(remainingBatters.map(p => p.name), ['Backup First']);
+});
+
+test('an out-of-position player fills a slot when nobody eligible is left', () => {
+  const batters = processBatters(fixtureRows('lineup.csv')).filter(p => p.name !== 'Utility Man');
+  const { lineup, remainingBatters } = selectLineup(batters);
+  assert.equal(lineup.find(p => p.position === 'C').name, 'Backup First');
+  assert.deepEqual(remainingBatters, []);
+});
+
+test('a short list of batters leaves slots empty', () => {
+  const batters = processBatters(fixtureRows('lineup.csv')).slice(0, 3);
+  const { lineup, remainingBatters } = selectLineup(batters);
+  assert.equal(lineup.length, 3);
+  assert.deepEqual(remainingBatters, []);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calcPD, calcBT, calcOBT, processPitchers, DEFAULT_RULES, RULE_PRESETS } from '../lib/deadball/index.js';
+import { fixtureRows } from './fixtures.js';
+
+test('every pitch die band takes ERAs below its cutoff', () => {
+  let previous = 0;
+  for (const band of DEFAULT_RULES.pitchDieBands) {
+    assert.equal(calcPD(previous, DEFAULT_RULES), band.pd, `ERA ${previous}`);
+    assert.equal(calcPD(band.maxEra - 0.01, DEFAULT_RULES), band.pd, `ERA ${band.maxEra - 0.01}`);
+    previous = band.maxEra;
+  }
+});
+
+test('an ERA on a cutoff falls into the next band, and past the last into the floor', () => {
+  const bands = DEFAULT_RULES.pitchDieBands;
+  bands.slice(0, -1).forEach((band, i) => {
+    assert.equal(calcPD(band.maxEra), bands[i + 1].pd);
+  });
+  assert.equal(calcPD(bands[bands.length - 1].maxEra), DEFAULT_RULES.pitchDieFloor);
+  assert.equal(calcPD(25), DEFAULT_RULES.pitchDieFloor);
+});
+
+test('a missing ERA gets a d4', () => {
+  assert.equal(calcPD(''), 'd4');
+  assert.equal(calcPD(undefined), 'd4');
+});
+
+test('presets move the band cutoffs', () => {
+  const deadball = RULE_PRESETS['Deadball 1901–1919'];
+  assert.equal(calcPD(1.60, DEFAULT_RULES), 'd20');
+  assert.equal(calcPD(1.60, deadball), 'd12');
+});
+
+test('pitcher cards from the fixture get the die for their band', () => {
+  const dice = Object.fromEntries(processPitchers(fixtureRows('pitching.csv')).map(p => [p.name, p.pd]));
+  assert.deepEqual(
+    ['Band Twenty', 'Edge Two', 'Band Twelve', 'Band Eight', 'Band Four', 'Band Minus Four',
+      'Band Minus Eight', 'Band Minus Twelve', 'Edge Eight', 'Floor Twenty'].map(name => dice[name]),
+    ['d20', 'd12', 'd12', 'd8', 'd4', '-d4', '-d8', '-d12', '-d20', '-d20']
+  );
+});
+
+test('BT and OBT scale batting average and on-base percentage', () => {
+  assert.equal(calcBT('.312'), 31);
+  assert.equal(calcOBT('.385'), 39);
+  assert.equal(calcBT(''), 0);
+  const rules = { ...DEFAULT_RULES, ratings: { ...DEFAULT_RULES.ratings, btOffset: 2, obtScale: 110 } };
+  assert.equal(calcBT('.300', rules), 32);
+  assert.equal(calcOBT('.400', rules), 44);
+});
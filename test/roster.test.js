@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  completeRosterShape,
+  buildRoster,
+  MAX_SECTION_SIZE,
+  DEFAULT_ROSTER_SHAPE,
+  getBench,
+  updatePlayer,
+  isPlaceholder
+} from '../lib/deadball/index.js';
+import { fixtureRows } from './fixtures.js';
+
+test('shape sizes are whole numbers from zero to the maximum', () => {
+  const shape = completeRosterShape({ benchSize: '3', rotationSize: 1e9, bullpenSize: -2 });
+  assert.equal(shape.benchSize, 3);
+  assert.equal(shape.rotationSize, MAX_SECTION_SIZE);
+  assert.equal(shape.bullpenSize, DEFAULT_ROSTER_SHAPE.bullpenSize);
+});
+
+test('an oversized shape pads no further than the maximum', () => {
+  const roster = buildRoster(fixtureRows('lineup.csv'), fixtureRows('pitching.csv'), {
+    seed: 1,
+    shape: { rotationSize: 1e9 }
+  });
+  assert.equal(roster.startingPitchers.length, MAX_SECTION_SIZE);
+});
+
+test('renaming a padded card makes it a real player', () => {
+  const roster = buildRoster(fixtureRows('lineup.csv'), fixtureRows('pitching.csv'), { seed: 1 });
+  const index = getBench(roster).findIndex(p => p.placeholder);
+
+  const retuned = updatePlayer(roster, { section: 'bench', index }, { bt: 24 });
+  assert.ok(isPlaceholder(getBench(retuned)[index]));
+
+  const renamed = updatePlayer(retuned, { section: 'bench', index }, { name: 'Joe Smith' });
+  const card = getBench(renamed)[index];
+  assert.equal(card.name, 'Joe Smith');
+  assert.equal(card.bt, 24);
+  assert.equal(card.placeholder, undefined);
+  assert.ok(!isPlaceholder(card));
+});
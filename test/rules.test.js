@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_RULES, RULE_PRESETS, completeRules, explainBattingTraits } from '../lib/deadball/index.js';
+
+const GROUPS = ['ratings', 'batting', 'pitching', 'pitcherBatting', 'fieldingPct', 'baseline'];
+
+const powerTrait = (row, rules) => {
+  const power = explainBattingTraits(row, rules).find(t => t.trait.startsWith('P'));
+  return power ? power.trait : '';
+};
+
+test('a saved rule set gets defaults for the settings it predates', () => {
+  assert.deepEqual(completeRules(undefined), DEFAULT_RULES);
+
+  const rules = completeRules({ batting: { speedSB: 30 }, relativeToLeague: true });
+  assert.equal(rules.batting.speedSB, 30);
+  assert.equal(rules.batting.powerPlusHR, DEFAULT_RULES.batting.powerPlusHR);
+  assert.equal(rules.relativeToLeague, true);
+  assert.deepEqual(rules.pitching, DEFAULT_RULES.pitching);
+  assert.deepEqual(rules.pitchDieBands, DEFAULT_RULES.pitchDieBands);
+});
+
+test('every preset sets every rule', () => {
+  for (const [name, preset] of Object.entries(RULE_PRESETS)) {
+    assert.deepEqual(Object.keys(preset).sort(), Object.keys(DEFAULT_RULES).sort(), name);
+    for (const group of GROUPS) {
+      assert.deepEqual(Object.keys(preset[group]).sort(), Object.keys(DEFAULT_RULES[group]).sort(), `${name} ${group}`);
+    }
+    assert.equal(preset.pitchDieBands.length, DEFAULT_RULES.pitchDieBands.length, name);
+  }
+  assert.equal(RULE_PRESETS.Standard, DEFAULT_RULES);
+});
+
+test('presets judge the same season by their era', () => {
+  const twelveHomers = { Player: 'Frank Baker', PA: '600', BA: '.300', SLG: '.420', HR: '12' };
+  assert.equal(powerTrait(twelveHomers, RULE_PRESETS.Standard), '');
+  assert.equal(powerTrait(twelveHomers, RULE_PRESETS['Deadball 1901–1919']), 'P++');
+  assert.equal(powerTrait(twelveHomers, RULE_PRESETS.Modern), '');
+
+  const sixHomers = { ...twelveHomers, HR: '6' };
+  assert.equal(powerTrait(sixHomers, RULE_PRESETS.Standard), '');
+  assert.equal(powerTrait(sixHomers, RULE_PRESETS.Modern), 'P-');
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildRoster,
+  simulateGame,
+  roundRobinSchedule,
+  seasonStandings,
+  simulateSeason,
+  seasonLeaders,
+  formatSeasonCSV,
+  LEADER_CATEGORIES
+} from '../lib/deadball/index.js';
+import { fixtureRows } from './fixtures.js';
+
+const league = () => [
+  { name: 'Lineups', roster: buildRoster(fixtureRows('lineup.csv'), fixtureRows('pitching.csv'), { seed: 1 }) },
+  { name: 'Traits', roster: buildRoster(fixtureRows('batting.csv'), fixtureRows('pitching.csv'), { seed: 2 }) },
+  { name: 'Mirrors', roster: buildRoster(fixtureRows('lineup.csv'), fixtureRows('pitching.csv'), { seed: 3 }) }
+];
+
+// Games per pairing of team indexes, and how many of them each side hosted
+const pairings = (games) => {
+  const pairs = new Map();
+  for (const { away, home } of games) {
+    const key = [Math.min(away, home), Math.max(away, home)].join('-');
+    const pair = pairs.get(key) || { games: 0, hosts: {} };
+    pair.games++;
+    pair.hosts[home] = (pair.hosts[home] || 0) + 1;
+    pairs.set(key, pair);
+  }
+  return pairs;
+};
+
+test('every pair of teams meets once per round', () => {
+  for (const teamCount of [2, 4, 5, 6]) {
+    const games = roundRobinSchedule(teamCount, 2);
+    const pairs = pairings(games);
+    assert.equal(pairs.size, teamCount * (teamCount - 1) / 2, `${teamCount} teams`);
+    for (const pair of pairs.values()) {
+      assert.equal(pair.games, 2);
+      // Home field flips between rounds
+      assert.deepEqual(Object.values(pair.hosts), [1, 1]);
+    }
+  }
+});
+
+test('nobody plays twice in a day', () => {
+  const games = roundRobinSchedule(5, 1);
+  const days = [...new Set(games.map(game => game.day))];
+  assert.equal(days.length, 5);
+  for (const day of days) {
+    const teams = games.filter(game => game.day === day).flatMap(game => [game.away, game.home]);
+    assert.equal(new Set(teams).size, teams.length);
+    // One team sits out each day
+    assert.equal(teams.length, 4);
+  }
+  assert.throws(() => roundRobinSchedule(1), /at least two teams/);
+});
+
+test('standings rank by winning percentage with games behind', () => {
+  const standings = seasonStandings(['A', 'B', 'C'], [
+    { away: 0, home: 1, awayRuns: 5, homeRuns: 2 },
+    { away: 1, home: 2, awayRuns: 3, homeRuns: 3 },
+    { away: 2, home: 0, awayRuns: 1, homeRuns: 4 },
+    { away: 1, home: 0, awayRuns: 6, homeRuns: 0 }
+  ]);
+  assert.deepEqual(standings.map(row => [row.team, row.W, row.L, row.T, row.GB]), [
+    ['A', 2, 1, 0, 0],
+    ['B', 1, 1, 1, 0.5],
+    ['C', 0, 1, 1, 1]
+  ]);
+  assert.equal(standings[0].RS, 9);
+  assert.equal(standings[0].RA, 9);
+  assert.equal(standings[1].PCT, 0.5);
+});
+
+test('a box score counts every plate appearance', () => {
+  const [away, home] = league();
+  const game = simulateGame(away.roster, home.roster, { seed: 5 });
+  const pa = (side) => game[side].batting.reduce((sum, line) => sum + line.PA, 0);
+  const faced = (side) => game[side].pitching.reduce((sum, line) => sum + line.BF, 0);
+  assert.equal(pa('away'), faced('home'));
+  assert.equal(pa('home'), faced('away'));
+});
+
+test('a season sums the games into standings and stat lines', () => {
+  const season = simulateSeason(league(), { rounds: 2, seed: 9 });
+  assert.equal(season.games.length, 6);
+  assert.deepEqual(season.standings.map(row => row.G), [4, 4, 4]);
+  assert.equal(season.standings.reduce((sum, row) => sum + row.W - row.L, 0), 0);
+  assert.deepEqual(simulateSeason(league(), { rounds: 2, seed: 9 }), season);
+
+  for (const line of season.batting) {
+    // Sacrifice flies are plate appearances without an at bat
+    assert.ok(line.PA >= line.AB + line.BB, line.name);
+    assert.equal(line.OBP, line.PA ? (line.H + line.BB) / line.PA : 0);
+  }
+  assert.ok(season.batting.some(line => line.PA > line.AB + line.BB));
+  const runs = (team) => season.batting.filter(line => line.team === team).reduce((sum, line) => sum + line.R, 0);
+  for (const row of season.standings) assert.equal(runs(row.team), row.RS);
+});
+
+test('leaders need qualifying playing time for rate stats', () => {
+  const season = simulateSeason(league(), { rounds: 2, seed: 9 });
+  const leaders = seasonLeaders(season, 3);
+  assert.deepEqual(leaders.batting.map(board => board.category.key), LEADER_CATEGORIES.batting.map(c => c.key));
+
+  const average = leaders.batting.find(board => board.category.key === 'AVG');
+  for (const { name, team } of average.players) {
+    const line = season.batting.find(l => l.name === name && l.team === team);
+    assert.ok(line.PA >= 3.1 * 4, name);
+  }
+
+  const homers = leaders.batting.find(board => board.category.key === 'HR').players.map(p => p.value);
+  assert.deepEqual(homers, [...homers].sort((a, b) => b - a));
+
+  const era = leaders.pitching.find(board => board.category.key === 'ERA').players.map(p => Number(p.value));
+  assert.deepEqual(era, [...era].sort((a, b) => a - b));
+});
+
+test('the season CSV has every section', () => {
+  const season = simulateSeason(league(), { rounds: 1, seed: 9 });
+  const lines = formatSeasonCSV(season).split('\r\n');
+  assert.deepEqual(lines.slice(0, 3), ['Season', 'Seed: 9', 'Games: 3']);
+  for (const title of ['STANDINGS', 'BATTING LEADERS', 'PITCHING LEADERS', 'BATTING', 'PITCHING', 'RESULTS']) {
+    assert.ok(lines.includes(title), title);
+  }
+  const batting = lines.indexOf('BATTING');
+  assert.equal(lines[batting + 1], 'Player,Team,G,PA,AB,R,H,2B,3B,HR,RBI,BB,SO,SB,CS,AVG,OBP,SLG');
+  assert.equal(lines[lines.indexOf('RESULTS') + 1], 'Day,Away,R,Home,R,Inn');
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeRoster, decodeRoster, buildRoster } from '../lib/deadball/index.js';
+import { fixtureRows } from './fixtures.js';
+
+const roster = () => buildRoster(fixtureRows('lineup.csv'), fixtureRows('pitching.csv'), { seed: 5, platoon: true });
+
+// A link for a hand-made packed roster
+const link = (packed) => `1.${Buffer.from(JSON.stringify(packed)).toString('base64url')}`;
+
+const packedOf = (text) => JSON.parse(Buffer.from(text.slice(2), 'base64url').toString());
+
+test('a roster survives a trip through a share link', () => {
+  const original = roster();
+  const { teamName, roster: decoded } = decodeRoster(encodeRoster(original, 'Fixtures'));
+  assert.equal(teamName, 'Fixtures');
+  assert.deepEqual(decoded.positionPlayers.map(p => [p.name, p.position, p.bt, p.obt]),
+    original.positionPlayers.map(p => [p.name, p.position, p.bt, p.obt]));
+  assert.equal(decoded.lineupSize, original.lineupSize);
+  assert.equal(decoded.platoon.vsLHP.length, original.platoon.vsLHP.length);
+});
+
+test('links with malformed cards are refused as damaged', () => {
+  const packed = packedOf(encodeRoster(roster(), 'Fixtures'));
+
+  const objectName = structuredClone(packed);
+  objectName[3][0][0] = { a: 1 };
+  assert.throws(() => decodeRoster(link(objectName)), /damaged: a batter card/);
+
+  const textRating = structuredClone(packed);
+  textRating[4][0][3] = '30';
+  assert.throws(() => decodeRoster(link(textRating)), /damaged: a pitcher card/);
+
+  const notACard = structuredClone(packed);
+  notACard[5][0] = { name: 'Reliever' };
+  assert.throws(() => decodeRoster(link(notACard)), /damaged: a pitcher card/);
+});
+
+test('links with a bad lineup size or team name are refused as damaged', () => {
+  const packed = packedOf(encodeRoster(roster(), 'Fixtures'));
+  assert.throws(() => decodeRoster(link([...packed.slice(0, 2), 8.5, ...packed.slice(3)])), /damaged: lineup size/);
+  assert.throws(() => decodeRoster(link([...packed.slice(0, 2), 99, ...packed.slice(3)])), /damaged: lineup size/);
+  assert.throws(() => decodeRoster(link([{}, ...packed.slice(1)])), /damaged: team name/);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildRoster,
+  summarizeRoster,
+  bestOnMetric,
+  pitchDieAverage,
+  SUMMARY_METRICS,
+  isPlaceholder
+} from '../lib/deadball/index.js';
+import { fixtureRows } from './fixtures.js';
+
+const roster = () => buildRoster(fixtureRows('lineup.csv'), fixtureRows('pitching.csv'), { seed: 6 });
+
+// As saved before cards carried the placeholder flag
+const withoutFlags = (r) => {
+  const strip = (players) => players.map(({ placeholder, ...card }) => card);
+  return {
+    ...r,
+    positionPlayers: strip(r.positionPlayers),
+    startingPitchers: strip(r.startingPitchers),
+    reliefPitchers: strip(r.reliefPitchers)
+  };
+};
+
+test('padded players are recognised by their generated names', () => {
+  assert.ok(isPlaceholder({ name: 'Bench Player 3' }));
+  assert.ok(isPlaceholder({ name: 'Starting Pitcher 5' }));
+  assert.ok(isPlaceholder({ name: 'Relief Pitcher 12' }));
+  assert.ok(isPlaceholder({ name: 'Replacement SS' }));
+  assert.ok(isPlaceholder({ name: 'Backup Catcher' }));
+  assert.ok(!isPlaceholder({ name: 'Bench Player' }));
+  assert.ok(!isPlaceholder({ name: 'Starting Pitcher Smith' }));
+});
+
+test('rosters saved without placeholder flags summarize the same', () => {
+  const flagged = summarizeRoster(roster());
+  const unflagged = summarizeRoster(withoutFlags(roster()));
+  assert.ok(flagged.placeholders.length > 0);
+  assert.deepEqual(unflagged, flagged);
+});
+
+test('placeholders are left out of the team averages', () => {
+  const r = withoutFlags(roster());
+  const summary = summarizeRoster(r);
+  const real = r.startingPitchers.filter(p => !isPlaceholder(p));
+  const average = real.reduce((sum, p) => sum + pitchDieAverage(p.pd), 0) / real.length;
+  assert.ok(real.length < r.startingPitchers.length);
+  assert.equal(summary.rotation.pd, Number(average.toFixed(1)));
+  assert.equal(summary.rotation.size, r.startingPitchers.length);
+});
+
+test('the best team on a metric is the higher or lower one as the metric says', () => {
+  const lineupBT = SUMMARY_METRICS.find(m => m.label === 'Lineup BT');
+  const placeholders = SUMMARY_METRICS.find(m => m.label === 'Placeholders');
+  const summaries = [
+    { lineup: { bt: 28 }, placeholders: ['Bench Player 4'] },
+    { lineup: { bt: 31 }, placeholders: [] },
+    { lineup: { bt: 31 }, placeholders: ['Bench Player 3', 'Bench Player 4'] }
+  ];
+  assert.deepEqual(bestOnMetric(lineupBT, summaries), [1, 2]);
+  assert.deepEqual(bestOnMetric(placeholders, summaries), [1]);
+  assert.deepEqual(bestOnMetric(lineupBT, summaries.slice(1)), []);
+});
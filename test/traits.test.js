@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { explainBattingTraits, explainPitchingTraits, calcBattingTraits } from '../lib/deadball/index.js';
+import { fixturePlayer } from './fixtures.js';
+
+const batting = (name) => explainBattingTraits(fixturePlayer('batting.csv', name));
+const pitching = (name) => explainPitchingTraits(fixturePlayer('pitching.csv', name));
+
+test('a middling line earns no traits', () => {
+  assert.deepEqual(batting('Average Joe'), []);
+  assert.deepEqual(pitching('Band Four'), []);
+});
+
+const BATTING_CASES = [
+  ['Homer Thirtyfive', 'P++', '35 HR'],
+  ['Slugger Slg', 'P++', '.560 SLG'],
+  ['Homer Twentyfive', 'P+', '25 HR'],
+  ['Gapper Slg', 'P+', '.475 SLG'],
+  ['Punch Judy', 'P--', '1 HR, .299 SLG'],
+  ['Banjo Edge', 'P-', '1 HR'],
+  ['Light Hitter', 'P-', '5 HR'],
+  ['Doubles Dan', 'C+', '35 doubles'],
+  ['Contact Carl', 'C+', '12% strikeout rate'],
+  ['Whiff Walt', 'C-', '25% strikeout rate'],
+  ['Patient Pete', 'T+', '12% walk rate'],
+  ['Gap Gary', 'T+', '.340 OBP on a .250 BA'],
+  ['Speedy Sam', 'S+', '20 SB'],
+  ['Slow Steve', 'S-', 'no stolen bases'],
+  ['Glove Runs', 'D+', '+10 DRS'],
+  ['Stone Hands', 'D-', '-10 DRS'],
+  ['Sure Short', 'D+', '.982 Fld% (SS norm .972)'],
+  ['Error Short', 'D-', '.957 Fld% (SS norm .972)'],
+  ['Premium Short', 'D+', '1.6 WAR at SS']
+];
+
+for (const [name, trait, reason] of BATTING_CASES) {
+  test(`${name} earns ${trait} on the threshold`, () => {
+    assert.deepEqual(batting(name), [{ trait, reason }]);
+  });
+}
+
+test('WAR only stands in for defense at premium positions', () => {
+  assert.deepEqual(batting('Valuable First'), []);
+});
+
+test('batting traits are only judged when the upload has the column', () => {
+  const player = fixturePlayer('batting.csv', 'Slow Steve');
+  const { SB, SO, ...withoutColumns } = player;
+  assert.equal(calcBattingTraits(withoutColumns), '');
+  assert.equal(calcBattingTraits({ ...fixturePlayer('batting.csv', 'Contact Carl'), SO: '' }), '');
+});
+
+const PITCHING_CASES = [
+  ['Strikeout Sal', 'K+', '8.0 K/9'],
+  ['Contact Cal', 'K-', '4.0 K/9'],
+  ['Sinker Sid', 'GB+', '0.6 HR/9, 3.00 ERA'],
+  ['Flyball Fred', 'GB-', '1.4 HR/9'],
+  ['Control Cole', 'CN+', '1.9 BB/9'],
+  ['Wild Will', 'CN-', '4.1 BB/9'],
+  ['Workhorse Walt', 'ST+', '171 IP'],
+  ['Short Start Stu', 'ST-', '4.5 IP per start']
+];
+
+for (const [name, trait, reason] of PITCHING_CASES) {
+  test(`${name} earns ${trait} on the threshold`, () => {
+    assert.deepEqual(pitching(name), [{ trait, reason }]);
+  });
+}
+
+test('GB+ needs a low ERA as well as few home runs', () => {
+  assert.deepEqual(pitching('High Era Sinker'), []);
+});
+
+test('ST- is only for pitchers who mostly start', () => {
+  assert.deepEqual(pitching('Swingman Sy'), []);
+});
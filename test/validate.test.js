@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { missingColumns, suggestColumnMap, validateStatRows } from '../lib/deadball/index.js';
+
+const keys = (rows, kind) => missingColumns(suggestColumnMap(rows, kind), kind).map(c => c.key);
+
+test('batting needs games or plate appearances, not both', () => {
+  assert.deepEqual(keys([{ Player: 'A', PA: '400', BA: '.280' }], 'batting'), []);
+  assert.deepEqual(keys([{ Player: 'A', G: '100', BA: '.280' }], 'batting'), []);
+  assert.deepEqual(keys([{ Player: 'A', BA: '.280' }], 'batting'), ['G|PA']);
+});
+
+test('a missing playing-time column is reported once with both names', () => {
+  const [missing] = missingColumns({ Player: 'Player', BA: 'BA' }, 'batting');
+  assert.equal(missing.label, 'Games or Plate appearances');
+});
+
+test('rows with plate appearances and no games column become records', () => {
+  const { records, skipped } = validateStatRows([{ Player: 'A', PA: '400', BA: '.280' }, { Player: 'B', PA: '0', BA: '.200' }], 'batting');
+  assert.deepEqual(records.map(r => r.Player), ['A']);
+  assert.equal(skipped[0].reason, 'no plate appearances or games');
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildRoster,
+  createLeague,
+  addTeam,
+  updateTeam,
+  renameTeam,
+  deleteTeam,
+  duplicateTeam,
+  formatLeagueJSON,
+  parseLeagueJSON,
+  LEAGUE_JSON_FORMAT,
+  LEAGUE_JSON_VERSION
+} from '../lib/deadball/index.js';
+import { fixtureRows } from './fixtures.js';
+
+const team = (name, seed) => ({
+  name,
+  roster: buildRoster(fixtureRows('lineup.csv'), fixtureRows('pitching.csv'), { seed }),
+  settings: { seed }
+});
+
+const league = () => addTeam(addTeam(createLeague('Fixture League'), team('Aces', 1)), team('Deuces', 2));
+
+test('teams are added with their own ids', () => {
+  assert.equal(createLeague().name, 'New League');
+
+  const { teams } = league();
+  assert.deepEqual(teams.map(t => t.name), ['Aces', 'Deuces']);
+  assert.notEqual(teams[0].id, teams[1].id);
+  assert.ok(teams[0].updatedAt);
+});
+
+test('edits return a new league and leave the old one alone', () => {
+  const original = league();
+  const [aces, deuces] = original.teams;
+
+  const renamed = renameTeam(original, aces.id, 'Kings');
+  assert.deepEqual(renamed.teams.map(t => t.name), ['Kings', 'Deuces']);
+  assert.equal(original.teams[0].name, 'Aces');
+
+  const updated = updateTeam(original, deuces.id, { settings: { seed: 9 } });
+  assert.deepEqual(updated.teams[1].settings, { seed: 9 });
+  assert.equal(updated.teams[1].roster, deuces.roster);
+
+  const deleted = deleteTeam(original, aces.id);
+  assert.deepEqual(deleted.teams.map(t => t.name), ['Deuces']);
+  assert.equal(deleted.id, original.id);
+});
+
+test('a duplicate is a separate team with the same roster', () => {
+  const original = league();
+  const copied = duplicateTeam(original, original.teams[0].id);
+  const copy = copied.teams[2];
+  assert.equal(copy.name, 'Aces (copy)');
+  assert.notEqual(copy.id, original.teams[0].id);
+  assert.deepEqual(copy.roster, original.teams[0].roster);
+  assert.equal(duplicateTeam(original, 'missing'), original);
+});
+
+test('league files read back with a fresh id', () => {
+  const original = league();
+  const restored = parseLeagueJSON(formatLeagueJSON(original));
+  assert.notEqual(restored.id, original.id);
+  assert.equal(restored.name, 'Fixture League');
+  assert.deepEqual(restored.teams, JSON.parse(JSON.stringify(original.teams)));
+});
+
+test('league files need the format header, a supported version and teams', () => {
+  const file = (header, body = { league: { name: 'L', teams: [] } }) => JSON.stringify({ ...header, ...body });
+
+  assert.throws(() => parseLeagueJSON('not json'), /Not a valid league file/);
+  assert.throws(() => parseLeagueJSON(file({ format: 'dbrg-roster', version: 1 })), /Not a Deadball league file/);
+  assert.throws(() => parseLeagueJSON(file({ format: LEAGUE_JSON_FORMAT })), /no format version/);
+  assert.throws(() => parseLeagueJSON(file({ format: LEAGUE_JSON_FORMAT, version: LEAGUE_JSON_VERSION + 1 })), /newer/);
+  assert.throws(() => parseLeagueJSON(file({ format: LEAGUE_JSON_FORMAT, version: 1 }, { league: { name: 'L' } })), /no teams/);
+});